@@ -3,6 +3,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const { testConnection } = require('./config/database');
 const { CORS_ORIGINS, HELMET_CONFIG } = require('./config/security');
+const { getJwks } = require('./config/jwt');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const path = require('path');
 const routes = require('./routes');
@@ -28,7 +29,7 @@ app.use(cors({
   origin: CORS_ORIGINS,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-CSRF-Token', 'Last-Event-ID']
 }));
 
 // Body parsing middleware
@@ -60,6 +61,12 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying access tokens (unversioned, standard location)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+});
+
 // Root endpoint - serve the frontend index.html
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -67,7 +74,7 @@ app.get('/', (req, res) => {
 
 // Catch-all route for SPA (if needed in the future, currently optional but good practice)
 app.get('*', (req, res, next) => {
-  if (req.path.startsWith('/api') || req.path.startsWith('/health')) {
+  if (req.path.startsWith('/api') || req.path.startsWith('/health') || req.path.startsWith('/.well-known')) {
     return next();
   }
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const {
+  SESSION_COOKIE_NAME,
+  REFRESH_COOKIE_NAME,
+  CSRF_COOKIE_NAME,
+  OIDC_STATE_COOKIE_NAME,
+  CSRF_HEADER,
+  COOKIE_SECURE,
+  COOKIE_SAME_SITE,
+  COOKIE_DOMAIN
+} = require('./security');
+
+/**
+ * Browser Session Cookies
+ * Cookie-based alternative to handing tokens to browser JavaScript.
+ *
+ * The access token and refresh token go in HttpOnly cookies that scripts
+ * cannot read. A third, readable cookie holds a random CSRF token that the
+ * page echoes back in the X-CSRF-Token header on state-changing requests
+ * (double-submit): another site can make the browser send the cookies, but
+ * cannot read the CSRF cookie to build the header.
+ */
+
+const REFRESH_COOKIE_PATH = '/api/v1/auth/refresh';
+const OIDC_COOKIE_PATH = '/api/v1/auth/oidc';
+
+// Methods that must not change state and so need no CSRF token
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Read a cookie from the request
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value, or null if absent
+ */
+function getCookie(req, name) {
+  const header = req.headers.cookie;
+
+  if (!header) {
+    return null;
+  }
+
+  for (const part of header.split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1 || part.slice(0, separator).trim() !== name) {
+      continue;
+    }
+
+    try {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build cookie options
+ * @param {Object} options - Overrides (path, maxAge, httpOnly)
+ * @returns {Object} Options for res.cookie / res.clearCookie
+ */
+function cookieOptions(options = {}) {
+  return {
+    httpOnly: true,
+    secure: COOKIE_SECURE,
+    sameSite: COOKIE_SAME_SITE,
+    domain: COOKIE_DOMAIN,
+    path: '/',
+    ...options
+  };
+}
+
+/**
+ * Set the session, refresh and CSRF cookies for a login or token refresh
+ * @param {Object} res - Express response object
+ * @param {Object} result - Login or refresh result
+ * @param {string} result.token - Access token
+ * @param {string} result.refreshToken - Refresh token
+ * @param {number} result.expiresIn - Access token lifetime in seconds
+ * @param {number} result.refreshExpiresIn - Refresh token lifetime in seconds
+ * @returns {string} CSRF token
+ */
+function setSessionCookies(res, { token, refreshToken, expiresIn, refreshExpiresIn }) {
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+
+  res.cookie(SESSION_COOKIE_NAME, token, cookieOptions({ maxAge: expiresIn * 1000 }));
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, cookieOptions({
+    path: REFRESH_COOKIE_PATH,
+    maxAge: refreshExpiresIn * 1000
+  }));
+  res.cookie(CSRF_COOKIE_NAME, csrfToken, cookieOptions({
+    httpOnly: false,
+    maxAge: refreshExpiresIn * 1000
+  }));
+
+  return csrfToken;
+}
+
+/**
+ * Replace only the access token cookie
+ * Used to switch a browser into and out of impersonation while the refresh
+ * and CSRF cookies keep belonging to the administrator's own login
+ * @param {Object} res - Express response object
+ * @param {string} token - Access token
+ * @param {number} expiresIn - Token lifetime in seconds
+ */
+function setAccessCookie(res, token, expiresIn) {
+  res.cookie(SESSION_COOKIE_NAME, token, cookieOptions({ maxAge: expiresIn * 1000 }));
+}
+
+/**
+ * Remove only the access token cookie
+ * The page can then get a new one with the refresh cookie
+ * @param {Object} res - Express response object
+ */
+function clearAccessCookie(res) {
+  res.clearCookie(SESSION_COOKIE_NAME, cookieOptions());
+}
+
+/**
+ * Remove the session, refresh and CSRF cookies
+ * @param {Object} res - Express response object
+ */
+function clearSessionCookies(res) {
+  res.clearCookie(SESSION_COOKIE_NAME, cookieOptions());
+  res.clearCookie(REFRESH_COOKIE_NAME, cookieOptions({ path: REFRESH_COOKIE_PATH }));
+  res.clearCookie(CSRF_COOKIE_NAME, cookieOptions({ httpOnly: false }));
+}
+
+/**
+ * Deliver login or refresh tokens as cookies instead of in the response body
+ * @param {Object} res - Express response object
+ * @param {Object} result - Login or refresh result
+ * @returns {Object} Result without the tokens, with the CSRF token added
+ */
+function sendTokensAsCookies(res, result) {
+  const { token, refreshToken, ...rest } = result;
+  const csrfToken = setSessionCookies(res, result);
+
+  return { ...rest, csrfToken };
+}
+
+/**
+ * Tie an SSO login to the browser that started it
+ * Lax rather than Strict: the callback is a top-level redirect from the IdP,
+ * which Strict cookies would not be sent with
+ * @param {Object} res - Express response object
+ * @param {string} state - OIDC state value
+ * @param {number} maxAgeMs - Cookie lifetime in milliseconds
+ */
+function setOidcStateCookie(res, state, maxAgeMs) {
+  res.cookie(OIDC_STATE_COOKIE_NAME, state, cookieOptions({
+    sameSite: 'lax',
+    path: OIDC_COOKIE_PATH,
+    maxAge: maxAgeMs
+  }));
+}
+
+/**
+ * Remove the SSO state cookie
+ * @param {Object} res - Express response object
+ */
+function clearOidcStateCookie(res) {
+  res.clearCookie(OIDC_STATE_COOKIE_NAME, cookieOptions({ sameSite: 'lax', path: OIDC_COOKIE_PATH }));
+}
+
+/**
+ * Check the double-submit CSRF token of a cookie-authenticated request
+ * Safe methods always pass
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the request may proceed
+ */
+function isCsrfValid(req) {
+  if (CSRF_SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookieToken = getCookie(req, CSRF_COOKIE_NAME);
+  const headerToken = req.headers[CSRF_HEADER];
+
+  if (!cookieToken || typeof headerToken !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(cookieToken);
+  const actual = Buffer.from(headerToken);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  getCookie,
+  setSessionCookies,
+  setAccessCookie,
+  clearAccessCookie,
+  clearSessionCookies,
+  sendTokensAsCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  isCsrfValid
+};
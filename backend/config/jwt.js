@@ -1,34 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 /**
  * JWT Configuration
- * Handles JWT token generation and verification
+ * Handles JWT token generation and verification.
+ *
+ * Tokens are signed with an asymmetric key from JWT_KEYS_DIR when one is
+ * configured, or with the shared JWT_SECRET (HS256) otherwise. Every key in
+ * the directory stays valid for verification and is published at
+ * /.well-known/jwks.json, so rotating the signing key (JWT_ACTIVE_KID) does
+ * not invalidate tokens that are still live.
+ *
+ * Access, impersonation and two-factor challenge tokens share the key, so
+ * each carries its type (typ) and an audience (aud) of its own. Verifiers
+ * require both, and other services checking tokens against the JWKS should
+ * require aud to be JWT_AUDIENCE.
  */
 
-const JWT_SECRET = process.env.JWT_SECRET || 'default-secret-key-change-in-production';
+const DEFAULT_JWT_SECRET = 'default-secret-key-change-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '30d';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+const IMPERSONATION_EXPIRES_IN = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+
+// Audience of access tokens; the other token types get a suffixed audience
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || 'otp-fetch-api';
+
+// Audience of each token type (the typ claim)
+const TOKEN_AUDIENCES = {
+  access: JWT_AUDIENCE,
+  impersonation: `${JWT_AUDIENCE}:impersonation`,
+  two_factor_challenge: `${JWT_AUDIENCE}:two-factor-challenge`
+};
+
+// Directory of PEM keys named <kid>.pem (private) or <kid>.pub.pem (verify only)
+const JWT_KEYS_DIR = process.env.JWT_KEYS_DIR || '';
+// Key used to sign new tokens; defaults to the last private key by name
+const JWT_ACTIVE_KID = process.env.JWT_ACTIVE_KID || '';
+
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
 
 /**
- * Generate a JWT token for a user
- * @param {Object} payload - Token payload (user data)
+ * Pick the JWS algorithm for a key
+ * @param {KeyObject} publicKey - Public key
+ * @returns {string} 'RS256' or 'ES256'
+ * @throws {Error} If the key type is not supported
+ */
+function algorithmForKey(publicKey) {
+  if (publicKey.asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+
+  if (publicKey.asymmetricKeyType === 'ec' && publicKey.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  throw new Error('Only RSA and P-256 EC keys are supported');
+}
+
+/**
+ * Load the signing and verification keys from JWT_KEYS_DIR
+ * @returns {Map<string, Object>} Keys by kid ({ kid, alg, privateKey, publicKey })
+ * @throws {Error} If a key file cannot be parsed
+ */
+function loadKeys() {
+  const keys = new Map();
+
+  if (!JWT_KEYS_DIR) {
+    return keys;
+  }
+
+  const files = fs.readdirSync(JWT_KEYS_DIR)
+    .filter(file => file.endsWith('.pem'))
+    .sort();
+
+  for (const file of files) {
+    const verifyOnly = file.endsWith('.pub.pem');
+    const kid = file.slice(0, -(verifyOnly ? '.pub.pem' : '.pem').length);
+
+    if (!KID_PATTERN.test(kid)) {
+      throw new Error(`Invalid JWT key file name ${file}: kid must match ${KID_PATTERN}`);
+    }
+
+    // A private key wins over a public-only copy of the same kid
+    if (verifyOnly && keys.has(kid)) {
+      continue;
+    }
+
+    try {
+      const pem = fs.readFileSync(path.join(JWT_KEYS_DIR, file), 'utf8');
+      const privateKey = verifyOnly ? null : crypto.createPrivateKey(pem);
+      const publicKey = crypto.createPublicKey(privateKey || pem);
+
+      keys.set(kid, { kid, alg: algorithmForKey(publicKey), privateKey, publicKey });
+    } catch (error) {
+      throw new Error(`Could not load JWT key ${file}: ${error.message}`);
+    }
+  }
+
+  return keys;
+}
+
+const keys = loadKeys();
+
+/**
+ * Choose the key that signs new tokens
+ * @returns {Object|null} Signing key, or null to sign with JWT_SECRET
+ * @throws {Error} If JWT_ACTIVE_KID does not name a private key
+ */
+function selectSigningKey() {
+  if (keys.size === 0) {
+    return null;
+  }
+
+  if (JWT_ACTIVE_KID) {
+    const key = keys.get(JWT_ACTIVE_KID);
+    if (!key || !key.privateKey) {
+      throw new Error(`JWT_ACTIVE_KID ${JWT_ACTIVE_KID} has no private key in ${JWT_KEYS_DIR}`);
+    }
+    return key;
+  }
+
+  const privateKeys = [...keys.values()].filter(key => key.privateKey);
+  if (privateKeys.length === 0) {
+    throw new Error(`No private JWT key found in ${JWT_KEYS_DIR}`);
+  }
+
+  return privateKeys[privateKeys.length - 1];
+}
+
+const signingKey = selectSigningKey();
+
+/**
+ * Sign a payload with the active key
+ * @param {Object} payload - Token payload
+ * @param {string} expiresIn - Token lifetime such as '1h'
+ * @param {string} type - Token type, a key of TOKEN_AUDIENCES
  * @returns {string} JWT token
  */
-function generateToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_EXPIRES_IN
+function sign(payload, expiresIn, type) {
+  const claims = { ...payload, typ: type };
+  const options = { expiresIn, audience: TOKEN_AUDIENCES[type] };
+
+  if (!signingKey) {
+    return jwt.sign(claims, JWT_SECRET, { ...options, algorithm: 'HS256' });
+  }
+
+  return jwt.sign(claims, signingKey.privateKey, {
+    ...options,
+    algorithm: signingKey.alg,
+    keyid: signingKey.kid
   });
 }
 
 /**
- * Verify and decode a JWT token
+ * Find the key and algorithm that must have signed a token
+ * Tokens with a kid need a matching key; tokens without one are legacy
+ * HS256 tokens and are only accepted while JWT_SECRET is set
+ * @param {string} token - JWT token
+ * @returns {Object} Verification key and allowed algorithms
+ * @throws {Error} If no key can verify the token
+ */
+function getVerificationKey(token) {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded || !decoded.header) {
+    throw new Error('Invalid token');
+  }
+
+  const { kid } = decoded.header;
+
+  if (kid) {
+    const key = keys.get(kid);
+    if (!key) {
+      throw new Error('Invalid token');
+    }
+    return { key: key.publicKey, algorithms: [key.alg] };
+  }
+
+  if (signingKey && !process.env.JWT_SECRET) {
+    throw new Error('Invalid token');
+  }
+
+  return { key: JWT_SECRET, algorithms: ['HS256'] };
+}
+
+/**
+ * Verify and decode a JWT token of a given type
  * @param {string} token - JWT token to verify
+ * @param {string} type - Required token type, a key of TOKEN_AUDIENCES
  * @returns {Object} Decoded token payload
- * @throws {Error} If token is invalid or expired
+ * @throws {Error} If token is invalid, expired or of another type
  */
-function verifyToken(token) {
+function verifyTyped(token, type) {
+  let decoded;
+
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const { key, algorithms } = getVerificationKey(token);
+    decoded = jwt.verify(token, key, { algorithms, audience: TOKEN_AUDIENCES[type] });
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
       throw new Error('Token expired');
@@ -37,6 +210,96 @@ function verifyToken(token) {
     }
     throw error;
   }
+
+  if (decoded.typ !== type) {
+    throw new Error('Invalid token');
+  }
+
+  return decoded;
+}
+
+/**
+ * Generate a JWT access token for a user
+ * @param {Object} payload - Token payload (user data)
+ * @param {string} expiresIn - Token lifetime (default: JWT_EXPIRES_IN)
+ * @returns {string} JWT token
+ */
+function generateToken(payload, expiresIn = JWT_EXPIRES_IN) {
+  return sign(payload, expiresIn, 'access');
+}
+
+/**
+ * Verify and decode a JWT access token
+ * @param {string} token - JWT token to verify
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid, expired or not an access token
+ */
+function verifyToken(token) {
+  return verifyTyped(token, 'access');
+}
+
+/**
+ * Generate an impersonation token, which acts as an access token for the
+ * impersonated user
+ * @param {Object} payload - Token payload (target user data and impersonatorId)
+ * @returns {string} JWT token
+ */
+function generateImpersonationToken(payload) {
+  return sign(payload, IMPERSONATION_EXPIRES_IN, 'impersonation');
+}
+
+/**
+ * Verify an impersonation token
+ * @param {string} token - Impersonation token
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid, expired or not an impersonation token
+ */
+function verifyImpersonationToken(token) {
+  const decoded = verifyTyped(token, 'impersonation');
+
+  if (!decoded.impersonatorId) {
+    throw new Error('Invalid token');
+  }
+
+  return decoded;
+}
+
+/**
+ * Verify a token presented to the API: an access or an impersonation token
+ * The unverified typ only picks the verifier, which then enforces it
+ * @param {string} token - JWT token
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid, expired or of another type
+ */
+function verifySessionToken(token) {
+  const unverified = decodeToken(token);
+
+  if (unverified && unverified.typ === 'impersonation') {
+    return verifyImpersonationToken(token);
+  }
+
+  return verifyToken(token);
+}
+
+/**
+ * Generate a short-lived two-factor challenge token
+ * Challenge tokens have no session and their own audience, so neither this
+ * API nor services trusting the JWKS accept them as access tokens
+ * @param {Object} payload - Token payload
+ * @returns {string} JWT token
+ */
+function generateChallengeToken(payload) {
+  return sign(payload, TWO_FACTOR_CHALLENGE_EXPIRES_IN, 'two_factor_challenge');
+}
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded token payload
+ * @throws {Error} If token is invalid, expired or not a challenge token
+ */
+function verifyChallengeToken(token) {
+  return verifyTyped(token, 'two_factor_challenge');
 }
 
 /**
@@ -54,10 +317,10 @@ function decodeToken(token) {
 
 /**
  * Get token expiration time in seconds
+ * @param {string} expiresIn - Duration such as '1h' (default: JWT_EXPIRES_IN)
  * @returns {number} Expiration time in seconds
  */
-function getTokenExpirationSeconds() {
-  const expiresIn = JWT_EXPIRES_IN;
+function getTokenExpirationSeconds(expiresIn = JWT_EXPIRES_IN) {
   const match = expiresIn.match(/^(\d+)([smhd])$/);
   
   if (!match) {
@@ -77,11 +340,67 @@ function getTokenExpirationSeconds() {
   return value * (multipliers[unit] || 3600);
 }
 
+/**
+ * Get the public keys as a JSON Web Key Set
+ * Empty when tokens are signed with the shared secret
+ * @returns {Object} JWKS document ({ keys: [...] })
+ */
+function getJwks() {
+  return {
+    keys: [...keys.values()].map(key => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+}
+
+/**
+ * Refuse to start with the built-in secret outside development
+ * The secret signs tokens when no asymmetric key is configured and is the
+ * fallback TOTP encryption key
+ * @throws {Error} If the default secret would be used outside development
+ */
+function assertSecureConfiguration() {
+  if (process.env.NODE_ENV === 'development' || JWT_SECRET !== DEFAULT_JWT_SECRET) {
+    return;
+  }
+
+  if (!signingKey) {
+    throw new Error('JWT_SECRET is not set. Set JWT_SECRET or JWT_KEYS_DIR (or NODE_ENV=development).');
+  }
+
+  if (!process.env.TOTP_ENCRYPTION_KEY) {
+    throw new Error('TOTP_ENCRYPTION_KEY must be set when JWT_SECRET is not (or NODE_ENV=development).');
+  }
+}
+
+/**
+ * Describe the signing setup for startup logs
+ * @returns {string} e.g. 'ES256 (kid 2026-10-19)' or 'HS256 (shared secret)'
+ */
+function describeSigningKey() {
+  return signingKey ? `${signingKey.alg} (kid ${signingKey.kid})` : 'HS256 (shared secret)';
+}
+
 module.exports = {
   JWT_SECRET,
   JWT_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  IMPERSONATION_EXPIRES_IN,
+  JWT_AUDIENCE,
   generateToken,
   verifyToken,
+  generateImpersonationToken,
+  verifyImpersonationToken,
+  verifySessionToken,
+  generateChallengeToken,
+  verifyChallengeToken,
   decodeToken,
-  getTokenExpirationSeconds
+  getTokenExpirationSeconds,
+  getJwks,
+  assertSecureConfiguration,
+  describeSigningKey
 };
@@ -0,0 +1,169 @@
+const { Client, InvalidCredentialsError } = require('ldapts');
+require('dotenv').config();
+
+/**
+ * LDAP Configuration
+ * Settings and bind-based credential checks for LDAP / Active Directory
+ */
+
+const LDAP_ENABLED = process.env.LDAP_ENABLED === 'true';
+const LDAP_URL = process.env.LDAP_URL || 'ldap://localhost:389';
+const LDAP_START_TLS = process.env.LDAP_START_TLS === 'true';
+const LDAP_TLS_REJECT_UNAUTHORIZED = process.env.LDAP_TLS_REJECT_UNAUTHORIZED !== 'false';
+const LDAP_TIMEOUT_MS = parseInt(process.env.LDAP_TIMEOUT_MS, 10) || 5000;
+
+// Service account used to search for the user's DN (anonymous search if empty)
+const LDAP_BIND_DN = process.env.LDAP_BIND_DN || '';
+const LDAP_BIND_PASSWORD = process.env.LDAP_BIND_PASSWORD || '';
+
+// Where and how to find users; {{username}} is replaced with the escaped username
+const LDAP_SEARCH_BASE = process.env.LDAP_SEARCH_BASE || '';
+const LDAP_USER_FILTER = process.env.LDAP_USER_FILTER || '(uid={{username}})';
+const LDAP_USERNAME_ATTRIBUTE = process.env.LDAP_USERNAME_ATTRIBUTE || 'uid';
+const LDAP_EMAIL_ATTRIBUTE = process.env.LDAP_EMAIL_ATTRIBUTE || 'mail';
+
+// Group-to-role mapping
+const LDAP_GROUP_ATTRIBUTE = process.env.LDAP_GROUP_ATTRIBUTE || 'memberOf';
+const LDAP_ADMIN_GROUPS = (process.env.LDAP_ADMIN_GROUPS || '')
+  .split(';')
+  .map(group => group.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Escape a value for use inside an LDAP search filter (RFC 4515)
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeFilterValue(value) {
+  return String(value).replace(/[\\*()\0]/g, char =>
+    `\\${char.charCodeAt(0).toString(16).padStart(2, '0')}`
+  );
+}
+
+/**
+ * Build the user search filter for a username
+ * @param {string} username - Username entered at login
+ * @returns {string} LDAP filter
+ */
+function buildUserFilter(username) {
+  return LDAP_USER_FILTER.replace(/\{\{username\}\}/g, escapeFilterValue(username));
+}
+
+/**
+ * Get the first value of a possibly multi-valued attribute
+ * @param {string|Array|undefined} value - Attribute value
+ * @returns {string|null} First value, or null
+ */
+function firstValue(value) {
+  if (Array.isArray(value)) return value.length ? String(value[0]) : null;
+  return value ? String(value) : null;
+}
+
+/**
+ * Create a connected client, upgraded to TLS if configured
+ * @returns {Promise<Client>} LDAP client
+ */
+async function createClient() {
+  const tlsOptions = { rejectUnauthorized: LDAP_TLS_REJECT_UNAUTHORIZED };
+
+  // ldapts switches to TLS whenever tlsOptions is given, so only pass it for ldaps://
+  const client = new Client({
+    url: LDAP_URL,
+    timeout: LDAP_TIMEOUT_MS,
+    connectTimeout: LDAP_TIMEOUT_MS,
+    tlsOptions: LDAP_URL.startsWith('ldaps://') ? tlsOptions : undefined
+  });
+
+  if (LDAP_START_TLS) {
+    try {
+      await client.startTLS(tlsOptions);
+    } catch (error) {
+      await client.unbind().catch(() => {});
+      throw error;
+    }
+  }
+
+  return client;
+}
+
+/**
+ * Verify a username and password by binding as the user
+ * @param {string} username - Username entered at login
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object|null>} Directory profile, or null if the credentials are invalid
+ * @throws {Error} If the directory cannot be reached or searched
+ */
+async function authenticate(username, password) {
+  // An empty password would be an unauthenticated bind, which always succeeds
+  if (!username || !password) {
+    return null;
+  }
+
+  const client = await createClient();
+
+  try {
+    if (LDAP_BIND_DN) {
+      await client.bind(LDAP_BIND_DN, LDAP_BIND_PASSWORD);
+    }
+
+    const { searchEntries } = await client.search(LDAP_SEARCH_BASE, {
+      scope: 'sub',
+      filter: buildUserFilter(username),
+      attributes: [LDAP_USERNAME_ATTRIBUTE, LDAP_EMAIL_ATTRIBUTE, LDAP_GROUP_ATTRIBUTE]
+    });
+
+    // Unknown or ambiguous usernames never bind
+    if (searchEntries.length !== 1) {
+      return null;
+    }
+
+    const entry = searchEntries[0];
+
+    try {
+      await client.bind(entry.dn, password);
+    } catch (error) {
+      if (error instanceof InvalidCredentialsError) {
+        return null;
+      }
+      throw error;
+    }
+
+    const groups = entry[LDAP_GROUP_ATTRIBUTE];
+
+    return {
+      dn: entry.dn,
+      username: firstValue(entry[LDAP_USERNAME_ATTRIBUTE]) || username,
+      email: firstValue(entry[LDAP_EMAIL_ATTRIBUTE]),
+      groups: (Array.isArray(groups) ? groups : [groups]).filter(Boolean).map(String)
+    };
+  } finally {
+    await client.unbind().catch(() => {});
+  }
+}
+
+/**
+ * Map directory groups to an application role
+ * Groups match LDAP_ADMIN_GROUPS by full DN or by CN, case-insensitively
+ * @param {Array<string>} groups - Group DNs from the user entry
+ * @returns {string} 'admin' or 'user'
+ */
+function mapRole(groups) {
+  const isAdmin = groups.some(group => {
+    const dn = group.toLowerCase();
+    const cn = (dn.match(/^cn=([^,]+)/) || [])[1];
+    return LDAP_ADMIN_GROUPS.includes(dn) || (cn && LDAP_ADMIN_GROUPS.includes(cn));
+  });
+
+  return isAdmin ? 'admin' : 'user';
+}
+
+module.exports = {
+  LDAP_ENABLED,
+  LDAP_URL,
+  LDAP_SEARCH_BASE,
+  LDAP_USER_FILTER,
+  escapeFilterValue,
+  buildUserFilter,
+  authenticate,
+  mapRole
+};
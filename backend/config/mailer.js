@@ -0,0 +1,126 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+/**
+ * Mailer Configuration
+ * Pluggable outgoing email transports
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   smtp - send through SMTP_HOST (e.g. a local sink such as Mailpit on port 1025)
+ *   log  - write the recipient and subject to the console instead of sending
+ *          (NODE_ENV=development only; the default there)
+ */
+
+const IS_DEVELOPMENT = process.env.NODE_ENV === 'development';
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || (IS_DEVELOPMENT ? 'log' : 'smtp');
+const MAIL_FROM = process.env.MAIL_FROM || 'OTP Fetch <no-reply@localhost>';
+
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost';
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 1025;
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER || '';
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || '';
+
+const transports = {
+  /**
+   * Send through an SMTP server
+   * @returns {Object} Transport with send(message)
+   */
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined,
+      connectionTimeout: 10000
+    });
+
+    return {
+      send: message => transporter.sendMail(message)
+    };
+  },
+
+  /**
+   * Print who a message is for to the console (development only)
+   * The body is never printed: it holds reset, invitation and other links
+   * that hand over an account
+   * @returns {Object} Transport with send(message)
+   */
+  log: () => ({
+    send: async message => {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}`);
+      return { messageId: null };
+    }
+  })
+};
+
+/**
+ * Refuse to start with a mail setup that is only fit for development
+ * Outside NODE_ENV=development the log transport is refused and SMTP_HOST
+ * must be set explicitly
+ * @throws {Error} If the mail configuration is unsafe or incomplete
+ */
+function assertMailConfiguration() {
+  if (!transports[MAIL_TRANSPORT]) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+  }
+
+  if (IS_DEVELOPMENT) {
+    return;
+  }
+
+  if (MAIL_TRANSPORT === 'log') {
+    throw new Error('MAIL_TRANSPORT=log is only allowed with NODE_ENV=development. Configure SMTP instead.');
+  }
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set. Set SMTP_HOST (or NODE_ENV=development).');
+  }
+}
+
+let transport = null;
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} Transport with send(message)
+ */
+function getTransport() {
+  if (!transport) {
+    const factory = transports[MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT: ${MAIL_TRANSPORT}`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Replace the transport (e.g. to capture messages in tests)
+ * @param {Object} customTransport - Object with an async send(message) method
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send an email
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - HTML body (optional)
+ * @returns {Promise<Object>} Transport result
+ */
+async function sendMail(message) {
+  return await getTransport().send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+  MAIL_TRANSPORT,
+  MAIL_FROM,
+  assertMailConfiguration,
+  sendMail,
+  setTransport
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+/**
+ * OpenID Connect Configuration
+ * Settings, provider discovery and ID token verification for SSO login
+ */
+
+const OIDC_ENABLED = process.env.OIDC_ENABLED === 'true';
+const OIDC_ISSUER_URL = (process.env.OIDC_ISSUER_URL || '').replace(/\/$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || 'http://localhost:3000/api/v1/auth/oidc/callback';
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+const OIDC_USERNAME_CLAIM = process.env.OIDC_USERNAME_CLAIM || 'preferred_username';
+const OIDC_ROLE_CLAIM = process.env.OIDC_ROLE_CLAIM || 'groups';
+const OIDC_ADMIN_VALUES = (process.env.OIDC_ADMIN_VALUES || 'admin')
+  .split(',')
+  .map(value => value.trim())
+  .filter(Boolean);
+// Where the browser lands after SSO; tokens are appended as a URL fragment
+const OIDC_POST_LOGIN_REDIRECT = process.env.OIDC_POST_LOGIN_REDIRECT || '/';
+const OIDC_STATE_TTL_MINUTES = parseInt(process.env.OIDC_STATE_TTL_MINUTES, 10) || 10;
+
+// Discovery documents and signing keys rarely change
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+// Only asymmetric algorithms; the client secret must never verify ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let metadataCache = null;
+let jwksCache = null;
+
+/**
+ * Fetch the provider's discovery document
+ * @returns {Promise<Object>} OpenID provider metadata
+ */
+async function getProviderMetadata() {
+  if (metadataCache && Date.now() - metadataCache.fetchedAt < METADATA_CACHE_TTL_MS) {
+    return metadataCache.metadata;
+  }
+
+  const response = await axios.get(`${OIDC_ISSUER_URL}/.well-known/openid-configuration`, {
+    timeout: HTTP_TIMEOUT_MS
+  });
+
+  metadataCache = { metadata: response.data, fetchedAt: Date.now() };
+  return response.data;
+}
+
+/**
+ * Get the provider's signing keys
+ * @param {boolean} forceRefresh - Bypass the cache (e.g. after an unknown kid)
+ * @returns {Promise<Array>} JSON Web Keys
+ */
+async function getSigningKeys(forceRefresh = false) {
+  if (!forceRefresh && jwksCache && Date.now() - jwksCache.fetchedAt < METADATA_CACHE_TTL_MS) {
+    return jwksCache.keys;
+  }
+
+  const metadata = await getProviderMetadata();
+  const response = await axios.get(metadata.jwks_uri, { timeout: HTTP_TIMEOUT_MS });
+
+  jwksCache = { keys: response.data.keys || [], fetchedAt: Date.now() };
+  return jwksCache.keys;
+}
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ * @returns {Object} codeVerifier and codeChallenge
+ */
+function generatePkcePair() {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Build the authorization endpoint URL
+ * @param {Object} params - Authorization parameters
+ * @param {string} params.state - Opaque state value
+ * @param {string} params.nonce - ID token nonce
+ * @param {string} params.codeChallenge - PKCE S256 challenge
+ * @returns {Promise<string>} Authorization URL
+ */
+async function buildAuthorizationUrl({ state, nonce, codeChallenge }) {
+  const metadata = await getProviderMetadata();
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {Promise<Object>} Token endpoint response
+ */
+async function exchangeCode(code, codeVerifier) {
+  const metadata = await getProviderMetadata();
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_REDIRECT_URI,
+    client_id: OIDC_CLIENT_ID,
+    code_verifier: codeVerifier
+  });
+
+  if (OIDC_CLIENT_SECRET) {
+    body.set('client_secret', OIDC_CLIENT_SECRET);
+  }
+
+  const response = await axios.post(metadata.token_endpoint, body.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: HTTP_TIMEOUT_MS
+  });
+
+  return response.data;
+}
+
+/**
+ * Verify an ID token's signature and standard claims
+ * @param {string} idToken - ID token from the token endpoint
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified ID token claims
+ * @throws {Error} If the token is invalid
+ */
+async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !decoded.header) {
+    throw new Error('Invalid ID token');
+  }
+
+  const { kid } = decoded.header;
+  const findKey = keys => keys.find(key => key.kid === kid) || (!kid && keys[0]);
+
+  let jwk = findKey(await getSigningKeys());
+  if (!jwk) {
+    jwk = findKey(await getSigningKeys(true));
+  }
+
+  if (!jwk) {
+    throw new Error('ID token signing key not found');
+  }
+
+  const metadata = await getProviderMetadata();
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+  const claims = jwt.verify(idToken, publicKey, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: OIDC_CLIENT_ID
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Map ID token claims to an application role
+ * @param {Object} claims - Verified ID token claims
+ * @returns {string} 'admin' or 'user'
+ */
+function mapRole(claims) {
+  const value = claims[OIDC_ROLE_CLAIM];
+  const values = Array.isArray(value) ? value : [value];
+  return values.some(item => OIDC_ADMIN_VALUES.includes(item)) ? 'admin' : 'user';
+}
+
+module.exports = {
+  OIDC_ENABLED,
+  OIDC_ISSUER_URL,
+  OIDC_CLIENT_ID,
+  OIDC_REDIRECT_URI,
+  OIDC_USERNAME_CLAIM,
+  OIDC_ROLE_CLAIM,
+  OIDC_POST_LOGIN_REDIRECT,
+  OIDC_STATE_TTL_MINUTES,
+  generatePkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  mapRole
+};
@@ -0,0 +1,387 @@
+const axios = require('axios');
+require('dotenv').config();
+
+/**
+ * OTP Provider Configuration
+ * Pluggable adapters for the SMS gateways and test backends OTPs are read from
+ *
+ * OTP_PROVIDER selects the adapter. Each adapter implements:
+ *   fetchLatest(mobileNumber, { signal })          -> Promise<Object|null>
+ *   fetchHistory(mobileNumber, limit, { signal })  -> Promise<Array<Object>> (newest first)
+ *
+ * Both return OTPs as { otpCode, createdAt, expiresAt }. createdAt and
+ * expiresAt are Dates, or null when the gateway does not report them; an OTP
+ * without createdAt is dated when it is first stored. Request building and
+ * response parsing belong in the adapter, so callers never see a gateway's
+ * own format.
+ *
+ * Every call gets a deadline (the AbortSignal fires when it passes), failed
+ * calls are retried with jittered backoff, and a circuit breaker per provider
+ * stops calling a provider that keeps failing. An adapter can mark an error
+ * with retryable = false (e.g. a rejected API key) to skip the retries.
+ * Failures reach callers as a ProviderError.
+ */
+
+const OTP_PROVIDER = process.env.OTP_PROVIDER || 'http';
+
+// Generic HTTP gateway ("http" provider)
+const OTP_API_BASE_URL = process.env.OTP_API_BASE_URL || 'http://localhost:8282/api/v4/public/latest';
+const OTP_API_KEY = process.env.OTP_API_KEY || 'random_string';
+
+// The HTTP gateway does not report when a code expires
+const HTTP_OTP_TTL_MINUTES = 5;
+
+// Deadline for each attempt
+const OTP_PROVIDER_TIMEOUT_MS = parseInt(process.env.OTP_PROVIDER_TIMEOUT_MS, 10) || 5000;
+
+// Retries after a failed attempt (0 disables); the nth waits a random time up to base * 2^(n-1)
+const OTP_PROVIDER_RETRIES = process.env.OTP_PROVIDER_RETRIES !== undefined
+  ? parseInt(process.env.OTP_PROVIDER_RETRIES, 10) || 0
+  : 2;
+const OTP_PROVIDER_RETRY_BASE_MS = parseInt(process.env.OTP_PROVIDER_RETRY_BASE_MS, 10) || 200;
+
+// Consecutive failed calls that open the circuit, and how long it stays open
+const OTP_PROVIDER_BREAKER_THRESHOLD = parseInt(process.env.OTP_PROVIDER_BREAKER_THRESHOLD, 10) || 5;
+const OTP_PROVIDER_BREAKER_COOLDOWN_MS = parseInt(process.env.OTP_PROVIDER_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+// Long-poll waits for a new OTP: default and longest wait, and how often the
+// provider is polled meanwhile (the interval grows from the initial to the maximum)
+const OTP_WAIT_DEFAULT_TIMEOUT_SECONDS = parseInt(process.env.OTP_WAIT_DEFAULT_TIMEOUT_SECONDS, 10) || 30;
+const OTP_WAIT_MAX_TIMEOUT_SECONDS = parseInt(process.env.OTP_WAIT_MAX_TIMEOUT_SECONDS, 10) || 120;
+const OTP_WAIT_POLL_INITIAL_MS = parseInt(process.env.OTP_WAIT_POLL_INITIAL_MS, 10) || 1000;
+const OTP_WAIT_POLL_MAX_MS = parseInt(process.env.OTP_WAIT_POLL_MAX_MS, 10) || 5000;
+
+// Server-Sent Events streams: open streams per user, numbers per stream, how
+// often an idle stream gets a heartbeat, and how many missed OTPs a resume replays
+const OTP_STREAM_MAX_CONNECTIONS_PER_USER = parseInt(process.env.OTP_STREAM_MAX_CONNECTIONS_PER_USER, 10) || 3;
+const OTP_STREAM_MAX_NUMBERS = parseInt(process.env.OTP_STREAM_MAX_NUMBERS, 10) || 10;
+const OTP_STREAM_HEARTBEAT_SECONDS = parseInt(process.env.OTP_STREAM_HEARTBEAT_SECONDS, 10) || 15;
+const OTP_STREAM_RESUME_LIMIT = parseInt(process.env.OTP_STREAM_RESUME_LIMIT, 10) || 100;
+
+/**
+ * Error from a provider call
+ * code is PROVIDER_TIMEOUT when the deadline passed, PROVIDER_UNAVAILABLE otherwise
+ */
+class ProviderError extends Error {
+  constructor(message, code, provider, reason) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.provider = provider;
+    this.reason = reason;
+    this.retryable = reason !== 'circuit_open' && reason !== 'rejected';
+    this.attempts = 0;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+const providers = new Map();
+
+/**
+ * Register a provider adapter factory
+ * @param {string} name - Value of OTP_PROVIDER that selects the adapter
+ * @param {Function} factory - Returns an object with fetchLatest and fetchHistory
+ */
+function registerProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+// Generic HTTP gateway: GET <base>?mobile=<number> with an x-api-key header,
+// answering { code: 200, status: 1, data: '<otp>' } when a code exists.
+// It only knows the latest code and not when it arrived
+registerProvider('http', () => {
+  /**
+   * Build the request URL for a number
+   * @param {string} mobileNumber - Mobile number
+   * @returns {string} Request URL
+   */
+  function buildUrl(mobileNumber) {
+    const separator = OTP_API_BASE_URL.includes('?') ? '&' : '?';
+    return `${OTP_API_BASE_URL}${separator}mobile=${encodeURIComponent(mobileNumber)}`;
+  }
+
+  /**
+   * Fetch the latest OTP from the gateway
+   * @param {string} mobileNumber - Mobile number
+   * @param {Object} options - Call options
+   * @param {AbortSignal} options.signal - Fires when the deadline passes
+   * @returns {Promise<Object|null>} OTP, or null if the gateway has none
+   */
+  async function fetchLatest(mobileNumber, { signal } = {}) {
+    let response;
+
+    try {
+      response = await axios.get(buildUrl(mobileNumber), {
+        headers: {
+          'x-api-key': OTP_API_KEY
+        },
+        signal
+      });
+    } catch (error) {
+      const status = error.response && error.response.status;
+
+      // No code for the number
+      if (status === 404) {
+        return null;
+      }
+
+      // Asking again will not fix a bad key or request
+      if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+        error.retryable = false;
+      }
+
+      throw error;
+    }
+
+    const data = response.data;
+
+    if (!data || data.code !== 200 || data.status !== 1) {
+      return null;
+    }
+
+    return {
+      otpCode: String(data.data),
+      createdAt: null,
+      expiresAt: new Date(Date.now() + HTTP_OTP_TTL_MINUTES * 60000)
+    };
+  }
+
+  return {
+    fetchLatest,
+
+    /**
+     * The gateway has no history, so this is at most the latest OTP
+     * @param {string} mobileNumber - Mobile number
+     * @param {number} limit - Maximum number of OTPs (unused)
+     * @param {Object} options - Call options ({ signal })
+     * @returns {Promise<Array<Object>>} OTPs, newest first
+     */
+    async fetchHistory(mobileNumber, limit, options) {
+      const latest = await fetchLatest(mobileNumber, options);
+      return latest ? [latest] : [];
+    }
+  };
+});
+
+// Circuit breaker state per provider name
+const breakers = new Map();
+
+/**
+ * Get the circuit breaker of a provider
+ * @param {string} name - Provider name
+ * @returns {Object} Breaker (state, failures, openUntil, trialInFlight)
+ */
+function getBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, { state: 'closed', failures: 0, openUntil: 0, trialInFlight: false });
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Let a call through the breaker, or refuse it while the circuit is open
+ * After the cooldown a single trial call is let through (half-open)
+ * @param {string} name - Provider name
+ * @param {Object} breaker - Circuit breaker
+ * @throws {ProviderError} If the circuit is open
+ */
+function enterBreaker(name, breaker) {
+  if (breaker.state === 'open' && Date.now() >= breaker.openUntil) {
+    breaker.state = 'half_open';
+  }
+
+  if (breaker.state === 'open' || (breaker.state === 'half_open' && breaker.trialInFlight)) {
+    throw new ProviderError(
+      `OTP provider ${name} is failing; calls are paused`,
+      'PROVIDER_UNAVAILABLE',
+      name,
+      'circuit_open'
+    );
+  }
+
+  if (breaker.state === 'half_open') {
+    breaker.trialInFlight = true;
+  }
+}
+
+/**
+ * Record the outcome of a call that the breaker let through
+ * @param {string} name - Provider name
+ * @param {Object} breaker - Circuit breaker
+ * @param {boolean} succeeded - Whether the call succeeded
+ */
+function leaveBreaker(name, breaker, succeeded) {
+  const wasTrial = breaker.trialInFlight;
+  breaker.trialInFlight = false;
+
+  if (succeeded) {
+    if (breaker.state !== 'closed') {
+      console.log(`OTP provider ${name}: circuit closed`);
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    return;
+  }
+
+  breaker.failures++;
+
+  if (wasTrial || breaker.failures >= OTP_PROVIDER_BREAKER_THRESHOLD) {
+    console.error(`OTP provider ${name}: circuit opened after ${breaker.failures} failed calls`);
+    breaker.state = 'open';
+    breaker.openUntil = Date.now() + OTP_PROVIDER_BREAKER_COOLDOWN_MS;
+  }
+}
+
+/**
+ * Turn an adapter error into a ProviderError
+ * @param {string} name - Provider name
+ * @param {Error} error - Error thrown by the adapter
+ * @returns {ProviderError} Provider error
+ */
+function toProviderError(name, error) {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new ProviderError(`OTP provider ${name} timed out: ${error.message}`, 'PROVIDER_TIMEOUT', name, 'timeout');
+  }
+
+  return new ProviderError(
+    `OTP provider ${name} failed: ${error.message}`,
+    'PROVIDER_UNAVAILABLE',
+    name,
+    error.retryable === false ? 'rejected' : 'error'
+  );
+}
+
+/**
+ * Run one attempt with a deadline
+ * The adapter is told through the signal; the attempt fails at the deadline
+ * even if the adapter ignores it
+ * @param {string} name - Provider name
+ * @param {Function} call - Receives an AbortSignal and returns a promise
+ * @returns {Promise<*>} Result of the call
+ */
+async function attemptWithDeadline(name, call) {
+  const controller = new AbortController();
+  let timer;
+
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new ProviderError(
+        `OTP provider ${name} did not answer within ${OTP_PROVIDER_TIMEOUT_MS} ms`,
+        'PROVIDER_TIMEOUT',
+        name,
+        'timeout'
+      ));
+    }, OTP_PROVIDER_TIMEOUT_MS);
+  });
+
+  const attempt = Promise.resolve().then(() => call(controller.signal));
+  // The attempt may still fail after losing the race
+  attempt.catch(() => {});
+
+  try {
+    return await Promise.race([attempt, deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Call a provider with deadlines, retries and its circuit breaker
+ * Only for idempotent calls, since a failed attempt may have reached the provider
+ * @param {string} name - Provider name
+ * @param {Function} call - Receives an AbortSignal and returns a promise
+ * @returns {Promise<*>} Result of the call
+ * @throws {ProviderError} If every attempt failed or the circuit is open
+ */
+async function callProvider(name, call) {
+  const breaker = getBreaker(name);
+  enterBreaker(name, breaker);
+
+  const maxAttempts = OTP_PROVIDER_RETRIES + 1;
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      const result = await attemptWithDeadline(name, call);
+      leaveBreaker(name, breaker, true);
+      return result;
+    } catch (error) {
+      lastError = toProviderError(name, error);
+      lastError.attempts = attempt;
+
+      if (!lastError.retryable || attempt === maxAttempts) {
+        break;
+      }
+
+      // Full jitter keeps retries from many requests from arriving together
+      const backoff = OTP_PROVIDER_RETRY_BASE_MS * 2 ** (attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, Math.random() * backoff));
+    }
+  }
+
+  leaveBreaker(name, breaker, false);
+  throw lastError;
+}
+
+/**
+ * Wrap an adapter so its calls go through callProvider
+ * @param {string} name - Provider name
+ * @param {Object} adapter - Object with fetchLatest and fetchHistory
+ * @returns {Object} Provider (name, fetchLatest, fetchHistory)
+ */
+function wrapAdapter(name, adapter) {
+  return {
+    name,
+    fetchLatest: mobileNumber =>
+      callProvider(name, signal => adapter.fetchLatest(mobileNumber, { signal })),
+    fetchHistory: (mobileNumber, limit) =>
+      callProvider(name, signal => adapter.fetchHistory(mobileNumber, limit, { signal }))
+  };
+}
+
+let provider = null;
+
+/**
+ * Get the configured provider, creating it on first use
+ * @returns {Object} Provider (name, fetchLatest, fetchHistory)
+ */
+function getProvider() {
+  if (!provider) {
+    const factory = providers.get(OTP_PROVIDER);
+    if (!factory) {
+      throw new Error(`Unknown OTP_PROVIDER: ${OTP_PROVIDER}`);
+    }
+    provider = wrapAdapter(OTP_PROVIDER, factory());
+  }
+  return provider;
+}
+
+/**
+ * Replace the provider (e.g. with a fake backend in tests)
+ * @param {string} name - Name recorded for OTPs it returns
+ * @param {Object} customProvider - Object with fetchLatest and fetchHistory
+ */
+function setProvider(name, customProvider) {
+  provider = wrapAdapter(name, customProvider);
+}
+
+module.exports = {
+  OTP_PROVIDER,
+  OTP_WAIT_DEFAULT_TIMEOUT_SECONDS,
+  OTP_WAIT_MAX_TIMEOUT_SECONDS,
+  OTP_WAIT_POLL_INITIAL_MS,
+  OTP_WAIT_POLL_MAX_MS,
+  OTP_STREAM_MAX_CONNECTIONS_PER_USER,
+  OTP_STREAM_MAX_NUMBERS,
+  OTP_STREAM_HEARTBEAT_SECONDS,
+  OTP_STREAM_RESUME_LIMIT,
+  ProviderError,
+  registerProvider,
+  getProvider,
+  setProvider
+};
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Password Policy Configuration
+ * Single source of truth for password rules. Every place that sets a password
+ * goes through these checks (see User.assertPasswordAllowed).
+ */
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const PASSWORD_MAX_LENGTH = 100;
+const PASSWORD_REQUIRE_UPPERCASE = process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false';
+const PASSWORD_REQUIRE_LOWERCASE = process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false';
+const PASSWORD_REQUIRE_NUMBER = process.env.PASSWORD_REQUIRE_NUMBER !== 'false';
+const PASSWORD_REQUIRE_SPECIAL = process.env.PASSWORD_REQUIRE_SPECIAL === 'true';
+
+// Number of previous passwords (including the current one) that cannot be reused; 0 disables
+const PASSWORD_HISTORY_COUNT = process.env.PASSWORD_HISTORY_COUNT !== undefined
+  ? parseInt(process.env.PASSWORD_HISTORY_COUNT, 10) || 0
+  : 5;
+
+// Days before a local password must be changed at login; 0 disables
+const PASSWORD_MAX_AGE_DAYS = parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10) || 0;
+
+// Offline list of breached passwords, one per line; empty disables the check
+const PASSWORD_BREACHED_LIST_FILE = process.env.PASSWORD_BREACHED_LIST_FILE !== undefined
+  ? process.env.PASSWORD_BREACHED_LIST_FILE
+  : path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+
+const CHARACTER_CLASSES = [
+  { required: PASSWORD_REQUIRE_UPPERCASE, pattern: /[A-Z]/, label: 'uppercase letters' },
+  { required: PASSWORD_REQUIRE_LOWERCASE, pattern: /[a-z]/, label: 'lowercase letters' },
+  { required: PASSWORD_REQUIRE_NUMBER, pattern: /\d/, label: 'numbers' },
+  { required: PASSWORD_REQUIRE_SPECIAL, pattern: /[^A-Za-z0-9]/, label: 'special characters' }
+].filter(charClass => charClass.required);
+
+let breachedPasswords = null;
+
+/**
+ * Load the breached-password list on first use
+ * Entries are compared case-insensitively
+ * @returns {Set<string>} Lower-cased breached passwords
+ */
+function getBreachedPasswords() {
+  if (breachedPasswords) {
+    return breachedPasswords;
+  }
+
+  breachedPasswords = new Set();
+
+  if (!PASSWORD_BREACHED_LIST_FILE) {
+    return breachedPasswords;
+  }
+
+  try {
+    const contents = fs.readFileSync(PASSWORD_BREACHED_LIST_FILE, 'utf8');
+    for (const line of contents.split(/\r?\n/)) {
+      const entry = line.trim();
+      if (entry && !entry.startsWith('#')) {
+        breachedPasswords.add(entry.toLowerCase());
+      }
+    }
+  } catch (error) {
+    console.error(`Could not load breached password list ${PASSWORD_BREACHED_LIST_FILE}:`, error.message);
+  }
+
+  return breachedPasswords;
+}
+
+/**
+ * Check whether a password appears in the breached-password list
+ * @param {string} password - Plain text password
+ * @returns {boolean} True if the password is known to be breached
+ */
+function isBreachedPassword(password) {
+  return getBreachedPasswords().has(String(password).toLowerCase());
+}
+
+/**
+ * Validate password length and character classes
+ * @param {string} password - Password to validate
+ * @returns {Object} Validation result with isValid and message
+ */
+function validatePasswordStrength(password) {
+  if (!password || password.length < PASSWORD_MIN_LENGTH) {
+    return {
+      isValid: false,
+      message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`
+    };
+  }
+
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return {
+      isValid: false,
+      message: `Password must not exceed ${PASSWORD_MAX_LENGTH} characters`
+    };
+  }
+
+  const missing = CHARACTER_CLASSES.filter(charClass => !charClass.pattern.test(password));
+
+  if (missing.length > 0) {
+    return {
+      isValid: false,
+      message: `Password must contain ${CHARACTER_CLASSES.map(charClass => charClass.label).join(', ')}`
+    };
+  }
+
+  return {
+    isValid: true,
+    message: 'Password is strong'
+  };
+}
+
+/**
+ * Check a new password against every stateless rule
+ * Password history is checked separately because it needs the database
+ * @param {string} password - Password to validate
+ * @returns {Object} Validation result with isValid, code and message
+ */
+function checkPassword(password) {
+  const strength = validatePasswordStrength(password);
+
+  if (!strength.isValid) {
+    return { isValid: false, code: 'WEAK_PASSWORD', message: strength.message };
+  }
+
+  if (isBreachedPassword(password)) {
+    return {
+      isValid: false,
+      code: 'PASSWORD_BREACHED',
+      message: 'This password has appeared in a data breach. Please choose a different one.'
+    };
+  }
+
+  return { isValid: true, code: null, message: strength.message };
+}
+
+/**
+ * Check whether a password has outlived the maximum age
+ * @param {Date|string|null} changedAt - When the password was last set
+ * @returns {boolean} True if the password must be changed
+ */
+function isPasswordExpired(changedAt) {
+  if (!PASSWORD_MAX_AGE_DAYS || !changedAt) {
+    return false;
+  }
+
+  const expiresAt = new Date(changedAt);
+  expiresAt.setDate(expiresAt.getDate() + PASSWORD_MAX_AGE_DAYS);
+  return expiresAt <= new Date();
+}
+
+/**
+ * Check whether a user must set a new password before using the app
+ * Only local passwords expire; LDAP and SSO passwords are managed elsewhere
+ * @param {Object} user - User row (with auth_provider, password_changed_at and password_change_required)
+ * @returns {boolean} True if the password has expired or an admin forced a change
+ */
+function isPasswordChangeRequired(user) {
+  return user.auth_provider === 'local' &&
+    (!!user.password_change_required || isPasswordExpired(user.password_changed_at));
+}
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  PASSWORD_HISTORY_COUNT,
+  PASSWORD_MAX_AGE_DAYS,
+  validatePasswordStrength,
+  isBreachedPassword,
+  checkPassword,
+  isPasswordExpired,
+  isPasswordChangeRequired
+};
@@ -1,3 +1,4 @@
+const { PASSWORD_MIN_LENGTH, validatePasswordStrength } = require('./passwordPolicy');
 require('dotenv').config();
 
 /**
@@ -13,13 +14,86 @@ const LOCKOUT_DURATION_MINUTES = parseInt(process.env.LOCKOUT_DURATION_MINUTES,
 const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000; // 15 minutes
 const RATE_LIMIT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 5;
 
+// Login Rate Limiting (in-process burst guard for POST /auth/login, failed requests only)
+const AUTH_RATE_LIMIT_WINDOW_MS = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS, 10) || 900000; // 15 minutes
+const AUTH_RATE_LIMIT_MAX = parseInt(process.env.AUTH_RATE_LIMIT_MAX, 10) || 10;
+
+// Login Defense Settings (failed logins counted in the database over a sliding window)
+const LOGIN_FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 60;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 15;
+const LOGIN_MAX_USERNAMES_PER_IP = parseInt(process.env.LOGIN_MAX_USERNAMES_PER_IP, 10) || 10;
+const LOGIN_MAX_FAILURES_PER_IP_USERNAME = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP_USERNAME, 10) || 5;
+const LOGIN_MAX_FAILURES_PER_USERNAME = parseInt(process.env.LOGIN_MAX_FAILURES_PER_USERNAME, 10) || 50;
+
+// IP blocks double in length with each block in the escalation period, up to the maximum
+const LOGIN_BLOCK_BASE_MINUTES = parseInt(process.env.LOGIN_BLOCK_BASE_MINUTES, 10) || 15;
+const LOGIN_BLOCK_MAX_MINUTES = parseInt(process.env.LOGIN_BLOCK_MAX_MINUTES, 10) || 1440; // 24 hours
+const LOGIN_BLOCK_ESCALATION_DAYS = parseInt(process.env.LOGIN_BLOCK_ESCALATION_DAYS, 10) || 7;
+
 // Password Settings
 const BCRYPT_SALT_ROUNDS = 12;
-const MIN_PASSWORD_LENGTH = 8;
+const MIN_PASSWORD_LENGTH = PASSWORD_MIN_LENGTH; // Configured in passwordPolicy.js
+
+// Password Reset Settings
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 30;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/';
+
+// Invitation Settings
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS, 10) || 72;
+const INVITATION_MAX_TTL_HOURS = 720; // 30 days
+const INVITATION_URL = process.env.INVITATION_URL || PASSWORD_RESET_URL;
+
+// Login Alert Settings (emails about logins from new devices or after failed attempts)
+const LOGIN_ALERTS_ENABLED = process.env.LOGIN_ALERTS_ENABLED !== 'false';
+const LOGIN_ALERT_FAILURE_THRESHOLD = parseInt(process.env.LOGIN_ALERT_FAILURE_THRESHOLD, 10) || 3;
+const LOGIN_ALERT_FAILURE_WINDOW_HOURS = parseInt(process.env.LOGIN_ALERT_FAILURE_WINDOW_HOURS, 10) || 1;
+const LOGIN_ALERT_TTL_HOURS = parseInt(process.env.LOGIN_ALERT_TTL_HOURS, 10) || 168; // 7 days
+const LOGIN_ALERT_URL = process.env.LOGIN_ALERT_URL || PASSWORD_RESET_URL;
+
+// Email Change Settings (confirmation link sent to the new address)
+const EMAIL_CHANGE_TTL_HOURS = parseInt(process.env.EMAIL_CHANGE_TTL_HOURS, 10) || 24;
+const EMAIL_CHANGE_URL = process.env.EMAIL_CHANGE_URL || PASSWORD_RESET_URL;
+
+// Local username/password login (disable once SSO covers every account)
+const LOCAL_LOGIN_ENABLED = process.env.LOCAL_LOGIN_ENABLED !== 'false';
 
 // Token Settings
 const TOKEN_PREFIX = 'Bearer ';
 
+// Browser Session Cookie Settings
+// Secure cookies are still sent to http://localhost, which browsers treat as a secure origin
+const SESSION_COOKIE_NAME = process.env.SESSION_COOKIE_NAME || 'otp_session';
+const REFRESH_COOKIE_NAME = process.env.REFRESH_COOKIE_NAME || 'otp_refresh';
+const CSRF_COOKIE_NAME = process.env.CSRF_COOKIE_NAME || 'otp_csrf';
+const OIDC_STATE_COOKIE_NAME = process.env.OIDC_STATE_COOKIE_NAME || 'otp_oidc_state';
+const CSRF_HEADER = 'x-csrf-token';
+const COOKIE_SECURE = process.env.COOKIE_SECURE !== 'false';
+const COOKIE_SAME_SITE = ['strict', 'lax', 'none'].includes(process.env.COOKIE_SAME_SITE)
+  ? process.env.COOKIE_SAME_SITE
+  : 'strict';
+const COOKIE_DOMAIN = process.env.COOKIE_DOMAIN || undefined;
+
+// API Key Settings
+const API_KEY_HEADER = 'x-api-key';
+const API_KEY_SCOPES = ['otp:read'];
+
+// Session Cache Settings
+const SESSION_CACHE_TTL_MS = parseInt(process.env.SESSION_CACHE_TTL_MS, 10) || 30000; // 30 seconds
+const SESSION_CACHE_MAX_ENTRIES = parseInt(process.env.SESSION_CACHE_MAX_ENTRIES, 10) || 10000;
+
+// Session Policy Defaults, used for roles without their own session policy (0 disables a limit)
+const SESSION_MAX_CONCURRENT = parseInt(process.env.SESSION_MAX_CONCURRENT, 10) || 0;
+const SESSION_LIMIT_ACTION = process.env.SESSION_LIMIT_ACTION === 'refuse' ? 'refuse' : 'evict_oldest';
+const SESSION_IDLE_TIMEOUT_MINUTES = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 10) || 0;
+const SESSION_MAX_LIFETIME_HOURS = parseInt(process.env.SESSION_MAX_LIFETIME_HOURS, 10) || 0;
+
+// Permission Cache Settings
+const PERMISSION_CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_MS, 10) || 30000; // 30 seconds
+
+// Number Access Settings
+// Applies when no rule matches and the user has no allow rules: 'allow' or 'deny'
+const NUMBER_ACCESS_DEFAULT = process.env.NUMBER_ACCESS_DEFAULT === 'deny' ? 'deny' : 'allow';
+
 // CORS Settings
 const CORS_ORIGINS = process.env.CORS_ORIGINS
   ? process.env.CORS_ORIGINS.split(',')
@@ -61,6 +135,32 @@ function getLockoutExpiration() {
   return lockoutDate;
 }
 
+/**
+ * Get the length of an IP block
+ * @param {number} previousBlocks - Blocks of the same IP in the escalation period
+ * @returns {number} Block duration in minutes
+ */
+function getIpBlockMinutes(previousBlocks) {
+  const minutes = LOGIN_BLOCK_BASE_MINUTES * Math.pow(2, previousBlocks);
+  return Math.min(minutes, LOGIN_BLOCK_MAX_MINUTES);
+}
+
+/**
+ * Fill in a role's session policy with the server defaults
+ * @param {Object|null} policy - session_policies row, or null if the role has none
+ * @returns {Object} maxSessions, limitAction, idleTimeoutMinutes and maxLifetimeHours (0 = no limit)
+ */
+function resolveSessionPolicy(policy) {
+  const pick = (value, fallback) => (policy && value !== null && value !== undefined ? value : fallback);
+
+  return {
+    maxSessions: pick(policy && policy.max_sessions, SESSION_MAX_CONCURRENT),
+    limitAction: pick(policy && policy.limit_action, SESSION_LIMIT_ACTION),
+    idleTimeoutMinutes: pick(policy && policy.idle_timeout_minutes, SESSION_IDLE_TIMEOUT_MINUTES),
+    maxLifetimeHours: pick(policy && policy.max_lifetime_hours, SESSION_MAX_LIFETIME_HOURS)
+  };
+}
+
 /**
  * Check if account is locked
  * @param {Date|null} lockedUntil - Lock expiration timestamp
@@ -115,37 +215,6 @@ function isValidUsername(username) {
   return usernameRegex.test(username);
 }
 
-/**
- * Validate password strength
- * @param {string} password - Password to validate
- * @returns {Object} Validation result with isValid and message
- */
-function validatePasswordStrength(password) {
-  if (!password || password.length < MIN_PASSWORD_LENGTH) {
-    return {
-      isValid: false,
-      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
-    };
-  }
-
-  const hasUpperCase = /[A-Z]/.test(password);
-  const hasLowerCase = /[a-z]/.test(password);
-  const hasNumbers = /\d/.test(password);
-  const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-
-  if (!hasUpperCase || !hasLowerCase || !hasNumbers) {
-    return {
-      isValid: false,
-      message: 'Password must contain uppercase, lowercase letters and numbers'
-    };
-  }
-
-  return {
-    isValid: true,
-    message: 'Password is strong'
-  };
-}
-
 /**
  * Mask sensitive data for logging
  * @param {string} data - Data to mask
@@ -180,6 +249,58 @@ function getUserAgent(req) {
   return req.get('user-agent') || 'unknown';
 }
 
+/**
+ * Known browsers, most specific first (e.g. Edge and Opera also report Chrome)
+ */
+const USER_AGENT_BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/(\d+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/(\d+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/(\d+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/(\d+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/(\d+)/ },
+  { name: 'Safari', pattern: /Version\/(\d+).*Safari\// },
+  { name: 'curl', pattern: /^curl\/(\d+)/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/(\d+)/ }
+];
+
+/**
+ * Known operating systems, most specific first (e.g. Android also reports Linux)
+ */
+const USER_AGENT_OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Summarize a user agent string for display
+ * @param {string} userAgent - User agent string
+ * @returns {Object} browser, os and device ('mobile', 'tablet' or 'desktop'); null when unknown
+ */
+function parseUserAgent(userAgent) {
+  const ua = userAgent || '';
+  const browser = USER_AGENT_BROWSERS.find(entry => entry.pattern.test(ua));
+  const os = USER_AGENT_OPERATING_SYSTEMS.find(entry => entry.pattern.test(ua));
+
+  let device = null;
+  if (/iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))) {
+    device = 'tablet';
+  } else if (/Mobi|iPhone|iPod/.test(ua)) {
+    device = 'mobile';
+  } else if (os) {
+    device = 'desktop';
+  }
+
+  return {
+    browser: browser ? `${browser.name} ${ua.match(browser.pattern)[1]}` : null,
+    os: os ? os.name : null,
+    device
+  };
+}
+
 module.exports = {
   // Account Lockout
   MAX_LOGIN_ATTEMPTS,
@@ -191,15 +312,82 @@ module.exports = {
   // Rate Limiting
   RATE_LIMIT_WINDOW_MS,
   RATE_LIMIT_MAX_REQUESTS,
+  AUTH_RATE_LIMIT_WINDOW_MS,
+  AUTH_RATE_LIMIT_MAX,
+
+  // Login Defense
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_MAX_USERNAMES_PER_IP,
+  LOGIN_MAX_FAILURES_PER_IP_USERNAME,
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_BLOCK_BASE_MINUTES,
+  LOGIN_BLOCK_MAX_MINUTES,
+  LOGIN_BLOCK_ESCALATION_DAYS,
+  getIpBlockMinutes,
 
   // Password
   BCRYPT_SALT_ROUNDS,
   MIN_PASSWORD_LENGTH,
   validatePasswordStrength,
 
+  // Password Reset
+  PASSWORD_RESET_TOKEN_TTL_MINUTES,
+  PASSWORD_RESET_URL,
+
+  // Invitations
+  INVITATION_TTL_HOURS,
+  INVITATION_MAX_TTL_HOURS,
+  INVITATION_URL,
+
+  // Login Alerts
+  LOGIN_ALERTS_ENABLED,
+  LOGIN_ALERT_FAILURE_THRESHOLD,
+  LOGIN_ALERT_FAILURE_WINDOW_HOURS,
+  LOGIN_ALERT_TTL_HOURS,
+  LOGIN_ALERT_URL,
+
+  // Email Change
+  EMAIL_CHANGE_TTL_HOURS,
+  EMAIL_CHANGE_URL,
+
+  // Local Login
+  LOCAL_LOGIN_ENABLED,
+
   // Token
   TOKEN_PREFIX,
 
+  // Browser Session Cookies
+  SESSION_COOKIE_NAME,
+  REFRESH_COOKIE_NAME,
+  CSRF_COOKIE_NAME,
+  OIDC_STATE_COOKIE_NAME,
+  CSRF_HEADER,
+  COOKIE_SECURE,
+  COOKIE_SAME_SITE,
+  COOKIE_DOMAIN,
+
+  // API Keys
+  API_KEY_HEADER,
+  API_KEY_SCOPES,
+
+  // Session Cache
+  SESSION_CACHE_TTL_MS,
+  SESSION_CACHE_MAX_ENTRIES,
+
+  // Session Policy Defaults
+  SESSION_MAX_CONCURRENT,
+  SESSION_LIMIT_ACTION,
+  SESSION_IDLE_TIMEOUT_MINUTES,
+  SESSION_MAX_LIFETIME_HOURS,
+  resolveSessionPolicy,
+
+  // Permission Cache
+  PERMISSION_CACHE_TTL_MS,
+
+  // Number Access
+  NUMBER_ACCESS_DEFAULT,
+
   // CORS
   CORS_ORIGINS,
 
@@ -212,5 +400,6 @@ module.exports = {
   isValidUsername,
   maskSensitiveData,
   getClientIp,
-  getUserAgent
+  getUserAgent,
+  parseUserAgent
 };
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { JWT_SECRET } = require('./jwt');
+require('dotenv').config();
+
+/**
+ * TOTP Configuration
+ * RFC 6238 time-based one-time passwords for two-factor authentication
+ */
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'OTP Fetch';
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ALGORITHM = 'sha1';
+const TOTP_WINDOW = 1; // Accept one step of clock drift either way
+const RECOVERY_CODE_COUNT = 10;
+
+// Secrets are encrypted at rest with AES-256-GCM
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Data to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded data
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32-encoded secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the current TOTP time step
+ * @param {number} timestamp - Unix time in milliseconds (default: now)
+ * @returns {number} Time step counter
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a time step
+ * @param {string} secret - Base32-encoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+function generateCode(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac(TOTP_ALGORITHM, base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verify a TOTP code within the allowed drift window
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} code - Code supplied by the user
+ * @param {number|null} lastUsedStep - Last step accepted for this user, to block replay
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+function verifyCode(secret, code, lastUsedStep = null) {
+  if (!code || !/^\d+$/.test(code) || code.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {string} secret - Base32-encoded secret
+ * @param {string} accountName - Account label (username)
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: TOTP_ALGORITHM.toUpperCase(),
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32-encoded secret
+ * @returns {string} iv:authTag:ciphertext, hex-encoded
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, encrypted].map(part => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} Base32-encoded secret
+ */
+function decryptSecret(payload) {
+  const [iv, authTag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate a set of single-use recovery codes
+ * @param {number} count - Number of codes (default: RECOVERY_CODE_COUNT)
+ * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+  }
+  return codes;
+}
+
+module.exports = {
+  TOTP_ISSUER,
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+};
@@ -0,0 +1,663 @@
+const twoFactorService = require('../services/twoFactorService');
+const apiKeyService = require('../services/apiKeyService');
+const userService = require('../services/userService');
+const roleService = require('../services/roleService');
+const teamService = require('../services/teamService');
+const numberPolicyService = require('../services/numberPolicyService');
+const loginDefenseService = require('../services/loginDefenseService');
+const impersonationService = require('../services/impersonationService');
+const invitationService = require('../services/invitationService');
+const sessionPolicyService = require('../services/sessionPolicyService');
+const { setAccessCookie } = require('../config/cookies');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Admin Controller
+ * Handles administrative HTTP requests
+ */
+
+/**
+ * Get per-role two-factor policies
+ * GET /api/v1/admin/2fa-policies
+ */
+const getTwoFactorPolicies = asyncHandler(async (req, res) => {
+  const policies = await twoFactorService.getPolicies();
+
+  res.status(200).json({
+    success: true,
+    data: policies
+  });
+});
+
+/**
+ * Set the two-factor requirement for a role
+ * PUT /api/v1/admin/2fa-policies/:role
+ */
+const setTwoFactorPolicy = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+  const { required } = req.body;
+
+  await twoFactorService.setPolicy(role, required, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor policy updated'
+  });
+});
+
+/**
+ * Get the default and per-role session policies
+ * GET /api/v1/admin/session-policies
+ */
+const getSessionPolicies = asyncHandler(async (req, res) => {
+  const result = await sessionPolicyService.getPolicies();
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Set the session policy of a role
+ * PUT /api/v1/admin/session-policies/:role
+ */
+const setSessionPolicy = asyncHandler(async (req, res) => {
+  const policy = await sessionPolicyService.setPolicy(req.params.role, req.body, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session policy updated',
+    data: policy
+  });
+});
+
+/**
+ * Remove the session policy of a role
+ * DELETE /api/v1/admin/session-policies/:role
+ */
+const resetSessionPolicy = asyncHandler(async (req, res) => {
+  await sessionPolicyService.resetPolicy(req.params.role, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session policy removed; server defaults now apply'
+  });
+});
+
+/**
+ * Create an API key
+ * POST /api/v1/admin/api-keys
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.createApiKey(req.body, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Store this key now; it will not be shown again',
+    data: apiKey
+  });
+});
+
+/**
+ * List API keys
+ * GET /api/v1/admin/api-keys
+ */
+const listApiKeys = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const result = await apiKeyService.listApiKeys(page, limit);
+
+  res.status(200).json({
+    success: true,
+    data: result.apiKeys,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/v1/admin/api-keys/:id
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  await apiKeyService.revokeApiKey(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked'
+  });
+});
+
+/**
+ * List users
+ * GET /api/v1/admin/users
+ */
+const listUsers = asyncHandler(async (req, res) => {
+  const result = await userService.listUsers(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.users,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Get a user
+ * GET /api/v1/admin/users/:id
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await userService.getUser(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * Create a user
+ * POST /api/v1/admin/users
+ */
+const createUser = asyncHandler(async (req, res) => {
+  const user = await userService.createUser(req.body, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'User created',
+    data: user
+  });
+});
+
+/**
+ * Update a user
+ * PATCH /api/v1/admin/users/:id
+ */
+const updateUser = asyncHandler(async (req, res) => {
+  const user = await userService.updateUser(req.params.id, req.body, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'User updated',
+    data: user
+  });
+});
+
+/**
+ * Activate a user
+ * POST /api/v1/admin/users/:id/activate
+ */
+const activateUser = asyncHandler(async (req, res) => {
+  const user = await userService.setActive(req.params.id, true, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'User activated',
+    data: user
+  });
+});
+
+/**
+ * Deactivate a user
+ * POST /api/v1/admin/users/:id/deactivate
+ */
+const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await userService.setActive(req.params.id, false, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'User deactivated',
+    data: user
+  });
+});
+
+/**
+ * Unlock a user
+ * POST /api/v1/admin/users/:id/unlock
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await userService.unlockUser(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'User unlocked',
+    data: user
+  });
+});
+
+/**
+ * Force a password reset
+ * POST /api/v1/admin/users/:id/force-password-reset
+ */
+const forcePasswordReset = asyncHandler(async (req, res) => {
+  const result = await userService.forcePasswordReset(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: result.emailSent
+      ? 'Password reset required; a reset link has been emailed to the user'
+      : 'Password reset required at next login',
+    data: result
+  });
+});
+
+/**
+ * Delete a user
+ * DELETE /api/v1/admin/users/:id
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+  await userService.deleteUser(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'User deleted'
+  });
+});
+
+/**
+ * List permissions
+ * GET /api/v1/admin/permissions
+ */
+const listPermissions = asyncHandler(async (req, res) => {
+  const permissions = await roleService.listPermissions();
+
+  res.status(200).json({
+    success: true,
+    data: permissions
+  });
+});
+
+/**
+ * List roles
+ * GET /api/v1/admin/roles
+ */
+const listRoles = asyncHandler(async (req, res) => {
+  const roles = await roleService.listRoles();
+
+  res.status(200).json({
+    success: true,
+    data: roles
+  });
+});
+
+/**
+ * Get a role
+ * GET /api/v1/admin/roles/:id
+ */
+const getRole = asyncHandler(async (req, res) => {
+  const role = await roleService.getRole(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: role
+  });
+});
+
+/**
+ * Create a role
+ * POST /api/v1/admin/roles
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const role = await roleService.createRole(req.body, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created',
+    data: role
+  });
+});
+
+/**
+ * Update a role
+ * PUT /api/v1/admin/roles/:id
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const role = await roleService.updateRole(req.params.id, req.body, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Role updated',
+    data: role
+  });
+});
+
+/**
+ * Delete a role
+ * DELETE /api/v1/admin/roles/:id
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  await roleService.deleteRole(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Role deleted'
+  });
+});
+
+/**
+ * List teams
+ * GET /api/v1/admin/teams
+ */
+const listTeams = asyncHandler(async (req, res) => {
+  const teams = await teamService.listTeams();
+
+  res.status(200).json({
+    success: true,
+    data: teams
+  });
+});
+
+/**
+ * Get a team and its members
+ * GET /api/v1/admin/teams/:id
+ */
+const getTeam = asyncHandler(async (req, res) => {
+  const team = await teamService.getTeam(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: team
+  });
+});
+
+/**
+ * Create a team
+ * POST /api/v1/admin/teams
+ */
+const createTeam = asyncHandler(async (req, res) => {
+  const team = await teamService.createTeam(req.body, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Team created',
+    data: team
+  });
+});
+
+/**
+ * Update a team
+ * PATCH /api/v1/admin/teams/:id
+ */
+const updateTeam = asyncHandler(async (req, res) => {
+  const team = await teamService.updateTeam(req.params.id, req.body, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Team updated',
+    data: team
+  });
+});
+
+/**
+ * Delete a team
+ * DELETE /api/v1/admin/teams/:id
+ */
+const deleteTeam = asyncHandler(async (req, res) => {
+  await teamService.deleteTeam(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Team deleted'
+  });
+});
+
+/**
+ * Add a user to a team
+ * PUT /api/v1/admin/teams/:id/members/:userId
+ */
+const addTeamMember = asyncHandler(async (req, res) => {
+  const team = await teamService.addMember(req.params.id, req.params.userId, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Member added',
+    data: team
+  });
+});
+
+/**
+ * Remove a user from a team
+ * DELETE /api/v1/admin/teams/:id/members/:userId
+ */
+const removeTeamMember = asyncHandler(async (req, res) => {
+  const team = await teamService.removeMember(req.params.id, req.params.userId, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Member removed',
+    data: team
+  });
+});
+
+/**
+ * List number access rules
+ * GET /api/v1/admin/number-rules
+ */
+const listNumberRules = asyncHandler(async (req, res) => {
+  const rules = await numberPolicyService.listRules(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: rules
+  });
+});
+
+/**
+ * Get a number access rule
+ * GET /api/v1/admin/number-rules/:id
+ */
+const getNumberRule = asyncHandler(async (req, res) => {
+  const rule = await numberPolicyService.getRule(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+});
+
+/**
+ * Create a number access rule
+ * POST /api/v1/admin/number-rules
+ */
+const createNumberRule = asyncHandler(async (req, res) => {
+  const rule = await numberPolicyService.createRule(req.body, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Number access rule created',
+    data: rule
+  });
+});
+
+/**
+ * Update a number access rule
+ * PATCH /api/v1/admin/number-rules/:id
+ */
+const updateNumberRule = asyncHandler(async (req, res) => {
+  const rule = await numberPolicyService.updateRule(req.params.id, req.body, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Number access rule updated',
+    data: rule
+  });
+});
+
+/**
+ * Delete a number access rule
+ * DELETE /api/v1/admin/number-rules/:id
+ */
+const deleteNumberRule = asyncHandler(async (req, res) => {
+  await numberPolicyService.deleteRule(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Number access rule deleted'
+  });
+});
+
+/**
+ * Check whether a user may fetch OTPs for a number
+ * POST /api/v1/admin/number-rules/test
+ */
+const testNumberRule = asyncHandler(async (req, res) => {
+  const result = await numberPolicyService.testNumber(req.body.userId, req.body.mobileNumber);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * List IP blocks
+ * GET /api/v1/admin/ip-blocks
+ */
+const listIpBlocks = asyncHandler(async (req, res) => {
+  const result = await loginDefenseService.listBlocks(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.blocks,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Clear an IP block
+ * DELETE /api/v1/admin/ip-blocks/:id
+ */
+const clearIpBlock = asyncHandler(async (req, res) => {
+  await loginDefenseService.clearBlock(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'IP block cleared'
+  });
+});
+
+/**
+ * List invitations
+ * GET /api/v1/admin/invitations
+ */
+const listInvitations = asyncHandler(async (req, res) => {
+  const result = await invitationService.listInvitations(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.invitations,
+    pagination: result.pagination
+  });
+});
+
+/**
+ * Invite someone by email
+ * POST /api/v1/admin/invitations
+ */
+const createInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.createInvitation(req.body, req);
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${invitation.email}`,
+    data: invitation
+  });
+});
+
+/**
+ * Send a fresh invitation link
+ * POST /api/v1/admin/invitations/:id/resend
+ */
+const resendInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.resendInvitation(req.params.id, req.body, req);
+
+  res.status(200).json({
+    success: true,
+    message: `Invitation resent to ${invitation.email}`,
+    data: invitation
+  });
+});
+
+/**
+ * Revoke an invitation
+ * DELETE /api/v1/admin/invitations/:id
+ */
+const revokeInvitation = asyncHandler(async (req, res) => {
+  await invitationService.revokeInvitation(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Invitation revoked'
+  });
+});
+
+/**
+ * Start impersonating a user
+ * POST /api/v1/admin/impersonate/:userId
+ * With useCookies the browser's access cookie is switched to the impersonation
+ * token; the administrator's refresh and CSRF cookies are kept
+ */
+const impersonateUser = asyncHandler(async (req, res) => {
+  const { reason, useCookies } = req.body;
+
+  const result = await impersonationService.startImpersonation(req.params.userId, { reason }, req);
+
+  let data = result;
+  if (useCookies) {
+    setAccessCookie(res, result.token, result.expiresIn);
+    const { token, ...rest } = result;
+    data = rest;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Now impersonating ${result.user.username}`,
+    data
+  });
+});
+
+module.exports = {
+  getTwoFactorPolicies,
+  setTwoFactorPolicy,
+  getSessionPolicies,
+  setSessionPolicy,
+  resetSessionPolicy,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  forcePasswordReset,
+  deleteUser,
+  listPermissions,
+  listRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  listTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addTeamMember,
+  removeTeamMember,
+  listNumberRules,
+  getNumberRule,
+  createNumberRule,
+  updateNumberRule,
+  deleteNumberRule,
+  testNumberRule,
+  listIpBlocks,
+  clearIpBlock,
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  impersonateUser
+};
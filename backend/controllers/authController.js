@@ -1,20 +1,76 @@
 const authService = require('../services/authService');
-const { asyncHandler } = require('../middleware/errorHandler');
+const passwordResetService = require('../services/passwordResetService');
+const impersonationService = require('../services/impersonationService');
+const invitationService = require('../services/invitationService');
+const loginAlertService = require('../services/loginAlertService');
+const profileService = require('../services/profileService');
+const { REFRESH_COOKIE_NAME } = require('../config/security');
+const {
+  getCookie,
+  isCsrfValid,
+  sendTokensAsCookies,
+  setAccessCookie,
+  clearAccessCookie,
+  clearSessionCookies
+} = require('../config/cookies');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
 
 /**
  * Authentication Controller
  * Handles authentication-related HTTP requests
  */
 
+/**
+ * Hand a login result to the client, as cookies if it asked for them
+ * Two-factor challenges carry no tokens and are returned as they are
+ * @param {Object} res - Express response object
+ * @param {Object} result - Login result
+ * @param {boolean} useCookies - Whether to deliver the tokens as cookies
+ * @returns {Object} Response data
+ */
+function deliverLogin(res, result, useCookies) {
+  return useCookies && result.token ? sendTokensAsCookies(res, result) : result;
+}
+
 /**
  * Login controller
  * POST /api/v1/auth/login
  */
 const login = asyncHandler(async (req, res) => {
-  const { username, password } = req.body;
+  const { username, password, useCookies } = req.body;
 
   const result = await authService.login(username, password, req);
 
+  res.status(200).json({
+    success: true,
+    data: deliverLogin(res, result, useCookies)
+  });
+});
+
+/**
+ * Complete two-factor login controller
+ * POST /api/v1/auth/login/2fa
+ */
+const completeTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode, useCookies } = req.body;
+
+  const result = await authService.completeTwoFactorLogin(challengeToken, { code, recoveryCode }, req);
+
+  res.status(200).json({
+    success: true,
+    data: deliverLogin(res, result, useCookies)
+  });
+});
+
+/**
+ * Start enrollment during login controller
+ * POST /api/v1/auth/login/2fa/enroll
+ */
+const beginLoginEnrollment = asyncHandler(async (req, res) => {
+  const { challengeToken } = req.body;
+
+  const result = await authService.beginLoginEnrollment(challengeToken, req);
+
   res.status(200).json({
     success: true,
     data: result
@@ -26,9 +82,8 @@ const login = asyncHandler(async (req, res) => {
  * POST /api/v1/auth/logout
  */
 const logout = asyncHandler(async (req, res) => {
-  const token = req.headers.authorization && req.headers.authorization.substring(7);
-  
-  await authService.logout(req.user.id, token, req);
+  await authService.logout(req.user.id, req.authToken, req);
+  clearSessionCookies(res);
 
   res.status(200).json({
     success: true,
@@ -41,26 +96,97 @@ const logout = asyncHandler(async (req, res) => {
  * GET /api/v1/auth/me
  */
 const getCurrentUser = asyncHandler(async (req, res) => {
-  const user = await authService.getCurrentUser(req.user.id);
+  const user = await authService.getCurrentUser(req.user.id, req.impersonator);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * Update own profile controller
+ * PATCH /api/v1/auth/me
+ */
+const updateProfile = asyncHandler(async (req, res) => {
+  const { emailConfirmationSent } = await profileService.updateProfile(req.body, req);
+  const user = await authService.getCurrentUser(req.user.id, req.impersonator);
 
   res.status(200).json({
     success: true,
+    message: emailConfirmationSent
+      ? `Profile updated. Check ${user.pending_email} for a link to confirm your new email address.`
+      : 'Profile updated',
     data: user
   });
 });
 
+/**
+ * Confirm email change controller
+ * POST /api/v1/auth/me/email/confirm
+ */
+const confirmEmailChange = asyncHandler(async (req, res) => {
+  await profileService.confirmEmailChange(req.body.token, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Your email address has been changed'
+  });
+});
+
+/**
+ * Stop impersonating controller
+ * POST /api/v1/auth/impersonation/stop
+ * Browsers get their administrator access cookie back
+ */
+const stopImpersonation = asyncHandler(async (req, res) => {
+  const ownSession = await impersonationService.stopImpersonation(req);
+
+  if (req.authViaCookie) {
+    if (ownSession) {
+      const expiresIn = Math.floor((new Date(ownSession.expires_at) - Date.now()) / 1000);
+      setAccessCookie(res, ownSession.token, expiresIn);
+    } else {
+      clearAccessCookie(res);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Impersonation ended'
+  });
+});
+
 /**
  * Refresh token controller
  * POST /api/v1/auth/refresh
  */
 const refreshToken = asyncHandler(async (req, res) => {
-  const token = req.headers.authorization && req.headers.authorization.substring(7);
-  
-  const result = await authService.refreshToken(token, req);
+  const cookieToken = req.body.refreshToken ? null : getCookie(req, REFRESH_COOKIE_NAME);
+  const refreshToken = req.body.refreshToken || cookieToken;
+
+  if (!refreshToken) {
+    throw new AppError('Refresh token is required', 400, 'VALIDATION_ERROR');
+  }
+
+  if (cookieToken && !isCsrfValid(req)) {
+    throw new AppError('Missing or invalid CSRF token', 403, 'CSRF_TOKEN_INVALID');
+  }
+
+  let result;
+  try {
+    result = await authService.refreshToken(refreshToken, req);
+  } catch (error) {
+    // A dead refresh cookie ends the browser session
+    if (cookieToken) {
+      clearSessionCookies(res);
+    }
+    throw error;
+  }
 
   res.status(200).json({
     success: true,
-    data: result
+    data: cookieToken ? sendTokensAsCookies(res, result) : result
   });
 });
 
@@ -73,16 +199,103 @@ const changePassword = asyncHandler(async (req, res) => {
   
   await authService.changePassword(req.user.id, currentPassword, newPassword, req);
 
+  // Every session ends with the password change
+  clearSessionCookies(res);
+
   res.status(200).json({
     success: true,
     message: 'Password changed successfully'
   });
 });
 
+/**
+ * Forgot password controller
+ * POST /api/v1/auth/forgot-password
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  await passwordResetService.requestReset(email, req);
+
+  // Same response whether or not the account exists
+  res.status(200).json({
+    success: true,
+    message: 'If an account with that email exists, a password reset link has been sent'
+  });
+});
+
+/**
+ * Reset password controller
+ * POST /api/v1/auth/reset-password
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  await passwordResetService.resetPassword(token, newPassword, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  });
+});
+
+/**
+ * Invitation lookup controller
+ * POST /api/v1/auth/invitations/lookup
+ */
+const lookupInvitation = asyncHandler(async (req, res) => {
+  const invitation = await invitationService.lookupInvitation(req.body.token, req);
+
+  res.status(200).json({
+    success: true,
+    data: invitation
+  });
+});
+
+/**
+ * Invitation acceptance controller
+ * POST /api/v1/auth/invitations/accept
+ */
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const user = await invitationService.acceptInvitation(req.body, req);
+
+  res.status(201).json({
+    success: true,
+    message: 'Your account has been created. Please log in.',
+    data: user
+  });
+});
+
+/**
+ * "This wasn't me" controller
+ * POST /api/v1/auth/login-alerts/report
+ */
+const reportLogin = asyncHandler(async (req, res) => {
+  const { resetLinkSent } = await loginAlertService.reportLogin(req.body.token, req);
+
+  res.status(200).json({
+    success: true,
+    message: resetLinkSent
+      ? 'All sessions have been signed out and your account is locked. We have emailed you a link to choose a new password.'
+      : 'All sessions have been signed out and your account is locked. Contact your administrator to secure it.',
+    data: { resetLinkSent }
+  });
+});
+
 module.exports = {
   login,
+  completeTwoFactorLogin,
+  beginLoginEnrollment,
   logout,
   getCurrentUser,
+  updateProfile,
+  confirmEmailChange,
+  stopImpersonation,
   refreshToken,
-  changePassword
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  lookupInvitation,
+  acceptInvitation,
+  reportLogin
 };
@@ -0,0 +1,70 @@
+const oidcService = require('../services/oidcService');
+const credentialBackends = require('../services/credentialBackends');
+const { OIDC_ENABLED, OIDC_STATE_TTL_MINUTES } = require('../config/oidc');
+const { sendTokensAsCookies, setOidcStateCookie, clearOidcStateCookie } = require('../config/cookies');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * OIDC Controller
+ * Handles OpenID Connect single sign-on HTTP requests
+ */
+
+/**
+ * Get available login methods
+ * GET /api/v1/auth/oidc/config
+ */
+const getConfig = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      ssoEnabled: OIDC_ENABLED,
+      localLoginEnabled: credentialBackends.isPasswordLoginEnabled()
+    }
+  });
+});
+
+/**
+ * Start SSO login by redirecting to the identity provider
+ * GET /api/v1/auth/oidc/login?mode=fragment|cookie
+ */
+const login = asyncHandler(async (req, res) => {
+  const { authorizationUrl, state } = await oidcService.beginLogin(req);
+
+  setOidcStateCookie(res, state, OIDC_STATE_TTL_MINUTES * 60 * 1000);
+  res.redirect(302, authorizationUrl);
+});
+
+/**
+ * Handle the identity provider callback
+ * GET /api/v1/auth/oidc/callback
+ * Redirects back to the app with tokens, or an error code, in the URL fragment.
+ * Logins started in cookie mode get session cookies instead of tokens.
+ */
+const callback = asyncHandler(async (req, res) => {
+  const { code, state, error } = req.query;
+
+  // The state is single-use whatever the outcome
+  clearOidcStateCookie(res);
+
+  let result;
+  try {
+    result = await oidcService.handleCallback({ code, state, error }, req);
+  } catch (err) {
+    if (!err.isOperational) {
+      throw err;
+    }
+    return res.redirect(302, oidcService.buildErrorRedirect(err.code));
+  }
+
+  if (result.tokenDelivery === 'cookie') {
+    sendTokensAsCookies(res, result);
+  }
+
+  res.redirect(302, oidcService.buildSuccessRedirect(result));
+});
+
+module.exports = {
+  getConfig,
+  login,
+  callback
+};
@@ -1,4 +1,5 @@
 const otpService = require('../services/otpService');
+const { OTP_STREAM_HEARTBEAT_SECONDS } = require('../config/otpProviders');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 /**
@@ -31,6 +32,115 @@ const getLatestOtp = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Wait for a new OTP for a mobile number (long poll)
+ * GET /api/v1/otp/wait/:mobileNumber
+ */
+const waitForOtp = asyncHandler(async (req, res) => {
+  const { mobileNumber } = req.params;
+
+  // Stop waiting if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const otp = await otpService.waitForOtp(mobileNumber, req.query, controller.signal, req);
+
+  if (!otp) {
+    return;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: otp
+  });
+});
+
+/**
+ * Stream new OTPs for some mobile numbers as Server-Sent Events
+ * GET /api/v1/otp/stream?numbers=...
+ */
+const streamOtps = asyncHandler(async (req, res) => {
+  const { numbers } = req.query;
+
+  // Browsers send Last-Event-ID when they reconnect; the query is for other clients
+  const header = req.get('Last-Event-ID');
+  const lastEventId = /^\d+$/.test(header || '') ? parseInt(header, 10) : req.query.lastEventId;
+
+  // Attached before the stream opens, so a client that leaves meanwhile is noticed
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const stream = await otpService.openOtpStream(numbers, lastEventId, controller.signal, req);
+
+  if (!stream) {
+    return;
+  }
+
+  if (res.destroyed) {
+    await stream.close('client_closed');
+    return;
+  }
+
+  /**
+   * Write one event
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   * @param {number|null} id - Event ID (optional)
+   */
+  const send = (event, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let closeReason = 'client_closed';
+
+  try {
+    stream.start({
+      onOtp: otp => send('otp', otp, otp.id),
+      onError: error => send('provider_error', { code: error.code, message: error.message }),
+      onShutdown: () => {
+        // Called once per number
+        if (!res.writableEnded) {
+          closeReason = 'shutdown';
+          res.end();
+        }
+      }
+    });
+  } catch (error) {
+    await stream.close('shutdown');
+    throw error;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+
+  res.write('retry: 5000\n\n');
+  send('ready', { numbers, heartbeatSeconds: OTP_STREAM_HEARTBEAT_SECONDS });
+  stream.missed.forEach(otp => send('otp', otp, otp.id));
+
+  // Heartbeats keep proxies from closing an idle stream; each one also checks
+  // that the session or API key and the number access rules still allow it
+  const heartbeat = setInterval(async () => {
+    res.write(': heartbeat\n\n');
+
+    const accessError = await stream.checkAccess();
+    if (accessError && !res.writableEnded) {
+      closeReason = accessError;
+      send('end', { reason: accessError });
+      res.end();
+    }
+  }, OTP_STREAM_HEARTBEAT_SECONDS * 1000);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    stream.close(closeReason).catch(error => console.error('OTP stream close failed:', error.message));
+  });
+});
+
 /**
  * Get OTP history for a mobile number
  * GET /api/v1/otp/history/:mobileNumber
@@ -44,7 +154,8 @@ const getOtpHistory = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: result.otps,
-    pagination: result.pagination
+    pagination: result.pagination,
+    providerAvailable: result.providerAvailable
   });
 });
 
@@ -53,7 +164,7 @@ const getOtpHistory = asyncHandler(async (req, res) => {
  * GET /api/v1/otp/statistics
  */
 const getOtpStatistics = asyncHandler(async (req, res) => {
-  const statistics = await otpService.getStatistics();
+  const statistics = await otpService.getStatistics(req);
 
   res.status(200).json({
     success: true,
@@ -68,7 +179,7 @@ const getOtpStatistics = asyncHandler(async (req, res) => {
 const getAllOtps = asyncHandler(async (req, res) => {
   const { page = 1, limit = 20 } = req.query;
 
-  const result = await otpService.getAllOtps(page, limit);
+  const result = await otpService.getAllOtps(page, limit, req);
 
   res.status(200).json({
     success: true,
@@ -84,7 +195,7 @@ const getAllOtps = asyncHandler(async (req, res) => {
 const getOtpsByDateRange = asyncHandler(async (req, res) => {
   const { startDate, endDate, page = 1, limit = 20 } = req.query;
 
-  const result = await otpService.getOtpsByDateRange(startDate, endDate, page, limit);
+  const result = await otpService.getOtpsByDateRange(startDate, endDate, page, limit, req);
 
   res.status(200).json({
     success: true,
@@ -95,6 +206,8 @@ const getOtpsByDateRange = asyncHandler(async (req, res) => {
 
 module.exports = {
   getLatestOtp,
+  waitForOtp,
+  streamOtps,
   getOtpHistory,
   getOtpStatistics,
   getAllOtps,
@@ -0,0 +1,53 @@
+const sessionService = require('../services/sessionService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Session Controller
+ * Handles the "my sessions" HTTP requests
+ */
+
+/**
+ * List active sessions
+ * GET /api/v1/auth/sessions
+ */
+const listSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req);
+
+  res.status(200).json({
+    success: true,
+    data: sessions
+  });
+});
+
+/**
+ * Revoke a session
+ * DELETE /api/v1/auth/sessions/:id
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const { current } = await sessionService.revokeSession(req.params.id, req);
+
+  res.status(200).json({
+    success: true,
+    message: current ? 'Current session revoked. Please log in again.' : 'Session revoked'
+  });
+});
+
+/**
+ * Revoke all other sessions
+ * POST /api/v1/auth/sessions/revoke-others
+ */
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeOtherSessions(req);
+
+  res.status(200).json({
+    success: true,
+    message: `${revoked} other session(s) revoked`,
+    data: { revoked }
+  });
+});
+
+module.exports = {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+};
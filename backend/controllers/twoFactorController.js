@@ -0,0 +1,87 @@
+const twoFactorService = require('../services/twoFactorService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Two-Factor Authentication Controller
+ * Handles TOTP enrollment and management HTTP requests
+ */
+
+/**
+ * Get two-factor status
+ * GET /api/v1/auth/2fa
+ */
+const getStatus = asyncHandler(async (req, res) => {
+  const status = await twoFactorService.getStatus(req.user.id, req.user.role);
+
+  res.status(200).json({
+    success: true,
+    data: status
+  });
+});
+
+/**
+ * Start TOTP enrollment
+ * POST /api/v1/auth/2fa/enroll
+ */
+const enroll = asyncHandler(async (req, res) => {
+  const result = await twoFactorService.beginEnrollment(req.user.id, req);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * Confirm TOTP enrollment
+ * POST /api/v1/auth/2fa/verify
+ */
+const verify = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const result = await twoFactorService.confirmEnrollment(req.user.id, code, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: result
+  });
+});
+
+/**
+ * Disable TOTP
+ * POST /api/v1/auth/2fa/disable
+ */
+const disable = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  await twoFactorService.disable(req.user.id, password, { code, recoveryCode }, req);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * Regenerate recovery codes
+ * POST /api/v1/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const result = await twoFactorService.regenerateRecoveryCodes(req.user.id, code, req);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+module.exports = {
+  getStatus,
+  enroll,
+  verify,
+  disable,
+  regenerateRecoveryCodes
+};
@@ -1,24 +1,330 @@
-const { verifyToken } = require('../config/jwt');
-const { isAccountLocked } = require('../config/security');
+const { verifySessionToken } = require('../config/jwt');
+const {
+  isAccountLocked,
+  getClientIp,
+  SESSION_CACHE_TTL_MS,
+  SESSION_CACHE_MAX_ENTRIES,
+  PERMISSION_CACHE_TTL_MS,
+  API_KEY_HEADER,
+  SESSION_COOKIE_NAME,
+  resolveSessionPolicy
+} = require('../config/security');
+const { getCookie, isCsrfValid } = require('../config/cookies');
+const { isPasswordChangeRequired } = require('../config/passwordPolicy');
 const db = require('../config/database');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const SessionPolicy = require('../models/SessionPolicy');
+const ApiKey = require('../models/ApiKey');
+const Permission = require('../models/Permission');
+const AuditLog = require('../models/AuditLog');
 
 /**
  * Authentication Middleware
  * Verifies JWT tokens and attaches user to request
  */
 
+/**
+ * Endpoints still reachable while the user must change their password
+ */
+const PASSWORD_EXPIRED_ALLOWED_PATHS = [
+  '/api/v1/auth/change-password',
+  '/api/v1/auth/logout',
+  '/api/v1/auth/me'
+];
+
+/**
+ * Endpoints that may change state during impersonation; everything else is read-only
+ */
+const IMPERSONATION_ALLOWED_PATHS = [
+  '/api/v1/auth/impersonation/stop',
+  '/api/v1/auth/logout'
+];
+
+/**
+ * In-process session cache
+ * Maps token -> { session, cachedAt } so that the sessions table is only
+ * consulted once per SESSION_CACHE_TTL_MS for each token
+ */
+const sessionCache = new Map();
+
+/**
+ * Look up the session for a token, using the in-process cache when fresh.
+ * A database hit also records the access in last_accessed_at.
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} session (or null) and lastActiveAt, the last
+ *   recorded use before this request (for the idle timeout)
+ */
+async function getSession(token) {
+  const cached = sessionCache.get(token);
+
+  // A cached session was last recorded as used when it was cached
+  if (cached && Date.now() - cached.cachedAt < SESSION_CACHE_TTL_MS) {
+    return { session: cached.session, lastActiveAt: new Date(cached.cachedAt) };
+  }
+
+  const session = await Session.findByToken(token);
+  const lastActiveAt = session ? session.last_accessed_at || session.created_at : null;
+
+  if (session && !session.revoked_at) {
+    await Session.updateLastAccessed(session.id);
+  }
+
+  // Evict the oldest entry once the cache is full
+  if (!cached && sessionCache.size >= SESSION_CACHE_MAX_ENTRIES) {
+    sessionCache.delete(sessionCache.keys().next().value);
+  }
+
+  sessionCache.set(token, { session, cachedAt: Date.now() });
+
+  return { session, lastActiveAt };
+}
+
+/**
+ * Check a session for revocation and expiry
+ * @param {Object|null} session - Session object
+ * @returns {string|null} Error code, or null if the session is valid
+ */
+function getSessionError(session) {
+  if (!session || session.revoked_at) {
+    return 'SESSION_REVOKED';
+  }
+
+  if (new Date(session.expires_at) <= new Date()) {
+    return 'SESSION_EXPIRED';
+  }
+
+  return null;
+}
+
+/**
+ * In-process session policy cache
+ * Maps role name -> { policy, cachedAt }
+ */
+const sessionPolicyCache = new Map();
+
+/**
+ * Get a role's session policy with server defaults filled in
+ * Cached in-process for PERMISSION_CACHE_TTL_MS
+ * @param {string} role - Role name
+ * @returns {Promise<Object>} maxSessions, limitAction, idleTimeoutMinutes and maxLifetimeHours
+ */
+async function getSessionPolicy(role) {
+  const cached = sessionPolicyCache.get(role);
+
+  if (cached && Date.now() - cached.cachedAt < PERMISSION_CACHE_TTL_MS) {
+    return cached.policy;
+  }
+
+  const policy = resolveSessionPolicy(await SessionPolicy.findByRole(role));
+  sessionPolicyCache.set(role, { policy, cachedAt: Date.now() });
+
+  return policy;
+}
+
+/**
+ * Drop cached session policies
+ * Call after changing a policy so the change applies immediately
+ * @param {string} role - Role name (omit to clear every role)
+ */
+function invalidateSessionPolicy(role) {
+  if (role) {
+    sessionPolicyCache.delete(role);
+  } else {
+    sessionPolicyCache.clear();
+  }
+}
+
+/**
+ * Check a session against its role's idle timeout and absolute lifetime
+ * Impersonation sessions are exempt: they are short-lived and end with the
+ * administrator's own session, which the administrator keeps active
+ * @param {Object} session - Session object (with login_at)
+ * @param {Date|string|null} lastActiveAt - When the session was last used
+ * @param {Object} policy - Resolved session policy
+ * @returns {string|null} Error code, or null if the session may continue
+ */
+function getSessionPolicyError(session, lastActiveAt, policy) {
+  if (session.impersonator_id) {
+    return null;
+  }
+
+  const now = Date.now();
+  const loginAt = new Date(session.login_at || session.created_at);
+
+  if (policy.maxLifetimeHours && now - loginAt >= policy.maxLifetimeHours * 3600000) {
+    return 'SESSION_LIFETIME_EXCEEDED';
+  }
+
+  if (policy.idleTimeoutMinutes && lastActiveAt &&
+      now - new Date(lastActiveAt) >= policy.idleTimeoutMinutes * 60000) {
+    return 'SESSION_IDLE_TIMEOUT';
+  }
+
+  return null;
+}
+
+/**
+ * End a session that broke its role's session policy
+ * The refresh token issued with it is revoked too, so the login cannot continue
+ * @param {Object} session - Session object
+ * @param {string} token - JWT token of the session
+ * @param {string} reason - SESSION_IDLE_TIMEOUT or SESSION_LIFETIME_EXCEEDED
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+async function endSessionByPolicy(session, token, reason, ipAddress) {
+  await Session.revoke(session.id);
+  await RefreshToken.revokeBySessionId(session.id);
+  invalidateSession(token);
+
+  await AuditLog.create({
+    userId: session.user_id,
+    action: 'session_timeout',
+    resource: 'auth',
+    details: { sessionId: session.id, reason },
+    ipAddress,
+    status: 'success'
+  });
+}
+
+/**
+ * Drop a token from the session cache
+ * Call after revoking a session so the change applies immediately
+ * @param {string} token - JWT token
+ */
+function invalidateSession(token) {
+  sessionCache.delete(token);
+}
+
+/**
+ * Drop all cached sessions belonging to a user
+ * @param {number} userId - User ID
+ */
+function invalidateUserSessions(userId) {
+  for (const [token, entry] of sessionCache) {
+    if (entry.session && entry.session.user_id === userId) {
+      sessionCache.delete(token);
+    }
+  }
+}
+
+/**
+ * In-process role permission cache
+ * Maps role name -> { permissions, cachedAt }
+ */
+const permissionCache = new Map();
+
+/**
+ * Get the permissions granted to a role, using the in-process cache when fresh
+ * @param {string} role - Role name
+ * @returns {Promise<Array<string>>} Permission names
+ */
+async function getRolePermissions(role) {
+  const cached = permissionCache.get(role);
+
+  if (cached && Date.now() - cached.cachedAt < PERMISSION_CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const permissions = await Permission.findNamesByRole(role);
+  permissionCache.set(role, { permissions, cachedAt: Date.now() });
+
+  return permissions;
+}
+
+/**
+ * Drop cached role permissions
+ * Call after changing a role so the change applies immediately
+ * @param {string} role - Role name (omit to clear every role)
+ */
+function invalidateRolePermissions(role) {
+  if (role) {
+    permissionCache.delete(role);
+  } else {
+    permissionCache.clear();
+  }
+}
+
+/**
+ * Load the administrator behind an impersonation session
+ * Impersonation ends as soon as the administrator's own session ends, their
+ * account is disabled or locked, or their role loses users:impersonate
+ * @param {Object} decoded - Decoded impersonation token
+ * @param {Object} session - Impersonation session
+ * @returns {Promise<Object|null>} Administrator, or null if impersonation has ended
+ */
+async function getImpersonator(decoded, session) {
+  if (session.impersonator_id !== decoded.impersonatorId || !session.impersonator_session_id) {
+    return null;
+  }
+
+  // An expired access token does not end the administrator's login; a revoked session does
+  const impersonatorSession = await Session.findById(session.impersonator_session_id);
+  if (!impersonatorSession || impersonatorSession.revoked_at) {
+    return null;
+  }
+
+  const impersonator = await db.queryOne(
+    'SELECT id, username, role, is_active, locked_until FROM users WHERE id = ?',
+    [session.impersonator_id]
+  );
+
+  if (!impersonator || !impersonator.is_active || isAccountLocked(impersonator.locked_until)) {
+    return null;
+  }
+
+  const permissions = await getRolePermissions(impersonator.role);
+  if (!permissions.includes('users:impersonate')) {
+    return null;
+  }
+
+  // Impersonating counts as activity on the administrator's own session
+  await Session.updateLastAccessed(impersonatorSession.id);
+
+  return impersonator;
+}
+
+/**
+ * Get the JWT from the Authorization header or, for browsers, the session cookie
+ * A Bearer header takes precedence over the cookie
+ * @param {Object} req - Express request object
+ * @returns {Object} token (or null) and whether it came from the cookie
+ */
+function getRequestToken(req) {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.substring(7), fromCookie: false };
+  }
+
+  const cookieToken = getCookie(req, SESSION_COOKIE_NAME);
+  return { token: cookieToken, fromCookie: !!cookieToken };
+}
+
 /**
  * Authenticate user with JWT token
+ * Accepts a Bearer token or the browser session cookie; cookie-authenticated
+ * state-changing requests must also carry the CSRF token
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 async function authenticate(req, res, next) {
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
+    const { token, fromCookie } = getRequestToken(req);
+
+    if (!token) {
+      if (req.headers[API_KEY_HEADER]) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'API_KEY_NOT_ALLOWED',
+            message: 'API keys are not accepted for this endpoint'
+          }
+        });
+      }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         success: false,
         error: {
@@ -28,14 +334,49 @@ async function authenticate(req, res, next) {
       });
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    // Cookies are sent by the browser on cross-site requests too
+    if (fromCookie && !isCsrfValid(req)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'CSRF_TOKEN_INVALID',
+          message: 'Missing or invalid CSRF token'
+        }
+      });
+    }
 
     // Verify token
-    const decoded = verifyToken(token);
+    const decoded = verifySessionToken(token);
+
+    // Check that the server-side session is still valid
+    const { session, lastActiveAt } = await getSession(token);
+    const sessionError = getSessionError(session);
+
+    if (sessionError === 'SESSION_REVOKED') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'SESSION_REVOKED',
+          message: 'Session has been revoked'
+        }
+      });
+    }
+
+    if (sessionError === 'SESSION_EXPIRED') {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'SESSION_EXPIRED',
+          message: 'Session has expired'
+        }
+      });
+    }
 
     // Check if user exists and is active
     const user = await db.queryOne(
-      'SELECT id, username, email, role, is_active, locked_until FROM users WHERE id = ?',
+      `SELECT id, username, email, role, is_active, locked_until,
+              auth_provider, password_changed_at, password_change_required
+       FROM users WHERE id = ?`,
       [decoded.userId]
     );
 
@@ -71,6 +412,63 @@ async function authenticate(req, res, next) {
       });
     }
 
+    // Idle and lifetime limits of the user's role
+    const policyError = getSessionPolicyError(session, lastActiveAt, await getSessionPolicy(user.role));
+
+    if (policyError) {
+      await endSessionByPolicy(session, token, policyError, getClientIp(req));
+
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: policyError,
+          message: policyError === 'SESSION_IDLE_TIMEOUT'
+            ? 'Session ended after a period of inactivity'
+            : 'Session has reached its maximum lifetime. Please log in again.'
+        }
+      });
+    }
+
+    // Requests made as another user must still be backed by the administrator
+    let impersonator = null;
+
+    if (decoded.typ === 'impersonation') {
+      impersonator = await getImpersonator(decoded, session);
+
+      if (!impersonator) {
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'IMPERSONATION_ENDED',
+            message: 'Impersonation has ended'
+          }
+        });
+      }
+
+      if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) &&
+          !IMPERSONATION_ALLOWED_PATHS.includes(`${req.baseUrl}${req.path}`)) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'IMPERSONATION_READ_ONLY',
+            message: 'Changes cannot be made while impersonating a user'
+          }
+        });
+      }
+    }
+
+    // An expired or administratively reset password must be changed before anything else
+    if (isPasswordChangeRequired(user) &&
+        !PASSWORD_EXPIRED_ALLOWED_PATHS.includes(`${req.baseUrl}${req.path}`)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'PASSWORD_EXPIRED',
+          message: 'Your password must be changed before you can continue.'
+        }
+      });
+    }
+
     // Attach user to request
     req.user = {
       id: user.id,
@@ -78,6 +476,32 @@ async function authenticate(req, res, next) {
       email: user.email,
       role: user.role
     };
+    req.session = session;
+    req.authToken = token;
+    req.authViaCookie = fromCookie;
+
+    if (impersonator) {
+      req.impersonator = {
+        id: impersonator.id,
+        username: impersonator.username
+      };
+
+      // Every request made as another user is attributed to the administrator
+      await AuditLog.create({
+        userId: impersonator.id,
+        action: 'impersonated_request',
+        resource: 'auth',
+        details: {
+          impersonatedUserId: user.id,
+          impersonatedUsername: user.username,
+          sessionId: session.id,
+          method: req.method,
+          path: req.originalUrl
+        },
+        ipAddress: getClientIp(req),
+        status: 'success'
+      });
+    }
 
     next();
   } catch (error) {
@@ -112,6 +536,147 @@ async function authenticate(req, res, next) {
   }
 }
 
+/**
+ * Record an API key authentication attempt
+ * @param {Object} req - Express request object
+ * @param {Object} entry - Audit fields (userId, details, status)
+ */
+async function auditApiKeyUse(req, { userId, details, status }) {
+  await AuditLog.create({
+    userId,
+    action: 'api_key_use',
+    resource: 'api_key',
+    details: { ...details, method: req.method, path: req.originalUrl },
+    ipAddress: getClientIp(req),
+    status
+  });
+}
+
+/**
+ * Authenticate with a JWT or, for machine clients, an X-API-Key header
+ * Use in place of `authenticate` on routes that API keys may call
+ * @param {...string} requiredScopes - Scopes the API key must hold
+ * @returns {Function} Middleware function
+ */
+function allowApiKey(...requiredScopes) {
+  return async (req, res, next) => {
+    const rawKey = req.headers[API_KEY_HEADER];
+    const authHeader = req.headers.authorization;
+
+    // Bearer tokens take precedence over API keys, API keys over the session cookie
+    if (!rawKey || (authHeader && authHeader.startsWith('Bearer '))) {
+      return authenticate(req, res, next);
+    }
+
+    try {
+      const apiKey = await ApiKey.findByKey(rawKey);
+
+      if (!apiKey || apiKey.revoked_at) {
+        await auditApiKeyUse(req, {
+          userId: apiKey ? apiKey.owner_id : null,
+          details: { apiKeyId: apiKey ? apiKey.id : null, reason: apiKey ? 'revoked' : 'unknown_key' },
+          status: 'failure'
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'INVALID_API_KEY',
+            message: 'Invalid API key'
+          }
+        });
+      }
+
+      if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+        await auditApiKeyUse(req, {
+          userId: apiKey.owner_id,
+          details: { apiKeyId: apiKey.id, reason: 'expired' },
+          status: 'failure'
+        });
+
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'API_KEY_EXPIRED',
+            message: 'API key has expired'
+          }
+        });
+      }
+
+      const missingScopes = requiredScopes.filter(scope => !apiKey.scopes.includes(scope));
+
+      if (missingScopes.length > 0) {
+        await auditApiKeyUse(req, {
+          userId: apiKey.owner_id,
+          details: { apiKeyId: apiKey.id, reason: 'insufficient_scope', missingScopes },
+          status: 'failure'
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'INSUFFICIENT_SCOPE',
+            message: `API key is missing required scope: ${missingScopes.join(', ')}`
+          }
+        });
+      }
+
+      // The key acts as its owner, who must still be active
+      const user = await db.queryOne(
+        'SELECT id, username, email, role, is_active, locked_until FROM users WHERE id = ?',
+        [apiKey.owner_id]
+      );
+
+      if (!user || !user.is_active || isAccountLocked(user.locked_until)) {
+        await auditApiKeyUse(req, {
+          userId: apiKey.owner_id,
+          details: { apiKeyId: apiKey.id, reason: 'owner_unavailable' },
+          status: 'failure'
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'ACCOUNT_INACTIVE',
+            message: 'API key owner account is inactive or locked'
+          }
+        });
+      }
+
+      await ApiKey.updateLastUsed(apiKey.id);
+      await auditApiKeyUse(req, {
+        userId: user.id,
+        details: { apiKeyId: apiKey.id, name: apiKey.name },
+        status: 'success'
+      });
+
+      req.user = {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      };
+      req.apiKey = {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        allowedNumberPattern: apiKey.allowed_number_pattern
+      };
+
+      next();
+    } catch (error) {
+      console.error('API key authentication error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'AUTH_ERROR',
+          message: 'Authentication failed'
+        }
+      });
+    }
+  };
+}
+
 /**
  * Check if user has required role
  * @param {Array<string>} allowedRoles - Array of allowed roles
@@ -143,6 +708,52 @@ function authorize(...allowedRoles) {
   };
 }
 
+/**
+ * Check that the user's role grants every listed permission
+ * API key requests are checked against the key owner's role
+ * @param {...string} requiredPermissions - Permission names
+ * @returns {Function} Middleware function
+ */
+function requirePermission(...requiredPermissions) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required'
+        }
+      });
+    }
+
+    try {
+      const granted = await getRolePermissions(req.user.role);
+      const missing = requiredPermissions.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'FORBIDDEN',
+            message: `Missing required permission: ${missing.join(', ')}`
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'AUTH_ERROR',
+          message: 'Authorization failed'
+        }
+      });
+    }
+  };
+}
+
 /**
  * Optional authentication - doesn't fail if no token
  * @param {Object} req - Express request object
@@ -151,20 +762,33 @@ function authorize(...allowedRoles) {
  */
 async function optionalAuth(req, res, next) {
   try {
-    const authHeader = req.headers.authorization;
+    const { token, fromCookie } = getRequestToken(req);
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!token || (fromCookie && !isCsrfValid(req))) {
       return next();
     }
 
-    const token = authHeader.substring(7);
-    const decoded = verifyToken(token);
+    const decoded = verifySessionToken(token);
+
+    const { session, lastActiveAt } = await getSession(token);
+
+    if (getSessionError(session)) {
+      return next();
+    }
 
     const user = await db.queryOne(
       'SELECT id, username, email, role, is_active FROM users WHERE id = ?',
       [decoded.userId]
     );
 
+    // This request was recorded as activity, so a timed-out session must end now
+    const policyError = user && getSessionPolicyError(session, lastActiveAt, await getSessionPolicy(user.role));
+
+    if (policyError) {
+      await endSessionByPolicy(session, token, policyError, getClientIp(req));
+      return next();
+    }
+
     if (user && user.is_active) {
       req.user = {
         id: user.id,
@@ -172,6 +796,8 @@ async function optionalAuth(req, res, next) {
         email: user.email,
         role: user.role
       };
+      req.session = session;
+      req.authToken = token;
     }
 
     next();
@@ -183,6 +809,15 @@ async function optionalAuth(req, res, next) {
 
 module.exports = {
   authenticate,
+  allowApiKey,
   authorize,
-  optionalAuth
+  requirePermission,
+  getRolePermissions,
+  invalidateRolePermissions,
+  getSessionPolicy,
+  getSessionPolicyError,
+  invalidateSessionPolicy,
+  optionalAuth,
+  invalidateSession,
+  invalidateUserSessions
 };
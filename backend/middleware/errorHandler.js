@@ -26,29 +26,95 @@ const ERROR_CODES = {
   TOKEN_EXPIRED: { statusCode: 401, message: 'Authentication token has expired' },
   INVALID_TOKEN: { statusCode: 401, message: 'Invalid authentication token' },
   UNAUTHORIZED: { statusCode: 401, message: 'Authentication required' },
+  SESSION_REVOKED: { statusCode: 401, message: 'Session has been revoked' },
+  SESSION_EXPIRED: { statusCode: 401, message: 'Session has expired' },
+  INVALID_REFRESH_TOKEN: { statusCode: 401, message: 'Invalid refresh token' },
+  REFRESH_TOKEN_EXPIRED: { statusCode: 401, message: 'Refresh token has expired' },
+  REFRESH_TOKEN_REUSED: { statusCode: 401, message: 'Refresh token has already been used' },
+  INVALID_CHALLENGE: { statusCode: 401, message: 'Invalid or expired two-factor challenge' },
+  INVALID_2FA_CODE: { statusCode: 401, message: 'Invalid two-factor code' },
+  INVALID_API_KEY: { statusCode: 401, message: 'Invalid API key' },
+  API_KEY_EXPIRED: { statusCode: 401, message: 'API key has expired' },
+  OIDC_LOGIN_FAILED: { statusCode: 401, message: 'Single sign-on failed' },
+  IMPERSONATION_ENDED: { statusCode: 401, message: 'Impersonation has ended' },
+  SESSION_IDLE_TIMEOUT: { statusCode: 401, message: 'Session ended after a period of inactivity' },
+  SESSION_LIFETIME_EXCEEDED: { statusCode: 401, message: 'Session has reached its maximum lifetime. Please log in again.' },
   
   // Authorization errors (4xx)
   FORBIDDEN: { statusCode: 403, message: 'Insufficient permissions' },
   ACCOUNT_INACTIVE: { statusCode: 403, message: 'Account is inactive' },
   ACCOUNT_LOCKED: { statusCode: 423, message: 'Account is temporarily locked. Please try again later.' },
+  TWO_FACTOR_REQUIRED: { statusCode: 403, message: 'Two-factor authentication is required for your role' },
+  API_KEY_NOT_ALLOWED: { statusCode: 403, message: 'API keys are not accepted for this endpoint' },
+  INSUFFICIENT_SCOPE: { statusCode: 403, message: 'API key is missing a required scope' },
+  NUMBER_NOT_ALLOWED_FOR_KEY: { statusCode: 403, message: 'API key is not allowed to access this mobile number' },
+  NUMBER_NOT_PERMITTED: { statusCode: 403, message: 'You are not permitted to access OTPs for this mobile number' },
+  PASSWORD_EXPIRED: { statusCode: 403, message: 'Your password must be changed before you can continue.' },
+  CANNOT_MODIFY_SELF: { statusCode: 403, message: 'Administrators cannot perform this action on their own account' },
+  LOCAL_LOGIN_DISABLED: { statusCode: 403, message: 'Password login is disabled. Please sign in with SSO.' },
+  SYSTEM_ROLE: { statusCode: 403, message: 'Built-in roles cannot be changed this way' },
+  CSRF_TOKEN_INVALID: { statusCode: 403, message: 'Missing or invalid CSRF token' },
+  IMPERSONATION_NOT_ALLOWED: { statusCode: 403, message: 'This user cannot be impersonated' },
+  IMPERSONATION_READ_ONLY: { statusCode: 403, message: 'Changes cannot be made while impersonating a user' },
+  SESSION_LIMIT_REACHED: { statusCode: 403, message: 'You are signed in on too many devices' },
+
+  // Conflict errors (4xx)
+  TWO_FACTOR_ALREADY_ENABLED: { statusCode: 409, message: 'Two-factor authentication is already enabled' },
+  SSO_ACCOUNT_CONFLICT: { statusCode: 409, message: 'An account with this username already exists' },
+  USERNAME_TAKEN: { statusCode: 409, message: 'Username is already taken' },
+  EMAIL_TAKEN: { statusCode: 409, message: 'Email is already in use' },
+  ROLE_EXISTS: { statusCode: 409, message: 'A role with this name already exists' },
+  ROLE_IN_USE: { statusCode: 409, message: 'Role is still assigned to users' },
+  TEAM_EXISTS: { statusCode: 409, message: 'A team with this name already exists' },
+  INVITATION_EXISTS: { statusCode: 409, message: 'A pending invitation for this email already exists' },
+  INVITATION_NOT_PENDING: { statusCode: 409, message: 'Invitation has already been accepted or revoked' },
   
   // Validation errors (4xx)
   VALIDATION_ERROR: { statusCode: 400, message: 'Validation failed' },
   INVALID_INPUT: { statusCode: 400, message: 'Invalid input provided' },
   MISSING_FIELD: { statusCode: 400, message: 'Required field is missing' },
+  TWO_FACTOR_NOT_ENROLLED: { statusCode: 400, message: 'Two-factor authentication is not enabled' },
+  EXTERNAL_ACCOUNT: { statusCode: 400, message: 'Password is managed by your identity provider' },
+  INVALID_OIDC_STATE: { statusCode: 400, message: 'Invalid or expired sign-in request' },
+  INVALID_RESET_TOKEN: { statusCode: 400, message: 'Invalid or expired password reset link' },
+  INVALID_INVITATION: { statusCode: 400, message: 'Invalid or expired invitation link' },
+  INVALID_LOGIN_ALERT: { statusCode: 400, message: 'Invalid or expired link' },
+  INVALID_EMAIL_CHANGE_TOKEN: { statusCode: 400, message: 'Invalid or expired confirmation link' },
+  WEAK_PASSWORD: { statusCode: 400, message: 'Password does not meet strength requirements' },
+  PASSWORD_REUSED: { statusCode: 400, message: 'Password was used recently' },
+  PASSWORD_BREACHED: { statusCode: 400, message: 'Password has appeared in a data breach' },
+  INVALID_ROLE: { statusCode: 400, message: 'Role does not exist' },
+  UNKNOWN_PERMISSION: { statusCode: 400, message: 'Unknown permission' },
+  NOT_IMPERSONATING: { statusCode: 400, message: 'This session is not impersonating anyone' },
   
   // Not found errors (4xx)
   USER_NOT_FOUND: { statusCode: 404, message: 'User not found' },
   OTP_NOT_FOUND: { statusCode: 404, message: 'OTP not found' },
   RESOURCE_NOT_FOUND: { statusCode: 404, message: 'Resource not found' },
-  
+  OIDC_DISABLED: { statusCode: 404, message: 'Single sign-on is not enabled' },
+  API_KEY_NOT_FOUND: { statusCode: 404, message: 'API key not found' },
+  SESSION_NOT_FOUND: { statusCode: 404, message: 'Session not found' },
+  ROLE_NOT_FOUND: { statusCode: 404, message: 'Role not found' },
+  TEAM_NOT_FOUND: { statusCode: 404, message: 'Team not found' },
+  NUMBER_RULE_NOT_FOUND: { statusCode: 404, message: 'Number access rule not found' },
+  IP_BLOCK_NOT_FOUND: { statusCode: 404, message: 'IP block not found' },
+  INVITATION_NOT_FOUND: { statusCode: 404, message: 'Invitation not found' },
+  SESSION_POLICY_NOT_FOUND: { statusCode: 404, message: 'Session policy not found' },
+
   // Rate limiting errors (4xx)
   RATE_LIMIT_EXCEEDED: { statusCode: 429, message: 'Too many requests. Please try again later.' },
+  IP_BLOCKED: { statusCode: 429, message: 'Too many failed logins from your network. Please try again later.' },
+  LOGIN_THROTTLED: { statusCode: 429, message: 'Too many failed login attempts. Please try again later.' },
+  STREAM_LIMIT_REACHED: { statusCode: 429, message: 'Too many open OTP streams' },
   
   // Server errors (5xx)
   INTERNAL_ERROR: { statusCode: 500, message: 'Internal server error' },
   DATABASE_ERROR: { statusCode: 500, message: 'Database error occurred' },
-  SERVICE_UNAVAILABLE: { statusCode: 503, message: 'Service temporarily unavailable' }
+  SERVICE_UNAVAILABLE: { statusCode: 503, message: 'Service temporarily unavailable' },
+  PROVIDER_UNAVAILABLE: { statusCode: 503, message: 'The OTP provider is unavailable. Please try again later.' },
+  PROVIDER_TIMEOUT: { statusCode: 504, message: 'The OTP provider did not respond in time' },
+  OTP_WAIT_TIMEOUT: { statusCode: 504, message: 'No new OTP arrived in time' },
+  EMAIL_DELIVERY_FAILED: { statusCode: 502, message: 'Email could not be sent' }
 };
 
 /**
@@ -202,6 +268,14 @@ function errorHandler(err, req, res, next) {
     return res.status(validationError.statusCode).json(errorResponse);
   }
 
+  // Handle OTP provider failures that were not translated into an AppError
+  if (err.name === 'ProviderError') {
+    const providerError = getErrorDetails(err.code);
+    errorResponse.error.code = err.code;
+    errorResponse.error.message = providerError.message;
+    return res.status(providerError.statusCode).json(errorResponse);
+  }
+
   // Handle rate limit errors
   if (err.name === 'RateLimitError') {
     errorResponse.error.code = 'RATE_LIMIT_EXCEEDED';
@@ -1,5 +1,11 @@
 const rateLimit = require('express-rate-limit');
-const { RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX_REQUESTS } = require('../config/security');
+const {
+  RATE_LIMIT_WINDOW_MS,
+  RATE_LIMIT_MAX_REQUESTS,
+  AUTH_RATE_LIMIT_WINDOW_MS,
+  AUTH_RATE_LIMIT_MAX,
+  getClientIp
+} = require('../config/security');
 
 /**
  * Rate Limiting Middleware
@@ -38,11 +44,12 @@ const generalLimiter = rateLimit({
 
 /**
  * Strict rate limiter for authentication endpoints
- * More aggressive limits for login attempts
+ * More aggressive limits for login attempts. This is a per-process burst
+ * guard; sustained attacks are handled by loginDefenseService.
  */
 const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // 5 login attempts per 15 minutes
+  windowMs: AUTH_RATE_LIMIT_WINDOW_MS, // 15 minutes
+  max: AUTH_RATE_LIMIT_MAX, // 10 failed login attempts per window
   message: {
     success: false,
     error: {
@@ -55,8 +62,8 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true, // Don't count successful requests
   skipFailedRequests: false,
   keyGenerator: (req) => {
-    // Use IP address as the key
-    return req.ip || req.connection.remoteAddress || 'unknown';
+    // Use the same client IP as the audit log and login defense
+    return getClientIp(req);
   },
   handler: (req, res) => {
     res.status(429).json({
@@ -64,6 +71,130 @@ const authLimiter = rateLimit({
       error: {
         code: 'RATE_LIMIT_EXCEEDED',
         message: 'Too many login attempts. Please try again later.',
+        retryAfter: Math.ceil(AUTH_RATE_LIMIT_WINDOW_MS / 1000)
+      }
+    });
+  }
+});
+
+/**
+ * Password reset rate limiter
+ * Limits reset emails and token guesses per IP
+ */
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 reset requests per 15 minutes
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many password reset requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Too many password reset requests. Please try again later.',
+        retryAfter: 900 // 15 minutes
+      }
+    });
+  }
+});
+
+/**
+ * Invitation rate limiter
+ * Limits invitation token guesses per IP
+ */
+const invitationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 invitation requests per 15 minutes
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many invitation requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Too many invitation requests. Please try again later.',
+        retryAfter: 900 // 15 minutes
+      }
+    });
+  }
+});
+
+/**
+ * Login alert rate limiter
+ * Limits "this wasn't me" token guesses per IP
+ */
+const loginAlertLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 reports per 15 minutes
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Too many requests. Please try again later.',
+        retryAfter: 900 // 15 minutes
+      }
+    });
+  }
+});
+
+/**
+ * Email change rate limiter
+ * Limits profile updates (and so confirmation emails) per user and token
+ * guesses per IP
+ */
+const emailChangeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 requests per 15 minutes
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many email change requests. Please try again later.'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+  keyGenerator: (req) => {
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  },
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'RATE_LIMIT_EXCEEDED',
+        message: 'Too many email change requests. Please try again later.',
         retryAfter: 900 // 15 minutes
       }
     });
@@ -170,6 +301,10 @@ function createCustomLimiter(options) {
 module.exports = {
   generalLimiter,
   authLimiter,
+  passwordResetLimiter,
+  invitationLimiter,
+  loginAlertLimiter,
+  emailChangeLimiter,
   otpLimiter,
   perUserLimiter,
   createCustomLimiter
@@ -1,5 +1,97 @@
 const Joi = require('joi');
 const { AppError } = require('./errorHandler');
+const { API_KEY_SCOPES, INVITATION_MAX_TTL_HOURS } = require('../config/security');
+const { validatePasswordStrength } = require('../config/passwordPolicy');
+const {
+  OTP_WAIT_DEFAULT_TIMEOUT_SECONDS,
+  OTP_WAIT_MAX_TIMEOUT_SECONDS,
+  OTP_STREAM_MAX_NUMBERS
+} = require('../config/otpProviders');
+
+/**
+ * Joi rule applying the configured password strength rules
+ * Breach and history checks run when the password is stored
+ * @param {string} value - Password
+ * @param {Object} helpers - Joi helpers
+ * @returns {string|Object} The password, or a Joi error
+ */
+function passwordStrength(value, helpers) {
+  const result = validatePasswordStrength(value);
+  return result.isValid ? value : helpers.message(result.message);
+}
+
+/**
+ * Joi rule accepting IANA timezone names known to the runtime
+ * @param {string} value - Timezone name
+ * @param {Object} helpers - Joi helpers
+ * @returns {string|Object} The timezone, or a Joi error
+ */
+function timezoneName(value, helpers) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message('timezone must be an IANA timezone such as Europe/London');
+  }
+}
+
+/**
+ * Joi rule turning a wait duration into milliseconds
+ * Accepts '500ms', '30s', '2m' or a plain number of seconds
+ * @param {string} value - Duration
+ * @param {Object} helpers - Joi helpers
+ * @returns {number|Object} Duration in milliseconds, or a Joi error
+ */
+function waitDuration(value, helpers) {
+  const match = /^(\d+)(ms|s|m)?$/.exec(String(value).trim());
+
+  if (!match) {
+    return helpers.message('timeout must be a duration such as 30s, 500ms or 2m');
+  }
+
+  const multipliers = { ms: 1, s: 1000, m: 60000 };
+  const ms = parseInt(match[1], 10) * multipliers[match[2] || 's'];
+
+  if (ms < 1 || ms > OTP_WAIT_MAX_TIMEOUT_SECONDS * 1000) {
+    return helpers.message(`timeout must be between 1ms and ${OTP_WAIT_MAX_TIMEOUT_SECONDS}s`);
+  }
+
+  return ms;
+}
+
+/**
+ * Joi rule turning a comma-separated list of mobile numbers into an array
+ * Repeated query parameters (numbers=a&numbers=b) arrive as an array already
+ * @param {string|Array<string>} value - Mobile numbers
+ * @param {Object} helpers - Joi helpers
+ * @returns {Array<string>|Object} Distinct mobile numbers, or a Joi error
+ */
+function mobileNumberList(value, helpers) {
+  const numbers = [...new Set([].concat(value)
+    .join(',')
+    .split(',')
+    .map(number => number.trim())
+    .filter(Boolean))];
+
+  if (!numbers.length) {
+    return helpers.message('numbers must list at least one mobile number');
+  }
+
+  const invalid = numbers.find(number => !/^\+?[0-9]{10,15}$/.test(number));
+  if (invalid) {
+    return helpers.message(`${invalid} is not a mobile number of 10-15 digits, optionally with + prefix`);
+  }
+
+  if (numbers.length > OTP_STREAM_MAX_NUMBERS) {
+    return helpers.message(`numbers must not list more than ${OTP_STREAM_MAX_NUMBERS} mobile numbers`);
+  }
+
+  return numbers;
+}
+
+// Role names: lowercase letter first, then lowercase letters, digits, '_' or '-'
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+const ROLE_NAME_MESSAGE = 'Role must be 2-50 lowercase letters, digits, underscores or hyphens, starting with a letter';
 
 /**
  * Request Validation Middleware
@@ -31,6 +123,358 @@ const schemas = {
         'string.min': 'Password must be at least 8 characters long',
         'string.max': 'Password must not exceed 100 characters',
         'any.required': 'Password is required'
+      }),
+    useCookies: Joi.boolean()
+      .default(false)
+  }),
+
+  // Refresh token validation schema (browsers send the refresh cookie instead)
+  refreshToken: Joi.object({
+    refreshToken: Joi.string()
+      .max(128)
+      .messages({
+        'string.max': 'Refresh token must not exceed 128 characters'
+      })
+  }),
+
+  // SSO login query validation schema
+  oidcLogin: Joi.object({
+    mode: Joi.string()
+      .valid('fragment', 'cookie')
+      .default('fragment')
+      .messages({
+        'any.only': 'Mode must be fragment or cookie'
+      })
+  }),
+
+  // Forgot password validation schema
+  forgotPassword: Joi.object({
+    email: Joi.string()
+      .email()
+      .max(100)
+      .required()
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'any.required': 'Email is required'
+      })
+  }),
+
+  // Reset password validation schema
+  resetPassword: Joi.object({
+    token: Joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.max': 'Reset token must not exceed 128 characters',
+        'any.required': 'Reset token is required'
+      }),
+    newPassword: Joi.string()
+      .max(100)
+      .required()
+      .messages({
+        'string.max': 'Password must not exceed 100 characters',
+        'any.required': 'New password is required'
+      })
+  }),
+
+  // Invitation link validation schema
+  invitationToken: Joi.object({
+    token: Joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.max': 'Invitation token must not exceed 128 characters',
+        'any.required': 'Invitation token is required'
+      })
+  }),
+
+  // "This wasn't me" report validation schema
+  loginAlertReport: Joi.object({
+    token: Joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.max': 'Token must not exceed 128 characters',
+        'any.required': 'Token is required'
+      })
+  }),
+
+  // Own profile update validation schema (empty or null clears a field)
+  updateProfile: Joi.object({
+    email: Joi.string()
+      .email()
+      .max(100)
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'string.max': 'Email must not exceed 100 characters'
+      }),
+    displayName: Joi.string()
+      .trim()
+      .max(100)
+      .allow(null, '')
+      .messages({
+        'string.max': 'Display name must not exceed 100 characters'
+      }),
+    defaultCountryCode: Joi.string()
+      .pattern(/^\+[1-9][0-9]{0,3}$/)
+      .allow(null, '')
+      .messages({
+        'string.pattern.base': 'Default country code must be + followed by 1-4 digits, e.g. +91'
+      }),
+    timezone: Joi.string()
+      .max(64)
+      .custom(timezoneName, 'timezone')
+      .allow(null, '')
+  })
+    .min(1)
+    .messages({
+      'object.min': 'Provide at least one of email, displayName, defaultCountryCode or timezone'
+    }),
+
+  // Email change confirmation validation schema
+  emailChangeToken: Joi.object({
+    token: Joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.max': 'Token must not exceed 128 characters',
+        'any.required': 'Token is required'
+      })
+  }),
+
+  // Invitation acceptance validation schema
+  acceptInvitation: Joi.object({
+    token: Joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.max': 'Invitation token must not exceed 128 characters',
+        'any.required': 'Invitation token is required'
+      }),
+    username: Joi.string()
+      .alphanum()
+      .min(3)
+      .max(50)
+      .required()
+      .messages({
+        'string.alphanum': 'Username must contain only alphanumeric characters',
+        'string.min': 'Username must be at least 3 characters long',
+        'string.max': 'Username must not exceed 50 characters',
+        'any.required': 'Username is required'
+      }),
+    password: Joi.string()
+      .custom(passwordStrength, 'password policy')
+      .required()
+      .messages({
+        'any.required': 'Password is required'
+      })
+  }),
+
+  // Two-factor code validation schema
+  twoFactorCode: Joi.object({
+    code: Joi.string()
+      .pattern(/^[0-9]{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Code must be 6 digits',
+        'any.required': 'Code is required'
+      })
+  }),
+
+  // Two-factor challenge validation schema
+  twoFactorChallenge: Joi.object({
+    challengeToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Challenge token is required'
+      })
+  }),
+
+  // Two-factor login validation schema
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Challenge token is required'
+      }),
+    code: Joi.string()
+      .pattern(/^[0-9]{6}$/)
+      .messages({
+        'string.pattern.base': 'Code must be 6 digits'
+      }),
+    recoveryCode: Joi.string()
+      .pattern(/^[0-9a-fA-F]{5}-[0-9a-fA-F]{5}$/)
+      .messages({
+        'string.pattern.base': 'Recovery code must look like xxxxx-xxxxx'
+      }),
+    useCookies: Joi.boolean()
+      .default(false)
+  })
+    .xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Either code or recoveryCode is required',
+      'object.xor': 'Provide either code or recoveryCode, not both'
+    }),
+
+  // Two-factor disable validation schema
+  twoFactorDisable: Joi.object({
+    password: Joi.string()
+      .max(100)
+      .required()
+      .messages({
+        'any.required': 'Password is required'
+      }),
+    code: Joi.string()
+      .pattern(/^[0-9]{6}$/)
+      .messages({
+        'string.pattern.base': 'Code must be 6 digits'
+      }),
+    recoveryCode: Joi.string()
+      .pattern(/^[0-9a-fA-F]{5}-[0-9a-fA-F]{5}$/)
+      .messages({
+        'string.pattern.base': 'Recovery code must look like xxxxx-xxxxx'
+      })
+  })
+    .xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Either code or recoveryCode is required',
+      'object.xor': 'Provide either code or recoveryCode, not both'
+    }),
+
+  // Two-factor role policy validation schema
+  twoFactorPolicy: Joi.object({
+    required: Joi.boolean()
+      .required()
+      .messages({
+        'boolean.base': 'required must be a boolean value',
+        'any.required': 'required is required'
+      })
+  }),
+
+  // Session role policy validation schema (null = server default, 0 = unlimited)
+  sessionPolicy: Joi.object({
+    maxSessions: Joi.number()
+      .integer()
+      .min(0)
+      .max(1000)
+      .allow(null)
+      .default(null)
+      .messages({
+        'number.base': 'maxSessions must be a number',
+        'number.min': 'maxSessions cannot be negative',
+        'number.max': 'maxSessions cannot exceed 1000'
+      }),
+    limitAction: Joi.string()
+      .valid('evict_oldest', 'refuse')
+      .allow(null)
+      .default(null)
+      .messages({
+        'any.only': 'limitAction must be evict_oldest or refuse'
+      }),
+    idleTimeoutMinutes: Joi.number()
+      .integer()
+      .min(0)
+      .max(525600)
+      .allow(null)
+      .default(null)
+      .messages({
+        'number.base': 'idleTimeoutMinutes must be a number',
+        'number.min': 'idleTimeoutMinutes cannot be negative',
+        'number.max': 'idleTimeoutMinutes cannot exceed one year'
+      }),
+    maxLifetimeHours: Joi.number()
+      .integer()
+      .min(0)
+      .max(8760)
+      .allow(null)
+      .default(null)
+      .messages({
+        'number.base': 'maxLifetimeHours must be a number',
+        'number.min': 'maxLifetimeHours cannot be negative',
+        'number.max': 'maxLifetimeHours cannot exceed one year'
+      })
+  }),
+
+  // Role route parameter validation schema
+  roleParam: Joi.object({
+    role: Joi.string()
+      .pattern(ROLE_NAME_PATTERN)
+      .required()
+      .messages({
+        'string.pattern.base': ROLE_NAME_MESSAGE
+      })
+  }),
+
+  // Numeric ID route parameter validation schema
+  idParam: Joi.object({
+    id: Joi.number()
+      .integer()
+      .min(1)
+      .required()
+      .messages({
+        'number.base': 'ID must be a number',
+        'any.required': 'ID is required'
+      })
+  }),
+
+  // API key creation validation schema
+  createApiKey: Joi.object({
+    name: Joi.string()
+      .min(3)
+      .max(100)
+      .required()
+      .messages({
+        'string.min': 'Name must be at least 3 characters long',
+        'string.max': 'Name must not exceed 100 characters',
+        'any.required': 'Name is required'
+      }),
+    ownerId: Joi.number()
+      .integer()
+      .min(1)
+      .optional(),
+    scopes: Joi.array()
+      .items(Joi.string().valid(...API_KEY_SCOPES))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'any.only': `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`,
+        'array.min': 'At least one scope is required',
+        'any.required': 'Scopes are required'
+      }),
+    expiresAt: Joi.date()
+      .iso()
+      .optional()
+      .messages({
+        'date.format': 'expiresAt must be an ISO 8601 date'
+      }),
+    allowedNumberPattern: Joi.string()
+      .max(255)
+      .optional()
+      .messages({
+        'string.max': 'Allowed number pattern must not exceed 255 characters'
+      })
+  }),
+
+  // API key list query validation schema
+  apiKeyQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 100'
       })
   }),
 
@@ -67,6 +511,38 @@ const schemas = {
       })
   }),
 
+  // OTP wait query validation schema (timeout is converted to milliseconds)
+  otpWait: Joi.object({
+    since: Joi.date()
+      .messages({
+        'date.base': 'since must be an ISO 8601 date or a timestamp in milliseconds'
+      }),
+    timeout: Joi.alternatives()
+      .try(Joi.string(), Joi.number())
+      .custom(waitDuration)
+      .default(OTP_WAIT_DEFAULT_TIMEOUT_SECONDS * 1000)
+  }),
+
+  // OTP stream query validation schema (numbers is converted to an array)
+  otpStream: Joi.object({
+    numbers: Joi.alternatives()
+      .try(Joi.string(), Joi.array().items(Joi.string()))
+      .custom(mobileNumberList)
+      .required()
+      .messages({
+        'any.required': 'numbers is required'
+      }),
+    // For clients that cannot send a Last-Event-ID header
+    lastEventId: Joi.number()
+      .integer()
+      .min(0)
+      .messages({
+        'number.base': 'lastEventId must be an OTP id',
+        'number.integer': 'lastEventId must be an OTP id',
+        'number.min': 'lastEventId must be an OTP id'
+      })
+  }),
+
   // User creation validation schema
   createUser: Joi.object({
     username: Joi.string()
@@ -81,14 +557,9 @@ const schemas = {
         'any.required': 'Username is required'
       }),
     password: Joi.string()
-      .min(8)
-      .max(100)
-      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .custom(passwordStrength, 'password policy')
       .required()
       .messages({
-        'string.min': 'Password must be at least 8 characters long',
-        'string.max': 'Password must not exceed 100 characters',
-        'string.pattern.base': 'Password must contain uppercase, lowercase letters and numbers',
         'any.required': 'Password is required'
       }),
     email: Joi.string()
@@ -98,10 +569,15 @@ const schemas = {
         'string.email': 'Email must be a valid email address'
       }),
     role: Joi.string()
-      .valid('admin', 'user')
+      .pattern(ROLE_NAME_PATTERN)
       .default('user')
       .messages({
-        'any.only': 'Role must be either admin or user'
+        'string.pattern.base': ROLE_NAME_MESSAGE
+      }),
+    passwordChangeRequired: Joi.boolean()
+      .default(true)
+      .messages({
+        'boolean.base': 'passwordChangeRequired must be a boolean value'
       })
   }),
 
@@ -109,15 +585,16 @@ const schemas = {
   updateUser: Joi.object({
     email: Joi.string()
       .email()
+      .allow(null)
       .optional()
       .messages({
         'string.email': 'Email must be a valid email address'
       }),
     role: Joi.string()
-      .valid('admin', 'user')
+      .pattern(ROLE_NAME_PATTERN)
       .optional()
       .messages({
-        'any.only': 'Role must be either admin or user'
+        'string.pattern.base': ROLE_NAME_MESSAGE
       }),
     is_active: Joi.boolean()
       .optional()
@@ -125,6 +602,395 @@ const schemas = {
         'boolean.base': 'is_active must be a boolean value'
       })
   })
+    .min(1)
+    .messages({
+      'object.min': 'At least one of email, role or is_active is required'
+    }),
+
+  // Role creation validation schema
+  createRole: Joi.object({
+    name: Joi.string()
+      .pattern(ROLE_NAME_PATTERN)
+      .required()
+      .messages({
+        'string.pattern.base': ROLE_NAME_MESSAGE,
+        'any.required': 'Name is required'
+      }),
+    description: Joi.string()
+      .max(255)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Description must not exceed 255 characters'
+      }),
+    permissions: Joi.array()
+      .items(Joi.string())
+      .unique()
+      .default([])
+      .messages({
+        'array.unique': 'Permissions must not contain duplicates'
+      })
+  }),
+
+  // Role update validation schema
+  updateRole: Joi.object({
+    description: Joi.string()
+      .max(255)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Description must not exceed 255 characters'
+      }),
+    permissions: Joi.array()
+      .items(Joi.string())
+      .unique()
+      .optional()
+      .messages({
+        'array.unique': 'Permissions must not contain duplicates'
+      })
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one of description or permissions is required'
+    }),
+
+  // Team creation validation schema
+  createTeam: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .required()
+      .messages({
+        'string.min': 'Name must be at least 2 characters long',
+        'string.max': 'Name must not exceed 100 characters',
+        'any.required': 'Name is required'
+      }),
+    description: Joi.string()
+      .max(255)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Description must not exceed 255 characters'
+      })
+  }),
+
+  // Team update validation schema
+  updateTeam: Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .optional()
+      .messages({
+        'string.min': 'Name must be at least 2 characters long',
+        'string.max': 'Name must not exceed 100 characters'
+      }),
+    description: Joi.string()
+      .max(255)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Description must not exceed 255 characters'
+      })
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one of name or description is required'
+    }),
+
+  // Team member route parameter validation schema
+  teamMemberParams: Joi.object({
+    id: Joi.number()
+      .integer()
+      .min(1)
+      .required()
+      .messages({
+        'number.base': 'ID must be a number',
+        'any.required': 'ID is required'
+      }),
+    userId: Joi.number()
+      .integer()
+      .min(1)
+      .required()
+      .messages({
+        'number.base': 'User ID must be a number',
+        'any.required': 'User ID is required'
+      })
+  }),
+
+  // Number access rule creation validation schema
+  createNumberRule: Joi.object({
+    effect: Joi.string()
+      .valid('allow', 'deny')
+      .required()
+      .messages({
+        'any.only': 'Effect must be either allow or deny',
+        'any.required': 'Effect is required'
+      }),
+    matchType: Joi.string()
+      .valid('exact', 'prefix', 'regex')
+      .required()
+      .messages({
+        'any.only': 'matchType must be one of: exact, prefix, regex',
+        'any.required': 'matchType is required'
+      }),
+    pattern: Joi.string()
+      .max(255)
+      .required()
+      .messages({
+        'string.max': 'Pattern must not exceed 255 characters',
+        'any.required': 'Pattern is required'
+      }),
+    userId: Joi.number().integer().min(1),
+    roleId: Joi.number().integer().min(1),
+    teamId: Joi.number().integer().min(1),
+    description: Joi.string()
+      .max(255)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Description must not exceed 255 characters'
+      })
+  })
+    .xor('userId', 'roleId', 'teamId')
+    .messages({
+      'object.missing': 'One of userId, roleId or teamId is required',
+      'object.xor': 'Provide only one of userId, roleId or teamId'
+    }),
+
+  // Number access rule update validation schema
+  updateNumberRule: Joi.object({
+    effect: Joi.string()
+      .valid('allow', 'deny')
+      .optional()
+      .messages({
+        'any.only': 'Effect must be either allow or deny'
+      }),
+    matchType: Joi.string()
+      .valid('exact', 'prefix', 'regex')
+      .optional()
+      .messages({
+        'any.only': 'matchType must be one of: exact, prefix, regex'
+      }),
+    pattern: Joi.string()
+      .max(255)
+      .optional()
+      .messages({
+        'string.max': 'Pattern must not exceed 255 characters'
+      }),
+    description: Joi.string()
+      .max(255)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.max': 'Description must not exceed 255 characters'
+      })
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one of effect, matchType, pattern or description is required'
+    }),
+
+  // Number access rule list query validation schema
+  numberRuleQuery: Joi.object({
+    userId: Joi.number().integer().min(1).optional(),
+    roleId: Joi.number().integer().min(1).optional(),
+    teamId: Joi.number().integer().min(1).optional()
+  }),
+
+  // Number access test validation schema
+  testNumberRule: Joi.object({
+    userId: Joi.number()
+      .integer()
+      .min(1)
+      .required()
+      .messages({
+        'any.required': 'userId is required'
+      }),
+    mobileNumber: Joi.string()
+      .pattern(/^\+?[0-9]{10,15}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Mobile number must be 10-15 digits, optionally with + prefix',
+        'any.required': 'Mobile number is required'
+      })
+  }),
+
+  // Impersonation route parameter validation schema
+  impersonateParams: Joi.object({
+    userId: Joi.number()
+      .integer()
+      .min(1)
+      .required()
+      .messages({
+        'number.base': 'User ID must be a number',
+        'any.required': 'User ID is required'
+      })
+  }),
+
+  // Impersonation validation schema
+  impersonate: Joi.object({
+    reason: Joi.string()
+      .max(255)
+      .allow('')
+      .messages({
+        'string.max': 'Reason must not exceed 255 characters'
+      }),
+    useCookies: Joi.boolean()
+      .default(false)
+  }),
+
+  // Invitation creation validation schema
+  createInvitation: Joi.object({
+    email: Joi.string()
+      .email()
+      .max(100)
+      .required()
+      .messages({
+        'string.email': 'Email must be a valid email address',
+        'any.required': 'Email is required'
+      }),
+    role: Joi.string()
+      .pattern(ROLE_NAME_PATTERN)
+      .default('user')
+      .messages({
+        'string.pattern.base': ROLE_NAME_MESSAGE
+      }),
+    expiresInHours: Joi.number()
+      .integer()
+      .min(1)
+      .max(INVITATION_MAX_TTL_HOURS)
+      .optional()
+      .messages({
+        'number.integer': 'expiresInHours must be an integer',
+        'number.min': 'expiresInHours must be at least 1',
+        'number.max': `expiresInHours must not exceed ${INVITATION_MAX_TTL_HOURS}`
+      })
+  }),
+
+  // Invitation resend validation schema
+  resendInvitation: Joi.object({
+    expiresInHours: Joi.number()
+      .integer()
+      .min(1)
+      .max(INVITATION_MAX_TTL_HOURS)
+      .optional()
+      .messages({
+        'number.integer': 'expiresInHours must be an integer',
+        'number.min': 'expiresInHours must be at least 1',
+        'number.max': `expiresInHours must not exceed ${INVITATION_MAX_TTL_HOURS}`
+      })
+  }),
+
+  // Invitation list query validation schema
+  invitationQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 100'
+      }),
+    status: Joi.string()
+      .valid('pending', 'all')
+      .default('pending')
+      .messages({
+        'any.only': 'Status must be either pending or all'
+      }),
+    email: Joi.string()
+      .email()
+      .optional()
+      .messages({
+        'string.email': 'Email must be a valid email address'
+      })
+  }),
+
+  // IP block list query validation schema
+  ipBlockQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 100'
+      }),
+    status: Joi.string()
+      .valid('active', 'all')
+      .default('active')
+      .messages({
+        'any.only': 'Status must be either active or all'
+      }),
+    ipAddress: Joi.string()
+      .ip()
+      .optional()
+      .messages({
+        'string.ip': 'ipAddress must be a valid IP address'
+      })
+  }),
+
+  // User list query validation schema
+  userQuery: Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.integer': 'Page must be an integer',
+        'number.min': 'Page must be at least 1'
+      }),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.integer': 'Limit must be an integer',
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit must not exceed 100'
+      }),
+    search: Joi.string()
+      .trim()
+      .max(100)
+      .optional()
+      .messages({
+        'string.max': 'Search must not exceed 100 characters'
+      }),
+    role: Joi.string()
+      .pattern(ROLE_NAME_PATTERN)
+      .optional()
+      .messages({
+        'string.pattern.base': ROLE_NAME_MESSAGE
+      }),
+    status: Joi.string()
+      .valid('active', 'inactive')
+      .optional()
+      .messages({
+        'any.only': 'Status must be either active or inactive'
+      })
+  })
 };
 
 /**
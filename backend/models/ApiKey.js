@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * API Key Model
+ * Handles machine API keys, stored as SHA-256 hashes
+ */
+
+const KEY_PREFIX = 'otpf';
+
+/**
+ * Hash a raw API key for storage and lookup
+ * @param {string} key - Raw API key
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new raw API key
+ * The short prefix is stored in clear so keys can be recognised in listings
+ * @returns {Object} Raw key and its display prefix
+ */
+function generateKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return {
+    key: `${KEY_PREFIX}_${prefix}_${secret}`,
+    prefix
+  };
+}
+
+/**
+ * Parse the JSON scopes column
+ * @param {Object|null} apiKey - API key row
+ * @returns {Object|null} API key with scopes as an array
+ */
+function parseScopes(apiKey) {
+  if (!apiKey) return apiKey;
+  return {
+    ...apiKey,
+    scopes: typeof apiKey.scopes === 'string' ? JSON.parse(apiKey.scopes) : apiKey.scopes
+  };
+}
+
+/**
+ * Create a new API key
+ * @param {Object} keyData - API key data
+ * @param {string} keyData.name - Descriptive name
+ * @param {number} keyData.ownerId - User the key acts as
+ * @param {string} keyData.key - Raw API key
+ * @param {string} keyData.prefix - Display prefix
+ * @param {Array<string>} keyData.scopes - Granted scopes
+ * @param {string|null} keyData.allowedNumberPattern - Regex for permitted numbers (optional)
+ * @param {Date|null} keyData.expiresAt - Expiration timestamp (optional)
+ * @param {number} keyData.createdBy - Admin who created the key
+ * @returns {Promise<number>} New API key ID
+ */
+async function create(keyData) {
+  const { name, ownerId, key, prefix, scopes, allowedNumberPattern, expiresAt, createdBy } = keyData;
+
+  const sql = `
+    INSERT INTO api_keys (name, owner_id, key_prefix, key_hash, scopes, allowed_number_pattern, expires_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  return await db.insert(sql, [
+    name,
+    ownerId,
+    prefix,
+    hashKey(key),
+    JSON.stringify(scopes),
+    allowedNumberPattern || null,
+    expiresAt || null,
+    createdBy
+  ]);
+}
+
+/**
+ * Find API key by raw key value
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object|null>} API key object or null
+ */
+async function findByKey(key) {
+  const sql = `
+    SELECT id, name, owner_id, key_prefix, scopes, allowed_number_pattern,
+           expires_at, created_by, created_at, last_used_at, revoked_at
+    FROM api_keys
+    WHERE key_hash = ?
+  `;
+  return parseScopes(await db.queryOne(sql, [hashKey(key)]));
+}
+
+/**
+ * Find API key by ID
+ * @param {number} id - API key ID
+ * @returns {Promise<Object|null>} API key object or null
+ */
+async function findById(id) {
+  const sql = `
+    SELECT id, name, owner_id, key_prefix, scopes, allowed_number_pattern,
+           expires_at, created_by, created_at, last_used_at, revoked_at
+    FROM api_keys
+    WHERE id = ?
+  `;
+  return parseScopes(await db.queryOne(sql, [id]));
+}
+
+/**
+ * Get all API keys with pagination
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} API keys and pagination info
+ */
+async function getAll(page = 1, limit = 20) {
+  const offset = (page - 1) * limit;
+
+  const countSql = 'SELECT COUNT(*) as total FROM api_keys';
+  const [{ total }] = await db.query(countSql);
+
+  const sql = `
+    SELECT k.id, k.name, k.owner_id, k.key_prefix, k.scopes, k.allowed_number_pattern,
+           k.expires_at, k.created_by, k.created_at, k.last_used_at, k.revoked_at,
+           u.username AS owner_username
+    FROM api_keys k
+    LEFT JOIN users u ON k.owner_id = u.id
+    ORDER BY k.created_at DESC
+    LIMIT ? OFFSET ?
+  `;
+  const apiKeys = await db.query(sql, [limit, offset]);
+
+  return {
+    apiKeys: apiKeys.map(parseScopes),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Update API key last used time
+ * @param {number} id - API key ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function updateLastUsed(id) {
+  const sql = `
+    UPDATE api_keys
+    SET last_used_at = NOW()
+    WHERE id = ?
+  `;
+  return await db.update(sql, [id]);
+}
+
+/**
+ * Revoke an API key
+ * @param {number} id - API key ID
+ * @param {number} revokedBy - Admin who revoked the key
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function revoke(id, revokedBy) {
+  const sql = `
+    UPDATE api_keys
+    SET revoked_at = NOW(), revoked_by = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `;
+  return await db.update(sql, [revokedBy, id]);
+}
+
+module.exports = {
+  hashKey,
+  generateKey,
+  create,
+  findByKey,
+  findById,
+  getAll,
+  updateLastUsed,
+  revoke
+};
@@ -260,6 +260,31 @@ async function getFailedLoginAttempts(userId, hours = 1) {
   return result ? result.count : 0;
 }
 
+/**
+ * Count a user's failed password and second-factor attempts since their last
+ * successful login
+ * @param {number} userId - User ID
+ * @param {number} hours - Number of hours to look back
+ * @returns {Promise<number>} Count of failed attempts
+ */
+async function countFailuresSinceLastLogin(userId, hours = 1) {
+  const sql = `
+    SELECT COUNT(*) as count
+    FROM audit_log
+    WHERE user_id = ?
+      AND action IN ('login', '2fa_verify')
+      AND status = 'failure'
+      AND created_at > DATE_SUB(NOW(), INTERVAL ? HOUR)
+      AND created_at > COALESCE((
+        SELECT MAX(created_at)
+        FROM audit_log
+        WHERE user_id = ? AND action = 'login' AND status = 'success'
+      ), '1970-01-01')
+  `;
+  const result = await db.queryOne(sql, [userId, hours, userId]);
+  return result ? result.count : 0;
+}
+
 /**
  * Get audit log statistics
  * @returns {Promise<Object>} Audit log statistics
@@ -365,6 +390,7 @@ module.exports = {
   getAll,
   findByStatus,
   getFailedLoginAttempts,
+  countFailuresSinceLastLogin,
   getStatistics,
   getRecent,
   deleteOlderThan,
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Email Change Request Model
+ * Handles pending email changes, confirmed through single-use tokens stored
+ * as SHA-256 hashes
+ */
+
+/**
+ * Hash a raw confirmation token for storage and lookup
+ * @param {string} token - Raw confirmation token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new raw confirmation token
+ * @returns {string} Random URL-safe token
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Create a new email change request
+ * @param {Object} requestData - Request data
+ * @param {number} requestData.userId - User ID
+ * @param {string} requestData.newEmail - Address to change to
+ * @param {string} requestData.token - Raw confirmation token
+ * @param {Date} requestData.expiresAt - Expiration timestamp
+ * @returns {Promise<number>} New request ID
+ */
+async function create(requestData) {
+  const { userId, newEmail, token, expiresAt } = requestData;
+
+  const sql = `
+    INSERT INTO email_change_requests (user_id, new_email, token_hash, expires_at)
+    VALUES (?, ?, ?, ?)
+  `;
+
+  return await db.insert(sql, [userId, newEmail, hashToken(token), expiresAt]);
+}
+
+/**
+ * Find an unconfirmed, unexpired request by its raw token
+ * @param {string} token - Raw confirmation token
+ * @returns {Promise<Object|null>} Request object or null
+ */
+async function findValidByToken(token) {
+  const sql = `
+    SELECT id, user_id, new_email, expires_at, created_at
+    FROM email_change_requests
+    WHERE token_hash = ? AND confirmed_at IS NULL AND expires_at > NOW()
+  `;
+  return await db.queryOne(sql, [hashToken(token)]);
+}
+
+/**
+ * Find a user's newest pending request
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Request object or null
+ */
+async function findPendingByUserId(userId) {
+  const sql = `
+    SELECT id, user_id, new_email, expires_at, created_at
+    FROM email_change_requests
+    WHERE user_id = ? AND confirmed_at IS NULL AND expires_at > NOW()
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+  return await db.queryOne(sql, [userId]);
+}
+
+/**
+ * Mark a request as confirmed
+ * Only succeeds once, so a link cannot be redeemed twice concurrently
+ * @param {number} requestId - Request ID
+ * @returns {Promise<number>} Number of affected rows (0 if already confirmed)
+ */
+async function markAsConfirmed(requestId) {
+  const sql = `
+    UPDATE email_change_requests
+    SET confirmed_at = NOW()
+    WHERE id = ? AND confirmed_at IS NULL
+  `;
+  return await db.update(sql, [requestId]);
+}
+
+/**
+ * Invalidate all pending requests for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function invalidateAllByUserId(userId) {
+  const sql = `
+    UPDATE email_change_requests
+    SET expires_at = NOW()
+    WHERE user_id = ? AND confirmed_at IS NULL AND expires_at > NOW()
+  `;
+  return await db.update(sql, [userId]);
+}
+
+/**
+ * Delete expired requests
+ * @returns {Promise<number>} Number of deleted rows
+ */
+async function deleteExpired() {
+  const sql = `
+    DELETE FROM email_change_requests
+    WHERE expires_at < NOW()
+  `;
+  return await db.remove(sql);
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  create,
+  findValidByToken,
+  findPendingByUserId,
+  markAsConfirmed,
+  invalidateAllByUserId,
+  deleteExpired
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Invitation Model
+ * Handles single-use account invitations, with tokens stored as SHA-256 hashes
+ */
+
+const INVITATION_COLUMNS = `
+  i.id, i.email, i.role, i.expires_at, i.invited_by, i.send_count, i.last_sent_at,
+  i.accepted_at, i.user_id, i.revoked_at, i.revoked_by, i.created_at,
+  inviter.username AS invited_by_username
+`;
+
+// Invitations that can still be accepted
+const PENDING_CONDITION = 'i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()';
+
+/**
+ * Hash a raw invitation token for storage and lookup
+ * @param {string} token - Raw invitation token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new raw invitation token
+ * @returns {string} Random URL-safe token
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Create a new invitation
+ * @param {Object} invitationData - Invitation data
+ * @param {string} invitationData.email - Invitee email address
+ * @param {string} invitationData.role - Role the new account will get
+ * @param {string} invitationData.token - Raw invitation token
+ * @param {Date} invitationData.expiresAt - Expiration timestamp
+ * @param {number} invitationData.invitedBy - Admin who sent the invitation
+ * @returns {Promise<number>} New invitation ID
+ */
+async function create(invitationData) {
+  const { email, role, token, expiresAt, invitedBy } = invitationData;
+
+  const sql = `
+    INSERT INTO invitations (email, role, token_hash, expires_at, invited_by)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+
+  return await db.insert(sql, [email, role, hashToken(token), expiresAt, invitedBy]);
+}
+
+/**
+ * Find invitation by ID
+ * @param {number} invitationId - Invitation ID
+ * @returns {Promise<Object|null>} Invitation object or null
+ */
+async function findById(invitationId) {
+  const sql = `
+    SELECT ${INVITATION_COLUMNS}
+    FROM invitations i
+    LEFT JOIN users inviter ON inviter.id = i.invited_by
+    WHERE i.id = ?
+  `;
+  return await db.queryOne(sql, [invitationId]);
+}
+
+/**
+ * Find a pending invitation by its raw token
+ * @param {string} token - Raw invitation token
+ * @returns {Promise<Object|null>} Invitation object or null
+ */
+async function findPendingByToken(token) {
+  const sql = `
+    SELECT ${INVITATION_COLUMNS}
+    FROM invitations i
+    LEFT JOIN users inviter ON inviter.id = i.invited_by
+    WHERE i.token_hash = ? AND ${PENDING_CONDITION}
+  `;
+  return await db.queryOne(sql, [hashToken(token)]);
+}
+
+/**
+ * Find a pending invitation for an email address
+ * @param {string} email - Invitee email address
+ * @returns {Promise<Object|null>} Invitation object or null
+ */
+async function findPendingByEmail(email) {
+  const sql = `
+    SELECT ${INVITATION_COLUMNS}
+    FROM invitations i
+    LEFT JOIN users inviter ON inviter.id = i.invited_by
+    WHERE i.email = ? AND ${PENDING_CONDITION}
+    LIMIT 1
+  `;
+  return await db.queryOne(sql, [email]);
+}
+
+/**
+ * Get invitations with pagination
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {Object} filters - Filters
+ * @param {boolean} filters.pendingOnly - Only invitations that can still be accepted
+ * @param {string} filters.email - Only invitations for this email (optional)
+ * @returns {Promise<Object>} Invitations with pagination
+ */
+async function getAll(page = 1, limit = 20, filters = {}) {
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+
+  if (filters.pendingOnly) {
+    conditions.push(PENDING_CONDITION);
+  }
+
+  if (filters.email) {
+    conditions.push('i.email = ?');
+    params.push(filters.email);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countSql = `SELECT COUNT(*) as total FROM invitations i ${where}`;
+  const [{ total }] = await db.query(countSql, params);
+
+  const sql = `
+    SELECT ${INVITATION_COLUMNS}
+    FROM invitations i
+    LEFT JOIN users inviter ON inviter.id = i.invited_by
+    ${where}
+    ORDER BY i.created_at DESC
+    LIMIT ? OFFSET ?
+  `;
+  const invitations = await db.query(sql, [...params, limit, offset]);
+
+  return {
+    invitations,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Replace the token of a pending invitation and extend its expiry
+ * The link in any earlier email stops working
+ * @param {number} invitationId - Invitation ID
+ * @param {string} token - New raw invitation token
+ * @param {Date} expiresAt - New expiration timestamp
+ * @returns {Promise<number>} Number of affected rows (0 if no longer pending)
+ */
+async function renew(invitationId, token, expiresAt) {
+  const sql = `
+    UPDATE invitations i
+    SET i.token_hash = ?, i.expires_at = ?, i.send_count = i.send_count + 1, i.last_sent_at = NOW()
+    WHERE i.id = ? AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+  `;
+  return await db.update(sql, [hashToken(token), expiresAt, invitationId]);
+}
+
+/**
+ * Mark a pending invitation as accepted
+ * Only succeeds once, so an invitation cannot be redeemed twice concurrently
+ * @param {number} invitationId - Invitation ID
+ * @returns {Promise<number>} Number of affected rows (0 if no longer pending)
+ */
+async function markAsAccepted(invitationId) {
+  const sql = `
+    UPDATE invitations i
+    SET i.accepted_at = NOW()
+    WHERE i.id = ? AND ${PENDING_CONDITION}
+  `;
+  return await db.update(sql, [invitationId]);
+}
+
+/**
+ * Undo markAsAccepted when the account could not be created
+ * @param {number} invitationId - Invitation ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function releaseAcceptance(invitationId) {
+  const sql = `
+    UPDATE invitations
+    SET accepted_at = NULL
+    WHERE id = ? AND user_id IS NULL
+  `;
+  return await db.update(sql, [invitationId]);
+}
+
+/**
+ * Link an accepted invitation to the account created from it
+ * @param {number} invitationId - Invitation ID
+ * @param {number} userId - New user ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function setUser(invitationId, userId) {
+  const sql = `
+    UPDATE invitations
+    SET user_id = ?
+    WHERE id = ?
+  `;
+  return await db.update(sql, [userId, invitationId]);
+}
+
+/**
+ * Revoke an invitation that has not been accepted
+ * @param {number} invitationId - Invitation ID
+ * @param {number} revokedBy - Admin who revoked the invitation
+ * @returns {Promise<number>} Number of affected rows (0 if accepted or already revoked)
+ */
+async function revoke(invitationId, revokedBy) {
+  const sql = `
+    UPDATE invitations
+    SET revoked_at = NOW(), revoked_by = ?
+    WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL
+  `;
+  return await db.update(sql, [revokedBy, invitationId]);
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  create,
+  findById,
+  findPendingByToken,
+  findPendingByEmail,
+  getAll,
+  renew,
+  markAsAccepted,
+  releaseAcceptance,
+  setUser,
+  revoke
+};
@@ -0,0 +1,154 @@
+const db = require('../config/database');
+
+/**
+ * IP Block Model
+ * Handles temporary login blocks on IP addresses
+ */
+
+/**
+ * Find the active block for an IP, if any
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object|null>} Block object or null
+ */
+async function findActiveByIp(ipAddress) {
+  const sql = `
+    SELECT id, ip_address, reason, failure_count, username_count, escalation_level,
+           blocked_until, created_at, cleared_at, cleared_by
+    FROM ip_blocks
+    WHERE ip_address = ?
+      AND blocked_until > NOW()
+      AND cleared_at IS NULL
+    ORDER BY blocked_until DESC
+    LIMIT 1
+  `;
+  return await db.queryOne(sql, [ipAddress]);
+}
+
+/**
+ * Find block by ID
+ * @param {number} blockId - Block ID
+ * @returns {Promise<Object|null>} Block object or null
+ */
+async function findById(blockId) {
+  const sql = `
+    SELECT id, ip_address, reason, failure_count, username_count, escalation_level,
+           blocked_until, created_at, cleared_at, cleared_by
+    FROM ip_blocks
+    WHERE id = ?
+  `;
+  return await db.queryOne(sql, [blockId]);
+}
+
+/**
+ * Count the blocks an IP received recently, cleared ones included
+ * @param {string} ipAddress - Client IP address
+ * @param {number} days - How far back to look
+ * @returns {Promise<number>} Number of blocks
+ */
+async function countRecentByIp(ipAddress, days) {
+  const sql = `
+    SELECT COUNT(*) as count
+    FROM ip_blocks
+    WHERE ip_address = ?
+      AND created_at > DATE_SUB(NOW(), INTERVAL ? DAY)
+  `;
+  const result = await db.queryOne(sql, [ipAddress, days]);
+  return result ? Number(result.count) : 0;
+}
+
+/**
+ * Block an IP
+ * @param {Object} blockData - Block data
+ * @param {string} blockData.ipAddress - Client IP address
+ * @param {string} blockData.reason - 'too_many_failures' or 'too_many_usernames'
+ * @param {number} blockData.failureCount - Failures in the counting window
+ * @param {number} blockData.usernameCount - Distinct usernames in the counting window
+ * @param {number} blockData.escalationLevel - Number of earlier blocks in the escalation period
+ * @param {Date} blockData.blockedUntil - When the block ends
+ * @returns {Promise<number>} New block ID
+ */
+async function create(blockData) {
+  const { ipAddress, reason, failureCount, usernameCount, escalationLevel, blockedUntil } = blockData;
+
+  const sql = `
+    INSERT INTO ip_blocks
+      (ip_address, reason, failure_count, username_count, escalation_level, blocked_until)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+  return await db.insert(sql, [ipAddress, reason, failureCount, usernameCount, escalationLevel, blockedUntil]);
+}
+
+/**
+ * Get blocks with pagination
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @param {Object} filters - Filters
+ * @param {boolean} filters.activeOnly - Only blocks still in force
+ * @param {string} filters.ipAddress - Only blocks of this IP (optional)
+ * @returns {Promise<Object>} Blocks with pagination
+ */
+async function getAll(page = 1, limit = 20, filters = {}) {
+  const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
+
+  if (filters.activeOnly) {
+    conditions.push('blocked_until > NOW() AND cleared_at IS NULL');
+  }
+
+  if (filters.ipAddress) {
+    conditions.push('ip_address = ?');
+    params.push(filters.ipAddress);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countSql = `SELECT COUNT(*) as total FROM ip_blocks ${where}`;
+  const [{ total }] = await db.query(countSql, params);
+
+  const sql = `
+    SELECT id, ip_address, reason, failure_count, username_count, escalation_level,
+           blocked_until, created_at, cleared_at, cleared_by
+    FROM ip_blocks
+    ${where}
+    ORDER BY created_at DESC
+    LIMIT ? OFFSET ?
+  `;
+  const blocks = await db.query(sql, [...params, limit, offset]);
+
+  return {
+    blocks,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Lift every active block of an IP
+ * @param {string} ipAddress - Client IP address
+ * @param {number} clearedBy - Admin who cleared the block
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function clearByIp(ipAddress, clearedBy) {
+  const sql = `
+    UPDATE ip_blocks
+    SET cleared_at = NOW(), cleared_by = ?
+    WHERE ip_address = ?
+      AND blocked_until > NOW()
+      AND cleared_at IS NULL
+  `;
+  return await db.update(sql, [clearedBy, ipAddress]);
+}
+
+module.exports = {
+  findActiveByIp,
+  findById,
+  countRecentByIp,
+  create,
+  getAll,
+  clearByIp
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Login Alert Model
+ * Handles suspicious-login alerts and their single-use "this wasn't me"
+ * tokens, stored as SHA-256 hashes
+ */
+
+/**
+ * Hash a raw report token for storage and lookup
+ * @param {string} token - Raw report token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new raw report token
+ * @returns {string} Random URL-safe token
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Create a new login alert
+ * @param {Object} alertData - Alert data
+ * @param {number} alertData.userId - User ID
+ * @param {number} alertData.sessionId - Session the suspicious login created
+ * @param {Array<string>} alertData.reasons - Why the login looked suspicious
+ * @param {string} alertData.ipAddress - IP address of the login
+ * @param {string} alertData.userAgent - User agent of the login
+ * @param {string} alertData.token - Raw report token
+ * @param {Date} alertData.expiresAt - When the report link stops working
+ * @returns {Promise<number>} New alert ID
+ */
+async function create(alertData) {
+  const { userId, sessionId, reasons, ipAddress, userAgent, token, expiresAt } = alertData;
+
+  const sql = `
+    INSERT INTO login_alerts (user_id, session_id, reasons, ip_address, user_agent, token_hash, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  return await db.insert(sql, [
+    userId,
+    sessionId,
+    JSON.stringify(reasons),
+    ipAddress,
+    userAgent,
+    hashToken(token),
+    expiresAt
+  ]);
+}
+
+/**
+ * Find an unreported, unexpired alert by its raw report token
+ * @param {string} token - Raw report token
+ * @returns {Promise<Object|null>} Alert object or null
+ */
+async function findValidByToken(token) {
+  const sql = `
+    SELECT id, user_id, session_id, reasons, ip_address, user_agent, expires_at, created_at
+    FROM login_alerts
+    WHERE token_hash = ? AND reported_at IS NULL AND expires_at > NOW()
+  `;
+  return await db.queryOne(sql, [hashToken(token)]);
+}
+
+/**
+ * Mark an alert as reported by the user
+ * Only succeeds once, so a link cannot be used twice concurrently
+ * @param {number} alertId - Alert ID
+ * @returns {Promise<number>} Number of affected rows (0 if already reported)
+ */
+async function markAsReported(alertId) {
+  const sql = `
+    UPDATE login_alerts
+    SET reported_at = NOW()
+    WHERE id = ? AND reported_at IS NULL
+  `;
+  return await db.update(sql, [alertId]);
+}
+
+/**
+ * Delete alerts whose report link has expired
+ * @returns {Promise<number>} Number of deleted rows
+ */
+async function deleteExpired() {
+  const sql = `
+    DELETE FROM login_alerts
+    WHERE expires_at < NOW()
+  `;
+  return await db.remove(sql);
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  create,
+  findValidByToken,
+  markAsReported,
+  deleteExpired
+};
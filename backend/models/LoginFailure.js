@@ -0,0 +1,120 @@
+const db = require('../config/database');
+
+/**
+ * Login Failure Model
+ * Handles recent failed password logins, counted per IP and username
+ */
+
+/**
+ * Record a failed login
+ * @param {string} ipAddress - Client IP address
+ * @param {string} username - Username as entered (stored lower-cased)
+ * @returns {Promise<number>} New row ID
+ */
+async function create(ipAddress, username) {
+  const sql = `
+    INSERT INTO login_failures (ip_address, username)
+    VALUES (?, ?)
+  `;
+  return await db.insert(sql, [ipAddress, username.toLowerCase()]);
+}
+
+/**
+ * Count recent failures from an IP and the usernames they targeted
+ * @param {string} ipAddress - Client IP address
+ * @param {number} minutes - Counting window
+ * @returns {Promise<Object>} failures and usernames
+ */
+async function countByIp(ipAddress, minutes) {
+  const sql = `
+    SELECT COUNT(*) as failures, COUNT(DISTINCT username) as usernames
+    FROM login_failures
+    WHERE ip_address = ?
+      AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `;
+  const result = await db.queryOne(sql, [ipAddress, minutes]);
+  return {
+    failures: result ? Number(result.failures) : 0,
+    usernames: result ? Number(result.usernames) : 0
+  };
+}
+
+/**
+ * Count recent failures for a username from any IP
+ * @param {string} username - Username
+ * @param {number} minutes - Counting window
+ * @returns {Promise<number>} Number of failures
+ */
+async function countByUsername(username, minutes) {
+  const sql = `
+    SELECT COUNT(*) as count
+    FROM login_failures
+    WHERE username = ?
+      AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `;
+  const result = await db.queryOne(sql, [username.toLowerCase(), minutes]);
+  return result ? Number(result.count) : 0;
+}
+
+/**
+ * Count recent failures for a username from one IP
+ * @param {string} ipAddress - Client IP address
+ * @param {string} username - Username
+ * @param {number} minutes - Counting window
+ * @returns {Promise<number>} Number of failures
+ */
+async function countByIpAndUsername(ipAddress, username, minutes) {
+  const sql = `
+    SELECT COUNT(*) as count
+    FROM login_failures
+    WHERE ip_address = ?
+      AND username = ?
+      AND created_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `;
+  const result = await db.queryOne(sql, [ipAddress, username.toLowerCase(), minutes]);
+  return result ? Number(result.count) : 0;
+}
+
+/**
+ * Forget the failures of a username from one IP (after a successful login)
+ * @param {string} ipAddress - Client IP address
+ * @param {string} username - Username
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteByIpAndUsername(ipAddress, username) {
+  const sql = 'DELETE FROM login_failures WHERE ip_address = ? AND username = ?';
+  return await db.remove(sql, [ipAddress, username.toLowerCase()]);
+}
+
+/**
+ * Forget every failure from an IP (when an admin clears its block)
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteByIp(ipAddress) {
+  const sql = 'DELETE FROM login_failures WHERE ip_address = ?';
+  return await db.remove(sql, [ipAddress]);
+}
+
+/**
+ * Delete failures older than the counting window
+ * @param {number} minutes - Counting window
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteOlderThan(minutes) {
+  const sql = `
+    DELETE FROM login_failures
+    WHERE created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+  `;
+  return await db.remove(sql, [minutes]);
+}
+
+module.exports = {
+  create,
+  countByIp,
+  countByUsername,
+  countByIpAndUsername,
+  deleteByIpAndUsername,
+  deleteByIp,
+  deleteOlderThan
+};
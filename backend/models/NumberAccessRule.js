@@ -0,0 +1,167 @@
+const db = require('../config/database');
+
+/**
+ * Number Access Rule Model
+ * Handles allow/deny rules for the mobile numbers users may fetch OTPs for
+ */
+
+const RULE_COLUMNS = `
+  nar.id, nar.effect, nar.match_type, nar.pattern, nar.description,
+  nar.user_id, u.username,
+  nar.role_id, r.name as role_name,
+  nar.team_id, t.name as team_name,
+  nar.created_by, nar.created_at, nar.updated_at
+`;
+
+const RULE_JOINS = `
+  LEFT JOIN users u ON u.id = nar.user_id
+  LEFT JOIN roles r ON r.id = nar.role_id
+  LEFT JOIN teams t ON t.id = nar.team_id
+`;
+
+/**
+ * Get all rules, optionally for a single subject
+ * @param {Object} filters - Filters
+ * @param {number} filters.userId - Only rules attached to this user (optional)
+ * @param {number} filters.roleId - Only rules attached to this role (optional)
+ * @param {number} filters.teamId - Only rules attached to this team (optional)
+ * @returns {Promise<Array>} Array of rule objects
+ */
+async function getAll(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.userId) {
+    conditions.push('nar.user_id = ?');
+    params.push(filters.userId);
+  }
+
+  if (filters.roleId) {
+    conditions.push('nar.role_id = ?');
+    params.push(filters.roleId);
+  }
+
+  if (filters.teamId) {
+    conditions.push('nar.team_id = ?');
+    params.push(filters.teamId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const sql = `
+    SELECT ${RULE_COLUMNS}
+    FROM number_access_rules nar
+    ${RULE_JOINS}
+    ${where}
+    ORDER BY nar.id
+  `;
+  return await db.query(sql, params);
+}
+
+/**
+ * Find rule by ID
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Object|null>} Rule object or null
+ */
+async function findById(ruleId) {
+  const sql = `
+    SELECT ${RULE_COLUMNS}
+    FROM number_access_rules nar
+    ${RULE_JOINS}
+    WHERE nar.id = ?
+  `;
+  return await db.queryOne(sql, [ruleId]);
+}
+
+/**
+ * Get every rule that applies to a user directly, through their role or
+ * through one of their teams
+ * @param {number} userId - User ID
+ * @param {string} roleName - The user's role
+ * @returns {Promise<Array>} Array of rule objects
+ */
+async function findApplicable(userId, roleName) {
+  const sql = `
+    SELECT ${RULE_COLUMNS}
+    FROM number_access_rules nar
+    ${RULE_JOINS}
+    WHERE nar.user_id = ?
+       OR r.name = ?
+       OR nar.team_id IN (SELECT team_id FROM team_members WHERE user_id = ?)
+    ORDER BY nar.id
+  `;
+  return await db.query(sql, [userId, roleName, userId]);
+}
+
+/**
+ * Create a rule
+ * @param {Object} ruleData - Rule data
+ * @param {string} ruleData.effect - 'allow' or 'deny'
+ * @param {string} ruleData.matchType - 'exact', 'prefix' or 'regex'
+ * @param {string} ruleData.pattern - Number, prefix or regular expression
+ * @param {number|null} ruleData.userId - User the rule applies to
+ * @param {number|null} ruleData.roleId - Role the rule applies to
+ * @param {number|null} ruleData.teamId - Team the rule applies to
+ * @param {string|null} ruleData.description - Description (optional)
+ * @param {number} ruleData.createdBy - Admin who created the rule
+ * @returns {Promise<number>} New rule ID
+ */
+async function create(ruleData) {
+  const { effect, matchType, pattern, userId, roleId, teamId, description, createdBy } = ruleData;
+
+  const sql = `
+    INSERT INTO number_access_rules
+      (effect, match_type, pattern, user_id, role_id, team_id, description, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+  return await db.insert(sql, [
+    effect,
+    matchType,
+    pattern,
+    userId || null,
+    roleId || null,
+    teamId || null,
+    description || null,
+    createdBy
+  ]);
+}
+
+/**
+ * Update a rule's effect, match and description
+ * @param {number} ruleId - Rule ID
+ * @param {Object} ruleData - New values
+ * @param {string} ruleData.effect - 'allow' or 'deny'
+ * @param {string} ruleData.matchType - 'exact', 'prefix' or 'regex'
+ * @param {string} ruleData.pattern - Number, prefix or regular expression
+ * @param {string|null} ruleData.description - Description
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function update(ruleId, ruleData) {
+  const { effect, matchType, pattern, description } = ruleData;
+
+  const sql = `
+    UPDATE number_access_rules
+    SET effect = ?, match_type = ?, pattern = ?, description = ?
+    WHERE id = ?
+  `;
+  return await db.update(sql, [effect, matchType, pattern, description, ruleId]);
+}
+
+/**
+ * Delete rule by ID
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteById(ruleId) {
+  const sql = 'DELETE FROM number_access_rules WHERE id = ?';
+  return await db.remove(sql, [ruleId]);
+}
+
+module.exports = {
+  getAll,
+  findById,
+  findApplicable,
+  create,
+  update,
+  deleteById
+};
@@ -0,0 +1,64 @@
+const db = require('../config/database');
+
+/**
+ * OIDC Login State Model
+ * Handles in-flight OpenID Connect authorization requests
+ */
+
+/**
+ * Create a login state
+ * @param {Object} stateData - Login state data
+ * @param {string} stateData.state - Opaque state value
+ * @param {string} stateData.nonce - ID token nonce
+ * @param {string} stateData.codeVerifier - PKCE code verifier
+ * @param {string} stateData.tokenDelivery - 'fragment' or 'cookie'
+ * @param {string} stateData.ipAddress - Client IP address (optional)
+ * @param {Date} stateData.expiresAt - Expiration timestamp
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function create(stateData) {
+  const { state, nonce, codeVerifier, tokenDelivery, ipAddress, expiresAt } = stateData;
+
+  const sql = `
+    INSERT INTO oidc_login_states (state, nonce, code_verifier, token_delivery, ip_address, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+
+  return await db.update(sql, [state, nonce, codeVerifier, tokenDelivery || 'fragment', ipAddress, expiresAt]);
+}
+
+/**
+ * Consume a login state so it can only be used once
+ * @param {string} state - Opaque state value
+ * @returns {Promise<Object|null>} Unexpired login state, or null
+ */
+async function consume(state) {
+  const sql = `
+    SELECT state, nonce, code_verifier, token_delivery, ip_address, expires_at
+    FROM oidc_login_states
+    WHERE state = ? AND expires_at > NOW()
+  `;
+  const loginState = await db.queryOne(sql, [state]);
+
+  const deleted = await db.remove('DELETE FROM oidc_login_states WHERE state = ?', [state]);
+
+  return loginState && deleted > 0 ? loginState : null;
+}
+
+/**
+ * Delete expired login states
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteExpired() {
+  const sql = `
+    DELETE FROM oidc_login_states
+    WHERE expires_at < NOW()
+  `;
+  return await db.remove(sql);
+}
+
+module.exports = {
+  create,
+  consume,
+  deleteExpired
+};
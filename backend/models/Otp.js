@@ -1,38 +1,135 @@
-const axios = require('axios');
 const db = require('../config/database');
+const { getProvider } = require('../config/otpProviders');
+
+const OTP_COLUMNS = `
+  id, mobile_number, otp_code, provider, created_at, expires_at, is_used, used_at,
+  fetch_count, last_fetched_at
+`;
+
+/**
+ * Build a condition limiting a query to some mobile numbers
+ * @param {Array<string>|null} mobileNumbers - Mobile numbers, or null for every number
+ * @returns {Object} SQL condition and its parameters
+ */
+function mobileNumberCondition(mobileNumbers) {
+  if (!mobileNumbers) {
+    return { sql: 'TRUE', params: [] };
+  }
+
+  if (mobileNumbers.length === 0) {
+    return { sql: 'FALSE', params: [] };
+  }
+
+  const placeholders = mobileNumbers.map(() => '?').join(', ');
+  return { sql: `mobile_number IN (${placeholders})`, params: mobileNumbers };
+}
 
 /**
- * Find latest OTP for a mobile number from external API
+ * Current time in whole seconds, as DATETIME columns keep it
+ * created_at is compared with times taken in Node (see otpWaitService), so
+ * it is set from the app clock rather than MySQL NOW(), which follows the
+ * database server's time zone
+ * @returns {Date} Now, truncated to the second
+ */
+function currentSecond() {
+  return new Date(Math.floor(Date.now() / 1000) * 1000);
+}
+
+/**
+ * Store an OTP returned by a provider, unless it is already stored
+ * A provider that reports when a code arrived identifies it by number, code
+ * and time. Otherwise the code is the same OTP as long as it is still the
+ * newest one stored for the number. Repeat fetches bump fetch_count instead
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} otp - Provider OTP ({ otpCode, createdAt, expiresAt })
+ * @param {string} provider - Name of the provider it came from
+ * @returns {Promise<Object>} Stored OTP object
+ */
+async function recordFetched(mobileNumber, otp, provider) {
+  // DATETIME columns keep whole seconds
+  const createdAt = otp.createdAt ? new Date(Math.floor(otp.createdAt.getTime() / 1000) * 1000) : null;
+  const fetchedAt = currentSecond();
+
+  if (!createdAt) {
+    const newestSql = `
+      SELECT id, otp_code
+      FROM otps
+      WHERE mobile_number = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `;
+    const newest = await db.queryOne(newestSql, [mobileNumber]);
+
+    const touchSql = `
+      UPDATE otps
+      SET fetch_count = fetch_count + 1, last_fetched_at = ?
+      WHERE id = ?
+    `;
+
+    // The row may have been cleaned up since it was read; store the code again then
+    if (newest && newest.otp_code === otp.otpCode && (await db.update(touchSql, [fetchedAt, newest.id]))) {
+      return await findById(newest.id);
+    }
+  }
+
+  // uk_otps_fetched turns a concurrent fetch of the same OTP into a bump of
+  // the row the other fetch stored
+  const upsertSql = `
+    INSERT INTO otps (mobile_number, otp_code, provider, created_at, expires_at, last_fetched_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      fetch_count = fetch_count + 1,
+      last_fetched_at = VALUES(last_fetched_at),
+      id = LAST_INSERT_ID(id)
+  `;
+  const otpId = await db.insert(upsertSql, [
+    mobileNumber,
+    otp.otpCode,
+    provider,
+    createdAt || fetchedAt,
+    otp.expiresAt || null,
+    fetchedAt
+  ]);
+
+  return await findById(otpId);
+}
+
+/**
+ * Fetch the latest OTP for a mobile number from the configured provider
+ * and store it in otps
+ * If it cannot be stored it is still returned, without an id.
+ * time_reported tells whether created_at is when the code arrived (reported
+ * by the provider) or only when it was first fetched
  * @param {string} mobileNumber - Mobile number
  * @returns {Promise<Object|null>} OTP object or null
+ * @throws {ProviderError} If the provider failed or timed out
  */
 async function findLatestByMobileNumber(mobileNumber) {
-  try {
-    const apiBase = process.env.OTP_API_BASE_URL || 'http://localhost:8282/api/v4/public/latest';
-    // Ensure we don't double up on query params if already present, though here we append ?mobile=
-    const url = apiBase.includes('?') ? `${apiBase}&mobile=${mobileNumber}` : `${apiBase}?mobile=${mobileNumber}`;
-    const response = await axios.get(url, {
-      headers: {
-        'x-api-key': process.env.OTP_API_KEY || 'random_string'
-      }
-    });
-
-    const data = response.data;
-
-    if (data && data.code === 200 && data.status === 1) {
-      return {
-        mobile_number: mobileNumber,
-        otp_code: data.data,
-        created_at: new Date().toISOString(), // Use current time as API doesn't provide it
-        expires_at: new Date(Date.now() + 5 * 60000).toISOString(), // Assume 5 min expiry
-        is_used: 0,
-        used_at: null
-      };
-    }
+  const provider = getProvider();
+  const otp = await provider.fetchLatest(mobileNumber);
+
+  if (!otp) {
     return null;
+  }
+
+  try {
+    const stored = await recordFetched(mobileNumber, otp, provider.name);
+    return { ...stored, time_reported: !!otp.createdAt };
   } catch (error) {
-    console.error('OTP API fetch error:', error.message);
-    return null;
+    console.error('OTP store error:', error.message);
+
+    return {
+      id: null,
+      mobile_number: mobileNumber,
+      otp_code: otp.otpCode,
+      provider: provider.name,
+      created_at: (otp.createdAt || new Date()).toISOString(),
+      expires_at: otp.expiresAt ? otp.expiresAt.toISOString() : null,
+      is_used: 0,
+      used_at: null,
+      fetch_count: 1,
+      time_reported: !!otp.createdAt
+    };
   }
 }
 
@@ -43,7 +140,7 @@ async function findLatestByMobileNumber(mobileNumber) {
  */
 async function findById(id) {
   const sql = `
-    SELECT id, mobile_number, otp_code, created_at, expires_at, is_used, used_at
+    SELECT ${OTP_COLUMNS}
     FROM otps
     WHERE id = ?
   `;
@@ -51,28 +148,78 @@ async function findById(id) {
 }
 
 /**
- * Get OTP history for a mobile number (Currently limited to latest via API)
+ * Fetch recent OTPs for a mobile number from the configured provider and
+ * store them in otps, so the history includes codes nobody has asked for yet
+ * @param {string} mobileNumber - Mobile number
+ * @param {number} limit - Maximum number of OTPs to fetch
+ * @returns {Promise<void>}
+ * @throws {ProviderError} If the provider failed or timed out
+ */
+async function storeRecentFromProvider(mobileNumber, limit) {
+  const provider = getProvider();
+  const fetched = await provider.fetchHistory(mobileNumber, limit);
+
+  // Oldest first, so codes without a time are stored in arrival order
+  for (const otp of [...fetched].reverse()) {
+    await recordFetched(mobileNumber, otp, provider.name);
+  }
+}
+
+/**
+ * Get stored OTP history for a mobile number
  * @param {string} mobileNumber - Mobile number
  * @param {number} page - Page number
  * @param {number} limit - Items per page
  * @returns {Promise<Object>} OTPs and pagination info
  */
 async function getHistoryByMobileNumber(mobileNumber, page = 1, limit = 20) {
-  // Since the provided API only returns the latest OTP, history will show that
-  const latest = await findLatestByMobileNumber(mobileNumber);
-  const otps = latest ? [latest] : [];
+  const offset = (page - 1) * limit;
+
+  const countSql = 'SELECT COUNT(*) as total FROM otps WHERE mobile_number = ?';
+  const [{ total }] = await db.query(countSql, [mobileNumber]);
+
+  const sql = `
+    SELECT ${OTP_COLUMNS}
+    FROM otps
+    WHERE mobile_number = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `;
+  const otps = await db.query(sql, [mobileNumber, limit, offset]);
 
   return {
     otps,
     pagination: {
       page,
       limit,
-      total: otps.length,
-      totalPages: 1
+      total,
+      totalPages: Math.ceil(total / limit)
     }
   };
 }
 
+/**
+ * Find stored OTPs for some mobile numbers with an ID above a given one
+ * Used to replay what a reconnecting stream missed
+ * @param {Array<string>} mobileNumbers - Mobile numbers
+ * @param {number} afterId - Only OTPs with a higher ID are returned
+ * @param {number} limit - Maximum number of OTPs (the newest are kept)
+ * @returns {Promise<Array>} OTPs, oldest first
+ */
+async function findByMobileNumbersAfterId(mobileNumbers, afterId, limit) {
+  const placeholders = mobileNumbers.map(() => '?').join(', ');
+
+  const sql = `
+    SELECT ${OTP_COLUMNS}
+    FROM otps
+    WHERE mobile_number IN (${placeholders}) AND id > ?
+    ORDER BY id DESC
+    LIMIT ?
+  `;
+  const otps = await db.query(sql, [...mobileNumbers, afterId, limit]);
+
+  return otps.reverse();
+}
 
 /**
  * Create a new OTP record
@@ -86,11 +233,11 @@ async function create(otpData) {
   const { mobileNumber, otpCode, expiresAt } = otpData;
 
   const sql = `
-    INSERT INTO otps (mobile_number, otp_code, expires_at)
-    VALUES (?, ?, ?)
+    INSERT INTO otps (mobile_number, otp_code, created_at, expires_at)
+    VALUES (?, ?, ?, ?)
   `;
 
-  return await db.insert(sql, [mobileNumber, otpCode, expiresAt || null]);
+  return await db.insert(sql, [mobileNumber, otpCode, currentSecond(), expiresAt || null]);
 }
 
 /**
@@ -111,21 +258,24 @@ async function markAsUsed(otpId) {
  * Get all OTPs with pagination
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Array<string>|null} mobileNumbers - Only these numbers (default: all)
  * @returns {Promise<Object>} OTPs and pagination info
  */
-async function getAll(page = 1, limit = 20) {
+async function getAll(page = 1, limit = 20, mobileNumbers = null) {
   const offset = (page - 1) * limit;
+  const numbers = mobileNumberCondition(mobileNumbers);
 
-  const countSql = 'SELECT COUNT(*) as total FROM otps';
-  const [{ total }] = await db.query(countSql);
+  const countSql = `SELECT COUNT(*) as total FROM otps WHERE ${numbers.sql}`;
+  const [{ total }] = await db.query(countSql, numbers.params);
 
   const sql = `
-    SELECT id, mobile_number, otp_code, created_at, expires_at, is_used, used_at
+    SELECT ${OTP_COLUMNS}
     FROM otps
+    WHERE ${numbers.sql}
     ORDER BY created_at DESC
     LIMIT ? OFFSET ?
   `;
-  const otps = await db.query(sql, [limit, offset]);
+  const otps = await db.query(sql, [...numbers.params, limit, offset]);
 
   return {
     otps,
@@ -144,26 +294,28 @@ async function getAll(page = 1, limit = 20) {
  * @param {Date} endDate - End date
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Array<string>|null} mobileNumbers - Only these numbers (default: all)
  * @returns {Promise<Object>} OTPs and pagination info
  */
-async function getByDateRange(startDate, endDate, page = 1, limit = 20) {
+async function getByDateRange(startDate, endDate, page = 1, limit = 20, mobileNumbers = null) {
   const offset = (page - 1) * limit;
+  const numbers = mobileNumberCondition(mobileNumbers);
 
   const countSql = `
     SELECT COUNT(*) as total
     FROM otps
-    WHERE created_at BETWEEN ? AND ?
+    WHERE created_at BETWEEN ? AND ? AND ${numbers.sql}
   `;
-  const [{ total }] = await db.query(countSql, [startDate, endDate]);
+  const [{ total }] = await db.query(countSql, [startDate, endDate, ...numbers.params]);
 
   const sql = `
-    SELECT id, mobile_number, otp_code, created_at, expires_at, is_used, used_at
+    SELECT ${OTP_COLUMNS}
     FROM otps
-    WHERE created_at BETWEEN ? AND ?
+    WHERE created_at BETWEEN ? AND ? AND ${numbers.sql}
     ORDER BY created_at DESC
     LIMIT ? OFFSET ?
   `;
-  const otps = await db.query(sql, [startDate, endDate, limit, offset]);
+  const otps = await db.query(sql, [startDate, endDate, ...numbers.params, limit, offset]);
 
   return {
     otps,
@@ -189,7 +341,7 @@ async function getUnused(page = 1, limit = 20) {
   const [{ total }] = await db.query(countSql);
 
   const sql = `
-    SELECT id, mobile_number, otp_code, created_at, expires_at, is_used, used_at
+    SELECT ${OTP_COLUMNS}
     FROM otps
     WHERE is_used = FALSE
     ORDER BY created_at DESC
@@ -225,7 +377,7 @@ async function getExpired(page = 1, limit = 20) {
   const [{ total }] = await db.query(countSql);
 
   const sql = `
-    SELECT id, mobile_number, otp_code, created_at, expires_at, is_used, used_at
+    SELECT ${OTP_COLUMNS}
     FROM otps
     WHERE expires_at IS NOT NULL AND expires_at < NOW()
     ORDER BY created_at DESC
@@ -267,11 +419,23 @@ async function deleteOlderThan(days) {
   return await db.remove(sql, [days]);
 }
 
+/**
+ * Get the distinct mobile numbers with stored OTPs
+ * @returns {Promise<Array<string>>} Mobile numbers
+ */
+async function getMobileNumbers() {
+  const rows = await db.query('SELECT DISTINCT mobile_number FROM otps');
+  return rows.map(row => row.mobile_number);
+}
+
 /**
  * Get OTP statistics
+ * @param {Array<string>|null} mobileNumbers - Only these numbers (default: all)
  * @returns {Promise<Object>} OTP statistics
  */
-async function getStatistics() {
+async function getStatistics(mobileNumbers = null) {
+  const numbers = mobileNumberCondition(mobileNumbers);
+
   const sql = `
     SELECT
       COUNT(*) as total,
@@ -280,14 +444,17 @@ async function getStatistics() {
       SUM(CASE WHEN expires_at IS NOT NULL AND expires_at < NOW() THEN 1 ELSE 0 END) as expired,
       COUNT(DISTINCT mobile_number) as unique_mobile_numbers
     FROM otps
+    WHERE ${numbers.sql}
   `;
-  return await db.queryOne(sql);
+  return await db.queryOne(sql, numbers.params);
 }
 
 module.exports = {
   findLatestByMobileNumber,
   findById,
+  storeRecentFromProvider,
   getHistoryByMobileNumber,
+  findByMobileNumbersAfterId,
   create,
   markAsUsed,
   getAll,
@@ -296,5 +463,6 @@ module.exports = {
   getExpired,
   deleteById,
   deleteOlderThan,
+  getMobileNumbers,
   getStatistics
 };
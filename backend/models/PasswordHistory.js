@@ -0,0 +1,66 @@
+const db = require('../config/database');
+
+/**
+ * Password History Model
+ * Handles previous password hashes used to prevent password reuse
+ */
+
+/**
+ * Record a password hash
+ * @param {number} userId - User ID
+ * @param {string} passwordHash - Bcrypt password hash
+ * @returns {Promise<number>} New history entry ID
+ */
+async function add(userId, passwordHash) {
+  const sql = `
+    INSERT INTO password_history (user_id, password_hash)
+    VALUES (?, ?)
+  `;
+  return await db.insert(sql, [userId, passwordHash]);
+}
+
+/**
+ * Get a user's most recent password hashes
+ * @param {number} userId - User ID
+ * @param {number} limit - Number of hashes to return
+ * @returns {Promise<Array<string>>} Bcrypt hashes, newest first
+ */
+async function getRecentHashes(userId, limit) {
+  const sql = `
+    SELECT password_hash
+    FROM password_history
+    WHERE user_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `;
+  const rows = await db.query(sql, [userId, limit]);
+  return rows.map(row => row.password_hash);
+}
+
+/**
+ * Delete all but a user's most recent entries
+ * @param {number} userId - User ID
+ * @param {number} keep - Number of entries to keep
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function prune(userId, keep) {
+  const sql = `
+    DELETE FROM password_history
+    WHERE user_id = ?
+      AND id NOT IN (
+        SELECT id FROM (
+          SELECT id FROM password_history
+          WHERE user_id = ?
+          ORDER BY created_at DESC, id DESC
+          LIMIT ?
+        ) AS recent
+      )
+  `;
+  return await db.remove(sql, [userId, userId, keep]);
+}
+
+module.exports = {
+  add,
+  getRecentHashes,
+  prune
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Password Reset Token Model
+ * Handles single-use password reset tokens, stored as SHA-256 hashes
+ */
+
+/**
+ * Hash a raw reset token for storage and lookup
+ * @param {string} token - Raw reset token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new raw reset token
+ * @returns {string} Random URL-safe token
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Create a new reset token
+ * @param {Object} tokenData - Reset token data
+ * @param {number} tokenData.userId - User ID
+ * @param {string} tokenData.token - Raw reset token
+ * @param {Date} tokenData.expiresAt - Expiration timestamp
+ * @param {string} tokenData.ipAddress - IP that requested the reset (optional)
+ * @returns {Promise<number>} New reset token ID
+ */
+async function create(tokenData) {
+  const { userId, token, expiresAt, ipAddress } = tokenData;
+
+  const sql = `
+    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, ip_address)
+    VALUES (?, ?, ?, ?)
+  `;
+
+  return await db.insert(sql, [userId, hashToken(token), expiresAt, ipAddress]);
+}
+
+/**
+ * Find an unused, unexpired reset token
+ * @param {string} token - Raw reset token
+ * @returns {Promise<Object|null>} Reset token object or null
+ */
+async function findValidByToken(token) {
+  const sql = `
+    SELECT id, user_id, expires_at, created_at
+    FROM password_reset_tokens
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+  `;
+  return await db.queryOne(sql, [hashToken(token)]);
+}
+
+/**
+ * Mark a reset token as used
+ * Only succeeds once, so a token cannot be redeemed twice concurrently
+ * @param {number} tokenId - Reset token ID
+ * @returns {Promise<number>} Number of affected rows (0 if already used)
+ */
+async function markAsUsed(tokenId) {
+  const sql = `
+    UPDATE password_reset_tokens
+    SET used_at = NOW()
+    WHERE id = ? AND used_at IS NULL
+  `;
+  return await db.update(sql, [tokenId]);
+}
+
+/**
+ * Invalidate all outstanding reset tokens for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function invalidateAllByUserId(userId) {
+  const sql = `
+    UPDATE password_reset_tokens
+    SET used_at = NOW()
+    WHERE user_id = ? AND used_at IS NULL
+  `;
+  return await db.update(sql, [userId]);
+}
+
+/**
+ * Delete expired reset tokens
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteExpired() {
+  const sql = `
+    DELETE FROM password_reset_tokens
+    WHERE expires_at < NOW()
+  `;
+  return await db.remove(sql);
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  create,
+  findValidByToken,
+  markAsUsed,
+  invalidateAllByUserId,
+  deleteExpired
+};
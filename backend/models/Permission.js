@@ -0,0 +1,61 @@
+const db = require('../config/database');
+
+/**
+ * Permission Model
+ * Handles the permissions that roles can grant
+ */
+
+/**
+ * Get all permissions
+ * @returns {Promise<Array>} Array of permission objects
+ */
+async function getAll() {
+  const sql = `
+    SELECT id, name, description
+    FROM permissions
+    ORDER BY name
+  `;
+  return await db.query(sql);
+}
+
+/**
+ * Find permissions by name
+ * @param {Array<string>} names - Permission names
+ * @returns {Promise<Array>} Matching permission objects
+ */
+async function findByNames(names) {
+  if (names.length === 0) {
+    return [];
+  }
+
+  const sql = `
+    SELECT id, name, description
+    FROM permissions
+    WHERE name IN (${names.map(() => '?').join(', ')})
+  `;
+  return await db.query(sql, names);
+}
+
+/**
+ * Get the permission names granted to a role
+ * @param {string} roleName - Role name
+ * @returns {Promise<Array<string>>} Permission names
+ */
+async function findNamesByRole(roleName) {
+  const sql = `
+    SELECT p.name
+    FROM permissions p
+    JOIN role_permissions rp ON rp.permission_id = p.id
+    JOIN roles r ON r.id = rp.role_id
+    WHERE r.name = ?
+    ORDER BY p.name
+  `;
+  const rows = await db.query(sql, [roleName]);
+  return rows.map(row => row.name);
+}
+
+module.exports = {
+  getAll,
+  findByNames,
+  findNamesByRole
+};
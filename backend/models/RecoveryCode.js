@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Recovery Code Model
+ * Handles single-use two-factor recovery codes, stored as SHA-256 hashes
+ */
+
+/**
+ * Hash a recovery code for storage and lookup
+ * @param {string} code - Recovery code
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {number} userId - User ID
+ * @param {Array<string>} codes - Plain recovery codes
+ * @returns {Promise<void>}
+ */
+async function replaceForUser(userId, codes) {
+  const connection = await db.beginTransaction();
+
+  try {
+    await connection.execute('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+
+    for (const code of codes) {
+      await connection.execute(
+        'INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)',
+        [userId, hashCode(code)]
+      );
+    }
+
+    await db.commitTransaction(connection);
+  } catch (error) {
+    await db.rollbackTransaction(connection);
+    throw error;
+  }
+}
+
+/**
+ * Consume a recovery code
+ * @param {number} userId - User ID
+ * @param {string} code - Plain recovery code
+ * @returns {Promise<boolean>} True if an unused matching code was consumed
+ */
+async function consume(userId, code) {
+  const sql = `
+    UPDATE recovery_codes
+    SET used_at = NOW()
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    LIMIT 1
+  `;
+  const affectedRows = await db.update(sql, [userId, hashCode(code)]);
+  return affectedRows > 0;
+}
+
+/**
+ * Count unused recovery codes for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of unused codes
+ */
+async function countUnused(userId) {
+  const sql = `
+    SELECT COUNT(*) as count
+    FROM recovery_codes
+    WHERE user_id = ? AND used_at IS NULL
+  `;
+  const result = await db.queryOne(sql, [userId]);
+  return result ? result.count : 0;
+}
+
+/**
+ * Delete all recovery codes for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteAllByUserId(userId) {
+  const sql = 'DELETE FROM recovery_codes WHERE user_id = ?';
+  return await db.remove(sql, [userId]);
+}
+
+module.exports = {
+  replaceForUser,
+  consume,
+  countUnused,
+  deleteAllByUserId
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+/**
+ * Refresh Token Model
+ * Handles opaque refresh tokens, stored as SHA-256 hashes and grouped into
+ * rotation families
+ */
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new raw refresh token
+ * @returns {string} Random URL-safe token
+ */
+function generateToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Generate a new token family ID
+ * @returns {string} UUID
+ */
+function generateFamilyId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Create a new refresh token
+ * @param {Object} tokenData - Refresh token data
+ * @param {number} tokenData.userId - User ID
+ * @param {number} tokenData.sessionId - Access token session ID
+ * @param {string} tokenData.familyId - Rotation family ID
+ * @param {string} tokenData.token - Raw refresh token
+ * @param {Date} tokenData.expiresAt - Expiration timestamp
+ * @param {string} tokenData.ipAddress - Client IP address (optional)
+ * @param {string} tokenData.userAgent - User agent string (optional)
+ * @returns {Promise<number>} New refresh token ID
+ */
+async function create(tokenData) {
+  const { userId, sessionId, familyId, token, expiresAt, ipAddress, userAgent } = tokenData;
+
+  const sql = `
+    INSERT INTO refresh_tokens (user_id, session_id, family_id, token_hash, expires_at, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `;
+
+  return await db.insert(sql, [
+    userId,
+    sessionId,
+    familyId,
+    hashToken(token),
+    expiresAt,
+    ipAddress,
+    userAgent
+  ]);
+}
+
+/**
+ * Find refresh token by raw token value
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<Object|null>} Refresh token object or null
+ */
+async function findByToken(token) {
+  const sql = `
+    SELECT id, user_id, session_id, family_id, ip_address, user_agent,
+           expires_at, created_at, used_at, revoked_at
+    FROM refresh_tokens
+    WHERE token_hash = ?
+  `;
+  return await db.queryOne(sql, [hashToken(token)]);
+}
+
+/**
+ * Mark a refresh token as used (rotated)
+ * Only succeeds once, so concurrent reuse of the same token is detectable
+ * @param {number} tokenId - Refresh token ID
+ * @returns {Promise<number>} Number of affected rows (0 if already used)
+ */
+async function markAsUsed(tokenId) {
+  const sql = `
+    UPDATE refresh_tokens
+    SET used_at = NOW()
+    WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL
+  `;
+  return await db.update(sql, [tokenId]);
+}
+
+/**
+ * Revoke every token in a family, along with the sessions they were issued for
+ * @param {string} familyId - Rotation family ID
+ * @returns {Promise<number>} Number of revoked refresh tokens
+ */
+async function revokeFamily(familyId) {
+  const sessionsSql = `
+    UPDATE sessions
+    SET revoked_at = NOW()
+    WHERE revoked_at IS NULL
+      AND id IN (SELECT session_id FROM refresh_tokens WHERE family_id = ?)
+  `;
+  await db.update(sessionsSql, [familyId]);
+
+  const sql = `
+    UPDATE refresh_tokens
+    SET revoked_at = NOW()
+    WHERE family_id = ? AND revoked_at IS NULL
+  `;
+  return await db.update(sql, [familyId]);
+}
+
+/**
+ * Revoke refresh tokens issued for a session
+ * @param {number} sessionId - Session ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function revokeBySessionId(sessionId) {
+  const sql = `
+    UPDATE refresh_tokens
+    SET revoked_at = NOW()
+    WHERE session_id = ? AND revoked_at IS NULL
+  `;
+  return await db.update(sql, [sessionId]);
+}
+
+/**
+ * Revoke a user's refresh tokens except those issued for one session
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID to keep
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function revokeAllByUserIdExceptSession(userId, sessionId) {
+  const sql = `
+    UPDATE refresh_tokens
+    SET revoked_at = NOW()
+    WHERE user_id = ? AND revoked_at IS NULL
+      AND (session_id IS NULL OR session_id != ?)
+  `;
+  return await db.update(sql, [userId, sessionId]);
+}
+
+/**
+ * Revoke all refresh tokens for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function revokeAllByUserId(userId) {
+  const sql = `
+    UPDATE refresh_tokens
+    SET revoked_at = NOW()
+    WHERE user_id = ? AND revoked_at IS NULL
+  `;
+  return await db.update(sql, [userId]);
+}
+
+/**
+ * Delete expired refresh tokens
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteExpired() {
+  const sql = `
+    DELETE FROM refresh_tokens
+    WHERE expires_at < NOW()
+  `;
+  return await db.remove(sql);
+}
+
+module.exports = {
+  hashToken,
+  generateToken,
+  generateFamilyId,
+  create,
+  findByToken,
+  markAsUsed,
+  revokeFamily,
+  revokeBySessionId,
+  revokeAllByUserIdExceptSession,
+  revokeAllByUserId,
+  deleteExpired
+};
@@ -0,0 +1,149 @@
+const db = require('../config/database');
+
+/**
+ * Role Model
+ * Handles roles and the permissions they grant
+ */
+
+/**
+ * Get all roles with their permissions and number of users
+ * @returns {Promise<Array>} Array of role objects
+ */
+async function getAll() {
+  const sql = `
+    SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+           (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count,
+           (SELECT GROUP_CONCAT(p.name ORDER BY p.name SEPARATOR ',')
+            FROM role_permissions rp
+            JOIN permissions p ON p.id = rp.permission_id
+            WHERE rp.role_id = r.id) as permissions
+    FROM roles r
+    ORDER BY r.is_system DESC, r.name
+  `;
+  const roles = await db.query(sql);
+  return roles.map(parsePermissions);
+}
+
+/**
+ * Find role by ID
+ * @param {number} roleId - Role ID
+ * @returns {Promise<Object|null>} Role object or null
+ */
+async function findById(roleId) {
+  const sql = `
+    SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+           (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as user_count,
+           (SELECT GROUP_CONCAT(p.name ORDER BY p.name SEPARATOR ',')
+            FROM role_permissions rp
+            JOIN permissions p ON p.id = rp.permission_id
+            WHERE rp.role_id = r.id) as permissions
+    FROM roles r
+    WHERE r.id = ?
+  `;
+  const role = await db.queryOne(sql, [roleId]);
+  return role ? parsePermissions(role) : null;
+}
+
+/**
+ * Find role by name
+ * @param {string} name - Role name
+ * @returns {Promise<Object|null>} Role object or null
+ */
+async function findByName(name) {
+  const sql = `
+    SELECT id, name, description, is_system, created_at, updated_at
+    FROM roles
+    WHERE name = ?
+  `;
+  return await db.queryOne(sql, [name]);
+}
+
+/**
+ * Split the comma-separated permission list of a role row
+ * @param {Object} role - Role row
+ * @returns {Object} Role with a permissions array
+ */
+function parsePermissions(role) {
+  return {
+    ...role,
+    permissions: role.permissions ? role.permissions.split(',') : []
+  };
+}
+
+/**
+ * Create a role
+ * @param {Object} roleData - Role data
+ * @param {string} roleData.name - Role name
+ * @param {string} roleData.description - Description (optional)
+ * @returns {Promise<number>} New role ID
+ */
+async function create(roleData) {
+  const { name, description } = roleData;
+
+  const sql = `
+    INSERT INTO roles (name, description)
+    VALUES (?, ?)
+  `;
+  return await db.insert(sql, [name, description || null]);
+}
+
+/**
+ * Update a role's description
+ * @param {number} roleId - Role ID
+ * @param {string|null} description - New description
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function updateDescription(roleId, description) {
+  const sql = `
+    UPDATE roles
+    SET description = ?
+    WHERE id = ?
+  `;
+  return await db.update(sql, [description, roleId]);
+}
+
+/**
+ * Replace the permissions a role grants
+ * @param {number} roleId - Role ID
+ * @param {Array<number>} permissionIds - Permission IDs
+ * @returns {Promise<void>}
+ */
+async function setPermissions(roleId, permissionIds) {
+  const connection = await db.beginTransaction();
+
+  try {
+    await connection.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+    for (const permissionId of permissionIds) {
+      await connection.execute(
+        'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+        [roleId, permissionId]
+      );
+    }
+
+    await db.commitTransaction(connection);
+  } catch (error) {
+    await db.rollbackTransaction(connection);
+    throw error;
+  }
+}
+
+/**
+ * Delete role by ID
+ * @param {number} roleId - Role ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteById(roleId) {
+  const sql = 'DELETE FROM roles WHERE id = ?';
+  return await db.remove(sql, [roleId]);
+}
+
+module.exports = {
+  getAll,
+  findById,
+  findByName,
+  create,
+  updateDescription,
+  setPermissions,
+  deleteById
+};
@@ -11,19 +11,32 @@ const db = require('../config/database');
  * @param {number} sessionData.userId - User ID
  * @param {string} sessionData.token - JWT token
  * @param {Date} sessionData.expiresAt - Expiration timestamp
+ * @param {Date} sessionData.loginAt - When the login began, for refreshed sessions (optional, defaults to now)
  * @param {string} sessionData.ipAddress - Client IP address (optional)
  * @param {string} sessionData.userAgent - User agent string (optional)
+ * @param {number} sessionData.impersonatorId - Administrator acting as the user (optional)
+ * @param {number} sessionData.impersonatorSessionId - The administrator's own session (optional)
  * @returns {Promise<number>} New session ID
  */
 async function create(sessionData) {
-  const { userId, token, expiresAt, ipAddress, userAgent } = sessionData;
+  const { userId, token, expiresAt, loginAt, ipAddress, userAgent, impersonatorId, impersonatorSessionId } = sessionData;
 
   const sql = `
-    INSERT INTO sessions (user_id, token, expires_at, ip_address, user_agent)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO sessions
+      (user_id, token, expires_at, login_at, ip_address, user_agent, impersonator_id, impersonator_session_id)
+    VALUES (?, ?, ?, COALESCE(?, NOW()), ?, ?, ?, ?)
   `;
 
-  return await db.insert(sql, [userId, token, expiresAt, ipAddress, userAgent]);
+  return await db.insert(sql, [
+    userId,
+    token,
+    expiresAt,
+    loginAt || null,
+    ipAddress,
+    userAgent,
+    impersonatorId || null,
+    impersonatorSessionId || null
+  ]);
 }
 
 /**
@@ -33,8 +46,8 @@ async function create(sessionData) {
  */
 async function findByToken(token) {
   const sql = `
-    SELECT id, user_id, token, ip_address, user_agent, 
-           expires_at, created_at, revoked_at
+    SELECT id, user_id, impersonator_id, impersonator_session_id, token, ip_address, user_agent,
+           expires_at, login_at, created_at, revoked_at, last_accessed_at
     FROM sessions
     WHERE token = ?
   `;
@@ -48,8 +61,8 @@ async function findByToken(token) {
  */
 async function findById(sessionId) {
   const sql = `
-    SELECT id, user_id, token, ip_address, user_agent, 
-           expires_at, created_at, revoked_at
+    SELECT id, user_id, impersonator_id, impersonator_session_id, token, ip_address, user_agent,
+           expires_at, login_at, created_at, revoked_at, last_accessed_at
     FROM sessions
     WHERE id = ?
   `;
@@ -58,16 +71,28 @@ async function findById(sessionId) {
 
 /**
  * Get all active sessions for a user
+ * A session stays active after its access token expires while the refresh
+ * token issued with it can still be used to continue the login
  * @param {number} userId - User ID
  * @returns {Promise<Array>} Array of session objects
  */
 async function findActiveByUserId(userId) {
   const sql = `
-    SELECT id, user_id, token, ip_address, user_agent, 
-           expires_at, created_at, revoked_at
-    FROM sessions
-    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
-    ORDER BY created_at DESC
+    SELECT s.id, s.user_id, s.impersonator_id, s.token, s.ip_address, s.user_agent,
+           s.expires_at, s.login_at, s.created_at, s.revoked_at, s.last_accessed_at
+    FROM sessions s
+    WHERE s.user_id = ? AND s.revoked_at IS NULL
+      AND (
+        s.expires_at > NOW()
+        OR EXISTS (
+          SELECT 1 FROM refresh_tokens rt
+          WHERE rt.session_id = s.id
+            AND rt.revoked_at IS NULL
+            AND rt.used_at IS NULL
+            AND rt.expires_at > NOW()
+        )
+      )
+    ORDER BY COALESCE(s.last_accessed_at, s.created_at) DESC
   `;
   return await db.query(sql, [userId]);
 }
@@ -110,6 +135,32 @@ async function findByUserId(userId, page = 1, limit = 20) {
   };
 }
 
+/**
+ * Check whether a user has logged in before from an IP address or user agent
+ * Impersonation sessions are not the user's own devices and are ignored
+ * @param {number} userId - User ID
+ * @param {string} ipAddress - Client IP address
+ * @param {string} userAgent - User agent string
+ * @param {number} excludeSessionId - Session to leave out (the login being checked)
+ * @returns {Promise<Object>} total earlier sessions, knownIp and knownUserAgent
+ */
+async function findDeviceHistory(userId, ipAddress, userAgent, excludeSessionId) {
+  const sql = `
+    SELECT COUNT(*) AS total,
+           COALESCE(MAX(ip_address = ?), 0) AS known_ip,
+           COALESCE(MAX(user_agent = ?), 0) AS known_user_agent
+    FROM sessions
+    WHERE user_id = ? AND id != ? AND impersonator_id IS NULL
+  `;
+  const row = await db.queryOne(sql, [ipAddress, userAgent, userId, excludeSessionId]);
+
+  return {
+    total: row.total,
+    knownIp: !!row.known_ip,
+    knownUserAgent: !!row.known_user_agent
+  };
+}
+
 /**
  * Revoke a session
  * @param {number} sessionId - Session ID
@@ -288,6 +339,7 @@ module.exports = {
   findByToken,
   findById,
   findActiveByUserId,
+  findDeviceHistory,
   findByUserId,
   revoke,
   revokeByToken,
@@ -0,0 +1,81 @@
+const db = require('../config/database');
+
+/**
+ * Session Policy Model
+ * Handles per-role limits on concurrent sessions, idle time and session lifetime
+ */
+
+/**
+ * Get all role policies
+ * @returns {Promise<Array>} Array of policy objects
+ */
+async function getAll() {
+  const sql = `
+    SELECT role, max_sessions, limit_action, idle_timeout_minutes, max_lifetime_hours,
+           updated_by, updated_at
+    FROM session_policies
+    ORDER BY role
+  `;
+  return await db.query(sql);
+}
+
+/**
+ * Find the policy of a role
+ * @param {string} role - Role name
+ * @returns {Promise<Object|null>} Policy object or null
+ */
+async function findByRole(role) {
+  const sql = `
+    SELECT role, max_sessions, limit_action, idle_timeout_minutes, max_lifetime_hours,
+           updated_by, updated_at
+    FROM session_policies
+    WHERE role = ?
+  `;
+  return await db.queryOne(sql, [role]);
+}
+
+/**
+ * Create or replace the policy of a role
+ * A null setting falls back to the server default
+ * @param {string} role - Role name
+ * @param {Object} policy - Policy settings
+ * @param {number|null} policy.maxSessions - Maximum concurrent sessions (0 = unlimited)
+ * @param {string|null} policy.limitAction - 'evict_oldest' or 'refuse'
+ * @param {number|null} policy.idleTimeoutMinutes - Idle timeout (0 = none)
+ * @param {number|null} policy.maxLifetimeHours - Absolute session lifetime (0 = none)
+ * @param {number} updatedBy - ID of the admin making the change
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function upsert(role, policy, updatedBy) {
+  const { maxSessions, limitAction, idleTimeoutMinutes, maxLifetimeHours } = policy;
+
+  const sql = `
+    INSERT INTO session_policies
+      (role, max_sessions, limit_action, idle_timeout_minutes, max_lifetime_hours, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON DUPLICATE KEY UPDATE
+      max_sessions = VALUES(max_sessions),
+      limit_action = VALUES(limit_action),
+      idle_timeout_minutes = VALUES(idle_timeout_minutes),
+      max_lifetime_hours = VALUES(max_lifetime_hours),
+      updated_by = VALUES(updated_by)
+  `;
+  return await db.update(sql, [role, maxSessions, limitAction, idleTimeoutMinutes, maxLifetimeHours, updatedBy]);
+}
+
+/**
+ * Delete the policy of a role so the server defaults apply
+ * @param {string} role - Role name
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteByRole(role) {
+  const sql = 'DELETE FROM session_policies WHERE role = ?';
+  return await db.remove(sql, [role]);
+}
+
+module.exports = {
+  getAll,
+  findByRole,
+  upsert,
+  deleteByRole
+};
@@ -0,0 +1,162 @@
+const db = require('../config/database');
+
+/**
+ * Team Model
+ * Handles named groups of users
+ */
+
+/**
+ * Get all teams with their number of members
+ * @returns {Promise<Array>} Array of team objects
+ */
+async function getAll() {
+  const sql = `
+    SELECT t.id, t.name, t.description, t.created_at, t.updated_at,
+           (SELECT COUNT(*) FROM team_members tm WHERE tm.team_id = t.id) as member_count
+    FROM teams t
+    ORDER BY t.name
+  `;
+  return await db.query(sql);
+}
+
+/**
+ * Find team by ID
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Object|null>} Team object or null
+ */
+async function findById(teamId) {
+  const sql = `
+    SELECT t.id, t.name, t.description, t.created_at, t.updated_at,
+           (SELECT COUNT(*) FROM team_members tm WHERE tm.team_id = t.id) as member_count
+    FROM teams t
+    WHERE t.id = ?
+  `;
+  return await db.queryOne(sql, [teamId]);
+}
+
+/**
+ * Find team by name
+ * @param {string} name - Team name
+ * @returns {Promise<Object|null>} Team object or null
+ */
+async function findByName(name) {
+  const sql = `
+    SELECT id, name, description, created_at, updated_at
+    FROM teams
+    WHERE name = ?
+  `;
+  return await db.queryOne(sql, [name]);
+}
+
+/**
+ * Get the members of a team
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Array>} Members with id, username, email and role
+ */
+async function getMembers(teamId) {
+  const sql = `
+    SELECT u.id, u.username, u.email, u.role, tm.created_at as added_at
+    FROM team_members tm
+    JOIN users u ON u.id = tm.user_id
+    WHERE tm.team_id = ?
+    ORDER BY u.username
+  `;
+  return await db.query(sql, [teamId]);
+}
+
+/**
+ * Get the IDs of the teams a user belongs to
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<number>>} Team IDs
+ */
+async function findIdsByUserId(userId) {
+  const sql = `
+    SELECT team_id
+    FROM team_members
+    WHERE user_id = ?
+  `;
+  const rows = await db.query(sql, [userId]);
+  return rows.map(row => row.team_id);
+}
+
+/**
+ * Create a team
+ * @param {Object} teamData - Team data
+ * @param {string} teamData.name - Team name
+ * @param {string} teamData.description - Description (optional)
+ * @returns {Promise<number>} New team ID
+ */
+async function create(teamData) {
+  const { name, description } = teamData;
+
+  const sql = `
+    INSERT INTO teams (name, description)
+    VALUES (?, ?)
+  `;
+  return await db.insert(sql, [name, description || null]);
+}
+
+/**
+ * Update a team's name and description
+ * @param {number} teamId - Team ID
+ * @param {string} name - New name
+ * @param {string|null} description - New description
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function update(teamId, name, description) {
+  const sql = `
+    UPDATE teams
+    SET name = ?, description = ?
+    WHERE id = ?
+  `;
+  return await db.update(sql, [name, description, teamId]);
+}
+
+/**
+ * Add a user to a team
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of affected rows (0 if already a member)
+ */
+async function addMember(teamId, userId) {
+  const sql = `
+    INSERT IGNORE INTO team_members (team_id, user_id)
+    VALUES (?, ?)
+  `;
+  return await db.update(sql, [teamId, userId]);
+}
+
+/**
+ * Remove a user from a team
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function removeMember(teamId, userId) {
+  const sql = 'DELETE FROM team_members WHERE team_id = ? AND user_id = ?';
+  return await db.remove(sql, [teamId, userId]);
+}
+
+/**
+ * Delete team by ID
+ * Memberships and the team's number-access rules are removed by the database
+ * @param {number} teamId - Team ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteById(teamId) {
+  const sql = 'DELETE FROM teams WHERE id = ?';
+  return await db.remove(sql, [teamId]);
+}
+
+module.exports = {
+  getAll,
+  findById,
+  findByName,
+  getMembers,
+  findIdsByUserId,
+  create,
+  update,
+  addMember,
+  removeMember,
+  deleteById
+};
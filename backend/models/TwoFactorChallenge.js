@@ -0,0 +1,73 @@
+const db = require('../config/database');
+
+/**
+ * Two-Factor Challenge Model
+ * Handles login 2FA challenge tokens that have not been used yet, by jti
+ */
+
+/**
+ * Record a newly issued challenge token
+ * @param {Object} challengeData - Challenge data
+ * @param {string} challengeData.jti - Challenge token ID
+ * @param {number} challengeData.userId - User ID
+ * @param {Date} challengeData.expiresAt - Expiration timestamp
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function create(challengeData) {
+  const { jti, userId, expiresAt } = challengeData;
+
+  const sql = `
+    INSERT INTO two_factor_challenges (jti, user_id, expires_at)
+    VALUES (?, ?, ?)
+  `;
+
+  return await db.update(sql, [jti, userId, expiresAt]);
+}
+
+/**
+ * Check whether a challenge has not been used yet
+ * Expiry is left to the token itself
+ * @param {string} jti - Challenge token ID
+ * @returns {Promise<boolean>} True if the challenge is outstanding
+ */
+async function isOutstanding(jti) {
+  const sql = `
+    SELECT jti
+    FROM two_factor_challenges
+    WHERE jti = ?
+  `;
+  return !!(await db.queryOne(sql, [jti]));
+}
+
+/**
+ * Consume a challenge so it can only complete one login
+ * Only succeeds once, so a challenge cannot be redeemed twice concurrently
+ * @param {string} jti - Challenge token ID
+ * @returns {Promise<boolean>} True if this call consumed it
+ */
+async function consume(jti) {
+  const sql = `
+    DELETE FROM two_factor_challenges
+    WHERE jti = ?
+  `;
+  return (await db.remove(sql, [jti])) > 0;
+}
+
+/**
+ * Delete expired challenges
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function deleteExpired() {
+  const sql = `
+    DELETE FROM two_factor_challenges
+    WHERE expires_at < NOW()
+  `;
+  return await db.remove(sql);
+}
+
+module.exports = {
+  create,
+  isOutstanding,
+  consume,
+  deleteExpired
+};
@@ -0,0 +1,56 @@
+const db = require('../config/database');
+
+/**
+ * Two-Factor Policy Model
+ * Handles per-role two-factor authentication requirements
+ */
+
+/**
+ * Get all role policies
+ * @returns {Promise<Array>} Array of policy objects
+ */
+async function getAll() {
+  const sql = `
+    SELECT role, required, updated_by, updated_at
+    FROM two_factor_policies
+    ORDER BY role
+  `;
+  return await db.query(sql);
+}
+
+/**
+ * Check whether a role must use two-factor authentication
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>} True if 2FA is required
+ */
+async function isRequiredForRole(role) {
+  const sql = `
+    SELECT required
+    FROM two_factor_policies
+    WHERE role = ?
+  `;
+  const policy = await db.queryOne(sql, [role]);
+  return !!(policy && policy.required);
+}
+
+/**
+ * Set the two-factor requirement for a role
+ * @param {string} role - Role name
+ * @param {boolean} required - Whether 2FA is required
+ * @param {number} updatedBy - ID of the admin making the change
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function setRequired(role, required, updatedBy) {
+  const sql = `
+    INSERT INTO two_factor_policies (role, required, updated_by)
+    VALUES (?, ?, ?)
+    ON DUPLICATE KEY UPDATE required = VALUES(required), updated_by = VALUES(updated_by)
+  `;
+  return await db.update(sql, [role, required, updatedBy]);
+}
+
+module.exports = {
+  getAll,
+  isRequiredForRole,
+  setRequired
+};
@@ -1,6 +1,9 @@
 const bcrypt = require('bcrypt');
 const db = require('../config/database');
+const PasswordHistory = require('./PasswordHistory');
 const { BCRYPT_SALT_ROUNDS, MAX_LOGIN_ATTEMPTS, getLockoutExpiration } = require('../config/security');
+const { checkPassword, PASSWORD_HISTORY_COUNT } = require('../config/passwordPolicy');
+const { AppError } = require('../middleware/errorHandler');
 
 /**
  * User Model
@@ -14,8 +17,9 @@ const { BCRYPT_SALT_ROUNDS, MAX_LOGIN_ATTEMPTS, getLockoutExpiration } = require
  */
 async function findByUsername(username) {
   const sql = `
-    SELECT id, username, password_hash, email, role, is_active, 
-           failed_login_attempts, locked_until, created_at, updated_at
+    SELECT id, username, password_hash, auth_provider, external_id, password_changed_at,
+           password_change_required, email, role, is_active, 
+           failed_login_attempts, locked_until, totp_enabled, created_at, updated_at
     FROM users
     WHERE username = ?
   `;
@@ -29,8 +33,9 @@ async function findByUsername(username) {
  */
 async function findById(id) {
   const sql = `
-    SELECT id, username, email, role, is_active, 
-           failed_login_attempts, locked_until, created_at, updated_at
+    SELECT id, username, auth_provider, password_changed_at, password_change_required, email, role, is_active, 
+           failed_login_attempts, locked_until, totp_enabled, last_login_at, created_at, updated_at,
+           display_name, default_country_code, timezone
     FROM users
     WHERE id = ?
   `;
@@ -44,7 +49,7 @@ async function findById(id) {
  */
 async function findByEmail(email) {
   const sql = `
-    SELECT id, username, password_hash, email, role, is_active, 
+    SELECT id, username, password_hash, auth_provider, email, role, is_active, 
            failed_login_attempts, locked_until, created_at, updated_at
     FROM users
     WHERE email = ?
@@ -52,6 +57,94 @@ async function findByEmail(email) {
   return await db.queryOne(sql, [email]);
 }
 
+/**
+ * Find user by external identity
+ * @param {string} provider - Identity provider (e.g. 'oidc')
+ * @param {string} externalId - Subject identifier at the provider
+ * @returns {Promise<Object|null>} User object or null
+ */
+async function findByExternalId(provider, externalId) {
+  const sql = `
+    SELECT id, username, auth_provider, external_id, email, role, is_active, 
+           failed_login_attempts, locked_until, totp_enabled, created_at, updated_at
+    FROM users
+    WHERE auth_provider = ? AND external_id = ?
+  `;
+  return await db.queryOne(sql, [provider, externalId]);
+}
+
+/**
+ * Create a user backed by an external identity provider (no local password)
+ * @param {Object} userData - User data
+ * @param {string} userData.username - Username
+ * @param {string} userData.email - Email (optional)
+ * @param {string} userData.role - User role
+ * @param {string} userData.provider - Identity provider
+ * @param {string} userData.externalId - Subject identifier at the provider
+ * @returns {Promise<number>} New user ID
+ */
+async function createExternal(userData) {
+  const { username, email, role = 'user', provider, externalId } = userData;
+
+  const sql = `
+    INSERT INTO users (username, password_hash, auth_provider, external_id, email, role)
+    VALUES (?, NULL, ?, ?, ?, ?)
+  `;
+
+  return await db.insert(sql, [username, provider, externalId, email || null, role]);
+}
+
+/**
+ * Link an existing user to an external identity
+ * Any local password is kept for use while local login is enabled
+ * @param {number} userId - User ID
+ * @param {string} provider - Identity provider
+ * @param {string} externalId - Subject identifier at the provider
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function linkExternalIdentity(userId, provider, externalId) {
+  const sql = `
+    UPDATE users
+    SET auth_provider = ?, external_id = ?
+    WHERE id = ?
+  `;
+  return await db.update(sql, [provider, externalId, userId]);
+}
+
+/**
+ * Check a new password against the password policy
+ * @param {number|null} userId - User ID, to check password history (null for new users)
+ * @param {string} password - New plain text password
+ * @returns {Promise<void>}
+ * @throws {AppError} WEAK_PASSWORD, PASSWORD_BREACHED or PASSWORD_REUSED
+ */
+async function assertPasswordAllowed(userId, password) {
+  const result = checkPassword(password);
+
+  if (!result.isValid) {
+    throw new AppError(result.message, 400, result.code);
+  }
+
+  if (!userId || PASSWORD_HISTORY_COUNT <= 0) {
+    return;
+  }
+
+  // The current password counts towards the history
+  const current = await db.queryOne('SELECT password_hash FROM users WHERE id = ?', [userId]);
+  const previousHashes = await PasswordHistory.getRecentHashes(userId, PASSWORD_HISTORY_COUNT);
+  const hashes = [current && current.password_hash, ...previousHashes].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      throw new AppError(
+        `Password must not match any of your last ${PASSWORD_HISTORY_COUNT} passwords`,
+        400,
+        'PASSWORD_REUSED'
+      );
+    }
+  }
+}
+
 /**
  * Create a new user
  * @param {Object} userData - User data
@@ -59,20 +152,27 @@ async function findByEmail(email) {
  * @param {string} userData.password - Plain text password
  * @param {string} userData.email - Email (optional)
  * @param {string} userData.role - User role (default: 'user')
+ * @param {boolean} userData.passwordChangeRequired - Require a new password at first login (default: false)
  * @returns {Promise<number>} New user ID
+ * @throws {AppError} If the password does not meet the password policy
  */
 async function create(userData) {
-  const { username, password, email, role = 'user' } = userData;
+  const { username, password, email, role = 'user', passwordChangeRequired = false } = userData;
+
+  await assertPasswordAllowed(null, password);
 
   // Hash password
   const passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
 
   const sql = `
-    INSERT INTO users (username, password_hash, email, role)
-    VALUES (?, ?, ?, ?)
+    INSERT INTO users (username, password_hash, password_changed_at, password_change_required, email, role)
+    VALUES (?, ?, NOW(), ?, ?, ?)
   `;
 
-  return await db.insert(sql, [username, passwordHash, email, role]);
+  const userId = await db.insert(sql, [username, passwordHash, passwordChangeRequired, email || null, role]);
+  await PasswordHistory.add(userId, passwordHash);
+
+  return userId;
 }
 
 /**
@@ -82,6 +182,10 @@ async function create(userData) {
  * @returns {Promise<boolean>} True if password matches
  */
 async function verifyPassword(plainPassword, hashedPassword) {
+  // Externally authenticated users have no local password
+  if (!plainPassword || !hashedPassword) {
+    return false;
+  }
   return await bcrypt.compare(plainPassword, hashedPassword);
 }
 
@@ -182,6 +286,36 @@ async function updateEmail(userId, email) {
   return await db.update(sql, [email, userId]);
 }
 
+/**
+ * Update a user's display name and preferences
+ * Only the fields present in profile are changed; null clears a field
+ * @param {number} userId - User ID
+ * @param {Object} profile - Profile fields
+ * @param {string|null} profile.displayName - Display name (optional)
+ * @param {string|null} profile.defaultCountryCode - Default dialling code such as +91 (optional)
+ * @param {string|null} profile.timezone - IANA timezone such as Asia/Kolkata (optional)
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function updateProfile(userId, profile) {
+  const columns = {
+    displayName: 'display_name',
+    defaultCountryCode: 'default_country_code',
+    timezone: 'timezone'
+  };
+  const fields = Object.keys(columns).filter(field => profile[field] !== undefined);
+
+  if (!fields.length) {
+    return 0;
+  }
+
+  const sql = `
+    UPDATE users
+    SET ${fields.map(field => `${columns[field]} = ?`).join(', ')}
+    WHERE id = ?
+  `;
+  return await db.update(sql, [...fields.map(field => profile[field]), userId]);
+}
+
 /**
  * Update user role
  * @param {number} userId - User ID
@@ -225,42 +359,165 @@ async function deactivate(userId) {
   return await db.update(sql, [userId]);
 }
 
+/**
+ * Require the user to choose a new password before using the app again
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function requirePasswordChange(userId) {
+  const sql = `
+    UPDATE users
+    SET password_change_required = TRUE
+    WHERE id = ?
+  `;
+  return await db.update(sql, [userId]);
+}
+
 /**
  * Change user password
  * @param {number} userId - User ID
  * @param {string} newPassword - New plain text password
  * @returns {Promise<number>} Number of affected rows
+ * @throws {AppError} If the password does not meet the password policy
  */
 async function changePassword(userId, newPassword) {
+  await assertPasswordAllowed(userId, newPassword);
+
   const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
   const sql = `
     UPDATE users
-    SET password_hash = ?
+    SET password_hash = ?, password_changed_at = NOW(), password_change_required = FALSE
     WHERE id = ?
   `;
-  return await db.update(sql, [passwordHash, userId]);
+  const affectedRows = await db.update(sql, [passwordHash, userId]);
+
+  await PasswordHistory.add(userId, passwordHash);
+  await PasswordHistory.prune(userId, Math.max(PASSWORD_HISTORY_COUNT, 1));
+
+  return affectedRows;
+}
+
+/**
+ * Get a user's two-factor authentication state
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Encrypted secret, enabled flag and last used step
+ */
+async function findTwoFactorById(userId) {
+  const sql = `
+    SELECT id, totp_secret_encrypted, totp_enabled, totp_last_used_step, totp_enabled_at
+    FROM users
+    WHERE id = ?
+  `;
+  return await db.queryOne(sql, [userId]);
+}
+
+/**
+ * Store a pending (not yet enabled) TOTP secret
+ * @param {number} userId - User ID
+ * @param {string} encryptedSecret - Encrypted TOTP secret
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function setTotpSecret(userId, encryptedSecret) {
+  const sql = `
+    UPDATE users
+    SET totp_secret_encrypted = ?, totp_enabled = FALSE, totp_last_used_step = NULL
+    WHERE id = ?
+  `;
+  return await db.update(sql, [encryptedSecret, userId]);
+}
+
+/**
+ * Enable TOTP for a user
+ * @param {number} userId - User ID
+ * @param {number} usedStep - Time step of the code that confirmed enrollment
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function enableTotp(userId, usedStep) {
+  const sql = `
+    UPDATE users
+    SET totp_enabled = TRUE, totp_last_used_step = ?, totp_enabled_at = NOW()
+    WHERE id = ? AND totp_secret_encrypted IS NOT NULL
+  `;
+  return await db.update(sql, [usedStep, userId]);
+}
+
+/**
+ * Disable TOTP and remove the secret
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of affected rows
+ */
+async function disableTotp(userId) {
+  const sql = `
+    UPDATE users
+    SET totp_secret_encrypted = NULL, totp_enabled = FALSE,
+        totp_last_used_step = NULL, totp_enabled_at = NULL
+    WHERE id = ?
+  `;
+  return await db.update(sql, [userId]);
+}
+
+/**
+ * Record the last accepted TOTP time step to prevent code replay
+ * Only moves forward, so of two concurrent logins with the same code one fails
+ * @param {number} userId - User ID
+ * @param {number} step - Time step
+ * @returns {Promise<number>} Number of affected rows (0 if the step was already used)
+ */
+async function updateTotpLastUsedStep(userId, step) {
+  const sql = `
+    UPDATE users
+    SET totp_last_used_step = ?
+    WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)
+  `;
+  return await db.update(sql, [step, userId, step]);
 }
 
 /**
  * Get all users with pagination
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.search - Matches part of the username or email
+ * @param {string} filters.role - Exact role
+ * @param {boolean} filters.isActive - Active or inactive accounts only
  * @returns {Promise<Object>} Users and pagination info
  */
-async function getAll(page = 1, limit = 20) {
+async function getAll(page = 1, limit = 20, filters = {}) {
   const offset = (page - 1) * limit;
+  const conditions = [];
+  const params = [];
 
-  const countSql = 'SELECT COUNT(*) as total FROM users';
-  const [{ total }] = await db.query(countSql);
+  if (filters.search) {
+    conditions.push('(username LIKE ? OR email LIKE ?)');
+    const pattern = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+    params.push(pattern, pattern);
+  }
+
+  if (filters.role) {
+    conditions.push('role = ?');
+    params.push(filters.role);
+  }
+
+  if (filters.isActive !== undefined) {
+    conditions.push('is_active = ?');
+    params.push(filters.isActive);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countSql = `SELECT COUNT(*) as total FROM users ${where}`;
+  const [{ total }] = await db.query(countSql, params);
 
   const sql = `
-    SELECT id, username, email, role, is_active, 
-           failed_login_attempts, locked_until, created_at, updated_at
+    SELECT id, username, email, role, auth_provider, is_active, totp_enabled,
+           password_change_required, failed_login_attempts, locked_until,
+           last_login_at, created_at, updated_at
     FROM users
+    ${where}
     ORDER BY created_at DESC
     LIMIT ? OFFSET ?
   `;
-  const users = await db.query(sql, [limit, offset]);
+  const users = await db.query(sql, [...params, limit, offset]);
 
   return {
     users,
@@ -287,6 +544,10 @@ module.exports = {
   findByUsername,
   findById,
   findByEmail,
+  findByExternalId,
+  createExternal,
+  linkExternalIdentity,
+  assertPasswordAllowed,
   create,
   verifyPassword,
   updateLastLogin,
@@ -295,10 +556,17 @@ module.exports = {
   lockAccount,
   unlockAccount,
   updateEmail,
+  updateProfile,
   updateRole,
   activate,
   deactivate,
+  requirePasswordChange,
   changePassword,
+  findTwoFactorById,
+  setTotpSecret,
+  enableTotp,
+  disableTotp,
+  updateTotpLastUsedStep,
   getAll,
   deleteById
 };
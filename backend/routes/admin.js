@@ -0,0 +1,382 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validator');
+const { schemas } = require('../middleware/validator');
+
+/**
+ * Admin Routes
+ * Base path: /api/v1/admin
+ */
+
+router.use(authenticate);
+router.use('/2fa-policies', requirePermission('2fa_policies:manage'));
+router.use('/session-policies', requirePermission('session_policies:manage'));
+router.use('/api-keys', requirePermission('api_keys:manage'));
+router.use('/users', requirePermission('users:manage'));
+router.use(['/roles', '/permissions'], requirePermission('roles:manage'));
+router.use('/teams', requirePermission('users:manage'));
+router.use('/invitations', requirePermission('users:manage'));
+router.use('/number-rules', requirePermission('number_policies:manage'));
+router.use('/ip-blocks', requirePermission('ip_blocks:manage'));
+router.use('/impersonate', requirePermission('users:impersonate'));
+
+/**
+ * @route   GET /api/v1/admin/2fa-policies
+ * @desc    List per-role two-factor requirements
+ * @access  Private (2fa_policies:manage)
+ */
+router.get('/2fa-policies', adminController.getTwoFactorPolicies);
+
+/**
+ * @route   PUT /api/v1/admin/2fa-policies/:role
+ * @desc    Require or stop requiring two-factor authentication for a role
+ * @access  Private (2fa_policies:manage)
+ */
+router.put(
+  '/2fa-policies/:role',
+  validateParams(schemas.roleParam),
+  validateBody(schemas.twoFactorPolicy),
+  adminController.setTwoFactorPolicy
+);
+
+/**
+ * @route   GET /api/v1/admin/session-policies
+ * @desc    Show default and per-role session limits and timeouts
+ * @access  Private (session_policies:manage)
+ */
+router.get('/session-policies', adminController.getSessionPolicies);
+
+/**
+ * @route   PUT /api/v1/admin/session-policies/:role
+ * @desc    Set the session limits and timeouts of a role
+ * @access  Private (session_policies:manage)
+ */
+router.put(
+  '/session-policies/:role',
+  validateParams(schemas.roleParam),
+  validateBody(schemas.sessionPolicy),
+  adminController.setSessionPolicy
+);
+
+/**
+ * @route   DELETE /api/v1/admin/session-policies/:role
+ * @desc    Remove a role's session policy so the server defaults apply
+ * @access  Private (session_policies:manage)
+ */
+router.delete(
+  '/session-policies/:role',
+  validateParams(schemas.roleParam),
+  adminController.resetSessionPolicy
+);
+
+/**
+ * @route   POST /api/v1/admin/api-keys
+ * @desc    Create an API key; the key is returned only in this response
+ * @access  Private (api_keys:manage)
+ */
+router.post('/api-keys', validateBody(schemas.createApiKey), adminController.createApiKey);
+
+/**
+ * @route   GET /api/v1/admin/api-keys
+ * @desc    List API keys with pagination
+ * @access  Private (api_keys:manage)
+ */
+router.get('/api-keys', validateQuery(schemas.apiKeyQuery), adminController.listApiKeys);
+
+/**
+ * @route   DELETE /api/v1/admin/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (api_keys:manage)
+ */
+router.delete('/api-keys/:id', validateParams(schemas.idParam), adminController.revokeApiKey);
+
+/**
+ * @route   GET /api/v1/admin/users
+ * @desc    List users with search, filters and pagination
+ * @access  Private (users:manage)
+ */
+router.get('/users', validateQuery(schemas.userQuery), adminController.listUsers);
+
+/**
+ * @route   POST /api/v1/admin/users
+ * @desc    Create a local user
+ * @access  Private (users:manage)
+ */
+router.post('/users', validateBody(schemas.createUser), adminController.createUser);
+
+/**
+ * @route   GET /api/v1/admin/users/:id
+ * @desc    Get a user
+ * @access  Private (users:manage)
+ */
+router.get('/users/:id', validateParams(schemas.idParam), adminController.getUser);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:id
+ * @desc    Update a user's email, role or active flag
+ * @access  Private (users:manage)
+ */
+router.patch(
+  '/users/:id',
+  validateParams(schemas.idParam),
+  validateBody(schemas.updateUser),
+  adminController.updateUser
+);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/activate
+ * @desc    Activate a user
+ * @access  Private (users:manage)
+ */
+router.post('/users/:id/activate', validateParams(schemas.idParam), adminController.activateUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/deactivate
+ * @desc    Deactivate a user and end their sessions
+ * @access  Private (users:manage)
+ */
+router.post('/users/:id/deactivate', validateParams(schemas.idParam), adminController.deactivateUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/unlock
+ * @desc    Clear a user's lockout and failed login attempts
+ * @access  Private (users:manage)
+ */
+router.post('/users/:id/unlock', validateParams(schemas.idParam), adminController.unlockUser);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/force-password-reset
+ * @desc    End a user's sessions and require a new password
+ * @access  Private (users:manage)
+ */
+router.post(
+  '/users/:id/force-password-reset',
+  validateParams(schemas.idParam),
+  adminController.forcePasswordReset
+);
+
+/**
+ * @route   DELETE /api/v1/admin/users/:id
+ * @desc    Delete a user
+ * @access  Private (users:manage)
+ */
+router.delete('/users/:id', validateParams(schemas.idParam), adminController.deleteUser);
+
+/**
+ * @route   GET /api/v1/admin/permissions
+ * @desc    List the permissions roles can grant
+ * @access  Private (roles:manage)
+ */
+router.get('/permissions', adminController.listPermissions);
+
+/**
+ * @route   GET /api/v1/admin/roles
+ * @desc    List roles with their permissions
+ * @access  Private (roles:manage)
+ */
+router.get('/roles', adminController.listRoles);
+
+/**
+ * @route   POST /api/v1/admin/roles
+ * @desc    Create a custom role
+ * @access  Private (roles:manage)
+ */
+router.post('/roles', validateBody(schemas.createRole), adminController.createRole);
+
+/**
+ * @route   GET /api/v1/admin/roles/:id
+ * @desc    Get a role
+ * @access  Private (roles:manage)
+ */
+router.get('/roles/:id', validateParams(schemas.idParam), adminController.getRole);
+
+/**
+ * @route   PUT /api/v1/admin/roles/:id
+ * @desc    Update a role's description or permissions
+ * @access  Private (roles:manage)
+ */
+router.put(
+  '/roles/:id',
+  validateParams(schemas.idParam),
+  validateBody(schemas.updateRole),
+  adminController.updateRole
+);
+
+/**
+ * @route   DELETE /api/v1/admin/roles/:id
+ * @desc    Delete a custom role that no user has
+ * @access  Private (roles:manage)
+ */
+router.delete('/roles/:id', validateParams(schemas.idParam), adminController.deleteRole);
+
+/**
+ * @route   GET /api/v1/admin/teams
+ * @desc    List teams
+ * @access  Private (users:manage)
+ */
+router.get('/teams', adminController.listTeams);
+
+/**
+ * @route   POST /api/v1/admin/teams
+ * @desc    Create a team
+ * @access  Private (users:manage)
+ */
+router.post('/teams', validateBody(schemas.createTeam), adminController.createTeam);
+
+/**
+ * @route   GET /api/v1/admin/teams/:id
+ * @desc    Get a team and its members
+ * @access  Private (users:manage)
+ */
+router.get('/teams/:id', validateParams(schemas.idParam), adminController.getTeam);
+
+/**
+ * @route   PATCH /api/v1/admin/teams/:id
+ * @desc    Rename a team or change its description
+ * @access  Private (users:manage)
+ */
+router.patch(
+  '/teams/:id',
+  validateParams(schemas.idParam),
+  validateBody(schemas.updateTeam),
+  adminController.updateTeam
+);
+
+/**
+ * @route   DELETE /api/v1/admin/teams/:id
+ * @desc    Delete a team and its number access rules
+ * @access  Private (users:manage)
+ */
+router.delete('/teams/:id', validateParams(schemas.idParam), adminController.deleteTeam);
+
+/**
+ * @route   PUT /api/v1/admin/teams/:id/members/:userId
+ * @desc    Add a user to a team
+ * @access  Private (users:manage)
+ */
+router.put(
+  '/teams/:id/members/:userId',
+  validateParams(schemas.teamMemberParams),
+  adminController.addTeamMember
+);
+
+/**
+ * @route   DELETE /api/v1/admin/teams/:id/members/:userId
+ * @desc    Remove a user from a team
+ * @access  Private (users:manage)
+ */
+router.delete(
+  '/teams/:id/members/:userId',
+  validateParams(schemas.teamMemberParams),
+  adminController.removeTeamMember
+);
+
+/**
+ * @route   GET /api/v1/admin/number-rules
+ * @desc    List number access rules (filter with userId, roleId or teamId)
+ * @access  Private (number_policies:manage)
+ */
+router.get('/number-rules', validateQuery(schemas.numberRuleQuery), adminController.listNumberRules);
+
+/**
+ * @route   POST /api/v1/admin/number-rules
+ * @desc    Create a number access rule for a user, role or team
+ * @access  Private (number_policies:manage)
+ */
+router.post('/number-rules', validateBody(schemas.createNumberRule), adminController.createNumberRule);
+
+/**
+ * @route   POST /api/v1/admin/number-rules/test
+ * @desc    Check whether a user may fetch OTPs for a mobile number
+ * @access  Private (number_policies:manage)
+ */
+router.post('/number-rules/test', validateBody(schemas.testNumberRule), adminController.testNumberRule);
+
+/**
+ * @route   GET /api/v1/admin/number-rules/:id
+ * @desc    Get a number access rule
+ * @access  Private (number_policies:manage)
+ */
+router.get('/number-rules/:id', validateParams(schemas.idParam), adminController.getNumberRule);
+
+/**
+ * @route   PATCH /api/v1/admin/number-rules/:id
+ * @desc    Update a number access rule
+ * @access  Private (number_policies:manage)
+ */
+router.patch(
+  '/number-rules/:id',
+  validateParams(schemas.idParam),
+  validateBody(schemas.updateNumberRule),
+  adminController.updateNumberRule
+);
+
+/**
+ * @route   DELETE /api/v1/admin/number-rules/:id
+ * @desc    Delete a number access rule
+ * @access  Private (number_policies:manage)
+ */
+router.delete('/number-rules/:id', validateParams(schemas.idParam), adminController.deleteNumberRule);
+
+/**
+ * @route   GET /api/v1/admin/ip-blocks
+ * @desc    List login blocks on IP addresses (active by default)
+ * @access  Private (ip_blocks:manage)
+ */
+router.get('/ip-blocks', validateQuery(schemas.ipBlockQuery), adminController.listIpBlocks);
+
+/**
+ * @route   DELETE /api/v1/admin/ip-blocks/:id
+ * @desc    Clear an IP block and the IP's recorded login failures
+ * @access  Private (ip_blocks:manage)
+ */
+router.delete('/ip-blocks/:id', validateParams(schemas.idParam), adminController.clearIpBlock);
+
+/**
+ * @route   GET /api/v1/admin/invitations
+ * @desc    List invitations (pending by default)
+ * @access  Private (users:manage)
+ */
+router.get('/invitations', validateQuery(schemas.invitationQuery), adminController.listInvitations);
+
+/**
+ * @route   POST /api/v1/admin/invitations
+ * @desc    Invite someone by email to create an account with a role
+ * @access  Private (users:manage)
+ */
+router.post('/invitations', validateBody(schemas.createInvitation), adminController.createInvitation);
+
+/**
+ * @route   POST /api/v1/admin/invitations/:id/resend
+ * @desc    Email a fresh link; earlier links stop working
+ * @access  Private (users:manage)
+ */
+router.post(
+  '/invitations/:id/resend',
+  validateParams(schemas.idParam),
+  validateBody(schemas.resendInvitation),
+  adminController.resendInvitation
+);
+
+/**
+ * @route   DELETE /api/v1/admin/invitations/:id
+ * @desc    Revoke an invitation that has not been accepted
+ * @access  Private (users:manage)
+ */
+router.delete('/invitations/:id', validateParams(schemas.idParam), adminController.revokeInvitation);
+
+/**
+ * @route   POST /api/v1/admin/impersonate/:userId
+ * @desc    Get a short-lived, read-only session as another user
+ * @access  Private (users:impersonate)
+ */
+router.post(
+  '/impersonate/:userId',
+  validateParams(schemas.impersonateParams),
+  validateBody(schemas.impersonate),
+  adminController.impersonateUser
+);
+
+module.exports = router;
@@ -1,8 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const oidcController = require('../controllers/oidcController');
+const sessionController = require('../controllers/sessionController');
 const { authenticate } = require('../middleware/auth');
-const { validateBody } = require('../middleware/validator');
+const {
+  authLimiter,
+  passwordResetLimiter,
+  invitationLimiter,
+  loginAlertLimiter,
+  emailChangeLimiter
+} = require('../middleware/rateLimiter');
+const { validateBody, validateQuery, validateParams } = require('../middleware/validator');
 const { schemas } = require('../middleware/validator');
 
 /**
@@ -12,10 +22,50 @@ const { schemas } = require('../middleware/validator');
 
 /**
  * @route   POST /api/v1/auth/login
- * @desc    Authenticate user and receive JWT token
+ * @desc    Authenticate user and receive JWT token (or session cookies with useCookies)
  * @access  Public
  */
-router.post('/login', validateBody(schemas.login), authController.login);
+router.post('/login', authLimiter, validateBody(schemas.login), authController.login);
+
+/**
+ * @route   POST /api/v1/auth/login/2fa
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires challenge token)
+ */
+router.post('/login/2fa', authLimiter, validateBody(schemas.twoFactorLogin), authController.completeTwoFactorLogin);
+
+/**
+ * @route   POST /api/v1/auth/login/2fa/enroll
+ * @desc    Start TOTP enrollment during a login that requires 2FA
+ * @access  Public (requires challenge token)
+ */
+router.post(
+  '/login/2fa/enroll',
+  authLimiter,
+  validateBody(schemas.twoFactorChallenge),
+  authController.beginLoginEnrollment
+);
+
+/**
+ * @route   GET /api/v1/auth/oidc/config
+ * @desc    Get which login methods are enabled
+ * @access  Public
+ */
+router.get('/oidc/config', oidcController.getConfig);
+
+/**
+ * @route   GET /api/v1/auth/oidc/login
+ * @desc    Redirect to the identity provider for SSO login (?mode=cookie for browser session cookies)
+ * @access  Public
+ */
+router.get('/oidc/login', validateQuery(schemas.oidcLogin), oidcController.login);
+
+/**
+ * @route   GET /api/v1/auth/oidc/callback
+ * @desc    Complete SSO login and redirect back to the app with tokens
+ * @access  Public (requires state from /oidc/login)
+ */
+router.get('/oidc/callback', oidcController.callback);
 
 /**
  * @route   POST /api/v1/auth/logout
@@ -32,11 +82,69 @@ router.post('/logout', authenticate, authController.logout);
 router.get('/me', authenticate, authController.getCurrentUser);
 
 /**
- * @route   POST /api/v1/auth/refresh
- * @desc    Refresh JWT token
+ * @route   PATCH /api/v1/auth/me
+ * @desc    Update own display name and preferences; a new email is confirmed by link
+ * @access  Private
+ */
+router.patch(
+  '/me',
+  authenticate,
+  emailChangeLimiter,
+  validateBody(schemas.updateProfile),
+  authController.updateProfile
+);
+
+/**
+ * @route   POST /api/v1/auth/me/email/confirm
+ * @desc    Confirm a new email address with the token from the confirmation link
+ * @access  Public (requires confirmation token)
+ */
+router.post(
+  '/me/email/confirm',
+  emailChangeLimiter,
+  validateBody(schemas.emailChangeToken),
+  authController.confirmEmailChange
+);
+
+/**
+ * @route   POST /api/v1/auth/impersonation/stop
+ * @desc    End the impersonation session making the request
+ * @access  Private (impersonation session)
+ */
+router.post('/impersonation/stop', authenticate, authController.stopImpersonation);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List the current user's active sessions
  * @access  Private
  */
-router.post('/refresh', authenticate, authController.refreshToken);
+router.get('/sessions', authenticate, sessionController.listSessions);
+
+/**
+ * @route   POST /api/v1/auth/sessions/revoke-others
+ * @desc    Revoke every session except the current one
+ * @access  Private
+ */
+router.post('/sessions/revoke-others', authenticate, sessionController.revokeOtherSessions);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  validateParams(schemas.idParam),
+  sessionController.revokeSession
+);
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchange a refresh token for a new JWT and rotated refresh token
+ * @access  Public (requires refresh token in the body, or the refresh cookie plus CSRF token)
+ */
+router.post('/refresh', validateBody(schemas.refreshToken), authController.refreshToken);
 
 /**
  * @route   POST /api/v1/auth/change-password
@@ -45,4 +153,104 @@ router.post('/refresh', authenticate, authController.refreshToken);
  */
 router.post('/change-password', authenticate, authController.changePassword);
 
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  passwordResetLimiter,
+  validateBody(schemas.forgotPassword),
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/v1/auth/reset-password
+ * @desc    Set a new password with a reset token
+ * @access  Public (requires reset token)
+ */
+router.post(
+  '/reset-password',
+  passwordResetLimiter,
+  validateBody(schemas.resetPassword),
+  authController.resetPassword
+);
+
+/**
+ * @route   POST /api/v1/auth/invitations/lookup
+ * @desc    Show the email and role of an invitation
+ * @access  Public (requires invitation token)
+ */
+router.post(
+  '/invitations/lookup',
+  invitationLimiter,
+  validateBody(schemas.invitationToken),
+  authController.lookupInvitation
+);
+
+/**
+ * @route   POST /api/v1/auth/invitations/accept
+ * @desc    Create an account from an invitation with a chosen username and password
+ * @access  Public (requires invitation token)
+ */
+router.post(
+  '/invitations/accept',
+  invitationLimiter,
+  validateBody(schemas.acceptInvitation),
+  authController.acceptInvitation
+);
+
+/**
+ * @route   POST /api/v1/auth/login-alerts/report
+ * @desc    Report a login as not made by the user; signs out everywhere and locks the account
+ * @access  Public (requires token from a login alert email)
+ */
+router.post(
+  '/login-alerts/report',
+  loginAlertLimiter,
+  validateBody(schemas.loginAlertReport),
+  authController.reportLogin
+);
+
+/**
+ * @route   GET /api/v1/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', authenticate, twoFactorController.getStatus);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enroll
+ * @desc    Start TOTP enrollment and receive an otpauth:// URI
+ * @access  Private
+ */
+router.post('/2fa/enroll', authenticate, twoFactorController.enroll);
+
+/**
+ * @route   POST /api/v1/auth/2fa/verify
+ * @desc    Confirm TOTP enrollment and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/verify', authenticate, validateBody(schemas.twoFactorCode), twoFactorController.verify);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Disable TOTP
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, validateBody(schemas.twoFactorDisable), twoFactorController.disable);
+
+/**
+ * @route   POST /api/v1/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticate,
+  validateBody(schemas.twoFactorCode),
+  twoFactorController.regenerateRecoveryCodes
+);
+
 module.exports = router;
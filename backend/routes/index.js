@@ -8,6 +8,7 @@ const router = express.Router();
 
 const authRoutes = require('./auth');
 const otpRoutes = require('./otp');
+const adminRoutes = require('./admin');
 
 /**
  * @route   GET /api/v1/health
@@ -28,5 +29,6 @@ router.get('/health', (req, res) => {
  */
 router.use('/auth', authRoutes);
 router.use('/otp', otpRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
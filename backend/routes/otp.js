@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const otpController = require('../controllers/otpController');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, allowApiKey, requirePermission } = require('../middleware/auth');
 const { validateParams, validateQuery } = require('../middleware/validator');
 const { schemas } = require('../middleware/validator');
 
@@ -13,23 +13,52 @@ const { schemas } = require('../middleware/validator');
 /**
  * @route   GET /api/v1/otp/latest/:mobileNumber
  * @desc    Get latest OTP for a mobile number
- * @access  Private
+ * @access  Private (otp:read:latest; JWT or API key with otp:read)
  */
 router.get(
   '/latest/:mobileNumber',
-  authenticate,
+  allowApiKey('otp:read'),
+  requirePermission('otp:read:latest'),
   validateParams(schemas.mobileNumber),
   otpController.getLatestOtp
 );
 
+/**
+ * @route   GET /api/v1/otp/wait/:mobileNumber
+ * @desc    Hold the request until a new OTP arrives for a mobile number
+ * @access  Private (otp:read:latest; JWT or API key with otp:read)
+ */
+router.get(
+  '/wait/:mobileNumber',
+  allowApiKey('otp:read'),
+  requirePermission('otp:read:latest'),
+  validateParams(schemas.mobileNumber),
+  validateQuery(schemas.otpWait),
+  otpController.waitForOtp
+);
+
+/**
+ * @route   GET /api/v1/otp/stream
+ * @desc    Stream new OTPs for the listed mobile numbers as Server-Sent Events
+ * @access  Private (otp:read:latest; JWT or API key with otp:read)
+ */
+router.get(
+  '/stream',
+  allowApiKey('otp:read'),
+  requirePermission('otp:read:latest'),
+  validateQuery(schemas.otpStream),
+  otpController.streamOtps
+);
+
 /**
  * @route   GET /api/v1/otp/history/:mobileNumber
  * @desc    Get paginated OTP history for a mobile number
- * @access  Private
+ * @access  Private (otp:read:history; JWT or API key with otp:read)
  */
 router.get(
   '/history/:mobileNumber',
-  authenticate,
+  allowApiKey('otp:read'),
+  requirePermission('otp:read:history'),
   validateParams(schemas.mobileNumber),
   validateQuery(schemas.otpHistory),
   otpController.getOtpHistory
@@ -38,24 +67,24 @@ router.get(
 /**
  * @route   GET /api/v1/otp/statistics
  * @desc    Get OTP statistics
- * @access  Private (Admin only)
+ * @access  Private (otp:read:statistics)
  */
 router.get(
   '/statistics',
   authenticate,
-  authorize('admin'),
+  requirePermission('otp:read:statistics'),
   otpController.getOtpStatistics
 );
 
 /**
  * @route   GET /api/v1/otp/all
  * @desc    Get all OTPs with pagination
- * @access  Private (Admin only)
+ * @access  Private (otp:read:all)
  */
 router.get(
   '/all',
   authenticate,
-  authorize('admin'),
+  requirePermission('otp:read:all'),
   validateQuery(schemas.otpHistory),
   otpController.getAllOtps
 );
@@ -63,12 +92,12 @@ router.get(
 /**
  * @route   GET /api/v1/otp/by-date
  * @desc    Get OTPs by date range
- * @access  Private (Admin only)
+ * @access  Private (otp:read:all)
  */
 router.get(
   '/by-date',
   authenticate,
-  authorize('admin'),
+  requirePermission('otp:read:all'),
   otpController.getOtpsByDateRange
 );
 
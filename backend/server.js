@@ -1,6 +1,9 @@
 require('dotenv').config();
 const { app, initializeDatabase } = require('./app');
 const { closePool } = require('./config/database');
+const { assertSecureConfiguration, describeSigningKey } = require('./config/jwt');
+const { assertMailConfiguration } = require('./config/mailer');
+const otpWaitService = require('./services/otpWaitService');
 
 /**
  * Server Entry Point
@@ -15,6 +18,12 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
  */
 async function startServer() {
   try {
+    // Refuse to run with the built-in JWT secret outside development
+    assertSecureConfiguration();
+
+    // Refuse to print mail to the console or guess an SMTP server outside development
+    assertMailConfiguration();
+
     // Initialize database connection
     await initializeDatabase();
 
@@ -27,13 +36,20 @@ async function startServer() {
       console.log(`Server running on: http://localhost:${PORT}`);
       console.log(`API Base URL: http://localhost:${PORT}/api/v1`);
       console.log(`Health Check: http://localhost:${PORT}/health`);
+      console.log(`Token Signing: ${describeSigningKey()}`);
       console.log('='.repeat(50));
     });
 
     // Handle graceful shutdown
     const gracefulShutdown = async (signal) => {
       console.log(`\n${signal} received. Starting graceful shutdown...`);
-      
+
+      // Answer long-poll requests and end streams now instead of holding the shutdown open
+      const endedWaits = otpWaitService.shutdown();
+      if (endedWaits) {
+        console.log(`Ended ${endedWaits} OTP wait request(s) and stream subscription(s)`);
+      }
+
       server.close(async (err) => {
         if (err) {
           console.error('Error closing server:', err);
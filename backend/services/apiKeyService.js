@@ -0,0 +1,143 @@
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * API Key Service
+ * Handles creation, listing and revocation of machine API keys
+ */
+
+/**
+ * Transform an API key row for API responses (never includes the key itself)
+ * @param {Object} apiKey - API key row
+ * @returns {Object} API key summary
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    ownerId: apiKey.owner_id,
+    ownerUsername: apiKey.owner_username,
+    keyPrefix: apiKey.key_prefix,
+    scopes: apiKey.scopes,
+    allowedNumberPattern: apiKey.allowed_number_pattern,
+    expiresAt: apiKey.expires_at,
+    createdBy: apiKey.created_by,
+    createdAt: apiKey.created_at,
+    lastUsedAt: apiKey.last_used_at,
+    revokedAt: apiKey.revoked_at
+  };
+}
+
+/**
+ * Create an API key
+ * @param {Object} keyData - API key data
+ * @param {string} keyData.name - Descriptive name
+ * @param {number} keyData.ownerId - User the key acts as (default: caller)
+ * @param {Array<string>} keyData.scopes - Granted scopes
+ * @param {Date|null} keyData.expiresAt - Expiration timestamp (optional)
+ * @param {string|null} keyData.allowedNumberPattern - Regex for permitted numbers (optional)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} API key summary plus the raw key, shown only here
+ */
+async function createApiKey(keyData, req) {
+  const ipAddress = getClientIp(req);
+  const { name, scopes, expiresAt, allowedNumberPattern } = keyData;
+  const ownerId = keyData.ownerId || req.user.id;
+
+  const owner = await User.findById(ownerId);
+
+  if (!owner) {
+    throw new AppError('Owner not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (allowedNumberPattern) {
+    try {
+      new RegExp(allowedNumberPattern);
+    } catch (error) {
+      throw new AppError('Allowed number pattern is not a valid regular expression', 400, 'INVALID_INPUT');
+    }
+  }
+
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new AppError('Expiry must be in the future', 400, 'INVALID_INPUT');
+  }
+
+  const { key, prefix } = ApiKey.generateKey();
+
+  const apiKeyId = await ApiKey.create({
+    name,
+    ownerId,
+    key,
+    prefix,
+    scopes,
+    allowedNumberPattern,
+    expiresAt,
+    createdBy: req.user.id
+  });
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: 'api_key_create',
+    resource: 'api_key',
+    details: { apiKeyId, name, ownerId, scopes, allowedNumberPattern: allowedNumberPattern || null },
+    ipAddress,
+    status: 'success'
+  });
+
+  const apiKey = await ApiKey.findById(apiKeyId);
+
+  return {
+    ...formatApiKey({ ...apiKey, owner_username: owner.username }),
+    key
+  };
+}
+
+/**
+ * List API keys with pagination
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} API keys with pagination
+ */
+async function listApiKeys(page, limit) {
+  const result = await ApiKey.getAll(page, limit);
+
+  return {
+    apiKeys: result.apiKeys.map(formatApiKey),
+    pagination: result.pagination
+  };
+}
+
+/**
+ * Revoke an API key
+ * @param {number} apiKeyId - API key ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function revokeApiKey(apiKeyId, req) {
+  const ipAddress = getClientIp(req);
+  const apiKey = await ApiKey.findById(apiKeyId);
+
+  if (!apiKey) {
+    throw new AppError('API key not found', 404, 'API_KEY_NOT_FOUND');
+  }
+
+  await ApiKey.revoke(apiKeyId, req.user.id);
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: 'api_key_revoke',
+    resource: 'api_key',
+    details: { apiKeyId, name: apiKey.name, ownerId: apiKey.owner_id },
+    ipAddress,
+    status: 'success'
+  });
+}
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+};
@@ -1,28 +1,126 @@
+const crypto = require('crypto');
 const User = require('../models/User');
 const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const TwoFactorPolicy = require('../models/TwoFactorPolicy');
+const TwoFactorChallenge = require('../models/TwoFactorChallenge');
+const EmailChangeRequest = require('../models/EmailChangeRequest');
 const AuditLog = require('../models/AuditLog');
-const { generateToken, getTokenExpirationSeconds } = require('../config/jwt');
+const twoFactorService = require('./twoFactorService');
+const credentialBackends = require('./credentialBackends');
+const loginDefenseService = require('./loginDefenseService');
+const sessionPolicyService = require('./sessionPolicyService');
+const loginAlertService = require('./loginAlertService');
+const {
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  getTokenExpirationSeconds,
+  REFRESH_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN
+} = require('../config/jwt');
 const { isAccountLocked, getClientIp, getUserAgent } = require('../config/security');
+const { isPasswordChangeRequired } = require('../config/passwordPolicy');
 const { AppError } = require('../middleware/errorHandler');
+const {
+  invalidateSession,
+  invalidateUserSessions,
+  getRolePermissions,
+  getSessionPolicy,
+  getSessionPolicyError
+} = require('../middleware/auth');
 
 /**
  * Authentication Service
  * Handles authentication business logic
  */
 
+/**
+ * Issue an access token and its session for a user
+ * @param {Object} user - User object
+ * @param {string} ipAddress - Client IP address
+ * @param {string} userAgent - User agent string
+ * @param {Date} loginAt - When the login began, kept across refreshes (optional)
+ * @returns {Promise<Object>} Token, session ID and expiration in seconds
+ */
+async function issueAccessToken(user, ipAddress, userAgent, loginAt = null) {
+  const token = generateToken({
+    userId: user.id,
+    username: user.username,
+    role: user.role
+  });
+
+  // Calculate token expiration
+  const expiresIn = getTokenExpirationSeconds();
+  const expiresAt = new Date();
+  expiresAt.setSeconds(expiresAt.getSeconds() + expiresIn);
+
+  const sessionId = await Session.create({
+    userId: user.id,
+    token,
+    expiresAt,
+    ipAddress,
+    userAgent,
+    loginAt
+  });
+
+  return { token, sessionId, expiresIn };
+}
+
+/**
+ * Issue a refresh token bound to a session
+ * @param {number} userId - User ID
+ * @param {number} sessionId - Session ID the refresh token belongs to
+ * @param {string} familyId - Rotation family ID
+ * @param {string} ipAddress - Client IP address
+ * @param {string} userAgent - User agent string
+ * @returns {Promise<Object>} Raw refresh token and expiration in seconds
+ */
+async function issueRefreshToken(userId, sessionId, familyId, ipAddress, userAgent) {
+  const refreshToken = RefreshToken.generateToken();
+
+  const refreshExpiresIn = getTokenExpirationSeconds(REFRESH_TOKEN_EXPIRES_IN);
+  const expiresAt = new Date();
+  expiresAt.setSeconds(expiresAt.getSeconds() + refreshExpiresIn);
+
+  await RefreshToken.create({
+    userId,
+    sessionId,
+    familyId,
+    token: refreshToken,
+    expiresAt,
+    ipAddress,
+    userAgent
+  });
+
+  return { refreshToken, refreshExpiresIn };
+}
+
 /**
  * Login user
  * @param {string} username - Username
  * @param {string} password - Plain text password
  * @param {Object} req - Express request object
- * @returns {Promise<Object>} Login result with token and user info
+ * @returns {Promise<Object>} Login result with token and user info, or a two-factor challenge
  */
 async function login(username, password, req) {
   const ipAddress = getClientIp(req);
   const userAgent = getUserAgent(req);
 
-  // Find user by username
-  const user = await User.findByUsername(username);
+  if (!credentialBackends.isPasswordLoginEnabled()) {
+    throw new AppError('Password login is disabled. Please sign in with SSO.', 403, 'LOCAL_LOGIN_DISABLED');
+  }
+
+  // Refuse blocked IPs and throttled usernames before checking any password
+  await loginDefenseService.assertLoginAllowed(username, ipAddress);
+
+  // Find user by username, or create one if a directory backend accepts the credentials
+  let user = await User.findByUsername(username);
+  const provisioned = !user;
+
+  if (!user) {
+    user = await credentialBackends.provision(username, password, { ipAddress });
+  }
 
   if (!user) {
     // Log failed attempt
@@ -35,6 +133,8 @@ async function login(username, password, req) {
       status: 'failure'
     });
 
+    await loginDefenseService.recordFailure(username, ipAddress);
+
     throw new AppError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
   }
 
@@ -66,10 +166,28 @@ async function login(username, password, req) {
     throw new AppError('Account is temporarily locked. Please try again later.', 423, 'ACCOUNT_LOCKED');
   }
 
-  // Verify password
-  const isPasswordValid = await User.verifyPassword(password, user.password_hash);
+  // SSO accounts, or accounts whose backend is switched off, cannot use a password
+  if (!credentialBackends.getBackendForUser(user)) {
+    await AuditLog.create({
+      userId: user.id,
+      action: 'login',
+      resource: 'auth',
+      details: { username, reason: 'external_account', provider: user.auth_provider },
+      ipAddress,
+      status: 'failure'
+    });
 
-  if (!isPasswordValid) {
+    await loginDefenseService.recordFailure(username, ipAddress);
+
+    throw new AppError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
+  }
+
+  // Verify password with the account's credential backend (just done if provisioned)
+  const verifiedUser = provisioned
+    ? user
+    : await credentialBackends.verify(user, password, { ipAddress });
+
+  if (!verifiedUser) {
     // Increment failed attempts
     const updatedUser = await User.incrementFailedAttempts(user.id);
 
@@ -87,42 +205,64 @@ async function login(username, password, req) {
       status: 'failure'
     });
 
+    await loginDefenseService.recordFailure(username, ipAddress);
+
     throw new AppError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
   }
 
+  user = verifiedUser;
+
   // Reset failed attempts on successful login
   await User.resetFailedAttempts(user.id);
+  await loginDefenseService.recordSuccess(username, ipAddress);
+
+  // Require a second factor when enrolled or mandated for the role
+  const twoFactorRequired = user.totp_enabled ||
+    await TwoFactorPolicy.isRequiredForRole(user.role);
+
+  if (twoFactorRequired) {
+    return await startTwoFactorChallenge(user, ipAddress);
+  }
+
+  return await completeLogin(user, ipAddress, userAgent);
+}
+
+/**
+ * Issue tokens for a fully authenticated user
+ * @param {Object} user - User object
+ * @param {string} ipAddress - Client IP address
+ * @param {string} userAgent - User agent string
+ * @param {Object} details - Extra audit details (optional)
+ * @returns {Promise<Object>} Login result with token and user info
+ */
+async function completeLogin(user, ipAddress, userAgent, details = {}) {
+  // Stay within the role's concurrent session limit
+  await sessionPolicyService.enforceSessionLimit(user, ipAddress);
 
   // Update last login
   await User.updateLastLogin(user.id);
 
-  // Generate JWT token
-  const token = generateToken({
-    userId: user.id,
-    username: user.username,
-    role: user.role
-  });
-
-  // Calculate token expiration
-  const expiresIn = getTokenExpirationSeconds();
-  const expiresAt = new Date();
-  expiresAt.setSeconds(expiresAt.getSeconds() + expiresIn);
+  // Generate JWT token and session
+  const { token, sessionId, expiresIn } = await issueAccessToken(user, ipAddress, userAgent);
 
-  // Create session
-  await Session.create({
-    userId: user.id,
-    token,
-    expiresAt,
+  // Start a new refresh token family
+  const { refreshToken, refreshExpiresIn } = await issueRefreshToken(
+    user.id,
+    sessionId,
+    RefreshToken.generateFamilyId(),
     ipAddress,
     userAgent
-  });
+  );
+
+  // Email the user about logins from new devices or after failed attempts
+  await loginAlertService.checkLogin(user, sessionId, ipAddress, userAgent);
 
   // Log successful login
   await AuditLog.create({
     userId: user.id,
     action: 'login',
     resource: 'auth',
-    details: { username },
+    details: { username: user.username, ...details },
     ipAddress,
     status: 'success'
   });
@@ -130,16 +270,188 @@ async function login(username, password, req) {
   // Return user info (without sensitive data)
   return {
     token,
+    refreshToken,
     user: {
       id: user.id,
       username: user.username,
       email: user.email,
       role: user.role
     },
-    expiresIn
+    expiresIn,
+    refreshExpiresIn,
+    passwordChangeRequired: isPasswordChangeRequired(user)
+  };
+}
+
+/**
+ * Issue a two-factor challenge after a successful password check
+ * @param {Object} user - User object
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object>} Challenge token and whether enrollment is required
+ */
+async function startTwoFactorChallenge(user, ipAddress) {
+  const enrollmentRequired = !user.totp_enabled;
+  const challengeExpiresIn = getTokenExpirationSeconds(TWO_FACTOR_CHALLENGE_EXPIRES_IN);
+  const jti = crypto.randomUUID();
+
+  const challengeToken = generateChallengeToken({
+    userId: user.id,
+    enroll: enrollmentRequired,
+    jti
+  });
+
+  await TwoFactorChallenge.create({
+    jti,
+    userId: user.id,
+    expiresAt: new Date(Date.now() + challengeExpiresIn * 1000)
+  });
+
+  await AuditLog.create({
+    userId: user.id,
+    action: 'login_2fa_challenge',
+    resource: 'auth',
+    details: { username: user.username, enrollmentRequired },
+    ipAddress,
+    status: 'success'
+  });
+
+  return {
+    twoFactorRequired: true,
+    enrollmentRequired,
+    challengeToken,
+    challengeExpiresIn
   };
 }
 
+/**
+ * Resolve the user behind a two-factor challenge token
+ * @param {string} challengeToken - Challenge token from login
+ * @returns {Promise<Object>} Decoded challenge and user
+ * @throws {AppError} If the challenge is invalid, expired or already used
+ */
+async function resolveChallenge(challengeToken) {
+  let challenge;
+  try {
+    challenge = verifyChallengeToken(challengeToken);
+  } catch (error) {
+    throw new AppError('Invalid or expired two-factor challenge', 401, 'INVALID_CHALLENGE');
+  }
+
+  if (!challenge.jti || !(await TwoFactorChallenge.isOutstanding(challenge.jti))) {
+    throw new AppError('Invalid or expired two-factor challenge', 401, 'INVALID_CHALLENGE');
+  }
+
+  const user = await User.findById(challenge.userId);
+
+  if (!user) {
+    throw new AppError('Invalid or expired two-factor challenge', 401, 'INVALID_CHALLENGE');
+  }
+
+  if (!user.is_active) {
+    throw new AppError('Account is inactive', 403, 'ACCOUNT_INACTIVE');
+  }
+
+  if (isAccountLocked(user.locked_until)) {
+    throw new AppError('Account is temporarily locked. Please try again later.', 423, 'ACCOUNT_LOCKED');
+  }
+
+  return { challenge, user };
+}
+
+/**
+ * Use up a two-factor challenge once its login has succeeded
+ * @param {Object} challenge - Decoded challenge token
+ * @returns {Promise<void>}
+ * @throws {AppError} If another request already completed the login with it
+ */
+async function consumeChallenge(challenge) {
+  if (!(await TwoFactorChallenge.consume(challenge.jti))) {
+    throw new AppError('Invalid or expired two-factor challenge', 401, 'INVALID_CHALLENGE');
+  }
+}
+
+/**
+ * Start TOTP enrollment during a login that requires it
+ * @param {string} challengeToken - Challenge token from login
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Secret and otpauth URI
+ */
+async function beginLoginEnrollment(challengeToken, req) {
+  const { challenge, user } = await resolveChallenge(challengeToken);
+
+  if (!challenge.enroll || user.totp_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  return await twoFactorService.beginEnrollment(user.id, req);
+}
+
+/**
+ * Complete a login with the second factor
+ * @param {string} challengeToken - Challenge token from login
+ * @param {Object} factor - Second factor ({ code } or { recoveryCode })
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Login result with token and user info
+ */
+async function completeTwoFactorLogin(challengeToken, factor, req) {
+  const ipAddress = getClientIp(req);
+  const userAgent = getUserAgent(req);
+
+  const { challenge, user } = await resolveChallenge(challengeToken);
+
+  // First login under a 2FA-required role: the code confirms enrollment
+  if (challenge.enroll && !user.totp_enabled) {
+    let enrollment;
+    try {
+      enrollment = await twoFactorService.confirmEnrollment(user.id, factor.code, req);
+    } catch (error) {
+      if (error.code === 'INVALID_2FA_CODE') {
+        await User.incrementFailedAttempts(user.id);
+      }
+      throw error;
+    }
+
+    await consumeChallenge(challenge);
+    const result = await completeLogin(user, ipAddress, userAgent, { method: 'totp_enrollment' });
+    return { ...result, recoveryCodes: enrollment.recoveryCodes };
+  }
+
+  const method = await twoFactorService.verifySecondFactor(user.id, factor, req);
+
+  if (!method) {
+    const updatedUser = await User.incrementFailedAttempts(user.id);
+
+    await AuditLog.create({
+      userId: user.id,
+      action: '2fa_verify',
+      resource: 'auth',
+      details: {
+        username: user.username,
+        failedAttempts: updatedUser.failed_login_attempts,
+        isLocked: !!updatedUser.locked_until
+      },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Invalid two-factor code', 401, 'INVALID_2FA_CODE');
+  }
+
+  await consumeChallenge(challenge);
+  await User.resetFailedAttempts(user.id);
+
+  await AuditLog.create({
+    userId: user.id,
+    action: '2fa_verify',
+    resource: 'auth',
+    details: { username: user.username, method },
+    ipAddress,
+    status: 'success'
+  });
+
+  return await completeLogin(user, ipAddress, userAgent, { method });
+}
+
 /**
  * Logout user
  * @param {number} userId - User ID
@@ -150,8 +462,13 @@ async function login(username, password, req) {
 async function logout(userId, token, req) {
   const ipAddress = getClientIp(req);
 
-  // Revoke session
+  // Revoke session and the refresh tokens issued with it
+  const session = await Session.findByToken(token);
+  if (session) {
+    await RefreshToken.revokeBySessionId(session.id);
+  }
   await Session.revokeByToken(token);
+  invalidateSession(token);
 
   // Log logout
   await AuditLog.create({
@@ -167,21 +484,34 @@ async function logout(userId, token, req) {
 /**
  * Get current user
  * @param {number} userId - User ID
+ * @param {Object} impersonator - Administrator acting as the user (optional)
  * @returns {Promise<Object>} User object
  */
-async function getCurrentUser(userId) {
+async function getCurrentUser(userId, impersonator = null) {
   const user = await User.findById(userId);
 
   if (!user) {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
+  const pendingEmailChange = await EmailChangeRequest.findPendingByUserId(user.id);
+
   return {
     id: user.id,
     username: user.username,
     email: user.email,
+    pending_email: pendingEmailChange ? pendingEmailChange.new_email : null,
+    display_name: user.display_name,
+    preferences: {
+      default_country_code: user.default_country_code,
+      timezone: user.timezone
+    },
     role: user.role,
+    permissions: await getRolePermissions(user.role),
     is_active: user.is_active,
+    two_factor_enabled: !!user.totp_enabled,
+    password_change_required: isPasswordChangeRequired(user),
+    impersonated_by: impersonator ? { id: impersonator.id, username: impersonator.username } : null,
     created_at: user.created_at,
     updated_at: user.updated_at
   };
@@ -189,72 +519,117 @@ async function getCurrentUser(userId) {
 
 /**
  * Refresh token
- * @param {string} currentToken - Current JWT token
+ * Rotates the refresh token and issues a new access token. Presenting an
+ * already-rotated refresh token revokes its whole family.
+ * @param {string} refreshToken - Raw refresh token
  * @param {Object} req - Express request object
- * @returns {Promise<Object>} New token and expiration
+ * @returns {Promise<Object>} New tokens and expirations
  */
-async function refreshToken(currentToken, req) {
+async function refreshToken(refreshToken, req) {
   const ipAddress = getClientIp(req);
   const userAgent = getUserAgent(req);
 
-  // Check if session is valid
-  const isValid = await Session.isValid(currentToken);
+  const stored = await RefreshToken.findByToken(refreshToken);
 
-  if (!isValid) {
-    throw new AppError('Invalid or expired session', 401, 'INVALID_TOKEN');
+  if (!stored || stored.revoked_at) {
+    throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
   }
 
-  // Get session to extract user ID
-  const session = await Session.findByToken(currentToken);
+  // A used token being presented again means it was replayed
+  const claimed = !stored.used_at && await RefreshToken.markAsUsed(stored.id);
+
+  if (!claimed) {
+    await RefreshToken.revokeFamily(stored.family_id);
+    invalidateUserSessions(stored.user_id);
+
+    await AuditLog.create({
+      userId: stored.user_id,
+      action: 'refresh_token_reuse',
+      resource: 'auth',
+      details: { familyId: stored.family_id, refreshTokenId: stored.id },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Refresh token has already been used', 401, 'REFRESH_TOKEN_REUSED');
+  }
 
-  if (!session) {
-    throw new AppError('Session not found', 404, 'SESSION_NOT_FOUND');
+  if (new Date(stored.expires_at) <= new Date()) {
+    throw new AppError('Refresh token has expired', 401, 'REFRESH_TOKEN_EXPIRED');
   }
 
   // Get user
-  const user = await User.findById(session.user_id);
+  const user = await User.findById(stored.user_id);
 
   if (!user || !user.is_active) {
-    throw new AppError('User not found or inactive', 401, 'INVALID_TOKEN');
+    await RefreshToken.revokeFamily(stored.family_id);
+    throw new AppError('User not found or inactive', 401, 'INVALID_REFRESH_TOKEN');
   }
 
-  // Revoke old session
-  await Session.revoke(session.id);
-
-  // Generate new token
-  const newToken = generateToken({
-    userId: user.id,
-    username: user.username,
-    role: user.role
-  });
+  const oldSession = stored.session_id ? await Session.findById(stored.session_id) : null;
+
+  // A login that went idle or outlived its role's limit cannot be extended
+  if (oldSession) {
+    const policyError = getSessionPolicyError(
+      oldSession,
+      oldSession.last_accessed_at || oldSession.created_at,
+      await getSessionPolicy(user.role)
+    );
+
+    if (policyError) {
+      await Session.revoke(oldSession.id);
+      await RefreshToken.revokeFamily(stored.family_id);
+      invalidateSession(oldSession.token);
+
+      await AuditLog.create({
+        userId: user.id,
+        action: 'session_timeout',
+        resource: 'auth',
+        details: { sessionId: oldSession.id, reason: policyError },
+        ipAddress,
+        status: 'success'
+      });
+
+      throw new AppError(
+        policyError === 'SESSION_IDLE_TIMEOUT'
+          ? 'Session ended after a period of inactivity'
+          : 'Session has reached its maximum lifetime. Please log in again.',
+        401,
+        policyError
+      );
+    }
+  }
 
-  // Calculate token expiration
-  const expiresIn = getTokenExpirationSeconds();
-  const expiresAt = new Date();
-  expiresAt.setSeconds(expiresAt.getSeconds() + expiresIn);
+  // Revoke the access session the old refresh token was issued with
+  if (oldSession) {
+    await Session.revoke(oldSession.id);
+    invalidateSession(oldSession.token);
+  }
 
-  // Create new session
-  await Session.create({
-    userId: user.id,
-    token: newToken,
-    expiresAt,
+  // Issue new access token and rotate the refresh token within its family
+  const { token, sessionId, expiresIn } = await issueAccessToken(
+    user,
     ipAddress,
-    userAgent
-  });
+    userAgent,
+    oldSession ? oldSession.login_at || oldSession.created_at : null
+  );
+  const rotated = await issueRefreshToken(user.id, sessionId, stored.family_id, ipAddress, userAgent);
 
   // Log token refresh
   await AuditLog.create({
     userId: user.id,
     action: 'token_refresh',
     resource: 'auth',
-    details: {},
+    details: { familyId: stored.family_id },
     ipAddress,
     status: 'success'
   });
 
   return {
-    token: newToken,
-    expiresIn
+    token,
+    refreshToken: rotated.refreshToken,
+    expiresIn,
+    refreshExpiresIn: rotated.refreshExpiresIn
   };
 }
 
@@ -276,6 +651,10 @@ async function changePassword(userId, currentPassword, newPassword, req) {
     throw new AppError('User not found', 404, 'USER_NOT_FOUND');
   }
 
+  if (!user.password_hash) {
+    throw new AppError('Password is managed by your identity provider', 400, 'EXTERNAL_ACCOUNT');
+  }
+
   // Verify current password
   const isPasswordValid = await User.verifyPassword(currentPassword, user.password_hash);
 
@@ -297,6 +676,8 @@ async function changePassword(userId, currentPassword, newPassword, req) {
 
   // Revoke all sessions (force re-login)
   await Session.revokeAllByUserId(userId);
+  await RefreshToken.revokeAllByUserId(userId);
+  invalidateUserSessions(userId);
 
   // Log password change
   await AuditLog.create({
@@ -311,6 +692,9 @@ async function changePassword(userId, currentPassword, newPassword, req) {
 
 module.exports = {
   login,
+  completeLogin,
+  beginLoginEnrollment,
+  completeTwoFactorLogin,
   logout,
   getCurrentUser,
   refreshToken,
@@ -0,0 +1,210 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ldap = require('../config/ldap');
+const { syncMappedRole } = require('./roleService');
+const { LOCAL_LOGIN_ENABLED } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Credential Backends
+ * Pluggable username/password checks used by authService.login.
+ *
+ * Each backend is keyed by the users.auth_provider value it handles and
+ * implements:
+ *   isEnabled()                       -> boolean
+ *   verify(user, password, context)   -> Promise<Object|null> (user on success)
+ *   provision(username, password, context) (optional)
+ *                                     -> Promise<Object|null> (new user on success)
+ *
+ * verify() may return an updated user (e.g. a refreshed role). provision() lets
+ * a backend create accounts on first successful login.
+ */
+
+const backends = new Map();
+
+/**
+ * Register a credential backend
+ * @param {string} provider - users.auth_provider value the backend handles
+ * @param {Object} backend - Backend implementation
+ */
+function registerBackend(provider, backend) {
+  backends.set(provider, backend);
+}
+
+/**
+ * Get the enabled backend for an auth provider
+ * @param {string} provider - users.auth_provider value
+ * @returns {Object|null} Backend, or null if none is enabled
+ */
+function getBackend(provider) {
+  const backend = backends.get(provider);
+  return backend && backend.isEnabled() ? backend : null;
+}
+
+/**
+ * Get the enabled backend that checks a user's password
+ * Accounts from providers without a password backend (e.g. SSO-linked
+ * accounts) fall back to their local password, if they still have one
+ * @param {Object} user - User object (with auth_provider and password_hash)
+ * @returns {Object|null} Backend, or null if the user cannot use a password
+ */
+function getBackendForUser(user) {
+  const provider = user.auth_provider || 'local';
+
+  if (backends.has(provider)) {
+    return getBackend(provider);
+  }
+
+  return user.password_hash ? getBackend('local') : null;
+}
+
+/**
+ * Check whether any backend accepts passwords
+ * @returns {boolean} True if password login is possible
+ */
+function isPasswordLoginEnabled() {
+  return [...backends.values()].some(backend => backend.isEnabled());
+}
+
+/**
+ * Verify a password for an existing user with the user's own backend
+ * @param {Object} user - User object (with auth_provider and password_hash)
+ * @param {string} password - Plain text password
+ * @param {Object} context - Request context ({ ipAddress })
+ * @returns {Promise<Object|null>} User on success, or null
+ */
+async function verify(user, password, context) {
+  const backend = getBackendForUser(user);
+
+  if (!backend) {
+    return null;
+  }
+
+  return await backend.verify(user, password, context);
+}
+
+/**
+ * Try to create a user on first login with any backend that supports it
+ * @param {string} username - Username entered at login
+ * @param {string} password - Plain text password
+ * @param {Object} context - Request context ({ ipAddress })
+ * @returns {Promise<Object|null>} New user, or null
+ */
+async function provision(username, password, context) {
+  for (const backend of backends.values()) {
+    if (!backend.isEnabled() || !backend.provision) {
+      continue;
+    }
+
+    const user = await backend.provision(username, password, context);
+    if (user) {
+      return user;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run an LDAP bind, translating directory outages into a 503
+ * @param {string} username - Username entered at login
+ * @param {string} password - Plain text password
+ * @param {Object} context - Request context ({ ipAddress })
+ * @returns {Promise<Object|null>} Directory profile, or null
+ */
+async function ldapAuthenticate(username, password, context) {
+  try {
+    return await ldap.authenticate(username, password);
+  } catch (error) {
+    await AuditLog.create({
+      userId: null,
+      action: 'login',
+      resource: 'auth',
+      details: { username, reason: 'directory_unavailable', error: error.message },
+      ipAddress: context.ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Directory service is unavailable', 503, 'SERVICE_UNAVAILABLE');
+  }
+}
+
+// Local accounts: bcrypt hash in users.password_hash
+registerBackend('local', {
+  isEnabled: () => LOCAL_LOGIN_ENABLED,
+
+  async verify(user, password) {
+    return await User.verifyPassword(password, user.password_hash) ? user : null;
+  }
+});
+
+// LDAP / Active Directory: bind as the user, role from group membership
+registerBackend('ldap', {
+  isEnabled: () => ldap.LDAP_ENABLED,
+
+  async verify(user, password, context) {
+    const profile = await ldapAuthenticate(user.external_id || user.username, password, context);
+
+    if (!profile) {
+      return null;
+    }
+
+    const role = syncMappedRole(user.role, ldap.mapRole(profile.groups));
+    if (user.role !== role) {
+      await User.updateRole(user.id, role);
+
+      await AuditLog.create({
+        userId: user.id,
+        action: 'ldap_role_sync',
+        resource: 'user',
+        details: { from: user.role, to: role },
+        ipAddress: context.ipAddress,
+        status: 'success'
+      });
+
+      return { ...user, role };
+    }
+
+    return user;
+  },
+
+  async provision(username, password, context) {
+    const profile = await ldapAuthenticate(username, password, context);
+
+    if (!profile) {
+      return null;
+    }
+
+    // Emails are unique, so leave it unset if another account already uses it
+    const email = profile.email && !(await User.findByEmail(profile.email)) ? profile.email : null;
+    const role = ldap.mapRole(profile.groups);
+
+    const userId = await User.createExternal({
+      username,
+      email,
+      role,
+      provider: 'ldap',
+      externalId: profile.username
+    });
+
+    await AuditLog.create({
+      userId,
+      action: 'ldap_provision',
+      resource: 'user',
+      details: { username, dn: profile.dn, role },
+      ipAddress: context.ipAddress,
+      status: 'success'
+    });
+
+    return await User.findByUsername(username);
+  }
+});
+
+module.exports = {
+  registerBackend,
+  getBackend,
+  getBackendForUser,
+  isPasswordLoginEnabled,
+  verify,
+  provision
+};
@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const { generateImpersonationToken, getTokenExpirationSeconds, IMPERSONATION_EXPIRES_IN } = require('../config/jwt');
+const { getClientIp, getUserAgent } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+const { getRolePermissions, invalidateSession } = require('../middleware/auth');
+
+/**
+ * Impersonation Service
+ * Lets administrators see the app as another user to reproduce problems.
+ *
+ * An impersonation token identifies the target user (so roles, number rules
+ * and every other policy evaluate as them) and carries the administrator's
+ * ID. Its session is short-lived, read-only, tied to the administrator's own
+ * session, and every request made with it is audited with both user IDs.
+ */
+
+/**
+ * Start impersonating a user
+ * @param {number} targetUserId - User to act as
+ * @param {Object} options - Validated options
+ * @param {string} options.reason - Why the administrator is impersonating (optional)
+ * @param {Object} req - Express request object (authenticated administrator)
+ * @returns {Promise<Object>} Impersonation token, lifetime and both users
+ */
+async function startImpersonation(targetUserId, { reason }, req) {
+  if (req.impersonator) {
+    throw new AppError('Stop the current impersonation first', 403, 'IMPERSONATION_NOT_ALLOWED');
+  }
+
+  const target = await User.findById(targetUserId);
+
+  if (!target) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (target.id === req.user.id) {
+    throw new AppError('Administrators cannot perform this action on their own account', 403, 'CANNOT_MODIFY_SELF');
+  }
+
+  if (!target.is_active) {
+    throw new AppError('Inactive users cannot be impersonated', 403, 'IMPERSONATION_NOT_ALLOWED');
+  }
+
+  // Impersonation must never grant more than the administrator already has
+  const ownPermissions = await getRolePermissions(req.user.role);
+  const targetPermissions = await getRolePermissions(target.role);
+
+  if (targetPermissions.some(permission => !ownPermissions.includes(permission))) {
+    throw new AppError(
+      'You cannot impersonate a user with permissions you do not have',
+      403,
+      'IMPERSONATION_NOT_ALLOWED'
+    );
+  }
+
+  const ipAddress = getClientIp(req);
+  const expiresIn = getTokenExpirationSeconds(IMPERSONATION_EXPIRES_IN);
+  const expiresAt = new Date();
+  expiresAt.setSeconds(expiresAt.getSeconds() + expiresIn);
+
+  const token = generateImpersonationToken({
+    userId: target.id,
+    username: target.username,
+    role: target.role,
+    impersonatorId: req.user.id
+  });
+
+  const sessionId = await Session.create({
+    userId: target.id,
+    token,
+    expiresAt,
+    ipAddress,
+    userAgent: getUserAgent(req),
+    impersonatorId: req.user.id,
+    impersonatorSessionId: req.session.id
+  });
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: 'impersonation_start',
+    resource: 'user',
+    details: {
+      targetUserId: target.id,
+      targetUsername: target.username,
+      sessionId,
+      reason: reason || null,
+      expiresIn
+    },
+    ipAddress,
+    status: 'success'
+  });
+
+  return {
+    token,
+    expiresIn,
+    user: {
+      id: target.id,
+      username: target.username,
+      email: target.email,
+      role: target.role
+    },
+    impersonator: {
+      id: req.user.id,
+      username: req.user.username
+    }
+  };
+}
+
+/**
+ * End the impersonation session making the request
+ * @param {Object} req - Express request object (authenticated with an impersonation token)
+ * @returns {Promise<Object|null>} The administrator's own session if it is still active
+ */
+async function stopImpersonation(req) {
+  if (!req.impersonator) {
+    throw new AppError('This session is not impersonating anyone', 400, 'NOT_IMPERSONATING');
+  }
+
+  await Session.revoke(req.session.id);
+  invalidateSession(req.authToken);
+
+  await AuditLog.create({
+    userId: req.impersonator.id,
+    action: 'impersonation_stop',
+    resource: 'user',
+    details: {
+      targetUserId: req.user.id,
+      targetUsername: req.user.username,
+      sessionId: req.session.id
+    },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+
+  const ownSession = await Session.findById(req.session.impersonator_session_id);
+
+  if (!ownSession || ownSession.revoked_at || new Date(ownSession.expires_at) <= new Date()) {
+    return null;
+  }
+
+  return ownSession;
+}
+
+module.exports = {
+  startImpersonation,
+  stopImpersonation
+};
@@ -0,0 +1,398 @@
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const credentialBackends = require('./credentialBackends');
+const roleService = require('./roleService');
+const { sendMail } = require('../config/mailer');
+const { INVITATION_TTL_HOURS, INVITATION_URL, getClientIp } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Invitation Service
+ * Onboards new users without an administrator choosing their password.
+ *
+ * An administrator invites an email address with a role. The invitee gets a
+ * single-use link and picks a username and password; the account is created
+ * only then. Resending replaces the link, so only the newest email works.
+ */
+
+/**
+ * Work out where an invitation stands
+ * @param {Object} invitation - Invitation row
+ * @returns {string} 'pending', 'accepted', 'revoked' or 'expired'
+ */
+function getStatus(invitation) {
+  if (invitation.accepted_at) {
+    return 'accepted';
+  }
+  if (invitation.revoked_at) {
+    return 'revoked';
+  }
+  return new Date(invitation.expires_at) > new Date() ? 'pending' : 'expired';
+}
+
+/**
+ * Transform an invitation row for API responses (never includes the token)
+ * @param {Object} invitation - Invitation row (with invited_by_username)
+ * @returns {Object} Invitation summary
+ */
+function formatInvitation(invitation) {
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    status: getStatus(invitation),
+    expiresAt: invitation.expires_at,
+    invitedBy: invitation.invited_by
+      ? { id: invitation.invited_by, username: invitation.invited_by_username }
+      : null,
+    sendCount: invitation.send_count,
+    lastSentAt: invitation.last_sent_at,
+    acceptedAt: invitation.accepted_at,
+    userId: invitation.user_id,
+    revokedAt: invitation.revoked_at,
+    createdAt: invitation.created_at
+  };
+}
+
+/**
+ * Load an invitation or fail with INVITATION_NOT_FOUND
+ * @param {number} invitationId - Invitation ID
+ * @returns {Promise<Object>} Invitation object
+ */
+async function getInvitationOrFail(invitationId) {
+  const invitation = await Invitation.findById(invitationId);
+
+  if (!invitation) {
+    throw new AppError('Invitation not found', 404, 'INVITATION_NOT_FOUND');
+  }
+
+  return invitation;
+}
+
+/**
+ * Record an administrative change to an invitation
+ * @param {Object} req - Express request object
+ * @param {string} action - Audit action
+ * @param {Object} invitation - Target invitation
+ * @param {Object} details - Additional details
+ * @returns {Promise<void>}
+ */
+async function auditInvitationChange(req, action, invitation, details = {}) {
+  await AuditLog.create({
+    userId: req.user.id,
+    action,
+    resource: 'invitation',
+    details: {
+      invitationId: invitation.id,
+      email: invitation.email,
+      role: invitation.role,
+      performedBy: req.user.username,
+      ...details
+    },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+}
+
+/**
+ * Invitations create local accounts, which are useless without password login
+ */
+function assertLocalLoginEnabled() {
+  if (!credentialBackends.getBackend('local')) {
+    throw new AppError('Password login is disabled. Please sign in with SSO.', 403, 'LOCAL_LOGIN_DISABLED');
+  }
+}
+
+/**
+ * Calculate when a newly sent link expires
+ * @param {number} expiresInHours - Link lifetime in hours
+ * @returns {Date} Expiration timestamp
+ */
+function getExpiry(expiresInHours) {
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + expiresInHours);
+  return expiresAt;
+}
+
+/**
+ * Build the invitation email
+ * @param {Object} invitation - Invitation (email, role, expires_at)
+ * @param {string} token - Raw invitation token
+ * @param {string} invitedBy - Username of the administrator sending it
+ * @returns {Object} Message for the mailer
+ */
+function buildInvitationEmail(invitation, token, invitedBy) {
+  const link = `${INVITATION_URL}#inviteToken=${encodeURIComponent(token)}`;
+
+  return {
+    to: invitation.email,
+    subject: 'You have been invited to OTP Fetch',
+    text: [
+      'Hi,',
+      '',
+      `${invitedBy} has invited you to OTP Fetch. Use this link to choose a username and password:`,
+      '',
+      link,
+      '',
+      `The link can be used once and expires on ${new Date(invitation.expires_at).toUTCString()}.`,
+      'If you were not expecting this, you can ignore this email.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Email an invitation link
+ * Unlike password resets the administrator is told if delivery fails, so
+ * they can resend the invitation
+ * @param {Object} invitation - Invitation (id, email, role, expires_at)
+ * @param {string} token - Raw invitation token
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function sendInvitationEmail(invitation, token, req) {
+  try {
+    await sendMail(buildInvitationEmail(invitation, token, req.user.username));
+  } catch (error) {
+    console.error('Invitation email failed:', error.message);
+
+    await AuditLog.create({
+      userId: req.user.id,
+      action: 'invitation_email',
+      resource: 'invitation',
+      details: { invitationId: invitation.id, email: invitation.email, error: error.message },
+      ipAddress: getClientIp(req),
+      status: 'failure'
+    });
+
+    throw new AppError(
+      'The invitation was saved but the email could not be sent. Try resending it.',
+      502,
+      'EMAIL_DELIVERY_FAILED'
+    );
+  }
+}
+
+/**
+ * List invitations
+ * @param {Object} query - Validated query parameters
+ * @param {number} query.page - Page number
+ * @param {number} query.limit - Items per page
+ * @param {string} query.status - 'pending' (default) or 'all'
+ * @param {string} query.email - Only invitations for this email (optional)
+ * @returns {Promise<Object>} Invitations with pagination
+ */
+async function listInvitations({ page, limit, status, email }) {
+  const result = await Invitation.getAll(page, limit, {
+    pendingOnly: status !== 'all',
+    email
+  });
+
+  return {
+    invitations: result.invitations.map(formatInvitation),
+    pagination: result.pagination
+  };
+}
+
+/**
+ * Invite someone by email
+ * @param {Object} invitationData - Validated invitation data
+ * @param {string} invitationData.email - Invitee email address
+ * @param {string} invitationData.role - Role the new account will get
+ * @param {number} invitationData.expiresInHours - Link lifetime in hours
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Created invitation summary
+ */
+async function createInvitation({ email, role, expiresInHours = INVITATION_TTL_HOURS }, req) {
+  assertLocalLoginEnabled();
+
+  if (await User.findByEmail(email)) {
+    throw new AppError('Email is already in use', 409, 'EMAIL_TAKEN');
+  }
+
+  if (await Invitation.findPendingByEmail(email)) {
+    throw new AppError('A pending invitation for this email already exists', 409, 'INVITATION_EXISTS');
+  }
+
+  await roleService.assertRoleExists(role);
+
+  const token = Invitation.generateToken();
+  const invitationId = await Invitation.create({
+    email,
+    role,
+    token,
+    expiresAt: getExpiry(expiresInHours),
+    invitedBy: req.user.id
+  });
+  const invitation = await Invitation.findById(invitationId);
+
+  await auditInvitationChange(req, 'invitation_create', invitation, { expiresInHours });
+
+  await sendInvitationEmail(invitation, token, req);
+
+  return formatInvitation(invitation);
+}
+
+/**
+ * Send a fresh link for an invitation that has not been accepted or revoked
+ * Expired invitations can be resent too
+ * @param {number} invitationId - Invitation ID
+ * @param {Object} options - Validated options
+ * @param {number} options.expiresInHours - Lifetime of the new link in hours
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated invitation summary
+ */
+async function resendInvitation(invitationId, { expiresInHours = INVITATION_TTL_HOURS }, req) {
+  assertLocalLoginEnabled();
+
+  const existing = await getInvitationOrFail(invitationId);
+  const token = Invitation.generateToken();
+
+  if (!(await Invitation.renew(existing.id, token, getExpiry(expiresInHours)))) {
+    throw new AppError('Invitation has already been accepted or revoked', 409, 'INVITATION_NOT_PENDING');
+  }
+
+  const invitation = await Invitation.findById(existing.id);
+
+  await auditInvitationChange(req, 'invitation_resend', invitation, {
+    expiresInHours,
+    sendCount: invitation.send_count
+  });
+
+  await sendInvitationEmail(invitation, token, req);
+
+  return formatInvitation(invitation);
+}
+
+/**
+ * Revoke an invitation so its link stops working
+ * @param {number} invitationId - Invitation ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function revokeInvitation(invitationId, req) {
+  const invitation = await getInvitationOrFail(invitationId);
+
+  if (!(await Invitation.revoke(invitation.id, req.user.id))) {
+    throw new AppError('Invitation has already been accepted or revoked', 409, 'INVITATION_NOT_PENDING');
+  }
+
+  await auditInvitationChange(req, 'invitation_revoke', invitation);
+}
+
+/**
+ * Load the pending invitation behind a link, auditing failed lookups
+ * @param {string} token - Raw invitation token
+ * @param {string} action - Audit action for a failed lookup
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Invitation object
+ */
+async function getPendingInvitationOrFail(token, action, req) {
+  const invitation = await Invitation.findPendingByToken(token);
+
+  if (!invitation) {
+    await AuditLog.create({
+      userId: null,
+      action,
+      resource: 'invitation',
+      details: { reason: 'invalid_token' },
+      ipAddress: getClientIp(req),
+      status: 'failure'
+    });
+
+    throw new AppError('Invalid or expired invitation link', 400, 'INVALID_INVITATION');
+  }
+
+  return invitation;
+}
+
+/**
+ * Show an invitee what they were invited as before they sign up
+ * @param {string} token - Raw invitation token
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Email, role and expiry of the invitation
+ */
+async function lookupInvitation(token, req) {
+  const invitation = await getPendingInvitationOrFail(token, 'invitation_lookup', req);
+
+  return {
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expires_at
+  };
+}
+
+/**
+ * Accept an invitation and create the invitee's account
+ * @param {Object} signup - Validated signup data
+ * @param {string} signup.token - Raw invitation token
+ * @param {string} signup.username - Chosen username
+ * @param {string} signup.password - Chosen password
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} The new user (id, username, email, role)
+ */
+async function acceptInvitation({ token, username, password }, req) {
+  const invitation = await getPendingInvitationOrFail(token, 'invitation_accept', req);
+
+  // Check everything first so a rejected signup does not burn the link
+  await User.assertPasswordAllowed(null, password);
+
+  if (await User.findByUsername(username)) {
+    throw new AppError('Username is already taken', 409, 'USERNAME_TAKEN');
+  }
+
+  if (await User.findByEmail(invitation.email)) {
+    throw new AppError('Email is already in use', 409, 'EMAIL_TAKEN');
+  }
+
+  if (!(await Invitation.markAsAccepted(invitation.id))) {
+    throw new AppError('Invalid or expired invitation link', 400, 'INVALID_INVITATION');
+  }
+
+  let userId;
+  try {
+    userId = await User.create({
+      username,
+      password,
+      email: invitation.email,
+      role: invitation.role,
+      passwordChangeRequired: false
+    });
+  } catch (error) {
+    await Invitation.releaseAcceptance(invitation.id);
+    throw error;
+  }
+
+  await Invitation.setUser(invitation.id, userId);
+
+  await AuditLog.create({
+    userId,
+    action: 'invitation_accept',
+    resource: 'invitation',
+    details: {
+      invitationId: invitation.id,
+      username,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.invited_by
+    },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+
+  return {
+    id: userId,
+    username,
+    email: invitation.email,
+    role: invitation.role
+  };
+}
+
+module.exports = {
+  listInvitations,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  lookupInvitation,
+  acceptInvitation
+};
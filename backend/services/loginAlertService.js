@@ -0,0 +1,227 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAlert = require('../models/LoginAlert');
+const AuditLog = require('../models/AuditLog');
+const passwordResetService = require('./passwordResetService');
+const { sendMail } = require('../config/mailer');
+const {
+  LOGIN_ALERTS_ENABLED,
+  LOGIN_ALERT_FAILURE_THRESHOLD,
+  LOGIN_ALERT_FAILURE_WINDOW_HOURS,
+  LOGIN_ALERT_TTL_HOURS,
+  LOGIN_ALERT_URL,
+  getClientIp,
+  parseUserAgent
+} = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+const { invalidateUserSessions } = require('../middleware/auth');
+
+/**
+ * Login Alert Service
+ * Tells users about logins they might not have made.
+ *
+ * A login is suspicious when it comes from an IP address or user agent the
+ * user has never logged in from, or follows a burst of failed attempts. The
+ * user is emailed with a single-use "this wasn't me" link that signs out
+ * every session, locks the account and sends a password reset link.
+ */
+
+// How each reason is described in the alert email
+const REASON_DESCRIPTIONS = {
+  new_ip: 'from an IP address you have not used before',
+  new_user_agent: 'from a browser or device you have not used before',
+  failed_attempts: 'after several failed login attempts'
+};
+
+/**
+ * Work out why a new login looks suspicious
+ * The first login of an account is never reported as a new device
+ * @param {Object} user - User who logged in
+ * @param {number} sessionId - Session the login created
+ * @param {string} ipAddress - Client IP address
+ * @param {string} userAgent - User agent string
+ * @returns {Promise<Object>} reasons (empty if nothing is unusual) and failedAttempts
+ */
+async function assessLogin(user, sessionId, ipAddress, userAgent) {
+  const reasons = [];
+
+  const history = await Session.findDeviceHistory(user.id, ipAddress, userAgent, sessionId);
+
+  if (history.total > 0) {
+    if (!history.knownIp) {
+      reasons.push('new_ip');
+    }
+    if (!history.knownUserAgent) {
+      reasons.push('new_user_agent');
+    }
+  }
+
+  const failedAttempts = await AuditLog.countFailuresSinceLastLogin(user.id, LOGIN_ALERT_FAILURE_WINDOW_HOURS);
+
+  if (failedAttempts >= LOGIN_ALERT_FAILURE_THRESHOLD) {
+    reasons.push('failed_attempts');
+  }
+
+  return { reasons, failedAttempts };
+}
+
+/**
+ * Build the alert email
+ * @param {Object} user - User object
+ * @param {Object} alert - Alert (reasons, ipAddress, userAgent, failedAttempts)
+ * @param {string} token - Raw report token
+ * @returns {Object} Message for the mailer
+ */
+function buildAlertEmail(user, alert, token) {
+  const link = `${LOGIN_ALERT_URL}#loginAlertToken=${encodeURIComponent(token)}`;
+  const { browser, os } = parseUserAgent(alert.userAgent);
+  const device = [browser, os].filter(Boolean).join(' on ') || 'Unknown device';
+
+  return {
+    to: user.email,
+    subject: 'New sign-in to your OTP Fetch account',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Your account was just signed in:',
+      ...alert.reasons.map(reason => `  - ${REASON_DESCRIPTIONS[reason]}`),
+      '',
+      `Time: ${new Date().toUTCString()}`,
+      `IP address: ${alert.ipAddress || 'unknown'}`,
+      `Device: ${device}`,
+      ...(alert.reasons.includes('failed_attempts') ? [`Failed attempts before it: ${alert.failedAttempts}`] : []),
+      '',
+      'If this was you, you can ignore this email.',
+      '',
+      'If it was not, use this link to sign out everywhere and lock your account, then reset your password:',
+      '',
+      link,
+      '',
+      `The link can be used once and expires in ${LOGIN_ALERT_TTL_HOURS} hours.`
+    ].join('\n')
+  };
+}
+
+/**
+ * Check a completed login and alert the user if it looks suspicious
+ * The email is sent in the background; failures are audited
+ * @param {Object} user - User who logged in (with email)
+ * @param {number} sessionId - Session the login created
+ * @param {string} ipAddress - Client IP address
+ * @param {string} userAgent - User agent string
+ * @returns {Promise<Array<string>>} Reasons the login was reported (empty if not)
+ */
+async function checkLogin(user, sessionId, ipAddress, userAgent) {
+  if (!LOGIN_ALERTS_ENABLED) {
+    return [];
+  }
+
+  const { reasons, failedAttempts } = await assessLogin(user, sessionId, ipAddress, userAgent);
+
+  if (!reasons.length) {
+    return [];
+  }
+
+  const token = LoginAlert.generateToken();
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + LOGIN_ALERT_TTL_HOURS);
+
+  const alertId = await LoginAlert.create({
+    userId: user.id,
+    sessionId,
+    reasons,
+    ipAddress,
+    userAgent,
+    token,
+    expiresAt
+  });
+
+  await AuditLog.create({
+    userId: user.id,
+    action: 'suspicious_login',
+    resource: 'auth',
+    details: { alertId, sessionId, reasons, failedAttempts, userAgent, notified: !!user.email },
+    ipAddress,
+    status: 'success'
+  });
+
+  if (user.email) {
+    const alert = { reasons, ipAddress, userAgent, failedAttempts };
+
+    sendMail(buildAlertEmail(user, alert, token)).catch(error => {
+      console.error('Login alert email failed:', error.message);
+      AuditLog.create({
+        userId: user.id,
+        action: 'login_alert_email',
+        resource: 'auth',
+        details: { alertId, error: error.message },
+        ipAddress,
+        status: 'failure'
+      }).catch(() => {});
+    });
+  }
+
+  return reasons;
+}
+
+/**
+ * Act on a "this wasn't me" link: sign out every session and lock the account
+ * Users with a local password also get a reset link, which clears the lock
+ * @param {string} token - Raw report token from the alert email
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} resetLinkSent - whether a password reset link was emailed
+ */
+async function reportLogin(token, req) {
+  const ipAddress = getClientIp(req);
+  const alert = await LoginAlert.findValidByToken(token);
+
+  if (!alert || !(await LoginAlert.markAsReported(alert.id))) {
+    await AuditLog.create({
+      userId: alert ? alert.user_id : null,
+      action: 'login_alert_report',
+      resource: 'auth',
+      details: { reason: 'invalid_token' },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Invalid or expired link', 400, 'INVALID_LOGIN_ALERT');
+  }
+
+  const revokedSessions = await Session.revokeAllByUserId(alert.user_id);
+  await RefreshToken.revokeAllByUserId(alert.user_id);
+  invalidateUserSessions(alert.user_id);
+
+  await User.lockAccount(alert.user_id);
+
+  const user = await User.findById(alert.user_id);
+  const resetLinkSent = !!user && !!user.email && passwordResetService.canResetLocally(user);
+
+  if (resetLinkSent) {
+    await passwordResetService.sendResetLink(user, ipAddress);
+  }
+
+  await AuditLog.create({
+    userId: alert.user_id,
+    action: 'login_alert_report',
+    resource: 'auth',
+    details: {
+      alertId: alert.id,
+      sessionId: alert.session_id,
+      reasons: alert.reasons,
+      loginIpAddress: alert.ip_address,
+      revokedSessions,
+      resetLinkSent
+    },
+    ipAddress,
+    status: 'success'
+  });
+
+  return { resetLinkSent };
+}
+
+module.exports = {
+  checkLogin,
+  reportLogin
+};
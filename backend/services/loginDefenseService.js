@@ -0,0 +1,219 @@
+const LoginFailure = require('../models/LoginFailure');
+const IpBlock = require('../models/IpBlock');
+const AuditLog = require('../models/AuditLog');
+const {
+  LOGIN_FAILURE_WINDOW_MINUTES,
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_MAX_USERNAMES_PER_IP,
+  LOGIN_MAX_FAILURES_PER_IP_USERNAME,
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_BLOCK_ESCALATION_DAYS,
+  getIpBlockMinutes,
+  getClientIp
+} = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Login Defense Service
+ * Brute-force protection for password login on top of per-account lockout.
+ *
+ * Failed logins are counted over LOGIN_FAILURE_WINDOW_MINUTES:
+ *   - per IP + username: that pair is throttled (guessing one account)
+ *   - per username from any IP: the username is throttled (distributed guessing)
+ *   - per IP, in total or by distinct usernames: the IP is blocked
+ *     (password spraying); each repeat block of the same IP lasts twice as long
+ */
+
+/**
+ * Transform a block row for API responses
+ * @param {Object} block - Block row
+ * @returns {Object} Block summary
+ */
+function formatBlock(block) {
+  return {
+    id: block.id,
+    ipAddress: block.ip_address,
+    reason: block.reason,
+    failureCount: block.failure_count,
+    usernameCount: block.username_count,
+    escalationLevel: block.escalation_level,
+    blockedUntil: block.blocked_until,
+    active: !block.cleared_at && new Date(block.blocked_until) > new Date(),
+    createdAt: block.created_at,
+    clearedAt: block.cleared_at,
+    clearedBy: block.cleared_by
+  };
+}
+
+/**
+ * Record a login refused by the defenses
+ * @param {string} username - Username entered at login
+ * @param {string} ipAddress - Client IP address
+ * @param {string} reason - Why the login was refused
+ * @returns {Promise<void>}
+ */
+async function auditRefusedLogin(username, ipAddress, reason) {
+  await AuditLog.create({
+    userId: null,
+    action: 'login',
+    resource: 'auth',
+    details: { username, reason },
+    ipAddress,
+    status: 'failure'
+  });
+}
+
+/**
+ * Refuse logins from blocked IPs and for throttled usernames
+ * Runs before any credential check so blocked attempts cannot guess passwords
+ * @param {string} username - Username entered at login
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ * @throws {AppError} IP_BLOCKED or LOGIN_THROTTLED
+ */
+async function assertLoginAllowed(username, ipAddress) {
+  const block = await IpBlock.findActiveByIp(ipAddress);
+
+  if (block) {
+    await auditRefusedLogin(username, ipAddress, 'ip_blocked');
+
+    const minutes = Math.max(1, Math.ceil((new Date(block.blocked_until) - new Date()) / 60000));
+    throw new AppError(
+      `Too many failed logins from your network. Try again in ${minutes} minute(s).`,
+      429,
+      'IP_BLOCKED'
+    );
+  }
+
+  let reason = null;
+
+  if (await LoginFailure.countByIpAndUsername(ipAddress, username, LOGIN_FAILURE_WINDOW_MINUTES) >=
+      LOGIN_MAX_FAILURES_PER_IP_USERNAME) {
+    reason = 'ip_username_throttled';
+  } else if (await LoginFailure.countByUsername(username, LOGIN_FAILURE_WINDOW_MINUTES) >=
+      LOGIN_MAX_FAILURES_PER_USERNAME) {
+    reason = 'username_throttled';
+  }
+
+  if (reason) {
+    await auditRefusedLogin(username, ipAddress, reason);
+    throw new AppError('Too many failed login attempts. Please try again later.', 429, 'LOGIN_THROTTLED');
+  }
+}
+
+/**
+ * Count a failed password login and block the IP if it crossed a threshold
+ * @param {string} username - Username entered at login
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+async function recordFailure(username, ipAddress) {
+  await LoginFailure.create(ipAddress, username);
+  await LoginFailure.deleteOlderThan(LOGIN_FAILURE_WINDOW_MINUTES);
+
+  const { failures, usernames } = await LoginFailure.countByIp(ipAddress, LOGIN_FAILURE_WINDOW_MINUTES);
+
+  let reason = null;
+  if (usernames >= LOGIN_MAX_USERNAMES_PER_IP) {
+    reason = 'too_many_usernames';
+  } else if (failures >= LOGIN_MAX_FAILURES_PER_IP) {
+    reason = 'too_many_failures';
+  }
+
+  if (!reason || await IpBlock.findActiveByIp(ipAddress)) {
+    return;
+  }
+
+  const escalationLevel = await IpBlock.countRecentByIp(ipAddress, LOGIN_BLOCK_ESCALATION_DAYS);
+  const minutes = getIpBlockMinutes(escalationLevel);
+  const blockedUntil = new Date(Date.now() + minutes * 60000);
+
+  const blockId = await IpBlock.create({
+    ipAddress,
+    reason,
+    failureCount: failures,
+    usernameCount: usernames,
+    escalationLevel,
+    blockedUntil
+  });
+
+  await AuditLog.create({
+    userId: null,
+    action: 'ip_block',
+    resource: 'auth',
+    details: { blockId, reason, failures, usernames, escalationLevel, minutes },
+    ipAddress,
+    status: 'success'
+  });
+}
+
+/**
+ * Forget the failures of a username from an IP after a successful login
+ * @param {string} username - Username entered at login
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+async function recordSuccess(username, ipAddress) {
+  await LoginFailure.deleteByIpAndUsername(ipAddress, username);
+}
+
+/**
+ * List IP blocks
+ * @param {Object} query - Validated query parameters
+ * @param {number} query.page - Page number
+ * @param {number} query.limit - Items per page
+ * @param {string} query.status - 'active' (default) or 'all'
+ * @param {string} query.ipAddress - Only blocks of this IP (optional)
+ * @returns {Promise<Object>} Blocks with pagination
+ */
+async function listBlocks({ page, limit, status, ipAddress }) {
+  const result = await IpBlock.getAll(page, limit, {
+    activeOnly: status !== 'all',
+    ipAddress
+  });
+
+  return {
+    blocks: result.blocks.map(formatBlock),
+    pagination: result.pagination
+  };
+}
+
+/**
+ * Lift a block early and forget the IP's recorded failures
+ * Earlier blocks still count towards escalation
+ * @param {number} blockId - Block ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function clearBlock(blockId, req) {
+  const block = await IpBlock.findById(blockId);
+
+  if (!block) {
+    throw new AppError('IP block not found', 404, 'IP_BLOCK_NOT_FOUND');
+  }
+
+  const cleared = await IpBlock.clearByIp(block.ip_address, req.user.id);
+  await LoginFailure.deleteByIp(block.ip_address);
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: 'ip_block_clear',
+    resource: 'auth',
+    details: {
+      blockId: block.id,
+      blockedIpAddress: block.ip_address,
+      cleared,
+      performedBy: req.user.username
+    },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+}
+
+module.exports = {
+  assertLoginAllowed,
+  recordFailure,
+  recordSuccess,
+  listBlocks,
+  clearBlock
+};
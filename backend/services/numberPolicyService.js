@@ -0,0 +1,403 @@
+const NumberAccessRule = require('../models/NumberAccessRule');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Team = require('../models/Team');
+const AuditLog = require('../models/AuditLog');
+const { NUMBER_ACCESS_DEFAULT, getClientIp } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Number Policy Service
+ * Decides which mobile numbers a user may fetch OTPs for.
+ *
+ * Rules attach to a user, a role or a team and either allow or deny numbers
+ * by exact number, prefix or regular expression. For a given user:
+ *   1. any matching deny rule denies the number
+ *   2. otherwise any matching allow rule allows it
+ *   3. otherwise, if any allow rule applies to the user, the number is denied
+ *      (allow rules turn into an allow-list)
+ *   4. otherwise NUMBER_ACCESS_DEFAULT decides
+ */
+
+/**
+ * Strip the optional leading '+' so exact and prefix rules match either form
+ * @param {string} value - Mobile number or prefix
+ * @returns {string} Digits only
+ */
+function normalizeNumber(value) {
+  return String(value).replace(/^\+/, '');
+}
+
+/**
+ * Check whether a rule matches a mobile number
+ * @param {Object} rule - Rule row
+ * @param {string} mobileNumber - Mobile number
+ * @returns {boolean} True if the rule matches
+ */
+function matchesRule(rule, mobileNumber) {
+  switch (rule.match_type) {
+    case 'exact':
+      return normalizeNumber(mobileNumber) === normalizeNumber(rule.pattern);
+    case 'prefix':
+      return normalizeNumber(mobileNumber).startsWith(normalizeNumber(rule.pattern));
+    case 'regex':
+      try {
+        // Like exact and prefix rules, match however the '+' was written
+        const regex = new RegExp(rule.pattern);
+        const digits = normalizeNumber(mobileNumber);
+        return regex.test(digits) || regex.test(`+${digits}`);
+      } catch (error) {
+        // Patterns are validated on save; a broken one never grants access
+        return rule.effect === 'deny';
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a regular expression matches a whole mobile number
+ * Unlike regex rules, the pattern is anchored at both ends, so `\+9198765`
+ * does not match +919876543210. Either way of writing the '+' matches
+ * @param {string} pattern - Regular expression
+ * @param {string} mobileNumber - Mobile number
+ * @returns {boolean} True if the pattern matches the whole number
+ * @throws {SyntaxError} If the pattern is not a valid regular expression
+ */
+function matchesWholeNumber(pattern, mobileNumber) {
+  const regex = new RegExp(`^(?:${pattern})$`);
+  const digits = normalizeNumber(mobileNumber);
+  return regex.test(digits) || regex.test(`+${digits}`);
+}
+
+/**
+ * Transform a rule row for API responses
+ * @param {Object} rule - Rule row (with username, role_name and team_name)
+ * @returns {Object} Rule summary
+ */
+function formatRule(rule) {
+  let subject;
+
+  if (rule.user_id) {
+    subject = { type: 'user', id: rule.user_id, name: rule.username };
+  } else if (rule.role_id) {
+    subject = { type: 'role', id: rule.role_id, name: rule.role_name };
+  } else {
+    subject = { type: 'team', id: rule.team_id, name: rule.team_name };
+  }
+
+  return {
+    id: rule.id,
+    effect: rule.effect,
+    matchType: rule.match_type,
+    pattern: rule.pattern,
+    description: rule.description,
+    subject,
+    createdBy: rule.created_by,
+    createdAt: rule.created_at,
+    updatedAt: rule.updated_at
+  };
+}
+
+/**
+ * Apply a user's rules to a mobile number
+ * @param {Array} rules - Rules that apply to the user
+ * @param {string} mobileNumber - Mobile number
+ * @returns {Object} allowed, reason and the deciding rule (or null)
+ */
+function decide(rules, mobileNumber) {
+  const denyRule = rules.find(rule => rule.effect === 'deny' && matchesRule(rule, mobileNumber));
+  if (denyRule) {
+    return { allowed: false, reason: 'deny_rule', rule: denyRule };
+  }
+
+  const allowRule = rules.find(rule => rule.effect === 'allow' && matchesRule(rule, mobileNumber));
+  if (allowRule) {
+    return { allowed: true, reason: 'allow_rule', rule: allowRule };
+  }
+
+  if (rules.some(rule => rule.effect === 'allow')) {
+    return { allowed: false, reason: 'not_in_allow_list', rule: null };
+  }
+
+  return { allowed: NUMBER_ACCESS_DEFAULT === 'allow', reason: 'default', rule: null };
+}
+
+/**
+ * Evaluate the rules that apply to a user for a mobile number
+ * @param {Object} user - User (with id and role)
+ * @param {string} mobileNumber - Mobile number
+ * @returns {Promise<Object>} allowed, reason and the deciding rule (or null)
+ */
+async function evaluate(user, mobileNumber) {
+  const rules = await NumberAccessRule.findApplicable(user.id, user.role);
+  return decide(rules, mobileNumber);
+}
+
+/**
+ * Check whether a user may fetch OTPs for every number
+ * True only when no rule applies to the user and the default allows
+ * @param {Object} user - User (with id and role)
+ * @returns {Promise<boolean>} True if no number is restricted
+ */
+async function permitsEveryNumber(user) {
+  const rules = await NumberAccessRule.findApplicable(user.id, user.role);
+  return rules.length === 0 && NUMBER_ACCESS_DEFAULT === 'allow';
+}
+
+/**
+ * Narrow a list of mobile numbers to those a user may fetch OTPs for
+ * @param {Object} user - User (with id and role)
+ * @param {Array<string>} mobileNumbers - Mobile numbers
+ * @returns {Promise<Array<string>>} Permitted mobile numbers
+ */
+async function filterPermittedNumbers(user, mobileNumbers) {
+  const rules = await NumberAccessRule.findApplicable(user.id, user.role);
+  return mobileNumbers.filter(mobileNumber => decide(rules, mobileNumber).allowed);
+}
+
+/**
+ * Reject numbers the caller may not fetch OTPs for
+ * @param {string} mobileNumber - Mobile number
+ * @param {string} action - Audit action of the lookup (e.g. 'otp_fetch')
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Promise<void>}
+ * @throws {AppError} If the number is not permitted
+ */
+async function assertNumberPermitted(mobileNumber, action, req) {
+  const decision = await evaluate(req.user, mobileNumber);
+
+  if (decision.allowed) {
+    return;
+  }
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action,
+    resource: 'otp',
+    details: {
+      mobileNumber,
+      reason: 'number_not_permitted',
+      policy: decision.reason,
+      ruleId: decision.rule ? decision.rule.id : null,
+      apiKeyId: req.apiKey ? req.apiKey.id : undefined
+    },
+    ipAddress: getClientIp(req),
+    status: 'failure'
+  });
+
+  throw new AppError('You are not permitted to access OTPs for this mobile number', 403, 'NUMBER_NOT_PERMITTED');
+}
+
+/**
+ * Check that a rule's pattern fits its match type
+ * @param {string} matchType - 'exact', 'prefix' or 'regex'
+ * @param {string} pattern - Number, prefix or regular expression
+ * @throws {AppError} If the pattern is invalid
+ */
+function assertValidPattern(matchType, pattern) {
+  if (matchType === 'regex') {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      throw new AppError('Pattern is not a valid regular expression', 400, 'INVALID_INPUT');
+    }
+    return;
+  }
+
+  if (!/^\+?[0-9]{1,15}$/.test(pattern)) {
+    throw new AppError('Pattern must be 1-15 digits, optionally with + prefix', 400, 'INVALID_INPUT');
+  }
+}
+
+/**
+ * Check that the user, role or team a rule attaches to exists
+ * @param {Object} subject - userId, roleId or teamId
+ * @returns {Promise<void>}
+ */
+async function assertSubjectExists({ userId, roleId, teamId }) {
+  if (userId && !(await User.findById(userId))) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (roleId && !(await Role.findById(roleId))) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  if (teamId && !(await Team.findById(teamId))) {
+    throw new AppError('Team not found', 404, 'TEAM_NOT_FOUND');
+  }
+}
+
+/**
+ * Load a rule or fail with NUMBER_RULE_NOT_FOUND
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Object>} Rule object
+ */
+async function getRuleOrFail(ruleId) {
+  const rule = await NumberAccessRule.findById(ruleId);
+
+  if (!rule) {
+    throw new AppError('Number access rule not found', 404, 'NUMBER_RULE_NOT_FOUND');
+  }
+
+  return rule;
+}
+
+/**
+ * Record a change to a rule
+ * @param {Object} req - Express request object
+ * @param {string} action - Audit action
+ * @param {Object} rule - Rule summary
+ * @param {Object} details - Additional details
+ * @returns {Promise<void>}
+ */
+async function auditRuleChange(req, action, rule, details = {}) {
+  await AuditLog.create({
+    userId: req.user.id,
+    action,
+    resource: 'number_access_rule',
+    details: {
+      ruleId: rule.id,
+      effect: rule.effect,
+      matchType: rule.matchType,
+      pattern: rule.pattern,
+      subject: rule.subject,
+      performedBy: req.user.username,
+      ...details
+    },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+}
+
+/**
+ * List rules, optionally for a single subject
+ * @param {Object} filters - userId, roleId or teamId (optional)
+ * @returns {Promise<Array>} Rule summaries
+ */
+async function listRules(filters) {
+  const rules = await NumberAccessRule.getAll(filters);
+  return rules.map(formatRule);
+}
+
+/**
+ * Get a single rule
+ * @param {number} ruleId - Rule ID
+ * @returns {Promise<Object>} Rule summary
+ */
+async function getRule(ruleId) {
+  return formatRule(await getRuleOrFail(ruleId));
+}
+
+/**
+ * Create a rule
+ * @param {Object} ruleData - Validated rule data
+ * @param {string} ruleData.effect - 'allow' or 'deny'
+ * @param {string} ruleData.matchType - 'exact', 'prefix' or 'regex'
+ * @param {string} ruleData.pattern - Number, prefix or regular expression
+ * @param {number} ruleData.userId - User the rule applies to (one of userId, roleId, teamId)
+ * @param {number} ruleData.roleId - Role the rule applies to
+ * @param {number} ruleData.teamId - Team the rule applies to
+ * @param {string} ruleData.description - Description (optional)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Created rule summary
+ */
+async function createRule(ruleData, req) {
+  assertValidPattern(ruleData.matchType, ruleData.pattern);
+  await assertSubjectExists(ruleData);
+
+  const ruleId = await NumberAccessRule.create({ ...ruleData, createdBy: req.user.id });
+  const rule = formatRule(await NumberAccessRule.findById(ruleId));
+
+  await auditRuleChange(req, 'number_rule_create', rule);
+
+  return rule;
+}
+
+/**
+ * Update a rule's effect, match or description
+ * The subject of a rule cannot change; delete it and create a new one instead
+ * @param {number} ruleId - Rule ID
+ * @param {Object} updates - Validated changes (effect, matchType, pattern, description)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated rule summary
+ */
+async function updateRule(ruleId, updates, req) {
+  const existing = await getRuleOrFail(ruleId);
+
+  const merged = {
+    effect: updates.effect !== undefined ? updates.effect : existing.effect,
+    matchType: updates.matchType !== undefined ? updates.matchType : existing.match_type,
+    pattern: updates.pattern !== undefined ? updates.pattern : existing.pattern,
+    description: updates.description !== undefined ? updates.description || null : existing.description
+  };
+
+  assertValidPattern(merged.matchType, merged.pattern);
+
+  await NumberAccessRule.update(existing.id, merged);
+  const rule = formatRule(await NumberAccessRule.findById(existing.id));
+
+  await auditRuleChange(req, 'number_rule_update', rule, {
+    previous: {
+      effect: existing.effect,
+      matchType: existing.match_type,
+      pattern: existing.pattern
+    }
+  });
+
+  return rule;
+}
+
+/**
+ * Delete a rule
+ * @param {number} ruleId - Rule ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function deleteRule(ruleId, req) {
+  const rule = formatRule(await getRuleOrFail(ruleId));
+
+  await NumberAccessRule.deleteById(rule.id);
+
+  await auditRuleChange(req, 'number_rule_delete', rule);
+}
+
+/**
+ * Explain whether a user may fetch OTPs for a number
+ * @param {number} userId - User ID
+ * @param {string} mobileNumber - Mobile number
+ * @returns {Promise<Object>} allowed, reason and the deciding rule
+ */
+async function testNumber(userId, mobileNumber) {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const decision = await evaluate(user, mobileNumber);
+
+  return {
+    userId: user.id,
+    username: user.username,
+    mobileNumber,
+    allowed: decision.allowed,
+    reason: decision.reason,
+    rule: decision.rule ? formatRule(decision.rule) : null
+  };
+}
+
+module.exports = {
+  evaluate,
+  permitsEveryNumber,
+  filterPermittedNumbers,
+  assertNumberPermitted,
+  matchesWholeNumber,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  testNumber
+};
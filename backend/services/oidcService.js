@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+const AuditLog = require('../models/AuditLog');
+const authService = require('./authService');
+const { syncMappedRole } = require('./roleService');
+const oidc = require('../config/oidc');
+const { getCookie } = require('../config/cookies');
+const {
+  OIDC_STATE_COOKIE_NAME,
+  isAccountLocked,
+  isValidUsername,
+  getClientIp,
+  getUserAgent
+} = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * OIDC Service
+ * Handles OpenID Connect single sign-on and just-in-time user provisioning
+ */
+
+const PROVIDER = 'oidc';
+
+/**
+ * Ensure SSO is configured before starting or finishing a login
+ * @throws {AppError} If OIDC is disabled
+ */
+function assertEnabled() {
+  if (!oidc.OIDC_ENABLED) {
+    throw new AppError('Single sign-on is not enabled', 404, 'OIDC_DISABLED');
+  }
+}
+
+/**
+ * Derive a valid local username from ID token claims
+ * @param {Object} claims - Verified ID token claims
+ * @returns {string} Username matching the local username rules
+ */
+function deriveUsername(claims) {
+  const raw = claims[oidc.OIDC_USERNAME_CLAIM] ||
+    (claims.email ? claims.email.split('@')[0] : '');
+  const username = String(raw).replace(/[^a-zA-Z0-9_]/g, '_').substring(0, 50);
+
+  if (isValidUsername(username)) {
+    return username;
+  }
+
+  // Fall back to a stable name derived from the subject
+  return `oidc_${crypto.createHash('sha256').update(claims.sub).digest('hex').substring(0, 16)}`;
+}
+
+/**
+ * Check that the callback comes back to the browser that started the login
+ * Without this, a victim could be sent a callback URL for the attacker's own
+ * login and end up signed in to the attacker's account
+ * @param {Object} req - Express request object
+ * @param {string} state - State returned by the provider
+ * @returns {boolean} True if the state matches the browser's state cookie
+ */
+function isStateFromThisBrowser(req, state) {
+  const cookieState = getCookie(req, OIDC_STATE_COOKIE_NAME);
+
+  if (!cookieState || typeof state !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(cookieState);
+  const actual = Buffer.from(state);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Record an SSO login failure and build the error to throw
+ * @param {number|null} userId - User ID, if known
+ * @param {Object} details - Audit details
+ * @param {string} ipAddress - Client IP address
+ * @param {AppError} error - Error to return
+ * @returns {Promise<AppError>} The same error
+ */
+async function auditFailure(userId, details, ipAddress, error) {
+  await AuditLog.create({
+    userId,
+    action: 'oidc_login',
+    resource: 'auth',
+    details,
+    ipAddress,
+    status: 'failure'
+  });
+
+  return error;
+}
+
+/**
+ * Find or create the local user for an external identity
+ * @param {Object} claims - Verified ID token claims
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<Object>} User object
+ */
+async function provisionUser(claims, ipAddress) {
+  const role = oidc.mapRole(claims);
+  let user = await User.findByExternalId(PROVIDER, claims.sub);
+
+  if (!user) {
+    const username = deriveUsername(claims);
+    const existing = await User.findByUsername(username);
+
+    if (existing) {
+      // Only adopt a local account when the IdP vouches for the same email
+      const sameEmail = claims.email_verified === true && existing.email &&
+        existing.email.toLowerCase() === String(claims.email).toLowerCase();
+
+      if (!sameEmail || existing.auth_provider !== 'local') {
+        throw await auditFailure(
+          existing.id,
+          { username, subject: claims.sub, reason: 'account_conflict' },
+          ipAddress,
+          new AppError('An account with this username already exists', 409, 'SSO_ACCOUNT_CONFLICT')
+        );
+      }
+
+      await User.linkExternalIdentity(existing.id, PROVIDER, claims.sub);
+
+      await AuditLog.create({
+        userId: existing.id,
+        action: 'oidc_link',
+        resource: 'user',
+        details: { username, subject: claims.sub },
+        ipAddress,
+        status: 'success'
+      });
+    } else {
+      // Emails are unique, so leave it unset if another account already uses it
+      const email = claims.email && !(await User.findByEmail(claims.email)) ? claims.email : null;
+
+      const userId = await User.createExternal({
+        username,
+        email,
+        role,
+        provider: PROVIDER,
+        externalId: claims.sub
+      });
+
+      await AuditLog.create({
+        userId,
+        action: 'oidc_provision',
+        resource: 'user',
+        details: { username, subject: claims.sub, role },
+        ipAddress,
+        status: 'success'
+      });
+    }
+
+    user = await User.findByExternalId(PROVIDER, claims.sub);
+  }
+
+  const syncedRole = syncMappedRole(user.role, role);
+
+  if (user.role !== syncedRole) {
+    await User.updateRole(user.id, syncedRole);
+
+    await AuditLog.create({
+      userId: user.id,
+      action: 'oidc_role_sync',
+      resource: 'user',
+      details: { from: user.role, to: syncedRole },
+      ipAddress,
+      status: 'success'
+    });
+
+    user = { ...user, role: syncedRole };
+  }
+
+  return user;
+}
+
+/**
+ * Start an SSO login
+ * `?mode=cookie` has the callback set browser session cookies instead of
+ * putting the tokens in the redirect URL
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} authorizationUrl to redirect to, and the state
+ *   to set in the browser's state cookie
+ */
+async function beginLogin(req) {
+  assertEnabled();
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const { codeVerifier, codeChallenge } = oidc.generatePkcePair();
+
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + oidc.OIDC_STATE_TTL_MINUTES);
+
+  await OidcLoginState.create({
+    state,
+    nonce,
+    codeVerifier,
+    tokenDelivery: req.query.mode,
+    ipAddress: getClientIp(req),
+    expiresAt
+  });
+
+  const authorizationUrl = await oidc.buildAuthorizationUrl({ state, nonce, codeChallenge });
+
+  return { authorizationUrl, state };
+}
+
+/**
+ * Finish an SSO login from the provider callback
+ * @param {Object} params - Callback query parameters
+ * @param {string} params.code - Authorization code
+ * @param {string} params.state - State returned by the provider
+ * @param {string} params.error - Provider error code (optional)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Login result with token, user info and tokenDelivery
+ */
+async function handleCallback({ code, state, error }, req) {
+  assertEnabled();
+
+  const ipAddress = getClientIp(req);
+  const userAgent = getUserAgent(req);
+
+  if (!isStateFromThisBrowser(req, state)) {
+    throw await auditFailure(
+      null,
+      { reason: 'state_cookie_mismatch' },
+      ipAddress,
+      new AppError('Invalid or expired sign-in request', 400, 'INVALID_OIDC_STATE')
+    );
+  }
+
+  const loginState = await OidcLoginState.consume(state);
+
+  if (!loginState) {
+    throw await auditFailure(
+      null,
+      { reason: 'invalid_state' },
+      ipAddress,
+      new AppError('Invalid or expired sign-in request', 400, 'INVALID_OIDC_STATE')
+    );
+  }
+
+  if (error || !code) {
+    throw await auditFailure(
+      null,
+      { reason: 'provider_error', error: error || 'missing_code' },
+      ipAddress,
+      new AppError('Single sign-on failed', 401, 'OIDC_LOGIN_FAILED')
+    );
+  }
+
+  let claims;
+  try {
+    const tokens = await oidc.exchangeCode(code, loginState.code_verifier);
+    claims = await oidc.verifyIdToken(tokens.id_token, loginState.nonce);
+  } catch (err) {
+    throw await auditFailure(
+      null,
+      { reason: 'token_verification_failed', error: err.message },
+      ipAddress,
+      new AppError('Single sign-on failed', 401, 'OIDC_LOGIN_FAILED')
+    );
+  }
+
+  if (!claims.sub) {
+    throw await auditFailure(
+      null,
+      { reason: 'missing_subject' },
+      ipAddress,
+      new AppError('Single sign-on failed', 401, 'OIDC_LOGIN_FAILED')
+    );
+  }
+
+  const user = await provisionUser(claims, ipAddress);
+
+  if (!user.is_active) {
+    throw await auditFailure(
+      user.id,
+      { username: user.username, reason: 'account_inactive' },
+      ipAddress,
+      new AppError('Account is inactive', 403, 'ACCOUNT_INACTIVE')
+    );
+  }
+
+  if (isAccountLocked(user.locked_until)) {
+    throw await auditFailure(
+      user.id,
+      { username: user.username, reason: 'account_locked' },
+      ipAddress,
+      new AppError('Account is temporarily locked. Please try again later.', 423, 'ACCOUNT_LOCKED')
+    );
+  }
+
+  // Second factors are enforced by the identity provider for SSO logins
+  const result = await authService.completeLogin(user, ipAddress, userAgent, { method: 'oidc' });
+
+  return { ...result, tokenDelivery: loginState.token_delivery };
+}
+
+/**
+ * Build the post-login redirect URL carrying the issued tokens
+ * Tokens go in the fragment so they are never sent to a server or logged;
+ * cookie logins only signal success because the tokens are already set
+ * @param {Object} result - Login result from handleCallback
+ * @returns {string} Redirect URL
+ */
+function buildSuccessRedirect(result) {
+  if (result.tokenDelivery === 'cookie') {
+    return `${oidc.OIDC_POST_LOGIN_REDIRECT}#sso=success`;
+  }
+
+  const fragment = new URLSearchParams({
+    token: result.token,
+    refreshToken: result.refreshToken,
+    expiresIn: String(result.expiresIn)
+  });
+
+  return `${oidc.OIDC_POST_LOGIN_REDIRECT}#${fragment.toString()}`;
+}
+
+/**
+ * Build the post-login redirect URL for a failed SSO login
+ * @param {string} errorCode - Error code
+ * @returns {string} Redirect URL
+ */
+function buildErrorRedirect(errorCode) {
+  const fragment = new URLSearchParams({ ssoError: errorCode });
+  return `${oidc.OIDC_POST_LOGIN_REDIRECT}#${fragment.toString()}`;
+}
+
+module.exports = {
+  beginLogin,
+  handleCallback,
+  buildSuccessRedirect,
+  buildErrorRedirect
+};
@@ -1,6 +1,16 @@
 const Otp = require('../models/Otp');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
 const AuditLog = require('../models/AuditLog');
+const numberPolicyService = require('./numberPolicyService');
+const otpWaitService = require('./otpWaitService');
 const { getClientIp } = require('../config/security');
+const {
+  ProviderError,
+  OTP_STREAM_MAX_CONNECTIONS_PER_USER,
+  OTP_STREAM_RESUME_LIMIT
+} = require('../config/otpProviders');
 const { AppError } = require('../middleware/errorHandler');
 
 /**
@@ -8,6 +18,113 @@ const { AppError } = require('../middleware/errorHandler');
  * Handles OTP-related business logic
  */
 
+// Open OTP streams per user ID
+const openStreams = new Map();
+
+/**
+ * Transform an OTP for API responses
+ * @param {Object} otp - OTP object
+ * @returns {Object} OTP in camelCase
+ */
+function formatOtp(otp) {
+  return {
+    id: otp.id,
+    mobileNumber: otp.mobile_number,
+    otpCode: otp.otp_code,
+    provider: otp.provider,
+    createdAt: otp.created_at,
+    expiresAt: otp.expires_at,
+    isUsed: otp.is_used,
+    usedAt: otp.used_at
+  };
+}
+
+/**
+ * Reject numbers outside an API key's allowed number pattern
+ * The pattern has to match the whole number
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} req - Express request object
+ * @param {string} action - Audit action for a refusal (default 'otp_fetch')
+ * @returns {Promise<void>}
+ * @throws {AppError} If the API key may not access the number
+ */
+async function assertApiKeyMayAccess(mobileNumber, req, action = 'otp_fetch') {
+  if (!req.apiKey || !req.apiKey.allowedNumberPattern) {
+    return;
+  }
+
+  let allowed = false;
+  try {
+    allowed = numberPolicyService.matchesWholeNumber(req.apiKey.allowedNumberPattern, mobileNumber);
+  } catch (error) {
+    // Patterns are validated on create; a broken one never grants access
+  }
+
+  if (allowed) {
+    return;
+  }
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action,
+    resource: 'otp',
+    details: { mobileNumber, apiKeyId: req.apiKey.id, reason: 'number_not_allowed_for_key' },
+    ipAddress: getClientIp(req),
+    status: 'failure'
+  });
+
+  throw new AppError('API key is not allowed to access this mobile number', 403, 'NUMBER_NOT_ALLOWED_FOR_KEY');
+}
+
+/**
+ * Describe a provider failure for the audit log
+ * @param {ProviderError} error - Provider error
+ * @returns {Object} Audit details
+ */
+function describeProviderFailure(error) {
+  return {
+    reason: error.code === 'PROVIDER_TIMEOUT' ? 'provider_timeout' : 'provider_unavailable',
+    provider: error.provider,
+    cause: error.reason,
+    attempts: error.attempts,
+    error: error.message
+  };
+}
+
+/**
+ * Run a provider-backed lookup, turning provider failures into 503/504
+ * Failures are audited under the action of the lookup
+ * @param {Function} lookup - Returns a promise for the lookup result
+ * @param {string} action - Audit action ('otp_fetch' or 'otp_wait')
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} req - Express request object
+ * @returns {Promise<*>} Result of the lookup
+ */
+async function fromProvider(lookup, action, mobileNumber, req) {
+  try {
+    return await lookup();
+  } catch (error) {
+    if (!(error instanceof ProviderError)) {
+      throw error;
+    }
+
+    await AuditLog.create({
+      userId: req.user ? req.user.id : null,
+      action,
+      resource: 'otp',
+      details: { mobileNumber, ...describeProviderFailure(error) },
+      ipAddress: getClientIp(req),
+      status: 'failure'
+    });
+
+    if (error.code === 'PROVIDER_TIMEOUT') {
+      throw new AppError('The OTP provider did not respond in time', 504, 'PROVIDER_TIMEOUT');
+    }
+
+    throw new AppError('The OTP provider is unavailable. Please try again later.', 503, 'PROVIDER_UNAVAILABLE');
+  }
+}
+
 /**
  * Get latest OTP for a mobile number
  * @param {string} mobileNumber - Mobile number
@@ -17,8 +134,16 @@ const { AppError } = require('../middleware/errorHandler');
 async function getLatestOtp(mobileNumber, req) {
   const ipAddress = getClientIp(req);
 
+  await assertApiKeyMayAccess(mobileNumber, req);
+  await numberPolicyService.assertNumberPermitted(mobileNumber, 'otp_fetch', req);
+
   // Get latest OTP
-  const otp = await Otp.findLatestByMobileNumber(mobileNumber);
+  const otp = await fromProvider(
+    () => Otp.findLatestByMobileNumber(mobileNumber),
+    'otp_fetch',
+    mobileNumber,
+    req
+  );
 
   if (!otp) {
     // Log failed fetch
@@ -44,14 +169,292 @@ async function getLatestOtp(mobileNumber, req) {
     status: 'success'
   });
 
+  return formatOtp(otp);
+}
+
+/**
+ * Wait for an OTP that arrives at or after a point in time
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} options - Validated wait options
+ * @param {Date} options.since - Only OTPs from this time on count (default: now)
+ * @param {number} options.timeout - How long to wait in milliseconds
+ * @param {AbortSignal} signal - Fires when the client disconnects
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} The new OTP, or null if the client disconnected
+ * @throws {AppError} OTP_WAIT_TIMEOUT if no new OTP arrived in time
+ */
+async function waitForOtp(mobileNumber, { since = new Date(), timeout }, signal, req) {
+  const ipAddress = getClientIp(req);
+  const startedAt = Date.now();
+
+  await assertApiKeyMayAccess(mobileNumber, req);
+  await numberPolicyService.assertNumberPermitted(mobileNumber, 'otp_wait', req);
+
+  const otp = await fromProvider(
+    () => otpWaitService.waitForNewOtp(mobileNumber, since, timeout, signal),
+    'otp_wait',
+    mobileNumber,
+    req
+  );
+
+  if (!otp) {
+    const reason = signal.aborted ? 'client_closed' : 'timeout';
+
+    await AuditLog.create({
+      userId: req.user ? req.user.id : null,
+      action: 'otp_wait',
+      resource: 'otp',
+      details: { mobileNumber, since, waitedMs: Date.now() - startedAt, reason },
+      ipAddress,
+      status: 'failure'
+    });
+
+    if (signal.aborted) {
+      return null;
+    }
+
+    // Not 408, which clients and proxies may retry on their own
+    throw new AppError(
+      `No new OTP arrived within ${Math.round(timeout / 1000)} seconds`,
+      504,
+      'OTP_WAIT_TIMEOUT'
+    );
+  }
+
+  await AuditLog.create({
+    userId: req.user ? req.user.id : null,
+    action: 'otp_wait',
+    resource: 'otp',
+    details: { mobileNumber, since, otpId: otp.id, waitedMs: Date.now() - startedAt },
+    ipAddress,
+    status: 'success'
+  });
+
+  return formatOtp(otp);
+}
+
+/**
+ * Check that the credentials a stream was opened with are still good
+ * @param {Array<string>} mobileNumbers - Streamed mobile numbers
+ * @param {Object} req - Express request object the stream was opened with
+ * @returns {Promise<string|null>} Why the stream must end, or null
+ */
+async function getStreamAccessError(mobileNumbers, req) {
+  if (req.apiKey) {
+    const apiKey = await ApiKey.findById(req.apiKey.id);
+
+    if (!apiKey || apiKey.revoked_at) {
+      return 'api_key_revoked';
+    }
+    if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+      return 'api_key_expired';
+    }
+  } else if (!(await Session.isValid(req.authToken))) {
+    return 'session_ended';
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user || !user.is_active) {
+    return 'account_inactive';
+  }
+
+  for (const mobileNumber of mobileNumbers) {
+    const decision = await numberPolicyService.evaluate(user, mobileNumber);
+    if (!decision.allowed) {
+      return 'number_not_permitted';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Open a stream of new OTPs for some mobile numbers
+ * Every number must pass the same checks as fetching its latest OTP, and a
+ * user may hold only OTP_STREAM_MAX_CONNECTIONS_PER_USER streams at once.
+ * With lastEventId, stored OTPs after that ID are returned for replay and the
+ * stream continues from there; otherwise only OTPs arriving from now on count.
+ * @param {Array<string>} mobileNumbers - Distinct mobile numbers
+ * @param {number|undefined} lastEventId - ID of the last OTP the client saw (optional)
+ * @param {AbortSignal} signal - Fires when the client disconnects
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Stream with missed (OTPs to replay), start(handlers),
+ *   checkAccess() and close(reason), or null if the client disconnected while it opened
+ * @throws {AppError} STREAM_LIMIT_REACHED if the user has too many streams open
+ */
+async function openOtpStream(mobileNumbers, lastEventId, signal, req) {
+  const ipAddress = getClientIp(req);
+  const userId = req.user.id;
+  const apiKeyId = req.apiKey ? req.apiKey.id : undefined;
+  const openedAt = new Date();
+
+  for (const mobileNumber of mobileNumbers) {
+    await assertApiKeyMayAccess(mobileNumber, req, 'otp_stream');
+    await numberPolicyService.assertNumberPermitted(mobileNumber, 'otp_stream', req);
+  }
+
+  if (signal.aborted) {
+    return null;
+  }
+
+  const open = openStreams.get(userId) || 0;
+
+  if (open >= OTP_STREAM_MAX_CONNECTIONS_PER_USER) {
+    await AuditLog.create({
+      userId,
+      action: 'otp_stream_open',
+      resource: 'otp',
+      details: { mobileNumbers, reason: 'stream_limit', openStreams: open, apiKeyId },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError(
+      `You already have ${open} open OTP streams. Close one and try again.`,
+      429,
+      'STREAM_LIMIT_REACHED'
+    );
+  }
+
+  // Counted before the first await so concurrent opens cannot both slip under the limit
+  openStreams.set(userId, open + 1);
+
+  const unsubscribes = [];
+  let delivered = 0;
+  let closed = false;
+
+  /**
+   * Stop receiving OTPs and give back the stream's slot
+   * @param {string} reason - Why the stream ended
+   * @returns {Promise<void>}
+   */
+  async function close(reason) {
+    if (closed) {
+      return;
+    }
+    closed = true;
+
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+
+    const remaining = (openStreams.get(userId) || 1) - 1;
+    if (remaining > 0) {
+      openStreams.set(userId, remaining);
+    } else {
+      openStreams.delete(userId);
+    }
+
+    await AuditLog.create({
+      userId,
+      action: 'otp_stream_close',
+      resource: 'otp',
+      details: { mobileNumbers, reason, delivered, durationMs: Date.now() - openedAt.getTime(), apiKeyId },
+      ipAddress,
+      status: 'success'
+    });
+  }
+
+  let missed = [];
+
+  try {
+    if (lastEventId !== undefined) {
+      missed = await Otp.findByMobileNumbersAfterId(mobileNumbers, lastEventId, OTP_STREAM_RESUME_LIMIT);
+    }
+
+    await AuditLog.create({
+      userId,
+      action: 'otp_stream_open',
+      resource: 'otp',
+      details: { mobileNumbers, lastEventId, missed: missed.length, apiKeyId },
+      ipAddress,
+      status: 'success'
+    });
+  } catch (error) {
+    await close('open_failed').catch(() => {});
+    throw error;
+  }
+
+  // Nobody would release the slot of a client that left while the stream opened
+  if (signal.aborted) {
+    await close('client_closed');
+    return null;
+  }
+
+  const lastId = missed.length ? missed[missed.length - 1].id : lastEventId || 0;
+
   return {
-    id: otp.id,
-    mobileNumber: otp.mobile_number,
-    otpCode: otp.otp_code,
-    createdAt: otp.created_at,
-    expiresAt: otp.expires_at,
-    isUsed: otp.is_used,
-    usedAt: otp.used_at
+    missed: missed.map(formatOtp),
+
+    /**
+     * Start receiving new OTPs
+     * Nothing is delivered before the next tick, so the caller can send the
+     * missed OTPs first
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onOtp - Called with each new OTP
+     * @param {Function} handlers.onError - Called with an AppError when the provider starts failing
+     * @param {Function} handlers.onShutdown - Called when the server shuts down
+     * @throws {AppError} If the server is shutting down
+     */
+    start({ onOtp, onError, onShutdown }) {
+      for (const mobileNumber of mobileNumbers) {
+        unsubscribes.push(otpWaitService.subscribe(mobileNumber, {
+          since: lastEventId === undefined ? openedAt : null,
+          lastId,
+          onOtp: otp => {
+            delivered++;
+            onOtp(formatOtp(otp));
+
+            AuditLog.create({
+              userId,
+              action: 'otp_stream',
+              resource: 'otp',
+              details: { mobileNumber, otpId: otp.id, apiKeyId },
+              ipAddress,
+              status: 'success'
+            }).catch(error => console.error('OTP stream audit failed:', error.message));
+          },
+          onError: error => {
+            const timedOut = error.code === 'PROVIDER_TIMEOUT';
+
+            onError(timedOut
+              ? new AppError('The OTP provider did not respond in time', 504, 'PROVIDER_TIMEOUT')
+              : new AppError('The OTP provider is unavailable. Please try again later.', 503, 'PROVIDER_UNAVAILABLE'));
+
+            AuditLog.create({
+              userId,
+              action: 'otp_stream',
+              resource: 'otp',
+              details: {
+                mobileNumber,
+                reason: timedOut ? 'provider_timeout' : 'provider_unavailable',
+                provider: error.provider,
+                cause: error.reason,
+                error: error.message,
+                apiKeyId
+              },
+              ipAddress,
+              status: 'failure'
+            }).catch(auditError => console.error('OTP stream audit failed:', auditError.message));
+          },
+          onShutdown
+        }));
+      }
+    },
+
+    /**
+     * Check that the stream may carry on
+     * A failed check (e.g. the database is down) lets it carry on
+     * @returns {Promise<string|null>} Why the stream must end, or null
+     */
+    async checkAccess() {
+      try {
+        return await getStreamAccessError(mobileNumbers, req);
+      } catch (error) {
+        console.error('OTP stream access check failed:', error.message);
+        return null;
+      }
+    },
+
+    close
   };
 }
 
@@ -61,47 +464,69 @@ async function getLatestOtp(mobileNumber, req) {
  * @param {number} page - Page number
  * @param {number} limit - Items per page
  * @param {Object} req - Express request object
- * @returns {Promise<Object>} OTP history with pagination
+ * @returns {Promise<Object>} OTP history with pagination, and whether the provider answered
  */
 async function getOtpHistory(mobileNumber, page, limit, req) {
   const ipAddress = getClientIp(req);
 
+  await assertApiKeyMayAccess(mobileNumber, req);
+  await numberPolicyService.assertNumberPermitted(mobileNumber, 'otp_history_fetch', req);
+
+  // While the provider is down the stored history is still served, without
+  // the codes that arrived since it was last fetched
+  let providerFailure = null;
+  try {
+    await Otp.storeRecentFromProvider(mobileNumber, limit);
+  } catch (error) {
+    if (!(error instanceof ProviderError)) {
+      throw error;
+    }
+    providerFailure = describeProviderFailure(error);
+  }
+
   // Get OTP history
   const result = await Otp.getHistoryByMobileNumber(mobileNumber, page, limit);
 
   // Transform OTP data
-  const transformedOtps = result.otps.map(otp => ({
-    id: otp.id,
-    mobileNumber: otp.mobile_number,
-    otpCode: otp.otp_code,
-    createdAt: otp.created_at,
-    expiresAt: otp.expires_at,
-    isUsed: otp.is_used,
-    usedAt: otp.used_at
-  }));
+  const transformedOtps = result.otps.map(formatOtp);
 
   // Log fetch
   await AuditLog.create({
     userId: req.user ? req.user.id : null,
     action: 'otp_history_fetch',
     resource: 'otp',
-    details: { mobileNumber, page, limit, count: result.otps.length },
+    details: { mobileNumber, page, limit, count: result.otps.length, providerFailure: providerFailure || undefined },
     ipAddress,
     status: 'success'
   });
 
   return {
     otps: transformedOtps,
-    pagination: result.pagination
+    pagination: result.pagination,
+    providerAvailable: !providerFailure
   };
 }
 
 /**
- * Get OTP statistics
+ * Get the mobile numbers a user may see in cross-number listings
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Array<string>|null>} Permitted numbers, or null if every number is
+ */
+async function getVisibleNumbers(user) {
+  if (await numberPolicyService.permitsEveryNumber(user)) {
+    return null;
+  }
+
+  return await numberPolicyService.filterPermittedNumbers(user, await Otp.getMobileNumbers());
+}
+
+/**
+ * Get OTP statistics for the numbers the caller may see
+ * @param {Object} req - Express request object (authenticated)
  * @returns {Promise<Object>} OTP statistics
  */
-async function getStatistics() {
-  const stats = await Otp.getStatistics();
+async function getStatistics(req) {
+  const stats = await Otp.getStatistics(await getVisibleNumbers(req.user));
 
   return {
     total: stats.total,
@@ -113,24 +538,17 @@ async function getStatistics() {
 }
 
 /**
- * Get all OTPs with pagination
+ * Get all OTPs the caller may see, with pagination
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Object} req - Express request object (authenticated)
  * @returns {Promise<Object>} OTPs with pagination
  */
-async function getAllOtps(page, limit) {
-  const result = await Otp.getAll(page, limit);
+async function getAllOtps(page, limit, req) {
+  const result = await Otp.getAll(page, limit, await getVisibleNumbers(req.user));
 
   // Transform OTP data
-  const transformedOtps = result.otps.map(otp => ({
-    id: otp.id,
-    mobileNumber: otp.mobile_number,
-    otpCode: otp.otp_code,
-    createdAt: otp.created_at,
-    expiresAt: otp.expires_at,
-    isUsed: otp.is_used,
-    usedAt: otp.used_at
-  }));
+  const transformedOtps = result.otps.map(formatOtp);
 
   return {
     otps: transformedOtps,
@@ -139,14 +557,15 @@ async function getAllOtps(page, limit) {
 }
 
 /**
- * Get OTPs by date range
+ * Get OTPs the caller may see by date range
  * @param {string} startDate - Start date (ISO string)
  * @param {string} endDate - End date (ISO string)
  * @param {number} page - Page number
  * @param {number} limit - Items per page
+ * @param {Object} req - Express request object (authenticated)
  * @returns {Promise<Object>} OTPs with pagination
  */
-async function getOtpsByDateRange(startDate, endDate, page, limit) {
+async function getOtpsByDateRange(startDate, endDate, page, limit, req) {
   // Validate dates
   const start = new Date(startDate);
   const end = new Date(endDate);
@@ -159,18 +578,10 @@ async function getOtpsByDateRange(startDate, endDate, page, limit) {
     throw new AppError('Start date must be before end date', 400, 'INVALID_INPUT');
   }
 
-  const result = await Otp.getByDateRange(start, end, page, limit);
+  const result = await Otp.getByDateRange(start, end, page, limit, await getVisibleNumbers(req.user));
 
   // Transform OTP data
-  const transformedOtps = result.otps.map(otp => ({
-    id: otp.id,
-    mobileNumber: otp.mobile_number,
-    otpCode: otp.otp_code,
-    createdAt: otp.created_at,
-    expiresAt: otp.expires_at,
-    isUsed: otp.is_used,
-    usedAt: otp.used_at
-  }));
+  const transformedOtps = result.otps.map(formatOtp);
 
   return {
     otps: transformedOtps,
@@ -231,6 +642,8 @@ async function markOtpAsUsed(otpId, req) {
 
 module.exports = {
   getLatestOtp,
+  waitForOtp,
+  openOtpStream,
   getOtpHistory,
   getStatistics,
   getAllOtps,
@@ -0,0 +1,343 @@
+const Otp = require('../models/Otp');
+const { OTP_WAIT_POLL_INITIAL_MS, OTP_WAIT_POLL_MAX_MS } = require('../config/otpProviders');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * OTP Wait Service
+ * Holds long-poll requests until a new OTP arrives for a number, and feeds
+ * new OTPs to streaming subscribers.
+ *
+ * All waiters and subscribers on the same number share one polling loop. The
+ * loop asks the provider straight away, then backs off from
+ * OTP_WAIT_POLL_INITIAL_MS to OTP_WAIT_POLL_MAX_MS; a newcomer resets the
+ * interval. The loop stops as soon as nobody is listening. Provider failures
+ * do not end a wait, since the provider may recover before the deadline; a
+ * wait that times out right after a failed poll reports that failure instead
+ * of a plain timeout.
+ *
+ * Most providers (such as http) do not say when a code arrived, so a code is
+ * dated when it is first fetched. The first poll of a loop takes a baseline:
+ * if it finds a code that was never fetched before, nobody can tell how old
+ * it is, so it does not count as new. Only a different code does.
+ */
+
+// Polling loop per mobile number
+const loops = new Map();
+
+// Set once the server starts shutting down
+let closing = false;
+
+/**
+ * The error waiters get when the server shuts down
+ * @returns {AppError} Service unavailable error
+ */
+function shutdownError() {
+  return new AppError('The server is shutting down. Please try again.', 503, 'SERVICE_UNAVAILABLE');
+}
+
+/**
+ * Check whether an OTP arrived at or after a point in time
+ * Stored times have whole seconds, so the comparison does too
+ * @param {Object} otp - OTP object
+ * @param {Date} since - Point in time
+ * @returns {boolean} True if the OTP counts as new
+ */
+function isNewSince(otp, since) {
+  return new Date(otp.created_at).getTime() >= Math.floor(since.getTime() / 1000) * 1000;
+}
+
+/**
+ * Check whether an OTP arrived at or after a point in time, for a loop
+ * Without a reported arrival time, the code found by the loop's baseline
+ * poll is taken to be older than anything the loop waits for
+ * @param {Object} otp - OTP object
+ * @param {Date} since - Point in time
+ * @param {Object} loop - Polling loop
+ * @returns {boolean} True if the OTP counts as new
+ */
+function arrivedSince(otp, since, loop) {
+  if (!otp.time_reported && otp.otp_code === loop.baselineCode) {
+    return false;
+  }
+
+  return isNewSince(otp, since);
+}
+
+/**
+ * Get the polling loop of a number, creating it if needed
+ * @param {string} mobileNumber - Mobile number
+ * @returns {Object} Polling loop
+ */
+function getLoop(mobileNumber) {
+  let loop = loops.get(mobileNumber);
+
+  if (!loop) {
+    loop = {
+      waiters: new Set(),
+      subscribers: new Set(),
+      timer: null,
+      nextPollAt: 0,
+      delay: OTP_WAIT_POLL_INITIAL_MS,
+      polling: false,
+      baselineTaken: false,
+      baselineCode: null,
+      lastOtp: null,
+      lastError: null
+    };
+    loops.set(mobileNumber, loop);
+  }
+
+  return loop;
+}
+
+/**
+ * Poll soon for a newcomer, however far the loop had backed off
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} loop - Polling loop
+ */
+function pollSoon(mobileNumber, loop) {
+  loop.delay = OTP_WAIT_POLL_INITIAL_MS;
+
+  if (!loop.polling && (!loop.timer || loop.nextPollAt > Date.now() + OTP_WAIT_POLL_INITIAL_MS)) {
+    schedule(mobileNumber, loop, loop.timer ? OTP_WAIT_POLL_INITIAL_MS : 0);
+  }
+}
+
+/**
+ * Schedule the next poll of a loop
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} loop - Polling loop
+ * @param {number} delay - Milliseconds until the poll
+ */
+function schedule(mobileNumber, loop, delay) {
+  clearTimeout(loop.timer);
+  loop.nextPollAt = Date.now() + delay;
+  loop.timer = setTimeout(() => poll(mobileNumber, loop), delay);
+}
+
+/**
+ * Stop a loop that nobody waits on any more
+ * A poll in progress stops the loop itself when it finishes
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} loop - Polling loop
+ */
+function stopIfIdle(mobileNumber, loop) {
+  if (loop.waiters.size || loop.subscribers.size || loop.polling) {
+    return;
+  }
+
+  clearTimeout(loop.timer);
+  if (loops.get(mobileNumber) === loop) {
+    loops.delete(mobileNumber);
+  }
+}
+
+/**
+ * Settle a waiter once and remove it from its loop
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} loop - Polling loop
+ * @param {Object} waiter - Waiter
+ * @param {Function} settle - Resolves or rejects the waiter's promise
+ */
+function finish(mobileNumber, loop, waiter, settle) {
+  if (!loop.waiters.delete(waiter)) {
+    return;
+  }
+
+  clearTimeout(waiter.timer);
+  if (waiter.signal) {
+    waiter.signal.removeEventListener('abort', waiter.onAbort);
+  }
+
+  settle();
+  stopIfIdle(mobileNumber, loop);
+}
+
+/**
+ * Hand an OTP to a subscriber unless it has seen it or it is too old
+ * The code found by the loop's baseline poll is never delivered, as for waits
+ * @param {Object} subscriber - Subscriber
+ * @param {Object} otp - OTP object
+ * @param {Object} loop - Polling loop
+ */
+function deliver(subscriber, otp, loop) {
+  // OTPs that could not be stored have no id, and get a new time on every fetch
+  const key = otp.id || `code:${otp.otp_code}`;
+
+  if (key === subscriber.lastKey ||
+      (otp.id && otp.id <= subscriber.lastId) ||
+      (!otp.time_reported && otp.otp_code === loop.baselineCode) ||
+      (subscriber.since && !isNewSince(otp, subscriber.since))) {
+    return;
+  }
+
+  subscriber.lastKey = key;
+  subscriber.lastId = Math.max(subscriber.lastId, otp.id || 0);
+  subscriber.onOtp(otp);
+}
+
+/**
+ * Ask the provider for the latest OTP and hand it to everyone it is new for
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} loop - Polling loop
+ * @returns {Promise<void>}
+ */
+async function poll(mobileNumber, loop) {
+  loop.polling = true;
+
+  try {
+    const otp = await Otp.findLatestByMobileNumber(mobileNumber);
+    loop.lastError = null;
+
+    // A code fetched for the first time by the baseline poll has no known age
+    if (!loop.baselineTaken) {
+      loop.baselineTaken = true;
+      if (otp && !otp.time_reported && otp.fetch_count === 1) {
+        loop.baselineCode = otp.otp_code;
+      }
+    }
+
+    if (otp) {
+      loop.lastOtp = otp;
+
+      for (const waiter of [...loop.waiters]) {
+        if (arrivedSince(otp, waiter.since, loop)) {
+          finish(mobileNumber, loop, waiter, () => waiter.resolve(otp));
+        }
+      }
+
+      for (const subscriber of loop.subscribers) {
+        deliver(subscriber, otp, loop);
+      }
+    }
+  } catch (error) {
+    console.error(`OTP wait poll for ${mobileNumber} failed:`, error.message);
+
+    // Subscribers hear about the first failure of a run, not every retry
+    if (!loop.lastError) {
+      for (const subscriber of loop.subscribers) {
+        if (subscriber.onError) {
+          subscriber.onError(error);
+        }
+      }
+    }
+
+    loop.lastError = error;
+  } finally {
+    loop.polling = false;
+  }
+
+  if (closing || (!loop.waiters.size && !loop.subscribers.size)) {
+    stopIfIdle(mobileNumber, loop);
+    return;
+  }
+
+  loop.delay = Math.min(Math.round(loop.delay * 1.5), OTP_WAIT_POLL_MAX_MS);
+  schedule(mobileNumber, loop, loop.delay);
+}
+
+/**
+ * Wait until an OTP newer than a point in time arrives for a number
+ * @param {string} mobileNumber - Mobile number
+ * @param {Date} since - Only OTPs from this time on count
+ * @param {number} timeoutMs - How long to wait
+ * @param {AbortSignal} signal - Ends the wait early, e.g. when the client disconnects (optional)
+ * @returns {Promise<Object|null>} The new OTP, or null on timeout or abort
+ * @throws {Error} The last poll's error, if the wait timed out right after it failed
+ */
+function waitForNewOtp(mobileNumber, since, timeoutMs, signal) {
+  if (closing) {
+    return Promise.reject(shutdownError());
+  }
+
+  const loop = getLoop(mobileNumber);
+
+  // A code another waiter already picked up may be new for this one too
+  if (loop.lastOtp && arrivedSince(loop.lastOtp, since, loop)) {
+    const otp = loop.lastOtp;
+    stopIfIdle(mobileNumber, loop);
+    return Promise.resolve(otp);
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { since, resolve, reject, signal, timer: null, onAbort: null };
+    loop.waiters.add(waiter);
+
+    waiter.timer = setTimeout(() => {
+      finish(mobileNumber, loop, waiter, () => (loop.lastError ? reject(loop.lastError) : resolve(null)));
+    }, timeoutMs);
+
+    if (signal) {
+      waiter.onAbort = () => finish(mobileNumber, loop, waiter, () => resolve(null));
+      signal.addEventListener('abort', waiter.onAbort);
+      if (signal.aborted) {
+        waiter.onAbort();
+        return;
+      }
+    }
+
+    pollSoon(mobileNumber, loop);
+  });
+}
+
+/**
+ * Receive every new OTP for a number until unsubscribed
+ * @param {string} mobileNumber - Mobile number
+ * @param {Object} options - Subscription options
+ * @param {Date|null} options.since - Only OTPs from this time on count (null: any not yet seen)
+ * @param {number} options.lastId - Only stored OTPs with a higher id count
+ * @param {Function} options.onOtp - Called with each new OTP
+ * @param {Function} options.onError - Called when polling starts failing (optional)
+ * @param {Function} options.onShutdown - Called when the server shuts down
+ * @returns {Function} Unsubscribe function
+ * @throws {AppError} If the server is shutting down
+ */
+function subscribe(mobileNumber, { since, lastId, onOtp, onError, onShutdown }) {
+  if (closing) {
+    throw shutdownError();
+  }
+
+  const loop = getLoop(mobileNumber);
+  const subscriber = { since, lastId: lastId || 0, lastKey: null, onOtp, onError, onShutdown };
+
+  loop.subscribers.add(subscriber);
+  pollSoon(mobileNumber, loop);
+
+  return () => {
+    if (loop.subscribers.delete(subscriber)) {
+      stopIfIdle(mobileNumber, loop);
+    }
+  };
+}
+
+/**
+ * Refuse new waits and end the current ones with a 503, and end every subscription
+ * Called on graceful shutdown so held requests do not delay it
+ * @returns {number} Number of waits and subscriptions that were ended
+ */
+function shutdown() {
+  closing = true;
+  let ended = 0;
+
+  for (const [mobileNumber, loop] of loops) {
+    for (const waiter of [...loop.waiters]) {
+      finish(mobileNumber, loop, waiter, () => waiter.reject(shutdownError()));
+      ended++;
+    }
+    for (const subscriber of loop.subscribers) {
+      subscriber.onShutdown();
+      ended++;
+    }
+    loop.subscribers.clear();
+    clearTimeout(loop.timer);
+  }
+
+  loops.clear();
+  return ended;
+}
+
+module.exports = {
+  waitForNewOtp,
+  subscribe,
+  shutdown
+};
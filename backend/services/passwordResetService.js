@@ -0,0 +1,187 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const AuditLog = require('../models/AuditLog');
+const credentialBackends = require('./credentialBackends');
+const { sendMail } = require('../config/mailer');
+const {
+  PASSWORD_RESET_TOKEN_TTL_MINUTES,
+  PASSWORD_RESET_URL,
+  getClientIp
+} = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+const { invalidateUserSessions } = require('../middleware/auth');
+
+/**
+ * Password Reset Service
+ * Handles forgotten-password requests and emailed reset links
+ */
+
+/**
+ * Check whether a user's password is managed locally
+ * LDAP and SSO accounts reset their password at the identity provider
+ * @param {Object} user - User object
+ * @returns {boolean} True if the user can reset a local password
+ */
+function canResetLocally(user) {
+  const localBackend = credentialBackends.getBackend('local');
+  return !!localBackend && credentialBackends.getBackendForUser(user) === localBackend;
+}
+
+/**
+ * Build the reset email
+ * @param {Object} user - User object
+ * @param {string} token - Raw reset token
+ * @returns {Object} Message for the mailer
+ */
+function buildResetEmail(user, token) {
+  const link = `${PASSWORD_RESET_URL}#resetToken=${encodeURIComponent(token)}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your OTP Fetch password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Someone asked to reset the password for your account. Use this link to choose a new one:',
+      '',
+      link,
+      '',
+      `The link can be used once and expires in ${PASSWORD_RESET_TOKEN_TTL_MINUTES} minutes.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Issue a new reset token and email the link to the user
+ * Delivery happens in the background; failures are audited
+ * @param {Object} user - User object (with email)
+ * @param {string} ipAddress - IP address that caused the reset
+ * @returns {Promise<void>}
+ */
+async function sendResetLink(user, ipAddress) {
+  // Only the newest link is valid
+  await PasswordResetToken.invalidateAllByUserId(user.id);
+
+  const token = PasswordResetToken.generateToken();
+  const expiresAt = new Date();
+  expiresAt.setMinutes(expiresAt.getMinutes() + PASSWORD_RESET_TOKEN_TTL_MINUTES);
+
+  await PasswordResetToken.create({ userId: user.id, token, expiresAt, ipAddress });
+
+  // Send in the background so response time does not reveal whether mail was sent
+  sendMail(buildResetEmail(user, token)).catch(error => {
+    console.error('Password reset email failed:', error.message);
+    AuditLog.create({
+      userId: user.id,
+      action: 'password_reset_email',
+      resource: 'auth',
+      details: { error: error.message },
+      ipAddress,
+      status: 'failure'
+    }).catch(() => {});
+  });
+}
+
+/**
+ * Request a password reset link
+ * Always resolves the same way so callers cannot tell whether the account exists
+ * @param {string} email - Account email address
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function requestReset(email, req) {
+  const ipAddress = getClientIp(req);
+  const user = await User.findByEmail(email);
+
+  if (!user || !user.is_active || !canResetLocally(user)) {
+    await AuditLog.create({
+      userId: user ? user.id : null,
+      action: 'password_reset_request',
+      resource: 'auth',
+      details: { reason: !user ? 'user_not_found' : (!user.is_active ? 'account_inactive' : 'external_account') },
+      ipAddress,
+      status: 'failure'
+    });
+    return;
+  }
+
+  await sendResetLink(user, ipAddress);
+
+  await AuditLog.create({
+    userId: user.id,
+    action: 'password_reset_request',
+    resource: 'auth',
+    details: {},
+    ipAddress,
+    status: 'success'
+  });
+}
+
+/**
+ * Reset a password with a token from the reset email
+ * @param {string} token - Raw reset token
+ * @param {string} newPassword - New password
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function resetPassword(token, newPassword, req) {
+  const ipAddress = getClientIp(req);
+
+  const resetToken = await PasswordResetToken.findValidByToken(token);
+
+  // Check the password policy first so a rejected password does not burn the link
+  if (resetToken) {
+    await User.assertPasswordAllowed(resetToken.user_id, newPassword);
+  }
+
+  const claimed = resetToken && await PasswordResetToken.markAsUsed(resetToken.id);
+
+  if (!claimed) {
+    await AuditLog.create({
+      userId: resetToken ? resetToken.user_id : null,
+      action: 'password_reset',
+      resource: 'auth',
+      details: { reason: 'invalid_token' },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Invalid or expired password reset link', 400, 'INVALID_RESET_TOKEN');
+  }
+
+  const user = await User.findById(resetToken.user_id);
+
+  if (!user || !user.is_active) {
+    throw new AppError('Invalid or expired password reset link', 400, 'INVALID_RESET_TOKEN');
+  }
+
+  await User.changePassword(user.id, newPassword);
+
+  // Proving control of the mailbox also clears any lockout
+  await User.resetFailedAttempts(user.id);
+  await PasswordResetToken.invalidateAllByUserId(user.id);
+
+  // Revoke all sessions (force re-login everywhere)
+  await Session.revokeAllByUserId(user.id);
+  await RefreshToken.revokeAllByUserId(user.id);
+  invalidateUserSessions(user.id);
+
+  await AuditLog.create({
+    userId: user.id,
+    action: 'password_reset',
+    resource: 'auth',
+    details: {},
+    ipAddress,
+    status: 'success'
+  });
+}
+
+module.exports = {
+  canResetLocally,
+  sendResetLink,
+  requestReset,
+  resetPassword
+};
@@ -0,0 +1,237 @@
+const User = require('../models/User');
+const EmailChangeRequest = require('../models/EmailChangeRequest');
+const AuditLog = require('../models/AuditLog');
+const { sendMail } = require('../config/mailer');
+const { EMAIL_CHANGE_TTL_HOURS, EMAIL_CHANGE_URL, getClientIp } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Profile Service
+ * Lets users maintain their own display name, preferences and email address.
+ *
+ * Display name and preferences change immediately. A new email address only
+ * takes effect once the user opens the confirmation link sent to it, so an
+ * account can never be pointed at a mailbox its owner does not control.
+ */
+
+// Profile fields that change immediately, with their column names
+const PROFILE_FIELDS = {
+  displayName: 'display_name',
+  defaultCountryCode: 'default_country_code',
+  timezone: 'timezone'
+};
+
+/**
+ * Build the confirmation email for a new address
+ * @param {Object} user - User object
+ * @param {string} newEmail - Address to confirm
+ * @param {string} token - Raw confirmation token
+ * @returns {Object} Message for the mailer
+ */
+function buildConfirmationEmail(user, newEmail, token) {
+  const link = `${EMAIL_CHANGE_URL}#emailChangeToken=${encodeURIComponent(token)}`;
+
+  return {
+    to: newEmail,
+    subject: 'Confirm your new OTP Fetch email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'You asked to use this address for your OTP Fetch account. Use this link to confirm it:',
+      '',
+      link,
+      '',
+      `The link can be used once and expires in ${EMAIL_CHANGE_TTL_HOURS} hours.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Build the notice sent to the old address after a change
+ * @param {Object} user - User object
+ * @param {string} oldEmail - Previous address
+ * @param {string} newEmail - New address
+ * @returns {Object} Message for the mailer
+ */
+function buildChangedNoticeEmail(user, oldEmail, newEmail) {
+  return {
+    to: oldEmail,
+    subject: 'Your OTP Fetch email address was changed',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      `The email address of your OTP Fetch account was changed to ${newEmail}.`,
+      'If you did not make this change, contact your administrator immediately.'
+    ].join('\n')
+  };
+}
+
+/**
+ * Start an email change by sending a confirmation link to the new address
+ * @param {Object} user - User object
+ * @param {string} newEmail - Address to change to
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function requestEmailChange(user, newEmail, req) {
+  const ipAddress = getClientIp(req);
+
+  // Only the newest link is valid
+  await EmailChangeRequest.invalidateAllByUserId(user.id);
+
+  const token = EmailChangeRequest.generateToken();
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + EMAIL_CHANGE_TTL_HOURS);
+
+  const requestId = await EmailChangeRequest.create({ userId: user.id, newEmail, token, expiresAt });
+
+  await AuditLog.create({
+    userId: user.id,
+    action: 'email_change_request',
+    resource: 'user',
+    details: { requestId, newEmail },
+    ipAddress,
+    status: 'success'
+  });
+
+  try {
+    await sendMail(buildConfirmationEmail(user, newEmail, token));
+  } catch (error) {
+    console.error('Email change confirmation failed:', error.message);
+
+    await AuditLog.create({
+      userId: user.id,
+      action: 'email_change_email',
+      resource: 'user',
+      details: { requestId, error: error.message },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError(
+      'The confirmation email could not be sent. Please try again later.',
+      502,
+      'EMAIL_DELIVERY_FAILED'
+    );
+  }
+}
+
+/**
+ * Update the caller's own profile
+ * @param {Object} updates - Validated profile changes (empty string or null clears a field)
+ * @param {string} updates.email - New email address, confirmed by link (optional)
+ * @param {string|null} updates.displayName - Display name (optional)
+ * @param {string|null} updates.defaultCountryCode - Default dialling code (optional)
+ * @param {string|null} updates.timezone - IANA timezone (optional)
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Promise<Object>} emailConfirmationSent - whether a new address awaits confirmation
+ */
+async function updateProfile(updates, req) {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const emailChanged = updates.email !== undefined &&
+    updates.email.toLowerCase() !== (user.email || '').toLowerCase();
+
+  // Refuse the whole update before changing anything
+  if (emailChanged && await User.findByEmail(updates.email)) {
+    throw new AppError('Email is already in use', 409, 'EMAIL_TAKEN');
+  }
+
+  const profile = {};
+  const changes = {};
+
+  for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+    if (updates[field] === undefined) {
+      continue;
+    }
+
+    const value = updates[field] || null;
+    if (value !== user[column]) {
+      profile[field] = value;
+      changes[field] = { from: user[column], to: value };
+    }
+  }
+
+  if (Object.keys(profile).length) {
+    await User.updateProfile(user.id, profile);
+
+    await AuditLog.create({
+      userId: user.id,
+      action: 'profile_update',
+      resource: 'user',
+      details: { changes },
+      ipAddress: getClientIp(req),
+      status: 'success'
+    });
+  }
+
+  if (emailChanged) {
+    await requestEmailChange(user, updates.email, req);
+  }
+
+  return { emailConfirmationSent: emailChanged };
+}
+
+/**
+ * Confirm an email change with the token from the confirmation link
+ * The old address is told about the change
+ * @param {string} token - Raw confirmation token
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function confirmEmailChange(token, req) {
+  const ipAddress = getClientIp(req);
+  const request = await EmailChangeRequest.findValidByToken(token);
+  const user = request && await User.findById(request.user_id);
+
+  if (!request || !user || !user.is_active) {
+    await AuditLog.create({
+      userId: request ? request.user_id : null,
+      action: 'email_change',
+      resource: 'user',
+      details: { reason: !request ? 'invalid_token' : 'account_inactive' },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Invalid or expired confirmation link', 400, 'INVALID_EMAIL_CHANGE_TOKEN');
+  }
+
+  // Someone else may have taken the address since the link was sent
+  const owner = await User.findByEmail(request.new_email);
+  if (owner && owner.id !== user.id) {
+    throw new AppError('Email is already in use', 409, 'EMAIL_TAKEN');
+  }
+
+  if (!(await EmailChangeRequest.markAsConfirmed(request.id))) {
+    throw new AppError('Invalid or expired confirmation link', 400, 'INVALID_EMAIL_CHANGE_TOKEN');
+  }
+
+  await User.updateEmail(user.id, request.new_email);
+  await EmailChangeRequest.invalidateAllByUserId(user.id);
+
+  await AuditLog.create({
+    userId: user.id,
+    action: 'email_change',
+    resource: 'user',
+    details: { requestId: request.id, from: user.email, to: request.new_email },
+    ipAddress,
+    status: 'success'
+  });
+
+  if (user.email) {
+    sendMail(buildChangedNoticeEmail(user, user.email, request.new_email)).catch(error => {
+      console.error('Email change notice failed:', error.message);
+    });
+  }
+}
+
+module.exports = {
+  updateProfile,
+  confirmEmailChange
+};
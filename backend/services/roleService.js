@@ -0,0 +1,256 @@
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+const { invalidateRolePermissions } = require('../middleware/auth');
+
+/**
+ * Role Service
+ * Handles roles and the permissions they grant
+ */
+
+// Role whose permissions are fixed so administrators cannot lock themselves out
+const ADMIN_ROLE = 'admin';
+
+/**
+ * Transform a role row for API responses
+ * @param {Object} role - Role row (with permissions and user_count)
+ * @returns {Object} Role summary
+ */
+function formatRole(role) {
+  return {
+    id: role.id,
+    name: role.name,
+    description: role.description,
+    isSystem: !!role.is_system,
+    userCount: Number(role.user_count),
+    permissions: role.permissions,
+    createdAt: role.created_at,
+    updatedAt: role.updated_at
+  };
+}
+
+/**
+ * Load a role or fail with ROLE_NOT_FOUND
+ * @param {number} roleId - Role ID
+ * @returns {Promise<Object>} Role object
+ */
+async function getRoleOrFail(roleId) {
+  const role = await Role.findById(roleId);
+
+  if (!role) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  return role;
+}
+
+/**
+ * Resolve permission names to IDs, rejecting unknown names
+ * @param {Array<string>} names - Permission names
+ * @returns {Promise<Array<number>>} Permission IDs
+ */
+async function resolvePermissionIds(names) {
+  const permissions = await Permission.findByNames(names);
+  const known = permissions.map(permission => permission.name);
+  const unknown = names.filter(name => !known.includes(name));
+
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown permission: ${unknown.join(', ')}`, 400, 'UNKNOWN_PERMISSION');
+  }
+
+  return permissions.map(permission => permission.id);
+}
+
+/**
+ * Record a change to a role
+ * @param {Object} req - Express request object
+ * @param {string} action - Audit action
+ * @param {Object} role - Target role
+ * @param {Object} details - Additional details
+ * @returns {Promise<void>}
+ */
+async function auditRoleChange(req, action, role, details = {}) {
+  await AuditLog.create({
+    userId: req.user.id,
+    action,
+    resource: 'role',
+    details: {
+      roleId: role.id,
+      role: role.name,
+      performedBy: req.user.username,
+      ...details
+    },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+}
+
+/**
+ * List every permission a role can grant
+ * @returns {Promise<Array>} Permissions with name and description
+ */
+async function listPermissions() {
+  const permissions = await Permission.getAll();
+
+  return permissions.map(permission => ({
+    name: permission.name,
+    description: permission.description
+  }));
+}
+
+/**
+ * List all roles
+ * @returns {Promise<Array>} Role summaries
+ */
+async function listRoles() {
+  const roles = await Role.getAll();
+  return roles.map(formatRole);
+}
+
+/**
+ * Get a single role
+ * @param {number} roleId - Role ID
+ * @returns {Promise<Object>} Role summary
+ */
+async function getRole(roleId) {
+  return formatRole(await getRoleOrFail(roleId));
+}
+
+/**
+ * Create a custom role
+ * @param {Object} roleData - Validated role data
+ * @param {string} roleData.name - Role name
+ * @param {string} roleData.description - Description (optional)
+ * @param {Array<string>} roleData.permissions - Permission names
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Created role summary
+ */
+async function createRole({ name, description, permissions }, req) {
+  if (await Role.findByName(name)) {
+    throw new AppError('A role with this name already exists', 409, 'ROLE_EXISTS');
+  }
+
+  const permissionIds = await resolvePermissionIds(permissions);
+
+  const roleId = await Role.create({ name, description });
+  await Role.setPermissions(roleId, permissionIds);
+  invalidateRolePermissions(name);
+
+  const role = await Role.findById(roleId);
+
+  await auditRoleChange(req, 'role_create', role, { permissions: role.permissions });
+
+  return formatRole(role);
+}
+
+/**
+ * Update a role's description or permissions
+ * The admin role always keeps every permission
+ * @param {number} roleId - Role ID
+ * @param {Object} updates - Validated changes (description, permissions)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated role summary
+ */
+async function updateRole(roleId, updates, req) {
+  const role = await getRoleOrFail(roleId);
+  const changes = {};
+
+  if (updates.description !== undefined && (updates.description || null) !== role.description) {
+    changes.description = { from: role.description, to: updates.description || null };
+  }
+
+  if (updates.permissions !== undefined) {
+    const added = updates.permissions.filter(name => !role.permissions.includes(name));
+    const removed = role.permissions.filter(name => !updates.permissions.includes(name));
+
+    if (added.length > 0 || removed.length > 0) {
+      if (role.name === ADMIN_ROLE) {
+        throw new AppError('The admin role always has every permission', 403, 'SYSTEM_ROLE');
+      }
+      changes.permissions = { added, removed };
+    }
+  }
+
+  if (changes.description) {
+    await Role.updateDescription(role.id, changes.description.to);
+  }
+
+  if (changes.permissions) {
+    await Role.setPermissions(role.id, await resolvePermissionIds(updates.permissions));
+    invalidateRolePermissions(role.name);
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await auditRoleChange(req, 'role_update', role, { changes });
+  }
+
+  return formatRole(await Role.findById(role.id));
+}
+
+/**
+ * Delete a custom role
+ * Built-in roles and roles still assigned to users cannot be deleted
+ * @param {number} roleId - Role ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function deleteRole(roleId, req) {
+  const role = await getRoleOrFail(roleId);
+
+  if (role.is_system) {
+    throw new AppError('Built-in roles cannot be deleted', 403, 'SYSTEM_ROLE');
+  }
+
+  if (Number(role.user_count) > 0) {
+    throw new AppError(
+      `Role is still assigned to ${role.user_count} user(s)`,
+      409,
+      'ROLE_IN_USE'
+    );
+  }
+
+  await Role.deleteById(role.id);
+  invalidateRolePermissions(role.name);
+
+  await auditRoleChange(req, 'role_delete', role, { permissions: role.permissions });
+}
+
+/**
+ * Fail with INVALID_ROLE unless a role exists
+ * @param {string} name - Role name
+ * @returns {Promise<void>}
+ */
+async function assertRoleExists(name) {
+  if (!(await Role.findByName(name))) {
+    throw new AppError(`Role '${name}' does not exist`, 400, 'INVALID_ROLE');
+  }
+}
+
+/**
+ * Work out the role of a returning SSO or directory user
+ * Only admin follows the identity provider's group mapping, so roles
+ * assigned in the app survive later logins
+ * @param {string} currentRole - User's current role
+ * @param {string} mappedRole - 'admin' or 'user' from the group mapping
+ * @returns {string} Role the user should have
+ */
+function syncMappedRole(currentRole, mappedRole) {
+  if (mappedRole === ADMIN_ROLE) {
+    return ADMIN_ROLE;
+  }
+
+  return currentRole === ADMIN_ROLE ? 'user' : currentRole;
+}
+
+module.exports = {
+  listPermissions,
+  listRoles,
+  getRole,
+  createRole,
+  updateRole,
+  deleteRole,
+  assertRoleExists,
+  syncMappedRole
+};
@@ -0,0 +1,168 @@
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const RefreshToken = require('../models/RefreshToken');
+const AuditLog = require('../models/AuditLog');
+const roleService = require('./roleService');
+const { getClientIp, resolveSessionPolicy } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+const { getSessionPolicy, invalidateSessionPolicy, invalidateSession } = require('../middleware/auth');
+
+/**
+ * Session Policy Service
+ * Per-role limits on how many sessions a user may hold, how long a session
+ * may sit idle and how long it may live in total.
+ *
+ * A role without a policy row, or a null setting in one, uses the server
+ * defaults from the environment. A limit of 0 means unlimited. Idle and
+ * lifetime limits are enforced by the auth middleware and on token refresh;
+ * the concurrent limit is enforced here when a login completes.
+ */
+
+/**
+ * Transform a policy row for API responses
+ * @param {Object} policy - session_policies row
+ * @returns {Object} Policy summary with effective values
+ */
+function formatPolicy(policy) {
+  return {
+    role: policy.role,
+    maxSessions: policy.max_sessions,
+    limitAction: policy.limit_action,
+    idleTimeoutMinutes: policy.idle_timeout_minutes,
+    maxLifetimeHours: policy.max_lifetime_hours,
+    effective: resolveSessionPolicy(policy),
+    updatedBy: policy.updated_by,
+    updatedAt: policy.updated_at
+  };
+}
+
+/**
+ * Make room for a new login under the user's concurrent session limit
+ * Impersonation sessions do not count towards the limit
+ * @param {Object} user - User logging in
+ * @param {string} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+async function enforceSessionLimit(user, ipAddress) {
+  const { maxSessions, limitAction } = await getSessionPolicy(user.role);
+
+  if (!maxSessions) {
+    return;
+  }
+
+  const sessions = (await Session.findActiveByUserId(user.id))
+    .filter(session => !session.impersonator_id);
+
+  if (sessions.length < maxSessions) {
+    return;
+  }
+
+  if (limitAction === 'refuse') {
+    await AuditLog.create({
+      userId: user.id,
+      action: 'login',
+      resource: 'auth',
+      details: { username: user.username, reason: 'session_limit', maxSessions },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError(
+      'You are signed in on too many devices. Log out of another session and try again.',
+      403,
+      'SESSION_LIMIT_REACHED'
+    );
+  }
+
+  // Evict the sessions that started longest ago
+  const evicted = sessions
+    .sort((a, b) => new Date(a.login_at || a.created_at) - new Date(b.login_at || b.created_at))
+    .slice(0, sessions.length - maxSessions + 1);
+
+  for (const session of evicted) {
+    await Session.revoke(session.id);
+    await RefreshToken.revokeBySessionId(session.id);
+    invalidateSession(session.token);
+  }
+
+  await AuditLog.create({
+    userId: user.id,
+    action: 'session_evicted',
+    resource: 'auth',
+    details: { sessionIds: evicted.map(session => session.id), maxSessions },
+    ipAddress,
+    status: 'success'
+  });
+}
+
+/**
+ * Get the server defaults and every per-role session policy
+ * @returns {Promise<Object>} Defaults and policies
+ */
+async function getPolicies() {
+  const policies = await SessionPolicy.getAll();
+
+  return {
+    defaults: resolveSessionPolicy(null),
+    policies: policies.map(formatPolicy)
+  };
+}
+
+/**
+ * Set the session policy of a role
+ * @param {string} role - Role name
+ * @param {Object} settings - Validated policy settings (null = server default)
+ * @param {number|null} settings.maxSessions - Maximum concurrent sessions
+ * @param {string|null} settings.limitAction - 'evict_oldest' or 'refuse'
+ * @param {number|null} settings.idleTimeoutMinutes - Idle timeout in minutes
+ * @param {number|null} settings.maxLifetimeHours - Absolute session lifetime in hours
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated policy
+ */
+async function setPolicy(role, settings, req) {
+  await roleService.assertRoleExists(role);
+
+  await SessionPolicy.upsert(role, settings, req.user.id);
+  invalidateSessionPolicy(role);
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: 'session_policy_update',
+    resource: 'session_policy',
+    details: { role, ...settings },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+
+  return formatPolicy(await SessionPolicy.findByRole(role));
+}
+
+/**
+ * Remove a role's session policy so the server defaults apply
+ * @param {string} role - Role name
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function resetPolicy(role, req) {
+  if (!(await SessionPolicy.deleteByRole(role))) {
+    throw new AppError('Session policy not found', 404, 'SESSION_POLICY_NOT_FOUND');
+  }
+
+  invalidateSessionPolicy(role);
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: 'session_policy_delete',
+    resource: 'session_policy',
+    details: { role },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+}
+
+module.exports = {
+  enforceSessionLimit,
+  getPolicies,
+  setPolicy,
+  resetPolicy
+};
@@ -0,0 +1,109 @@
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp, parseUserAgent } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+const { invalidateSession, invalidateUserSessions } = require('../middleware/auth');
+
+/**
+ * Session Service
+ * Lets users see where they are logged in and end those logins
+ */
+
+/**
+ * Transform a session row for API responses (never includes the token)
+ * @param {Object} session - Session row
+ * @param {number} currentSessionId - ID of the session making the request
+ * @returns {Object} Session summary
+ */
+function formatSession(session, currentSessionId) {
+  const { browser, os, device } = parseUserAgent(session.user_agent);
+
+  return {
+    id: session.id,
+    ipAddress: session.ip_address,
+    userAgent: session.user_agent,
+    browser,
+    os,
+    device,
+    loginAt: session.login_at,
+    createdAt: session.created_at,
+    lastAccessedAt: session.last_accessed_at,
+    expiresAt: session.expires_at,
+    impersonatorId: session.impersonator_id || null,
+    current: session.id === currentSessionId
+  };
+}
+
+/**
+ * List the caller's active sessions
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Promise<Array>} Session summaries, most recently used first
+ */
+async function listSessions(req) {
+  const sessions = await Session.findActiveByUserId(req.user.id);
+  return sessions.map(session => formatSession(session, req.session.id));
+}
+
+/**
+ * Revoke one of the caller's sessions and the refresh tokens issued with it
+ * @param {number} sessionId - Session ID
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Promise<Object>} current: whether the caller revoked their own session
+ */
+async function revokeSession(sessionId, req) {
+  const session = await Session.findById(sessionId);
+
+  // Other users' sessions are reported as missing so IDs cannot be probed
+  if (!session || session.user_id !== req.user.id || session.revoked_at) {
+    throw new AppError('Session not found', 404, 'SESSION_NOT_FOUND');
+  }
+
+  const current = session.id === req.session.id;
+
+  await RefreshToken.revokeBySessionId(session.id);
+  await Session.revoke(session.id);
+  invalidateSession(session.token);
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: 'session_revoke',
+    resource: 'session',
+    details: { sessionId: session.id, ipAddress: session.ip_address, current },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+
+  return { current };
+}
+
+/**
+ * Revoke every session of the caller except the one making the request
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeOtherSessions(req) {
+  const sessions = await Session.findActiveByUserId(req.user.id);
+  const others = sessions.filter(session => session.id !== req.session.id);
+
+  await RefreshToken.revokeAllByUserIdExceptSession(req.user.id, req.session.id);
+  await Session.revokeAllExceptCurrent(req.user.id, req.session.token);
+  invalidateUserSessions(req.user.id);
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: 'session_revoke_others',
+    resource: 'session',
+    details: { sessionIds: others.map(session => session.id) },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+
+  return others.length;
+}
+
+module.exports = {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+};
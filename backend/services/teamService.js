@@ -0,0 +1,210 @@
+const Team = require('../models/Team');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { getClientIp } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Team Service
+ * Handles teams, used to share number-access rules between users
+ */
+
+/**
+ * Transform a team row for API responses
+ * @param {Object} team - Team row (with member_count)
+ * @param {Array} members - Member rows (optional)
+ * @returns {Object} Team summary
+ */
+function formatTeam(team, members) {
+  const formatted = {
+    id: team.id,
+    name: team.name,
+    description: team.description,
+    memberCount: Number(team.member_count),
+    createdAt: team.created_at,
+    updatedAt: team.updated_at
+  };
+
+  if (members) {
+    formatted.members = members.map(member => ({
+      id: member.id,
+      username: member.username,
+      email: member.email,
+      role: member.role,
+      addedAt: member.added_at
+    }));
+  }
+
+  return formatted;
+}
+
+/**
+ * Load a team or fail with TEAM_NOT_FOUND
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Object>} Team object
+ */
+async function getTeamOrFail(teamId) {
+  const team = await Team.findById(teamId);
+
+  if (!team) {
+    throw new AppError('Team not found', 404, 'TEAM_NOT_FOUND');
+  }
+
+  return team;
+}
+
+/**
+ * Record a change to a team
+ * @param {Object} req - Express request object
+ * @param {string} action - Audit action
+ * @param {Object} team - Target team
+ * @param {Object} details - Additional details
+ * @returns {Promise<void>}
+ */
+async function auditTeamChange(req, action, team, details = {}) {
+  await AuditLog.create({
+    userId: req.user.id,
+    action,
+    resource: 'team',
+    details: {
+      teamId: team.id,
+      team: team.name,
+      performedBy: req.user.username,
+      ...details
+    },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+}
+
+/**
+ * List all teams
+ * @returns {Promise<Array>} Team summaries
+ */
+async function listTeams() {
+  const teams = await Team.getAll();
+  return teams.map(team => formatTeam(team));
+}
+
+/**
+ * Get a team with its members
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Object>} Team summary with members
+ */
+async function getTeam(teamId) {
+  const team = await getTeamOrFail(teamId);
+  return formatTeam(team, await Team.getMembers(team.id));
+}
+
+/**
+ * Create a team
+ * @param {Object} teamData - Validated team data (name, description)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Created team summary
+ */
+async function createTeam({ name, description }, req) {
+  if (await Team.findByName(name)) {
+    throw new AppError('A team with this name already exists', 409, 'TEAM_EXISTS');
+  }
+
+  const teamId = await Team.create({ name, description });
+  const team = await Team.findById(teamId);
+
+  await auditTeamChange(req, 'team_create', team);
+
+  return formatTeam(team, []);
+}
+
+/**
+ * Rename a team or change its description
+ * @param {number} teamId - Team ID
+ * @param {Object} updates - Validated changes (name, description)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated team summary
+ */
+async function updateTeam(teamId, updates, req) {
+  const team = await getTeamOrFail(teamId);
+  const name = updates.name !== undefined ? updates.name : team.name;
+  const description = updates.description !== undefined ? updates.description || null : team.description;
+
+  if (name !== team.name) {
+    const existing = await Team.findByName(name);
+    if (existing && existing.id !== team.id) {
+      throw new AppError('A team with this name already exists', 409, 'TEAM_EXISTS');
+    }
+  }
+
+  await Team.update(team.id, name, description);
+
+  await auditTeamChange(req, 'team_update', team, {
+    changes: { name: { from: team.name, to: name }, description: { from: team.description, to: description } }
+  });
+
+  return await getTeam(team.id);
+}
+
+/**
+ * Delete a team, its memberships and its number-access rules
+ * @param {number} teamId - Team ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function deleteTeam(teamId, req) {
+  const team = await getTeamOrFail(teamId);
+
+  await Team.deleteById(team.id);
+
+  await auditTeamChange(req, 'team_delete', team, { memberCount: Number(team.member_count) });
+}
+
+/**
+ * Add a user to a team
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated team summary with members
+ */
+async function addMember(teamId, userId, req) {
+  const team = await getTeamOrFail(teamId);
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (await Team.addMember(team.id, user.id)) {
+    await auditTeamChange(req, 'team_member_add', team, {
+      targetUserId: user.id,
+      targetUsername: user.username
+    });
+  }
+
+  return await getTeam(team.id);
+}
+
+/**
+ * Remove a user from a team
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated team summary with members
+ */
+async function removeMember(teamId, userId, req) {
+  const team = await getTeamOrFail(teamId);
+
+  if (await Team.removeMember(team.id, userId)) {
+    await auditTeamChange(req, 'team_member_remove', team, { targetUserId: userId });
+  }
+
+  return await getTeam(team.id);
+}
+
+module.exports = {
+  listTeams,
+  getTeam,
+  createTeam,
+  updateTeam,
+  deleteTeam,
+  addMember,
+  removeMember
+};
@@ -0,0 +1,316 @@
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+const TwoFactorPolicy = require('../models/TwoFactorPolicy');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+} = require('../config/totp');
+const { getClientIp } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Two-Factor Authentication Service
+ * Handles TOTP enrollment, verification, recovery codes and role policies
+ */
+
+/**
+ * Start TOTP enrollment by generating a new pending secret
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Secret and otpauth URI for the authenticator app
+ */
+async function beginEnrollment(userId, req) {
+  const ipAddress = getClientIp(req);
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  if (user.totp_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  await User.setTotpSecret(userId, encryptSecret(secret));
+
+  await AuditLog.create({
+    userId,
+    action: '2fa_enroll_start',
+    resource: 'auth',
+    details: {},
+    ipAddress,
+    status: 'success'
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, user.username)
+  };
+}
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ * @param {number} userId - User ID
+ * @param {string} code - TOTP code
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Freshly generated recovery codes
+ */
+async function confirmEnrollment(userId, code, req) {
+  const ipAddress = getClientIp(req);
+  const twoFactor = await User.findTwoFactorById(userId);
+
+  if (!twoFactor || !twoFactor.totp_secret_encrypted) {
+    throw new AppError('Two-factor enrollment has not been started', 400, 'TWO_FACTOR_NOT_ENROLLED');
+  }
+
+  if (twoFactor.totp_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const step = verifyCode(decryptSecret(twoFactor.totp_secret_encrypted), code);
+
+  if (step === null) {
+    await AuditLog.create({
+      userId,
+      action: '2fa_enable',
+      resource: 'auth',
+      details: { reason: 'invalid_code' },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Invalid two-factor code', 401, 'INVALID_2FA_CODE');
+  }
+
+  await User.enableTotp(userId, step);
+
+  const recoveryCodes = generateRecoveryCodes();
+  await RecoveryCode.replaceForUser(userId, recoveryCodes);
+
+  await AuditLog.create({
+    userId,
+    action: '2fa_enable',
+    resource: 'auth',
+    details: {},
+    ipAddress,
+    status: 'success'
+  });
+
+  return { recoveryCodes };
+}
+
+/**
+ * Verify a second factor for a user with TOTP enabled
+ * @param {number} userId - User ID
+ * @param {Object} factor - Second factor
+ * @param {string} factor.code - TOTP code (optional)
+ * @param {string} factor.recoveryCode - Recovery code (optional)
+ * @param {Object} req - Express request object
+ * @returns {Promise<string|null>} Method used ('totp' or 'recovery_code'), or null if invalid
+ */
+async function verifySecondFactor(userId, factor, req) {
+  const ipAddress = getClientIp(req);
+  const twoFactor = await User.findTwoFactorById(userId);
+
+  if (!twoFactor || !twoFactor.totp_enabled) {
+    return null;
+  }
+
+  if (factor.code) {
+    const lastUsedStep = twoFactor.totp_last_used_step !== null
+      ? Number(twoFactor.totp_last_used_step)
+      : null;
+    const step = verifyCode(decryptSecret(twoFactor.totp_secret_encrypted), factor.code, lastUsedStep);
+
+    if (step === null || !(await User.updateTotpLastUsedStep(userId, step))) {
+      return null;
+    }
+
+    return 'totp';
+  }
+
+  if (factor.recoveryCode && await RecoveryCode.consume(userId, factor.recoveryCode)) {
+    await AuditLog.create({
+      userId,
+      action: '2fa_recovery_code_used',
+      resource: 'auth',
+      details: { remaining: await RecoveryCode.countUnused(userId) },
+      ipAddress,
+      status: 'success'
+    });
+
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+/**
+ * Disable TOTP for a user
+ * @param {number} userId - User ID
+ * @param {string} password - Current password
+ * @param {Object} factor - Second factor ({ code } or { recoveryCode })
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function disable(userId, password, factor, req) {
+  const ipAddress = getClientIp(req);
+  const current = await User.findById(userId);
+
+  if (!current) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  const user = await User.findByUsername(current.username);
+
+  if (!user.totp_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENROLLED');
+  }
+
+  if (await TwoFactorPolicy.isRequiredForRole(user.role)) {
+    throw new AppError('Two-factor authentication is required for your role', 403, 'TWO_FACTOR_REQUIRED');
+  }
+
+  const isPasswordValid = await User.verifyPassword(password, user.password_hash);
+  const method = isPasswordValid ? await verifySecondFactor(userId, factor, req) : null;
+
+  if (!method) {
+    await AuditLog.create({
+      userId,
+      action: '2fa_disable',
+      resource: 'auth',
+      details: { reason: isPasswordValid ? 'invalid_code' : 'invalid_password' },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Invalid password or two-factor code', 401, 'INVALID_CREDENTIALS');
+  }
+
+  await User.disableTotp(userId);
+  await RecoveryCode.deleteAllByUserId(userId);
+
+  await AuditLog.create({
+    userId,
+    action: '2fa_disable',
+    resource: 'auth',
+    details: { method },
+    ipAddress,
+    status: 'success'
+  });
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {number} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} New recovery codes
+ */
+async function regenerateRecoveryCodes(userId, code, req) {
+  const ipAddress = getClientIp(req);
+  const method = await verifySecondFactor(userId, { code }, req);
+
+  if (!method) {
+    await AuditLog.create({
+      userId,
+      action: '2fa_recovery_codes_regenerate',
+      resource: 'auth',
+      details: { reason: 'invalid_code' },
+      ipAddress,
+      status: 'failure'
+    });
+
+    throw new AppError('Invalid two-factor code', 401, 'INVALID_2FA_CODE');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await RecoveryCode.replaceForUser(userId, recoveryCodes);
+
+  await AuditLog.create({
+    userId,
+    action: '2fa_recovery_codes_regenerate',
+    resource: 'auth',
+    details: {},
+    ipAddress,
+    status: 'success'
+  });
+
+  return { recoveryCodes };
+}
+
+/**
+ * Get a user's two-factor status
+ * @param {number} userId - User ID
+ * @param {string} role - User role
+ * @returns {Promise<Object>} Two-factor status
+ */
+async function getStatus(userId, role) {
+  const twoFactor = await User.findTwoFactorById(userId);
+
+  return {
+    enabled: !!(twoFactor && twoFactor.totp_enabled),
+    enabledAt: twoFactor ? twoFactor.totp_enabled_at : null,
+    requiredByRole: await TwoFactorPolicy.isRequiredForRole(role),
+    recoveryCodesRemaining: await RecoveryCode.countUnused(userId)
+  };
+}
+
+/**
+ * Get all per-role two-factor policies
+ * @returns {Promise<Array>} Policies
+ */
+async function getPolicies() {
+  const policies = await TwoFactorPolicy.getAll();
+
+  return policies.map(policy => ({
+    role: policy.role,
+    required: !!policy.required,
+    updatedBy: policy.updated_by,
+    updatedAt: policy.updated_at
+  }));
+}
+
+/**
+ * Require or stop requiring two-factor authentication for a role
+ * @param {string} role - Role name
+ * @param {boolean} required - Whether 2FA is required
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function setPolicy(role, required, req) {
+  const ipAddress = getClientIp(req);
+
+  if (!(await Role.findByName(role))) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  await TwoFactorPolicy.setRequired(role, required, req.user.id);
+
+  await AuditLog.create({
+    userId: req.user.id,
+    action: '2fa_policy_update',
+    resource: 'two_factor_policy',
+    details: { role, required },
+    ipAddress,
+    status: 'success'
+  });
+}
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disable,
+  regenerateRecoveryCodes,
+  getStatus,
+  getPolicies,
+  setPolicy
+};
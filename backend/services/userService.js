@@ -0,0 +1,314 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuditLog = require('../models/AuditLog');
+const passwordResetService = require('./passwordResetService');
+const roleService = require('./roleService');
+const { isAccountLocked, getClientIp } = require('../config/security');
+const { AppError } = require('../middleware/errorHandler');
+const { invalidateUserSessions } = require('../middleware/auth');
+
+/**
+ * User Service
+ * Handles administrative user management
+ */
+
+/**
+ * Transform a user row for API responses (never includes secrets)
+ * @param {Object} user - User row
+ * @returns {Object} User summary
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    authProvider: user.auth_provider,
+    isActive: !!user.is_active,
+    twoFactorEnabled: !!user.totp_enabled,
+    passwordChangeRequired: !!user.password_change_required,
+    failedLoginAttempts: user.failed_login_attempts,
+    lockedUntil: isAccountLocked(user.locked_until) ? user.locked_until : null,
+    lastLoginAt: user.last_login_at,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at
+  };
+}
+
+/**
+ * Load a user or fail with USER_NOT_FOUND
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} User object
+ */
+async function getUserOrFail(userId) {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  return user;
+}
+
+/**
+ * Stop administrators from locking themselves out
+ * @param {number} userId - Target user ID
+ * @param {Object} req - Express request object
+ */
+function assertNotSelf(userId, req) {
+  if (userId === req.user.id) {
+    throw new AppError(
+      'Administrators cannot perform this action on their own account',
+      403,
+      'CANNOT_MODIFY_SELF'
+    );
+  }
+}
+
+/**
+ * End every session and refresh token of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function revokeAllSessions(userId) {
+  await Session.revokeAllByUserId(userId);
+  await RefreshToken.revokeAllByUserId(userId);
+  invalidateUserSessions(userId);
+}
+
+/**
+ * Record an administrative change to a user
+ * @param {Object} req - Express request object
+ * @param {string} action - Audit action
+ * @param {Object} user - Target user
+ * @param {Object} details - Additional details
+ * @returns {Promise<void>}
+ */
+async function auditUserChange(req, action, user, details = {}) {
+  await AuditLog.create({
+    userId: req.user.id,
+    action,
+    resource: 'user',
+    details: {
+      targetUserId: user.id,
+      targetUsername: user.username,
+      performedBy: req.user.username,
+      ...details
+    },
+    ipAddress: getClientIp(req),
+    status: 'success'
+  });
+}
+
+/**
+ * List users with pagination and filters
+ * @param {Object} query - Validated query parameters
+ * @param {number} query.page - Page number
+ * @param {number} query.limit - Items per page
+ * @param {string} query.search - Part of a username or email (optional)
+ * @param {string} query.role - Role filter (optional)
+ * @param {string} query.status - 'active' or 'inactive' (optional)
+ * @returns {Promise<Object>} Users with pagination
+ */
+async function listUsers({ page, limit, search, role, status }) {
+  const result = await User.getAll(page, limit, {
+    search,
+    role,
+    isActive: status ? status === 'active' : undefined
+  });
+
+  return {
+    users: result.users.map(formatUser),
+    pagination: result.pagination
+  };
+}
+
+/**
+ * Get a single user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} User summary
+ */
+async function getUser(userId) {
+  return formatUser(await getUserOrFail(userId));
+}
+
+/**
+ * Create a local user
+ * @param {Object} userData - Validated user data
+ * @param {string} userData.username - Username
+ * @param {string} userData.password - Initial password
+ * @param {string} userData.email - Email (optional)
+ * @param {string} userData.role - Role
+ * @param {boolean} userData.passwordChangeRequired - Require a new password at first login
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Created user summary
+ */
+async function createUser({ username, password, email, role, passwordChangeRequired }, req) {
+  if (await User.findByUsername(username)) {
+    throw new AppError('Username is already taken', 409, 'USERNAME_TAKEN');
+  }
+
+  if (email && await User.findByEmail(email)) {
+    throw new AppError('Email is already in use', 409, 'EMAIL_TAKEN');
+  }
+
+  await roleService.assertRoleExists(role);
+
+  const userId = await User.create({ username, password, email, role, passwordChangeRequired });
+  const user = await User.findById(userId);
+
+  await auditUserChange(req, 'admin_user_create', user, {
+    email: user.email,
+    role,
+    passwordChangeRequired
+  });
+
+  return formatUser(user);
+}
+
+/**
+ * Update a user's email, role or active flag
+ * @param {number} userId - User ID
+ * @param {Object} updates - Validated changes (email, role, is_active)
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated user summary
+ */
+async function updateUser(userId, updates, req) {
+  const user = await getUserOrFail(userId);
+  const changes = {};
+
+  if (updates.email !== undefined && updates.email !== user.email) {
+    const existing = updates.email && await User.findByEmail(updates.email);
+    if (existing && existing.id !== user.id) {
+      throw new AppError('Email is already in use', 409, 'EMAIL_TAKEN');
+    }
+    changes.email = { from: user.email, to: updates.email };
+  }
+
+  if (updates.role !== undefined && updates.role !== user.role) {
+    assertNotSelf(user.id, req);
+    await roleService.assertRoleExists(updates.role);
+    changes.role = { from: user.role, to: updates.role };
+  }
+
+  if (updates.is_active !== undefined && updates.is_active !== !!user.is_active) {
+    assertNotSelf(user.id, req);
+    changes.is_active = { from: !!user.is_active, to: updates.is_active };
+  }
+
+  if (changes.email) {
+    await User.updateEmail(user.id, updates.email);
+  }
+
+  if (changes.role) {
+    await User.updateRole(user.id, updates.role);
+  }
+
+  if (changes.is_active) {
+    if (updates.is_active) {
+      await User.activate(user.id);
+    } else {
+      await User.deactivate(user.id);
+      await revokeAllSessions(user.id);
+    }
+  }
+
+  if (Object.keys(changes).length > 0) {
+    await auditUserChange(req, 'admin_user_update', user, { changes });
+  }
+
+  return formatUser(await User.findById(user.id));
+}
+
+/**
+ * Activate or deactivate a user
+ * Deactivation also ends all of the user's sessions
+ * @param {number} userId - User ID
+ * @param {boolean} isActive - New active state
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated user summary
+ */
+async function setActive(userId, isActive, req) {
+  return await updateUser(userId, { is_active: isActive }, req);
+}
+
+/**
+ * Clear a user's failed login attempts and lockout
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Updated user summary
+ */
+async function unlockUser(userId, req) {
+  const user = await getUserOrFail(userId);
+
+  await User.unlockAccount(user.id);
+
+  await auditUserChange(req, 'admin_user_unlock', user, {
+    failedLoginAttempts: user.failed_login_attempts,
+    lockedUntil: user.locked_until
+  });
+
+  return formatUser(await User.findById(user.id));
+}
+
+/**
+ * Force a user to choose a new password
+ * Ends all sessions, requires a password change at next login and, if the
+ * user has an email address, sends a password reset link
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} emailSent: whether a reset link was sent
+ */
+async function forcePasswordReset(userId, req) {
+  const user = await User.findByUsername((await getUserOrFail(userId)).username);
+
+  if (user.auth_provider !== 'local' || !user.password_hash) {
+    throw new AppError('Password is managed by the identity provider', 400, 'EXTERNAL_ACCOUNT');
+  }
+
+  await User.requirePasswordChange(user.id);
+  await revokeAllSessions(user.id);
+
+  const emailSent = !!user.email && user.is_active && passwordResetService.canResetLocally(user);
+  if (emailSent) {
+    await passwordResetService.sendResetLink(user, getClientIp(req));
+  }
+
+  await auditUserChange(req, 'admin_user_force_password_reset', user, { emailSent });
+
+  return { emailSent };
+}
+
+/**
+ * Delete a user
+ * Sessions, tokens and other owned rows are removed by the database
+ * @param {number} userId - User ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+async function deleteUser(userId, req) {
+  const user = await getUserOrFail(userId);
+
+  assertNotSelf(user.id, req);
+
+  await User.deleteById(user.id);
+  invalidateUserSessions(user.id);
+
+  await auditUserChange(req, 'admin_user_delete', user, {
+    email: user.email,
+    role: user.role,
+    authProvider: user.auth_provider
+  });
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  setActive,
+  unlockUser,
+  forcePasswordReset,
+  deleteUser
+};
@@ -0,0 +1,237 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/Permission');
+jest.mock('../models/ApiKey');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const Permission = require('../models/Permission');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { generateToken } = require('../config/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+const adminRoutes = require('../routes/admin');
+
+const USERS = {
+  9: { id: 9, username: 'admin', role: 'admin', is_active: true },
+  1: { id: 1, username: 'alice', role: 'user', is_active: true }
+};
+
+const ROLE_PERMISSIONS = {
+  admin: ['api_keys:manage', 'users:manage'],
+  user: ['otp:read:latest']
+};
+
+/**
+ * Build an app serving the admin routes
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin', adminRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+/**
+ * Build an API key row
+ * @param {number} id - API key ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} API key row
+ */
+function apiKeyRow(id, fields = {}) {
+  return {
+    id,
+    name: `ci-${id}`,
+    owner_id: 1,
+    owner_username: 'alice',
+    key_prefix: `otpf_${id}`,
+    scopes: ['otp:read'],
+    allowed_number_pattern: null,
+    expires_at: null,
+    created_by: 9,
+    created_at: new Date('2026-10-01T00:00:00Z'),
+    last_used_at: null,
+    revoked_at: null,
+    ...fields
+  };
+}
+
+describe('admin API key endpoints', () => {
+  const app = buildApp();
+  const tokens = {
+    admin: generateToken({ userId: 9, username: 'admin', role: 'admin' }),
+    alice: generateToken({ userId: 1, username: 'alice', role: 'user' })
+  };
+
+  /**
+   * Send a request as one of the users
+   * @param {string} who - 'admin' or 'alice'
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /admin
+   * @returns {Object} Supertest request
+   */
+  function as(who, method, path) {
+    return request(app)[method](`/admin${path}`).set('Authorization', `Bearer ${tokens[who]}`);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Session.findByToken.mockImplementation(async token => ({
+      id: token === tokens.admin ? 90 : 10,
+      user_id: token === tokens.admin ? 9 : 1,
+      token,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null
+    }));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+    db.queryOne.mockImplementation(async (sql, [id]) => (USERS[id] ? { ...USERS[id] } : null));
+    Permission.findNamesByRole.mockImplementation(async role => ROLE_PERMISSIONS[role] || []);
+    User.findById.mockImplementation(async id => (USERS[id] ? { ...USERS[id] } : null));
+
+    ApiKey.getAll.mockResolvedValue({
+      apiKeys: [apiKeyRow(1), apiKeyRow(2)],
+      pagination: { page: 1, limit: 20, total: 2, totalPages: 1 }
+    });
+    ApiKey.findById.mockImplementation(async id => (id <= 2 ? apiKeyRow(id) : null));
+    ApiKey.generateKey.mockReturnValue({ key: 'otpf_abcd1234_secret', prefix: 'otpf_abcd1234' });
+    ApiKey.create.mockResolvedValue(3);
+  });
+
+  describe('without api_keys:manage', () => {
+    test.each([
+      ['get', '/api-keys'],
+      ['post', '/api-keys'],
+      ['delete', '/api-keys/1']
+    ])('refuse %s %s', async (method, path) => {
+      const res = await as('alice', method, path).send({ name: 'ci-pipeline', scopes: ['otp:read'] });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('FORBIDDEN');
+      expect(ApiKey.getAll).not.toHaveBeenCalled();
+      expect(ApiKey.create).not.toHaveBeenCalled();
+      expect(ApiKey.revoke).not.toHaveBeenCalled();
+    });
+
+    test('refuse a caller who is not signed in', async () => {
+      const res = await request(app).get('/admin/api-keys');
+
+      expect(res.status).toBe(401);
+      expect(ApiKey.getAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /admin/api-keys', () => {
+    test('lists keys without their secrets', async () => {
+      const res = await as('admin', 'get', '/api-keys');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.data[0]).toMatchObject({ id: 1, name: 'ci-1', ownerUsername: 'alice', keyPrefix: 'otpf_1' });
+      expect(res.body.data[0].key).toBeUndefined();
+      expect(res.body.pagination).toEqual({ page: 1, limit: 20, total: 2, totalPages: 1 });
+    });
+
+    test('passes the page and limit on as numbers', async () => {
+      await as('admin', 'get', '/api-keys?page=2&limit=5&mobileNumber=+15550000000');
+
+      expect(ApiKey.getAll).toHaveBeenCalledWith(2, 5);
+    });
+
+    test('defaults to the first page of 20', async () => {
+      await as('admin', 'get', '/api-keys');
+
+      expect(ApiKey.getAll).toHaveBeenCalledWith(1, 20);
+    });
+
+    test.each([
+      ['page=0'],
+      ['limit=0'],
+      ['limit=101'],
+      ['page=two']
+    ])('rejects ?%s', async query => {
+      const res = await as('admin', 'get', `/api-keys?${query}`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+      expect(ApiKey.getAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /admin/api-keys', () => {
+    test('creates a key and returns it once', async () => {
+      ApiKey.findById.mockResolvedValue(apiKeyRow(3, { name: 'ci-pipeline' }));
+
+      const res = await as('admin', 'post', '/api-keys')
+        .send({ name: 'ci-pipeline', scopes: ['otp:read'], ownerId: 1 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ id: 3, name: 'ci-pipeline', key: 'otpf_abcd1234_secret' });
+      expect(ApiKey.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'ci-pipeline',
+        ownerId: 1,
+        scopes: ['otp:read'],
+        createdBy: 9
+      }));
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'api_key_create', userId: 9 }));
+    });
+
+    test.each([
+      ['without a name', { scopes: ['otp:read'] }],
+      ['without scopes', { name: 'ci-pipeline' }],
+      ['with an unknown scope', { name: 'ci-pipeline', scopes: ['audit:read'] }]
+    ])('rejects a key %s', async (description, body) => {
+      const res = await as('admin', 'post', '/api-keys').send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+      expect(ApiKey.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects a key for an owner that does not exist', async () => {
+      const res = await as('admin', 'post', '/api-keys')
+        .send({ name: 'ci-pipeline', scopes: ['otp:read'], ownerId: 42 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('USER_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /admin/api-keys/:id', () => {
+    test('revokes the key', async () => {
+      const res = await as('admin', 'delete', '/api-keys/2');
+
+      expect(res.status).toBe(200);
+      expect(ApiKey.revoke).toHaveBeenCalledWith(2, 9);
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'api_key_revoke' }));
+    });
+
+    test('reports a key that does not exist', async () => {
+      const res = await as('admin', 'delete', '/api-keys/99');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('API_KEY_NOT_FOUND');
+      expect(ApiKey.revoke).not.toHaveBeenCalled();
+    });
+
+    test('rejects an ID that is not a number', async () => {
+      const res = await as('admin', 'delete', '/api-keys/abc');
+
+      expect(res.status).toBe(400);
+      expect(ApiKey.revoke).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,163 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/AuditLog');
+jest.mock('../services/authService');
+
+const db = require('../config/database');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const authService = require('../services/authService');
+const { generateToken } = require('../config/jwt');
+const { sendTokensAsCookies } = require('../config/cookies');
+const { authenticate } = require('../middleware/auth');
+const { errorHandler } = require('../middleware/errorHandler');
+const authController = require('../controllers/authController');
+
+/**
+ * Build an app with a cookie-authenticated endpoint, the refresh endpoint and
+ * a login that hands out session cookies
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+
+  app.get('/resource', authenticate, (req, res) => res.json({ success: true }));
+  app.post('/resource', authenticate, (req, res) => res.json({ success: true }));
+  app.post('/login', (req, res) => {
+    res.json({ success: true, data: sendTokensAsCookies(res, req.body) });
+  });
+  app.post('/refresh', authController.refreshToken);
+
+  app.use(errorHandler);
+  return app;
+}
+
+describe('cookie sessions and CSRF', () => {
+  const app = buildApp();
+  let token;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    token = generateToken({ userId: 1, username: 'alice', role: 'user' });
+
+    Session.findByToken.mockImplementation(async sessionToken => ({
+      id: 1,
+      token: sessionToken,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60000),
+      revoked_at: null
+    }));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+    db.queryOne.mockResolvedValue({
+      id: 1,
+      username: 'alice',
+      role: 'user',
+      is_active: true,
+      locked_until: null,
+      auth_provider: 'ldap'
+    });
+  });
+
+  test('issues an HttpOnly session cookie and a readable CSRF cookie', async () => {
+    const res = await request(app).post('/login').send({
+      token,
+      refreshToken: 'refresh-token',
+      expiresIn: 900,
+      refreshExpiresIn: 86400
+    });
+
+    const cookies = res.headers['set-cookie'];
+    const session = cookies.find(cookie => cookie.startsWith('otp_session='));
+    const refresh = cookies.find(cookie => cookie.startsWith('otp_refresh='));
+    const csrf = cookies.find(cookie => cookie.startsWith('otp_csrf='));
+
+    expect(session).toMatch(/HttpOnly/);
+    expect(refresh).toMatch(/HttpOnly/);
+    expect(refresh).toMatch(/Path=\/api\/v1\/auth\/refresh/);
+    expect(csrf).not.toMatch(/HttpOnly/);
+    expect(csrf).toContain(`otp_csrf=${res.body.data.csrfToken}`);
+    expect(res.body.data.token).toBeUndefined();
+    expect(res.body.data.refreshToken).toBeUndefined();
+  });
+
+  test('lets cookie-authenticated reads through without a CSRF token', async () => {
+    const res = await request(app).get('/resource').set('Cookie', `otp_session=${token}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('refuses a cookie-authenticated write without a CSRF token', async () => {
+    const res = await request(app).post('/resource').set('Cookie', `otp_session=${token}; otp_csrf=abc`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('CSRF_TOKEN_INVALID');
+  });
+
+  test('refuses a CSRF header that does not match the cookie', async () => {
+    const res = await request(app)
+      .post('/resource')
+      .set('Cookie', `otp_session=${token}; otp_csrf=abc`)
+      .set('X-CSRF-Token', 'abd');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('CSRF_TOKEN_INVALID');
+  });
+
+  test('refuses a CSRF header without the CSRF cookie', async () => {
+    const res = await request(app)
+      .post('/resource')
+      .set('Cookie', `otp_session=${token}`)
+      .set('X-CSRF-Token', 'abc');
+
+    expect(res.status).toBe(403);
+  });
+
+  test('accepts a cookie-authenticated write with the matching CSRF token', async () => {
+    const res = await request(app)
+      .post('/resource')
+      .set('Cookie', `otp_session=${token}; otp_csrf=abc`)
+      .set('X-CSRF-Token', 'abc');
+
+    expect(res.status).toBe(200);
+  });
+
+  test('does not ask Bearer-authenticated writes for a CSRF token', async () => {
+    const res = await request(app).post('/resource').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  test('refuses a refresh with the refresh cookie but no CSRF token', async () => {
+    const res = await request(app).post('/refresh').set('Cookie', 'otp_refresh=refresh-token; otp_csrf=abc');
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('CSRF_TOKEN_INVALID');
+    expect(authService.refreshToken).not.toHaveBeenCalled();
+  });
+
+  test('refreshes with the refresh cookie and the CSRF token', async () => {
+    authService.refreshToken.mockResolvedValue({
+      token,
+      refreshToken: 'rotated-token',
+      expiresIn: 900,
+      refreshExpiresIn: 86400
+    });
+
+    const res = await request(app)
+      .post('/refresh')
+      .set('Cookie', 'otp_refresh=refresh-token; otp_csrf=abc')
+      .set('X-CSRF-Token', 'abc');
+
+    expect(res.status).toBe(200);
+    expect(authService.refreshToken).toHaveBeenCalledWith('refresh-token', expect.anything());
+    expect(res.body.data.refreshToken).toBeUndefined();
+    expect(res.headers['set-cookie'].some(cookie => cookie.startsWith('otp_refresh=rotated-token'))).toBe(true);
+  });
+});
@@ -0,0 +1,209 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/Permission');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const Permission = require('../models/Permission');
+const AuditLog = require('../models/AuditLog');
+const { verifySessionToken } = require('../config/jwt');
+const { authenticate, invalidateSession, invalidateRolePermissions } = require('../middleware/auth');
+const impersonationService = require('../services/impersonationService');
+
+const ROLE_PERMISSIONS = {
+  admin: ['users:impersonate', 'users:manage', 'otp:read'],
+  support: ['otp:read'],
+  user: ['otp:read']
+};
+
+const USERS = {
+  1: { id: 1, username: 'admin', role: 'admin', is_active: true, locked_until: null, auth_provider: 'ldap' },
+  2: { id: 2, username: 'alice', role: 'user', is_active: true, locked_until: null, auth_provider: 'ldap' },
+  3: { id: 3, username: 'boss', role: 'admin', is_active: true, locked_until: null, auth_provider: 'ldap' }
+};
+
+// Request from the administrator's own session
+const adminReq = {
+  user: { id: 1, username: 'admin', role: 'admin' },
+  session: { id: 10 },
+  ip: '127.0.0.1',
+  headers: {},
+  get: () => undefined
+};
+
+describe('impersonation', () => {
+  let sessions;
+  let users;
+
+  /**
+   * Build an app where writes are checked against the impersonation rules
+   * @returns {Object} Express app
+   */
+  function buildApp() {
+    const app = express();
+    const router = express.Router();
+
+    router.get('/otp/latest', authenticate, (req, res) => {
+      res.json({ user: req.user, impersonator: req.impersonator || null });
+    });
+    router.post('/otp/watch', authenticate, (req, res) => res.json({ success: true }));
+    router.post('/auth/logout', authenticate, (req, res) => res.json({ success: true }));
+
+    app.use('/api/v1', router);
+    return app;
+  }
+
+  /**
+   * Start impersonating alice as the administrator
+   * @returns {Promise<string>} Impersonation token
+   */
+  async function impersonateAlice() {
+    const { token } = await impersonationService.startImpersonation(2, {}, adminReq);
+    invalidateSession(token);
+    return token;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    invalidateRolePermissions();
+    users = JSON.parse(JSON.stringify(USERS));
+    sessions = [{ id: 10, user_id: 1, expires_at: new Date(Date.now() + 60000), revoked_at: null }];
+
+    User.findById.mockImplementation(async id => users[id] || null);
+    db.queryOne.mockImplementation(async (sql, [id]) => users[id] || null);
+    Permission.findNamesByRole.mockImplementation(async role => ROLE_PERMISSIONS[role] || []);
+    SessionPolicy.findByRole.mockResolvedValue(null);
+
+    Session.create.mockImplementation(async data => {
+      const id = sessions.length + 10;
+      sessions.push({
+        id,
+        user_id: data.userId,
+        token: data.token,
+        expires_at: data.expiresAt,
+        created_at: new Date(),
+        revoked_at: null,
+        impersonator_id: data.impersonatorId,
+        impersonator_session_id: data.impersonatorSessionId
+      });
+      return id;
+    });
+    Session.findByToken.mockImplementation(async token => sessions.find(session => session.token === token) || null);
+    Session.findById.mockImplementation(async id => sessions.find(session => session.id === id) || null);
+  });
+
+  test('issues a session for the target that is tied to the administrator', async () => {
+    const result = await impersonationService.startImpersonation(2, { reason: 'ticket 42' }, adminReq);
+
+    expect(verifySessionToken(result.token)).toMatchObject({ userId: 2, impersonatorId: 1, typ: 'impersonation' });
+    expect(sessions[1]).toMatchObject({ user_id: 2, impersonator_id: 1, impersonator_session_id: 10 });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 1,
+      action: 'impersonation_start',
+      details: expect.objectContaining({ targetUserId: 2, reason: 'ticket 42' })
+    }));
+  });
+
+  test('refuses to impersonate oneself', async () => {
+    await expect(impersonationService.startImpersonation(1, {}, adminReq))
+      .rejects.toMatchObject({ code: 'CANNOT_MODIFY_SELF' });
+  });
+
+  test('refuses to impersonate a user with permissions the administrator lacks', async () => {
+    const supportReq = { ...adminReq, user: { id: 4, username: 'support', role: 'support' } };
+
+    await expect(impersonationService.startImpersonation(3, {}, supportReq))
+      .rejects.toMatchObject({ code: 'IMPERSONATION_NOT_ALLOWED' });
+  });
+
+  test('refuses to start a second impersonation from an impersonation session', async () => {
+    const req = { ...adminReq, impersonator: { id: 1, username: 'admin' } };
+
+    await expect(impersonationService.startImpersonation(2, {}, req))
+      .rejects.toMatchObject({ code: 'IMPERSONATION_NOT_ALLOWED' });
+  });
+
+  test('acts as the target for reads and audits them for the administrator', async () => {
+    const token = await impersonateAlice();
+
+    const res = await request(buildApp()).get('/api/v1/otp/latest').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: 2, username: 'alice' });
+    expect(res.body.impersonator).toEqual({ id: 1, username: 'admin' });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 1,
+      action: 'impersonated_request',
+      details: expect.objectContaining({ impersonatedUserId: 2 })
+    }));
+  });
+
+  test('is read-only apart from stopping and logging out', async () => {
+    const token = await impersonateAlice();
+    const app = buildApp();
+
+    const write = await request(app).post('/api/v1/otp/watch').set('Authorization', `Bearer ${token}`);
+    const logout = await request(app).post('/api/v1/auth/logout').set('Authorization', `Bearer ${token}`);
+
+    expect(write.status).toBe(403);
+    expect(write.body.error.code).toBe('IMPERSONATION_READ_ONLY');
+    expect(logout.status).toBe(200);
+  });
+
+  test("ends when the administrator's own session is revoked", async () => {
+    const token = await impersonateAlice();
+    sessions[0].revoked_at = new Date();
+
+    const res = await request(buildApp()).get('/api/v1/otp/latest').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('IMPERSONATION_ENDED');
+  });
+
+  test('ends when the administrator is deactivated', async () => {
+    const token = await impersonateAlice();
+    users[1].is_active = false;
+
+    const res = await request(buildApp()).get('/api/v1/otp/latest').set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.error.code).toBe('IMPERSONATION_ENDED');
+  });
+
+  test("ends when the administrator's role loses users:impersonate", async () => {
+    const token = await impersonateAlice();
+    Permission.findNamesByRole.mockImplementation(async role =>
+      role === 'admin' ? ['users:manage', 'otp:read'] : ROLE_PERMISSIONS[role]);
+    invalidateRolePermissions();
+
+    const res = await request(buildApp()).get('/api/v1/otp/latest').set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.error.code).toBe('IMPERSONATION_ENDED');
+  });
+
+  test('stopping revokes the impersonation session and returns to the administrator', async () => {
+    const token = await impersonateAlice();
+    const impersonationSession = sessions[1];
+    const req = {
+      ...adminReq,
+      user: { id: 2, username: 'alice', role: 'user' },
+      impersonator: { id: 1, username: 'admin' },
+      session: impersonationSession,
+      authToken: token
+    };
+
+    const ownSession = await impersonationService.stopImpersonation(req);
+
+    expect(Session.revoke).toHaveBeenCalledWith(impersonationSession.id);
+    expect(ownSession.id).toBe(10);
+  });
+});
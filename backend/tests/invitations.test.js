@@ -0,0 +1,324 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../config/mailer');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/Permission');
+jest.mock('../models/Role');
+jest.mock('../models/Invitation');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const { sendMail } = require('../config/mailer');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const Invitation = require('../models/Invitation');
+const AuditLog = require('../models/AuditLog');
+const { generateToken } = require('../config/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+const adminRoutes = require('../routes/admin');
+const authRoutes = require('../routes/auth');
+
+const USERS = {
+  9: { id: 9, username: 'admin', role: 'admin', is_active: true },
+  1: { id: 1, username: 'alice', role: 'user', is_active: true }
+};
+
+const ROLE_PERMISSIONS = {
+  admin: ['users:manage'],
+  user: ['otp:read:latest']
+};
+
+// Each test calls the public endpoints from its own address so their limiter starts afresh
+let nextIp = 1;
+
+/**
+ * Build an app serving the admin and auth routes behind a proxy
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/admin', adminRoutes);
+  app.use('/auth', authRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('invitation endpoints', () => {
+  const app = buildApp();
+  const tokens = {
+    admin: generateToken({ userId: 9, username: 'admin', role: 'admin' }),
+    alice: generateToken({ userId: 1, username: 'alice', role: 'user' })
+  };
+  let invitations;
+  let ip;
+
+  /**
+   * Send a request as one of the users
+   * @param {string} who - 'admin' or 'alice'
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /admin
+   * @returns {Object} Supertest request
+   */
+  function as(who, method, path) {
+    return request(app)[method](`/admin${path}`).set('Authorization', `Bearer ${tokens[who]}`);
+  }
+
+  /**
+   * Call one of the public invitation endpoints
+   * @param {string} step - 'lookup' or 'accept'
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Supertest response
+   */
+  function invitee(step, body) {
+    return request(app).post(`/auth/invitations/${step}`).set('X-Forwarded-For', ip).send(body);
+  }
+
+  /**
+   * Store an invitation
+   * @param {Object} fields - Fields to override
+   * @returns {Object} Invitation row, with its raw token
+   */
+  function invite(fields = {}) {
+    const invitation = {
+      id: invitations.length + 1,
+      email: `invitee${invitations.length + 1}@example.com`,
+      role: 'user',
+      token: `invite-token-${invitations.length + 1}`,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      invited_by: 9,
+      invited_by_username: 'admin',
+      send_count: 1,
+      accepted_at: null,
+      revoked_at: null,
+      user_id: null,
+      ...fields
+    };
+    invitations.push(invitation);
+    return invitation;
+  }
+
+  /**
+   * Check whether an invitation can still be used
+   * @param {Object} invitation - Invitation row
+   * @returns {boolean} True if neither accepted, revoked nor expired
+   */
+  function isPending(invitation) {
+    return !invitation.accepted_at && !invitation.revoked_at && invitation.expires_at > new Date();
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ip = `10.0.1.${nextIp++}`;
+    invitations = [];
+
+    Session.findByToken.mockImplementation(async token => ({
+      id: token === tokens.admin ? 90 : 10,
+      user_id: token === tokens.admin ? 9 : 1,
+      token,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null
+    }));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+    db.queryOne.mockImplementation(async (sql, [id]) => (USERS[id] ? { ...USERS[id] } : null));
+    Permission.findNamesByRole.mockImplementation(async role => ROLE_PERMISSIONS[role] || []);
+    Role.findByName.mockImplementation(async name => (ROLE_PERMISSIONS[name] ? { name } : null));
+    User.findByEmail.mockResolvedValue(null);
+    User.findByUsername.mockResolvedValue(null);
+    User.create.mockResolvedValue(5);
+
+    // In-memory invitations
+    const find = id => invitations.find(row => row.id === id);
+    Invitation.generateToken.mockImplementation(() => `invite-token-${invitations.length + 1}-new`);
+    Invitation.create.mockImplementation(async ({ email, role, token, expiresAt }) =>
+      invite({ email, role, token, expires_at: expiresAt }).id);
+    Invitation.findById.mockImplementation(async id => (find(id) ? { ...find(id) } : null));
+    Invitation.findPendingByEmail.mockResolvedValue(null);
+    Invitation.findPendingByToken.mockImplementation(async token => {
+      const invitation = invitations.find(row => row.token === token && isPending(row));
+      return invitation ? { ...invitation } : null;
+    });
+    Invitation.renew.mockImplementation(async (id, token, expiresAt) => {
+      const invitation = find(id);
+      if (invitation.accepted_at || invitation.revoked_at) {
+        return false;
+      }
+      Object.assign(invitation, { token, expires_at: expiresAt, send_count: invitation.send_count + 1 });
+      return true;
+    });
+    Invitation.markAsAccepted.mockImplementation(async id => {
+      const invitation = find(id);
+      if (!isPending(invitation)) {
+        return false;
+      }
+      invitation.accepted_at = new Date();
+      return true;
+    });
+    Invitation.revoke.mockImplementation(async id => {
+      const invitation = find(id);
+      if (invitation.accepted_at || invitation.revoked_at) {
+        return false;
+      }
+      invitation.revoked_at = new Date();
+      return true;
+    });
+  });
+
+  describe('without users:manage', () => {
+    test.each([
+      ['get', '/invitations'],
+      ['post', '/invitations'],
+      ['post', '/invitations/1/resend'],
+      ['delete', '/invitations/1']
+    ])('refuse %s %s', async (method, path) => {
+      const invitation = invite();
+
+      const res = await as('alice', method, path).send({ email: 'mallory@example.com', role: 'admin' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('FORBIDDEN');
+      expect(Invitation.create).not.toHaveBeenCalled();
+      expect(sendMail).not.toHaveBeenCalled();
+      expect(isPending(invitation)).toBe(true);
+    });
+
+    test('refuse a caller who is not signed in', async () => {
+      const res = await request(app).post('/admin/invitations').send({ email: 'mallory@example.com' });
+
+      expect(res.status).toBe(401);
+      expect(Invitation.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('administrators', () => {
+    test('invite someone without ever returning the link', async () => {
+      const res = await as('admin', 'post', '/invitations').send({ email: 'carol@example.com', role: 'user' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ id: 1, email: 'carol@example.com', role: 'user', status: 'pending' });
+      expect(JSON.stringify(res.body)).not.toContain(invitations[0].token);
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'carol@example.com',
+        text: expect.stringContaining(invitations[0].token)
+      }));
+    });
+
+    test('cannot invite someone to a role that does not exist', async () => {
+      const res = await as('admin', 'post', '/invitations').send({ email: 'carol@example.com', role: 'owner' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_ROLE');
+      expect(Invitation.create).not.toHaveBeenCalled();
+    });
+
+    test('stop an old link working by resending the invitation', async () => {
+      const invitation = invite();
+      const oldToken = invitation.token;
+
+      expect((await as('admin', 'post', `/invitations/${invitation.id}/resend`).send({})).status).toBe(200);
+
+      expect((await invitee('lookup', { token: oldToken })).status).toBe(400);
+      expect((await invitee('lookup', { token: invitation.token })).status).toBe(200);
+    });
+
+    test('stop a link working by revoking the invitation', async () => {
+      const invitation = invite();
+
+      expect((await as('admin', 'delete', `/invitations/${invitation.id}`)).status).toBe(200);
+
+      const res = await invitee('lookup', { token: invitation.token });
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_INVITATION');
+    });
+
+    test('cannot resend or revoke an invitation that was accepted', async () => {
+      const invitation = invite({ accepted_at: new Date(), user_id: 5 });
+
+      const resend = await as('admin', 'post', `/invitations/${invitation.id}/resend`).send({});
+      const revoke = await as('admin', 'delete', `/invitations/${invitation.id}`);
+
+      expect([resend.status, revoke.status]).toEqual([409, 409]);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    test('get a not found error for an invitation that does not exist', async () => {
+      const res = await as('admin', 'delete', '/invitations/99');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('INVITATION_NOT_FOUND');
+    });
+  });
+
+  describe('invitees', () => {
+    const signup = { username: 'carol', password: 'Brand-new-secret7' };
+
+    test('see what they were invited as', async () => {
+      const invitation = invite({ role: 'admin' });
+
+      const res = await invitee('lookup', { token: invitation.token });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ email: invitation.email, role: 'admin' });
+    });
+
+    test('get an account with the invited email and role, whatever they ask for', async () => {
+      const invitation = invite();
+
+      const res = await invitee('accept', {
+        token: invitation.token,
+        ...signup,
+        role: 'admin',
+        email: 'mallory@example.com'
+      });
+
+      expect(res.status).toBe(201);
+      expect(User.create).toHaveBeenCalledWith(expect.objectContaining({
+        username: 'carol',
+        email: invitation.email,
+        role: 'user'
+      }));
+      expect(Invitation.setUser).toHaveBeenCalledWith(invitation.id, 5);
+    });
+
+    test('can use a link once only', async () => {
+      const invitation = invite();
+
+      const first = await invitee('accept', { token: invitation.token, ...signup });
+      const second = await invitee('accept', { token: invitation.token, ...signup, username: 'mallory' });
+
+      expect([first.status, second.status]).toEqual([201, 400]);
+      expect(second.body.error.code).toBe('INVALID_INVITATION');
+      expect(User.create).toHaveBeenCalledTimes(1);
+    });
+
+    test.each([
+      ['made up', () => 'not-an-invitation'],
+      ['revoked', () => invite({ revoked_at: new Date() }).token],
+      ['expired', () => invite({ expires_at: new Date(Date.now() - 1000) }).token]
+    ])('cannot look up or accept a link that is %s', async (description, tokenFor) => {
+      const token = tokenFor();
+
+      const lookup = await invitee('lookup', { token });
+      const accept = await invitee('accept', { token, ...signup });
+
+      expect([lookup.status, accept.status]).toEqual([400, 400]);
+      expect(accept.body.error.code).toBe('INVALID_INVITATION');
+      expect(User.create).not.toHaveBeenCalled();
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'invitation_accept',
+        status: 'failure'
+      }));
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jsonwebtoken = require('jsonwebtoken');
+
+/**
+ * Load config/jwt with a given environment
+ * @param {Object} env - Environment variables to set
+ * @returns {Object} config/jwt module
+ */
+function loadJwt(env = {}) {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+
+  let jwt;
+  jest.isolateModules(() => {
+    jwt = require('../config/jwt');
+  });
+
+  process.env = saved;
+  return jwt;
+}
+
+// Key directories created for the tests
+const keyDirs = [];
+
+afterAll(() => {
+  keyDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe.each([
+  ['HS256 shared secret', () => ({ JWT_SECRET: 'test-secret' })],
+  ['ES256 key directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    keyDirs.push(dir);
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    fs.writeFileSync(path.join(dir, 'k1.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    return { JWT_KEYS_DIR: dir, JWT_SECRET: '' };
+  }]
+])('config/jwt token types (%s)', (name, makeEnv) => {
+  let jwt;
+
+  beforeAll(() => {
+    jwt = loadJwt(makeEnv());
+  });
+
+  test('access tokens carry typ and aud and verify as access tokens', () => {
+    const token = jwt.generateToken({ userId: 1, username: 'alice', role: 'user' });
+    const claims = jsonwebtoken.decode(token);
+
+    expect(claims.typ).toBe('access');
+    expect(claims.aud).toBe(jwt.JWT_AUDIENCE);
+    expect(jwt.verifyToken(token).userId).toBe(1);
+    expect(jwt.verifySessionToken(token).userId).toBe(1);
+  });
+
+  test('challenge tokens are refused as access or impersonation tokens', () => {
+    const token = jwt.generateChallengeToken({ userId: 1, enroll: false });
+
+    expect(jwt.verifyChallengeToken(token).userId).toBe(1);
+    expect(() => jwt.verifyToken(token)).toThrow('Invalid token');
+    expect(() => jwt.verifySessionToken(token)).toThrow('Invalid token');
+    expect(() => jwt.verifyImpersonationToken(token)).toThrow('Invalid token');
+    expect(jsonwebtoken.decode(token).aud).not.toBe(jwt.JWT_AUDIENCE);
+  });
+
+  test('access tokens are refused as challenge tokens', () => {
+    const token = jwt.generateToken({ userId: 1 });
+
+    expect(() => jwt.verifyChallengeToken(token)).toThrow('Invalid token');
+    expect(() => jwt.verifyImpersonationToken(token)).toThrow('Invalid token');
+  });
+
+  test('impersonation tokens are only accepted where impersonation is', () => {
+    const token = jwt.generateImpersonationToken({ userId: 2, impersonatorId: 1 });
+
+    expect(jwt.verifySessionToken(token)).toMatchObject({ userId: 2, impersonatorId: 1, typ: 'impersonation' });
+    expect(() => jwt.verifyToken(token)).toThrow('Invalid token');
+    expect(() => jwt.verifyChallengeToken(token)).toThrow('Invalid token');
+    expect(jsonwebtoken.decode(token).aud).not.toBe(jwt.JWT_AUDIENCE);
+  });
+});
+
+describe('config/jwt untyped tokens', () => {
+  test('tokens without typ and aud are refused', () => {
+    const jwt = loadJwt({ JWT_SECRET: 'test-secret' });
+    const token = jsonwebtoken.sign({ userId: 1 }, 'test-secret', { algorithm: 'HS256', expiresIn: '5m' });
+
+    expect(() => jwt.verifyToken(token)).toThrow('Invalid token');
+    expect(() => jwt.verifySessionToken(token)).toThrow('Invalid token');
+    expect(() => jwt.verifyChallengeToken(token)).toThrow('Invalid token');
+  });
+
+  test('a typ claim does not help a token with the wrong audience', () => {
+    const jwt = loadJwt({ JWT_SECRET: 'test-secret' });
+    const token = jsonwebtoken.sign(
+      { userId: 1, typ: 'access' },
+      'test-secret',
+      { algorithm: 'HS256', expiresIn: '5m', audience: `${jwt.JWT_AUDIENCE}:two-factor-challenge` }
+    );
+
+    expect(() => jwt.verifyToken(token)).toThrow('Invalid token');
+  });
+});
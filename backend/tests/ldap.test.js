@@ -0,0 +1,188 @@
+const ldapServer = require('ldapjs');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/AuditLog');
+
+const User = require('../models/User');
+
+const SEARCH_BASE = 'ou=people,dc=example,dc=com';
+const SERVICE_DN = 'cn=otp-fetch,dc=example,dc=com';
+const ADMIN_GROUP = 'cn=OTP Admins,ou=groups,dc=example,dc=com';
+
+// Directory entries and the passwords they bind with
+const DIRECTORY = [
+  {
+    dn: `uid=alice,${SEARCH_BASE}`,
+    password: 'alice-pass',
+    attributes: { uid: 'alice', mail: 'alice@example.com', memberOf: [ADMIN_GROUP] }
+  },
+  {
+    dn: `uid=bob,${SEARCH_BASE}`,
+    password: 'bob-pass',
+    attributes: { uid: 'bob', mail: 'bob@example.com', memberOf: [] }
+  }
+];
+
+/**
+ * Start an in-process LDAP server holding DIRECTORY
+ * Searches need the service account bind, like a directory without anonymous access
+ * @returns {Promise<Object>} ldapjs server
+ */
+async function startDirectory() {
+  const server = ldapServer.createServer();
+
+  server.bind('dc=example,dc=com', (req, res, next) => {
+    const dn = req.dn.toString();
+    const password = req.credentials;
+    const entry = DIRECTORY.find(item => ldapServer.parseDN(item.dn).equals(req.dn));
+
+    if ((dn === SERVICE_DN && password === 'service-pass') || (entry && entry.password === password)) {
+      res.end();
+      return next();
+    }
+
+    return next(new ldapServer.InvalidCredentialsError());
+  });
+
+  server.search(SEARCH_BASE, (req, res, next) => {
+    if (req.connection.ldap.bindDN.toString() !== SERVICE_DN) {
+      return next(new ldapServer.InsufficientAccessRightsError());
+    }
+
+    // ldapjs lowercases entry attribute names, but not the requested ones,
+    // before comparing them; without this it drops memberOf
+    res.attributes = res.attributes.map(name => name.toLowerCase());
+
+    DIRECTORY
+      .filter(entry => req.filter.matches(entry.attributes))
+      .forEach(entry => res.send({ dn: entry.dn, attributes: { ...entry.attributes } }));
+
+    res.end();
+    return next();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+describe('LDAP credential backend', () => {
+  let server;
+  let ldap;
+  let credentialBackends;
+
+  beforeAll(async () => {
+    server = await startDirectory();
+
+    Object.assign(process.env, {
+      LDAP_ENABLED: 'true',
+      LDAP_URL: server.url,
+      LDAP_TIMEOUT_MS: '2000',
+      LDAP_BIND_DN: SERVICE_DN,
+      LDAP_BIND_PASSWORD: 'service-pass',
+      LDAP_SEARCH_BASE: SEARCH_BASE,
+      LDAP_ADMIN_GROUPS: 'OTP Admins'
+    });
+
+    ldap = require('../config/ldap');
+    credentialBackends = require('../services/credentialBackends');
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.updateRole.mockResolvedValue(1);
+  });
+
+  test('returns the directory profile for valid credentials', async () => {
+    const profile = await ldap.authenticate('alice', 'alice-pass');
+
+    expect(profile).toEqual({
+      dn: `uid=alice,${SEARCH_BASE}`,
+      username: 'alice',
+      email: 'alice@example.com',
+      groups: [ADMIN_GROUP]
+    });
+    expect(ldap.mapRole(profile.groups)).toBe('admin');
+  });
+
+  test('refuses a wrong password', async () => {
+    expect(await ldap.authenticate('alice', 'wrong')).toBeNull();
+  });
+
+  test('refuses an unknown username', async () => {
+    expect(await ldap.authenticate('mallory', 'alice-pass')).toBeNull();
+  });
+
+  test('refuses an empty password instead of binding unauthenticated', async () => {
+    expect(await ldap.authenticate('alice', '')).toBeNull();
+  });
+
+  test('escapes filter characters in the username', async () => {
+    // Unescaped, (uid=*) would match every entry
+    expect(await ldap.authenticate('*', 'alice-pass')).toBeNull();
+  });
+
+  test('provisions a new user with the mapped role', async () => {
+    User.findByEmail.mockResolvedValue(null);
+    User.createExternal.mockResolvedValue(7);
+    User.findByUsername.mockResolvedValue({ id: 7, username: 'bob', role: 'user' });
+
+    const user = await credentialBackends.provision('bob', 'bob-pass', { ipAddress: '127.0.0.1' });
+
+    expect(user.id).toBe(7);
+    expect(User.createExternal).toHaveBeenCalledWith(expect.objectContaining({
+      username: 'bob',
+      email: 'bob@example.com',
+      role: 'user',
+      provider: 'ldap',
+      externalId: 'bob'
+    }));
+  });
+
+  test('keeps a role assigned in the app on later logins', async () => {
+    const user = { id: 2, username: 'bob', role: 'auditor', auth_provider: 'ldap', external_id: 'bob' };
+
+    const verified = await credentialBackends.verify(user, 'bob-pass', { ipAddress: '127.0.0.1' });
+
+    expect(verified.role).toBe('auditor');
+    expect(User.updateRole).not.toHaveBeenCalled();
+  });
+
+  test('grants admin from group membership', async () => {
+    const user = { id: 1, username: 'alice', role: 'auditor', auth_provider: 'ldap', external_id: 'alice' };
+
+    const verified = await credentialBackends.verify(user, 'alice-pass', { ipAddress: '127.0.0.1' });
+
+    expect(verified.role).toBe('admin');
+    expect(User.updateRole).toHaveBeenCalledWith(1, 'admin');
+  });
+
+  test('takes admin back when the user leaves the admin group', async () => {
+    const user = { id: 2, username: 'bob', role: 'admin', auth_provider: 'ldap', external_id: 'bob' };
+
+    const verified = await credentialBackends.verify(user, 'bob-pass', { ipAddress: '127.0.0.1' });
+
+    expect(verified.role).toBe('user');
+    expect(User.updateRole).toHaveBeenCalledWith(2, 'user');
+  });
+
+  test('reports an unreachable directory as SERVICE_UNAVAILABLE', async () => {
+    const user = { id: 1, username: 'alice', role: 'user', auth_provider: 'ldap', external_id: 'alice' };
+    const closed = await startDirectory();
+    const url = closed.url;
+    await new Promise(resolve => closed.close(resolve));
+
+    let backends;
+    jest.isolateModules(() => {
+      process.env.LDAP_URL = url;
+      backends = require('../services/credentialBackends');
+    });
+
+    await expect(backends.verify(user, 'alice-pass', { ipAddress: '127.0.0.1' }))
+      .rejects.toMatchObject({ statusCode: 503, code: 'SERVICE_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,225 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/Permission');
+jest.mock('../models/RefreshToken');
+jest.mock('../models/LoginAlert');
+jest.mock('../models/EmailChangeRequest');
+jest.mock('../models/AuditLog');
+jest.mock('../services/passwordResetService');
+
+const db = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const Permission = require('../models/Permission');
+const RefreshToken = require('../models/RefreshToken');
+const LoginAlert = require('../models/LoginAlert');
+const AuditLog = require('../models/AuditLog');
+const passwordResetService = require('../services/passwordResetService');
+const { generateToken } = require('../config/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+const authRoutes = require('../routes/auth');
+
+// The session cache outlives a test, so no two tests may share a token
+let issued = 0;
+
+// Each test reports from its own address so the report limiter starts afresh
+let nextIp = 1;
+
+/**
+ * Build an app serving the auth routes behind a proxy
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('POST /auth/login-alerts/report', () => {
+  const app = buildApp();
+  let users;
+  let sessions;
+  let alerts;
+  let ip;
+
+  /**
+   * Start a session for a user
+   * @param {number} userId - User ID
+   * @returns {Object} Session row, with its token
+   */
+  function login(userId) {
+    const user = users.get(userId);
+    const session = {
+      id: sessions.length + 1,
+      user_id: userId,
+      token: generateToken({ userId, username: user.username, role: user.role }, `${15 + issued++}m`),
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null
+    };
+    sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Call an endpoint that needs a session
+   * @param {Object} session - Session row
+   * @returns {Promise<Object>} Supertest response
+   */
+  function use(session) {
+    return request(app).get('/auth/me').set('Authorization', `Bearer ${session.token}`);
+  }
+
+  /**
+   * Store a login alert for a user
+   * @param {number} userId - User ID
+   * @param {Object} fields - Fields to override
+   * @returns {Object} Alert row, with its raw token
+   */
+  function alertFor(userId, fields = {}) {
+    const alert = {
+      id: alerts.length + 1,
+      user_id: userId,
+      session_id: null,
+      reasons: ['new_ip'],
+      ip_address: '203.0.113.7',
+      token: `alert-token-${alerts.length + 1}`,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      reported_at: null,
+      ...fields
+    };
+    alerts.push(alert);
+    return alert;
+  }
+
+  /**
+   * Follow a "this wasn't me" link
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Supertest response
+   */
+  function report(body) {
+    return request(app).post('/auth/login-alerts/report').set('X-Forwarded-For', ip).send(body);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ip = `10.0.2.${nextIp++}`;
+    sessions = [];
+    alerts = [];
+    users = new Map([
+      [1, { id: 1, username: 'alice', email: 'alice@example.com', role: 'user', is_active: true }],
+      [2, { id: 2, username: 'bob', email: 'bob@example.com', role: 'user', is_active: true }]
+    ]);
+
+    // In-memory users, sessions and alerts
+    db.queryOne.mockImplementation(async (sql, [id]) => (users.has(id) ? { ...users.get(id) } : null));
+    User.findById.mockImplementation(async id => (users.has(id) ? { ...users.get(id) } : null));
+    User.lockAccount.mockImplementation(async id => { users.get(id).locked_until = new Date(Date.now() + 60000); });
+
+    Session.findByToken.mockImplementation(async token => {
+      const session = sessions.find(row => row.token === token);
+      return session ? { ...session } : null;
+    });
+    Session.revokeAllByUserId.mockImplementation(async userId => {
+      const revoked = sessions.filter(row => row.user_id === userId && !row.revoked_at);
+      revoked.forEach(row => { row.revoked_at = new Date(); });
+      return revoked.length;
+    });
+    SessionPolicy.findByRole.mockResolvedValue(null);
+    Permission.findNamesByRole.mockResolvedValue([]);
+
+    LoginAlert.findValidByToken.mockImplementation(async token => {
+      const alert = alerts.find(row => row.token === token && row.expires_at > new Date());
+      return alert ? { ...alert } : null;
+    });
+    LoginAlert.markAsReported.mockImplementation(async id => {
+      const alert = alerts.find(row => row.id === id);
+      if (alert.reported_at) {
+        return false;
+      }
+      alert.reported_at = new Date();
+      return true;
+    });
+
+    passwordResetService.canResetLocally.mockReturnValue(true);
+  });
+
+  test('signs out and locks only the user the alert was sent to', async () => {
+    const alice = login(1);
+    const bob = login(2);
+    await Promise.all([use(alice), use(bob)]);
+
+    const res = await report({ token: alertFor(1).token });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ resetLinkSent: true });
+    expect(Session.revokeAllByUserId.mock.calls).toEqual([[1]]);
+    expect(RefreshToken.revokeAllByUserId.mock.calls).toEqual([[1]]);
+    expect(User.lockAccount.mock.calls).toEqual([[1]]);
+    expect(passwordResetService.sendResetLink).toHaveBeenCalledWith(expect.objectContaining({ id: 1 }), ip);
+
+    // Alice's cached session ends at once; Bob's is untouched
+    expect((await use(alice)).status).toBe(401);
+    expect((await use(bob)).status).toBe(200);
+  });
+
+  test('does not offer a reset link to users who cannot reset their password here', async () => {
+    passwordResetService.canResetLocally.mockReturnValue(false);
+
+    const res = await report({ token: alertFor(1).token });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ resetLinkSent: false });
+    expect(passwordResetService.sendResetLink).not.toHaveBeenCalled();
+  });
+
+  test('acts on a link once only', async () => {
+    const { token } = alertFor(1);
+
+    const first = await report({ token });
+    const second = await report({ token });
+
+    expect([first.status, second.status]).toEqual([200, 400]);
+    expect(second.body.error.code).toBe('INVALID_LOGIN_ALERT');
+    expect(User.lockAccount).toHaveBeenCalledTimes(1);
+    expect(passwordResetService.sendResetLink).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    ['made up', () => 'not-an-alert'],
+    ['expired', () => alertFor(1, { expires_at: new Date(Date.now() - 1000) }).token]
+  ])('refuses a link that is %s and affects nobody', async (description, tokenFor) => {
+    const alice = login(1);
+
+    const res = await report({ token: tokenFor() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_LOGIN_ALERT');
+    expect(Session.revokeAllByUserId).not.toHaveBeenCalled();
+    expect(User.lockAccount).not.toHaveBeenCalled();
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'login_alert_report',
+      status: 'failure'
+    }));
+    expect((await use(alice)).status).toBe(200);
+  });
+
+  test('refuses a report without a link', async () => {
+    const res = await report({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(LoginAlert.findValidByToken).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../config/database');
+jest.mock('../models/LoginFailure');
+jest.mock('../models/IpBlock');
+jest.mock('../models/AuditLog');
+
+const LoginFailure = require('../models/LoginFailure');
+const IpBlock = require('../models/IpBlock');
+const AuditLog = require('../models/AuditLog');
+const loginDefenseService = require('../services/loginDefenseService');
+const {
+  LOGIN_MAX_FAILURES_PER_IP,
+  LOGIN_MAX_USERNAMES_PER_IP,
+  LOGIN_MAX_FAILURES_PER_IP_USERNAME,
+  LOGIN_MAX_FAILURES_PER_USERNAME,
+  LOGIN_BLOCK_BASE_MINUTES
+} = require('../config/security');
+
+describe('loginDefenseService', () => {
+  let failures;
+  let blocks;
+
+  /**
+   * Fail a number of logins
+   * @param {number} count - Number of failures
+   * @param {Function} attempt - (index) => [username, ipAddress]
+   */
+  async function fail(count, attempt) {
+    for (let i = 0; i < count; i++) {
+      const [username, ipAddress] = attempt(i);
+      await loginDefenseService.recordFailure(username, ipAddress);
+    }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    failures = [];
+    blocks = [];
+
+    // In-memory login_failures and ip_blocks
+    LoginFailure.create.mockImplementation(async (ipAddress, username) => {
+      failures.push({ ipAddress, username });
+    });
+    LoginFailure.countByIp.mockImplementation(async ipAddress => {
+      const rows = failures.filter(row => row.ipAddress === ipAddress);
+      return { failures: rows.length, usernames: new Set(rows.map(row => row.username)).size };
+    });
+    LoginFailure.countByIpAndUsername.mockImplementation(async (ipAddress, username) =>
+      failures.filter(row => row.ipAddress === ipAddress && row.username === username).length);
+    LoginFailure.countByUsername.mockImplementation(async username =>
+      failures.filter(row => row.username === username).length);
+    LoginFailure.deleteByIpAndUsername.mockImplementation(async (ipAddress, username) => {
+      failures = failures.filter(row => row.ipAddress !== ipAddress || row.username !== username);
+    });
+    LoginFailure.deleteByIp.mockImplementation(async ipAddress => {
+      failures = failures.filter(row => row.ipAddress !== ipAddress);
+    });
+
+    IpBlock.create.mockImplementation(async block => {
+      blocks.push({ ...block, id: blocks.length + 1, ip_address: block.ipAddress, cleared_at: null });
+      return blocks.length;
+    });
+    IpBlock.findActiveByIp.mockImplementation(async ipAddress => {
+      const block = blocks.find(item => item.ip_address === ipAddress && !item.cleared_at &&
+        item.blockedUntil > new Date());
+      return block ? { ...block, blocked_until: block.blockedUntil } : null;
+    });
+    IpBlock.countRecentByIp.mockImplementation(async ipAddress =>
+      blocks.filter(item => item.ip_address === ipAddress).length);
+    IpBlock.findById.mockImplementation(async id => blocks.find(item => item.id === id) || null);
+    IpBlock.clearByIp.mockImplementation(async ipAddress => {
+      blocks.filter(item => item.ip_address === ipAddress).forEach(item => { item.cleared_at = new Date(); });
+      return 1;
+    });
+  });
+
+  test('throttles one username from one IP after repeated failures', async () => {
+    await fail(LOGIN_MAX_FAILURES_PER_IP_USERNAME, () => ['alice', '10.0.0.1']);
+
+    await expect(loginDefenseService.assertLoginAllowed('alice', '10.0.0.1'))
+      .rejects.toMatchObject({ statusCode: 429, code: 'LOGIN_THROTTLED' });
+
+    // Other accounts from the same IP, and the account from elsewhere, still work
+    await expect(loginDefenseService.assertLoginAllowed('bob', '10.0.0.1')).resolves.toBeUndefined();
+    await expect(loginDefenseService.assertLoginAllowed('alice', '10.0.0.2')).resolves.toBeUndefined();
+  });
+
+  test('throttles a username guessed from many IPs', async () => {
+    await fail(LOGIN_MAX_FAILURES_PER_USERNAME, i => ['alice', `10.1.${Math.floor(i / 200)}.${i % 200}`]);
+
+    await expect(loginDefenseService.assertLoginAllowed('alice', '10.9.9.9'))
+      .rejects.toMatchObject({ code: 'LOGIN_THROTTLED' });
+  });
+
+  test('blocks an IP that tries many usernames', async () => {
+    await fail(LOGIN_MAX_USERNAMES_PER_IP, i => [`user${i}`, '10.0.0.1']);
+
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0]).toMatchObject({ reason: 'too_many_usernames', escalationLevel: 0 });
+    await expect(loginDefenseService.assertLoginAllowed('someone', '10.0.0.1'))
+      .rejects.toMatchObject({ statusCode: 429, code: 'IP_BLOCKED' });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'ip_block' }));
+  });
+
+  test('blocks an IP with too many failures in total', async () => {
+    // Spread over a few usernames so no single pair is throttled first
+    await fail(LOGIN_MAX_FAILURES_PER_IP, i => [`user${i % 3}`, '10.0.0.1']);
+
+    expect(blocks).toHaveLength(1);
+    expect(blocks[0].reason).toBe('too_many_failures');
+  });
+
+  test('does not stack blocks while one is active', async () => {
+    await fail(LOGIN_MAX_USERNAMES_PER_IP + 5, i => [`user${i}`, '10.0.0.1']);
+
+    expect(blocks).toHaveLength(1);
+  });
+
+  test('doubles the block length for a repeat offender', async () => {
+    await fail(LOGIN_MAX_USERNAMES_PER_IP, i => [`user${i}`, '10.0.0.1']);
+    await loginDefenseService.clearBlock(1, { user: { id: 9, username: 'admin' }, ip: '127.0.0.1', headers: {} });
+    await fail(LOGIN_MAX_USERNAMES_PER_IP, i => [`user${i}`, '10.0.0.1']);
+
+    expect(blocks).toHaveLength(2);
+    expect(blocks[1].escalationLevel).toBe(1);
+
+    const minutes = (blocks[1].blockedUntil - Date.now()) / 60000;
+    expect(minutes).toBeGreaterThan(LOGIN_BLOCK_BASE_MINUTES * 2 - 1);
+    expect(minutes).toBeLessThanOrEqual(LOGIN_BLOCK_BASE_MINUTES * 2);
+  });
+
+  test('forgets the failures of a username after it logs in', async () => {
+    await fail(LOGIN_MAX_FAILURES_PER_IP_USERNAME - 1, () => ['alice', '10.0.0.1']);
+    await loginDefenseService.recordSuccess('alice', '10.0.0.1');
+    await fail(LOGIN_MAX_FAILURES_PER_IP_USERNAME - 1, () => ['alice', '10.0.0.1']);
+
+    await expect(loginDefenseService.assertLoginAllowed('alice', '10.0.0.1')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,79 @@
+const ENV_KEYS = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST'];
+
+/**
+ * Load config/mailer with some environment variables set
+ * @param {Object} env - Variables to set (undefined removes one)
+ * @returns {Object} Fresh mailer module
+ */
+function loadMailer(env) {
+  ENV_KEYS.forEach(key => {
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  });
+
+  let mailer;
+  jest.isolateModules(() => {
+    // Keep a local .env from filling in what the test leaves unset
+    jest.doMock('dotenv', () => ({ config: () => ({}) }));
+    mailer = require('../config/mailer');
+  });
+  return mailer;
+}
+
+describe('config/mailer', () => {
+  const saved = {};
+
+  beforeAll(() => {
+    ENV_KEYS.forEach(key => { saved[key] = process.env[key]; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    loadMailer(saved);
+  });
+
+  test('logs mail to the console only in development', () => {
+    expect(loadMailer({ NODE_ENV: 'development' }).MAIL_TRANSPORT).toBe('log');
+    expect(loadMailer({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' }).MAIL_TRANSPORT).toBe('smtp');
+    expect(() => loadMailer({ NODE_ENV: 'development' }).assertMailConfiguration()).not.toThrow();
+  });
+
+  test('refuses the log transport outside development', () => {
+    const mailer = loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'log', SMTP_HOST: 'smtp.example.com' });
+
+    expect(() => mailer.assertMailConfiguration()).toThrow(/MAIL_TRANSPORT=log/);
+  });
+
+  test('refuses to start without SMTP_HOST outside development', () => {
+    expect(() => loadMailer({ NODE_ENV: 'production' }).assertMailConfiguration()).toThrow(/SMTP_HOST/);
+    expect(() => loadMailer({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' }).assertMailConfiguration())
+      .not.toThrow();
+  });
+
+  test('refuses an unknown transport', () => {
+    expect(() => loadMailer({ NODE_ENV: 'development', MAIL_TRANSPORT: 'carrier-pigeon' }).assertMailConfiguration())
+      .toThrow(/Unknown MAIL_TRANSPORT/);
+  });
+
+  test('never logs the body of a message', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const mailer = loadMailer({ NODE_ENV: 'development' });
+
+    await mailer.sendMail({
+      to: 'alice@example.com',
+      subject: 'Reset your password',
+      text: 'https://app.example.com/#resetToken=secret-token'
+    });
+
+    const output = log.mock.calls.map(args => args.join(' ')).join('\n');
+    expect(output).toContain('alice@example.com');
+    expect(output).toContain('Reset your password');
+    expect(output).not.toContain('secret-token');
+  });
+});
@@ -0,0 +1,206 @@
+jest.mock('../config/database');
+jest.mock('../models/NumberAccessRule');
+jest.mock('../models/Otp');
+jest.mock('../models/AuditLog');
+jest.mock('../models/User');
+jest.mock('../models/ApiKey');
+
+const NumberAccessRule = require('../models/NumberAccessRule');
+const Otp = require('../models/Otp');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const numberPolicyService = require('../services/numberPolicyService');
+const otpService = require('../services/otpService');
+const apiKeyService = require('../services/apiKeyService');
+
+const user = { id: 5, username: 'alice', role: 'user' };
+
+/**
+ * Build a rule row
+ * @param {string} effect - 'allow' or 'deny'
+ * @param {string} matchType - 'exact', 'prefix' or 'regex'
+ * @param {string} pattern - Pattern
+ * @returns {Object} Rule row
+ */
+function rule(effect, matchType, pattern) {
+  return { id: Math.floor(Math.random() * 1000), effect, match_type: matchType, pattern, user_id: user.id };
+}
+
+/**
+ * Set the rules that apply to the user
+ * @param {...Object} rules - Rule rows
+ */
+function setRules(...rules) {
+  NumberAccessRule.findApplicable.mockResolvedValue(rules);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('numberPolicyService.evaluate', () => {
+  test('allows every number by default when no rule applies', async () => {
+    setRules();
+
+    expect(await numberPolicyService.evaluate(user, '447700900123')).toMatchObject({ allowed: true, reason: 'default' });
+  });
+
+  test('lets a deny rule win over an allow rule', async () => {
+    setRules(rule('allow', 'prefix', '44'), rule('deny', 'exact', '+447700900123'));
+
+    expect(await numberPolicyService.evaluate(user, '447700900123')).toMatchObject({ allowed: false, reason: 'deny_rule' });
+    expect(await numberPolicyService.evaluate(user, '447700900999')).toMatchObject({ allowed: true, reason: 'allow_rule' });
+  });
+
+  test('turns allow rules into an allow-list', async () => {
+    setRules(rule('allow', 'prefix', '+44'));
+
+    expect(await numberPolicyService.evaluate(user, '+15550000000')).toMatchObject({
+      allowed: false,
+      reason: 'not_in_allow_list'
+    });
+  });
+
+  test.each([
+    ['exact', '+447700900123'],
+    ['exact', '447700900123'],
+    ['prefix', '+4477'],
+    ['prefix', '4477'],
+    ['regex', '^\\+4477'],
+    ['regex', '^4477'],
+    ['regex', '^\\+?4477']
+  ])('matches the %s rule %s with or without the leading +', async (matchType, pattern) => {
+    setRules(rule('deny', matchType, pattern));
+
+    expect((await numberPolicyService.evaluate(user, '+447700900123')).allowed).toBe(false);
+    expect((await numberPolicyService.evaluate(user, '447700900123')).allowed).toBe(false);
+  });
+
+  test('does not let a deny regex be bypassed by dropping the +', async () => {
+    setRules(rule('deny', 'regex', '^\\+1555'));
+
+    expect((await numberPolicyService.evaluate(user, '15550000000')).allowed).toBe(false);
+    expect((await numberPolicyService.evaluate(user, '15560000000')).allowed).toBe(true);
+  });
+
+  test('never lets a broken regex grant access', async () => {
+    setRules(rule('allow', 'regex', '('), rule('deny', 'regex', '['));
+
+    expect((await numberPolicyService.evaluate(user, '447700900123')).allowed).toBe(false);
+  });
+
+  test('audits a denied lookup and refuses it', async () => {
+    setRules(rule('deny', 'prefix', '44'));
+    const req = { user, ip: '127.0.0.1', headers: {}, get: () => undefined };
+
+    await expect(numberPolicyService.assertNumberPermitted('447700900123', 'otp_fetch', req))
+      .rejects.toMatchObject({ statusCode: 403, code: 'NUMBER_NOT_PERMITTED' });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'otp_fetch',
+      status: 'failure',
+      details: expect.objectContaining({ policy: 'deny_rule' })
+    }));
+  });
+});
+
+describe('cross-number OTP listings', () => {
+  const req = { user };
+  const pagination = { page: 1, limit: 20, total: 0, totalPages: 0 };
+
+  beforeEach(() => {
+    Otp.getMobileNumbers.mockResolvedValue(['+447700900123', '447700900999', '+15550000000']);
+    Otp.getAll.mockResolvedValue({ otps: [], pagination });
+    Otp.getByDateRange.mockResolvedValue({ otps: [], pagination });
+    Otp.getStatistics.mockResolvedValue({ total: 0 });
+  });
+
+  test('cover every number when no rule applies', async () => {
+    setRules();
+
+    await otpService.getAllOtps(1, 20, req);
+
+    expect(Otp.getAll).toHaveBeenCalledWith(1, 20, null);
+    expect(Otp.getMobileNumbers).not.toHaveBeenCalled();
+  });
+
+  test('only cover the numbers the rules allow', async () => {
+    setRules(rule('allow', 'prefix', '44'), rule('deny', 'exact', '447700900999'));
+
+    await otpService.getAllOtps(1, 20, req);
+    await otpService.getOtpsByDateRange('2026-01-01', '2026-02-01', 1, 20, req);
+    await otpService.getStatistics(req);
+
+    expect(Otp.getAll).toHaveBeenCalledWith(1, 20, ['+447700900123']);
+    expect(Otp.getByDateRange).toHaveBeenCalledWith(
+      new Date('2026-01-01'), new Date('2026-02-01'), 1, 20, ['+447700900123']
+    );
+    expect(Otp.getStatistics).toHaveBeenCalledWith(['+447700900123']);
+  });
+
+  test('cover no number when the rules allow none', async () => {
+    setRules(rule('allow', 'prefix', '49'));
+
+    await otpService.getAllOtps(1, 20, req);
+
+    expect(Otp.getAll).toHaveBeenCalledWith(1, 20, []);
+  });
+});
+
+describe('API key allowed number patterns', () => {
+  /**
+   * Build a request made with an API key
+   * @param {string} allowedNumberPattern - The key's pattern
+   * @returns {Object} Request stub
+   */
+  function keyRequest(allowedNumberPattern) {
+    return {
+      user,
+      apiKey: { id: 3, name: 'ci', scopes: ['otp:read'], allowedNumberPattern },
+      ip: '127.0.0.1',
+      headers: {},
+      get: () => undefined
+    };
+  }
+
+  beforeEach(() => {
+    setRules();
+    Otp.findLatestByMobileNumber.mockResolvedValue({ id: 1, mobile_number: '+919876543210', otp_code: '123456' });
+  });
+
+  test('have to match the whole number', async () => {
+    const req = keyRequest('\\+9198765\\d{5}');
+
+    await expect(otpService.getLatestOtp('+919876543210', req)).resolves.toMatchObject({ otpCode: '123456' });
+    await expect(otpService.getLatestOtp('919876543210', req)).resolves.toMatchObject({ otpCode: '123456' });
+    await expect(otpService.getLatestOtp('+4419876543210', req))
+      .rejects.toMatchObject({ statusCode: 403, code: 'NUMBER_NOT_ALLOWED_FOR_KEY' });
+    await expect(otpService.getLatestOtp('+9198765432101', req))
+      .rejects.toMatchObject({ statusCode: 403, code: 'NUMBER_NOT_ALLOWED_FOR_KEY' });
+  });
+
+  test('are not bypassed by a pattern that only matches part of the number', async () => {
+    const req = keyRequest('9198765');
+
+    await expect(otpService.getLatestOtp('+449198765000', req))
+      .rejects.toMatchObject({ code: 'NUMBER_NOT_ALLOWED_FOR_KEY' });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failure',
+      details: expect.objectContaining({ apiKeyId: 3, reason: 'number_not_allowed_for_key' })
+    }));
+  });
+
+  test('never grant access when broken', async () => {
+    await expect(otpService.getLatestOtp('+919876543210', keyRequest('(')))
+      .rejects.toMatchObject({ code: 'NUMBER_NOT_ALLOWED_FOR_KEY' });
+  });
+
+  test('are validated when the key is created', async () => {
+    User.findById.mockResolvedValue({ id: user.id, username: user.username });
+    const req = { user, ip: '127.0.0.1', headers: {}, get: () => undefined };
+
+    await expect(apiKeyService.createApiKey({ name: 'ci', scopes: ['otp:read'], allowedNumberPattern: '[' }, req))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_INPUT' });
+    expect(ApiKey.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const express = require('express');
+const jsonwebtoken = require('jsonwebtoken');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/OidcLoginState');
+jest.mock('../models/AuditLog');
+jest.mock('../services/authService');
+
+const User = require('../models/User');
+const OidcLoginState = require('../models/OidcLoginState');
+const authService = require('../services/authService');
+
+const CLIENT_ID = 'otp-fetch-test';
+
+/**
+ * Start a minimal OpenID provider: discovery, JWKS and a token endpoint that
+ * checks PKCE and signs ID tokens with the nonce from the authorization request
+ * @returns {Promise<Object>} issuer, authorize() and close()
+ */
+async function startMockIdp() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  const idp = express();
+  let issuer;
+
+  idp.use(express.urlencoded({ extended: false }));
+
+  idp.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`
+    });
+  });
+
+  idp.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'RS256', use: 'sig' }] });
+  });
+
+  idp.post('/token', (req, res) => {
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!grant || grant.codeChallenge !== challenge || req.body.client_id !== CLIENT_ID) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jsonwebtoken.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: 'k1',
+      issuer,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    });
+
+    res.json({ access_token: 'unused', token_type: 'Bearer', id_token: idToken });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = idp.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    /**
+     * Sign a user in at the IdP for an authorization request
+     * @param {string} authorizationUrl - URL the app redirected to
+     * @param {Object} claims - ID token claims for the user
+     * @returns {Object} code and state for the callback
+     */
+    authorize(authorizationUrl, claims) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+
+      codes.set(code, {
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        claims
+      });
+
+      return { code, state: params.get('state') };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Read a cookie set by a response
+ * @param {Object} res - Supertest response
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Full Set-Cookie header for the cookie
+ */
+function setCookieHeader(res, name) {
+  return (res.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${name}=`));
+}
+
+describe('OIDC login', () => {
+  let idp;
+  let app;
+  let users;
+  let loginStates;
+
+  /**
+   * Start a login and sign in at the IdP
+   * @param {Object} claims - ID token claims
+   * @returns {Promise<Object>} code, state and the browser's state cookie
+   */
+  async function startLogin(claims) {
+    const res = await request(app).get('/api/v1/auth/oidc/login');
+    expect(res.status).toBe(302);
+
+    const cookie = setCookieHeader(res, 'otp_oidc_state').split(';')[0];
+    return { ...idp.authorize(res.headers.location, claims), cookie };
+  }
+
+  /**
+   * Return to the app from the IdP
+   * @param {Object} params - code, state and the Cookie header to send
+   * @returns {Promise<Object>} Supertest response
+   */
+  function callback({ code, state, cookie }) {
+    const req = request(app).get('/api/v1/auth/oidc/callback').query({ code, state });
+    return cookie ? req.set('Cookie', cookie) : req;
+  }
+
+  beforeAll(async () => {
+    idp = await startMockIdp();
+
+    Object.assign(process.env, {
+      OIDC_ENABLED: 'true',
+      OIDC_ISSUER_URL: idp.issuer,
+      OIDC_CLIENT_ID: CLIENT_ID,
+      OIDC_ADMIN_VALUES: 'otp-admins'
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    app = require('../app').app;
+  });
+
+  afterAll(async () => {
+    console.log.mockRestore();
+    await idp.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    users = [];
+    loginStates = new Map();
+
+    OidcLoginState.create.mockImplementation(async stateData => {
+      loginStates.set(stateData.state, {
+        state: stateData.state,
+        nonce: stateData.nonce,
+        code_verifier: stateData.codeVerifier,
+        token_delivery: stateData.tokenDelivery
+      });
+      return 1;
+    });
+    OidcLoginState.consume.mockImplementation(async state => {
+      const loginState = loginStates.get(state) || null;
+      loginStates.delete(state);
+      return loginState;
+    });
+
+    User.findByExternalId.mockImplementation(async (provider, externalId) =>
+      users.find(user => user.external_id === externalId) || null);
+    User.findByUsername.mockResolvedValue(null);
+    User.findByEmail.mockResolvedValue(null);
+    User.createExternal.mockImplementation(async ({ username, email, role, externalId }) => {
+      users.push({ id: users.length + 1, username, email, role, external_id: externalId, is_active: true });
+      return users.length;
+    });
+    User.updateRole.mockResolvedValue(1);
+
+    authService.completeLogin.mockResolvedValue({
+      token: 'access-token',
+      refreshToken: 'refresh-token',
+      expiresIn: 900,
+      refreshExpiresIn: 86400
+    });
+  });
+
+  test('sets an HttpOnly, SameSite=Lax state cookie when the login starts', async () => {
+    const res = await request(app).get('/api/v1/auth/oidc/login');
+    const cookie = setCookieHeader(res, 'otp_oidc_state');
+    const state = new URL(res.headers.location).searchParams.get('state');
+
+    expect(res.headers.location.startsWith(`${idp.issuer}/authorize?`)).toBe(true);
+    expect(cookie).toContain(`otp_oidc_state=${state}`);
+    expect(cookie).toContain('HttpOnly');
+    expect(cookie).toContain('SameSite=Lax');
+  });
+
+  test('signs in and provisions a new user with the mapped role', async () => {
+    const login = await startLogin({ sub: 'sub-1', preferred_username: 'alice', groups: ['otp-admins'] });
+
+    const res = await callback(login);
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('/#token=access-token&refreshToken=refresh-token&expiresIn=900');
+    expect(User.createExternal).toHaveBeenCalledWith(expect.objectContaining({ username: 'alice', role: 'admin' }));
+    expect(authService.completeLogin).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses a callback without the state cookie', async () => {
+    const login = await startLogin({ sub: 'sub-1', preferred_username: 'alice' });
+
+    const res = await callback({ ...login, cookie: null });
+
+    expect(res.headers.location).toBe('/#ssoError=INVALID_OIDC_STATE');
+    expect(authService.completeLogin).not.toHaveBeenCalled();
+  });
+
+  test("refuses a callback for someone else's login", async () => {
+    const attacker = await startLogin({ sub: 'attacker', preferred_username: 'mallory' });
+    const victim = await startLogin({ sub: 'victim', preferred_username: 'alice' });
+
+    // The victim's browser follows a callback link for the attacker's login
+    const res = await callback({ ...attacker, cookie: victim.cookie });
+
+    expect(res.headers.location).toBe('/#ssoError=INVALID_OIDC_STATE');
+    expect(OidcLoginState.consume).not.toHaveBeenCalled();
+    expect(authService.completeLogin).not.toHaveBeenCalled();
+  });
+
+  test('refuses a state that was already used', async () => {
+    const login = await startLogin({ sub: 'sub-1', preferred_username: 'alice' });
+
+    await callback(login);
+    const res = await callback(login);
+
+    expect(res.headers.location).toBe('/#ssoError=INVALID_OIDC_STATE');
+    expect(authService.completeLogin).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps a role assigned in the app on later logins', async () => {
+    users.push({ id: 1, username: 'alice', role: 'auditor', external_id: 'sub-1', is_active: true });
+
+    const res = await callback(await startLogin({ sub: 'sub-1', groups: ['staff'] }));
+
+    expect(res.headers.location).toMatch(/^\/#token=/);
+    expect(User.updateRole).not.toHaveBeenCalled();
+    expect(authService.completeLogin.mock.calls[0][0].role).toBe('auditor');
+  });
+
+  test('grants admin when the admin group matches', async () => {
+    users.push({ id: 1, username: 'alice', role: 'auditor', external_id: 'sub-1', is_active: true });
+
+    await callback(await startLogin({ sub: 'sub-1', groups: ['otp-admins'] }));
+
+    expect(User.updateRole).toHaveBeenCalledWith(1, 'admin');
+  });
+
+  test('takes admin back when the admin group is removed', async () => {
+    users.push({ id: 1, username: 'alice', role: 'admin', external_id: 'sub-1', is_active: true });
+
+    await callback(await startLogin({ sub: 'sub-1', groups: [] }));
+
+    expect(User.updateRole).toHaveBeenCalledWith(1, 'user');
+  });
+});
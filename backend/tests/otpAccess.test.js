@@ -0,0 +1,243 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/Permission');
+jest.mock('../models/ApiKey');
+jest.mock('../models/NumberAccessRule');
+jest.mock('../models/Otp');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const Permission = require('../models/Permission');
+const ApiKey = require('../models/ApiKey');
+const NumberAccessRule = require('../models/NumberAccessRule');
+const Otp = require('../models/Otp');
+const AuditLog = require('../models/AuditLog');
+const { ProviderError } = require('../config/otpProviders');
+const { generateToken } = require('../config/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+const { invalidateRolePermissions } = require('../middleware/auth');
+const otpRoutes = require('../routes/otp');
+
+const NUMBER = '+919876543210';
+
+const USERS = {
+  1: { id: 1, username: 'alice', role: 'user', is_active: true },
+  2: { id: 2, username: 'bob', role: 'guest', is_active: true }
+};
+
+const ROLE_PERMISSIONS = {
+  user: ['otp:read:latest', 'otp:read:history'],
+  guest: []
+};
+
+const API_KEYS = {
+  'otpf_noscope_secret': { id: 2, owner_id: 1, scopes: [], allowed_number_pattern: null },
+  'otpf_narrow_secret': { id: 3, owner_id: 1, scopes: ['otp:read'], allowed_number_pattern: '\\+9198765\\d{5}' },
+  'otpf_guest_secret': { id: 4, owner_id: 2, scopes: ['otp:read'], allowed_number_pattern: null },
+  'otpf_revoked_secret': {
+    id: 5,
+    owner_id: 1,
+    scopes: ['otp:read'],
+    allowed_number_pattern: null,
+    revoked_at: new Date()
+  }
+};
+
+/**
+ * Build an app serving the OTP routes
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/otp', otpRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+/**
+ * Build an OTP row
+ * @param {number} id - OTP ID
+ * @returns {Object} OTP row
+ */
+function otpRow(id) {
+  return {
+    id,
+    mobile_number: NUMBER,
+    otp_code: `12345${id}`,
+    provider: 'http',
+    created_at: new Date('2026-10-19T10:00:00Z'),
+    expires_at: new Date('2026-10-19T10:05:00Z'),
+    is_used: 0,
+    used_at: null
+  };
+}
+
+describe('OTP read endpoints', () => {
+  const app = buildApp();
+  const tokens = {
+    alice: generateToken({ userId: 1, username: 'alice', role: 'user' }),
+    bob: generateToken({ userId: 2, username: 'bob', role: 'guest' })
+  };
+
+  /**
+   * Read OTPs as a signed in user
+   * @param {string} who - 'alice' or 'bob'
+   * @param {string} path - Path below /otp
+   * @returns {Object} Supertest request
+   */
+  function as(who, path) {
+    return request(app).get(`/otp${path}`).set('Authorization', `Bearer ${tokens[who]}`);
+  }
+
+  /**
+   * Read OTPs with an API key
+   * @param {string} key - Raw API key
+   * @param {string} path - Path below /otp
+   * @returns {Object} Supertest request
+   */
+  function withKey(key, path) {
+    return request(app).get(`/otp${path}`).set('x-api-key', key);
+  }
+
+  /**
+   * Check that no OTP was read from the provider or the store
+   */
+  function expectNothingRead() {
+    expect(Otp.findLatestByMobileNumber).not.toHaveBeenCalled();
+    expect(Otp.storeRecentFromProvider).not.toHaveBeenCalled();
+    expect(Otp.getHistoryByMobileNumber).not.toHaveBeenCalled();
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    invalidateRolePermissions();
+
+    Session.findByToken.mockImplementation(async token => ({
+      id: token === tokens.bob ? 20 : 10,
+      user_id: token === tokens.bob ? 2 : 1,
+      token,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null
+    }));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+    db.queryOne.mockImplementation(async (sql, [id]) => (USERS[id] ? { ...USERS[id] } : null));
+    Permission.findNamesByRole.mockImplementation(async role => ROLE_PERMISSIONS[role] || []);
+    ApiKey.findByKey.mockImplementation(async key => (API_KEYS[key] ? { name: 'ci', ...API_KEYS[key] } : null));
+    NumberAccessRule.findApplicable.mockResolvedValue([]);
+
+    Otp.findLatestByMobileNumber.mockResolvedValue(otpRow(2));
+    Otp.getHistoryByMobileNumber.mockResolvedValue({
+      otps: [otpRow(2), otpRow(1)],
+      pagination: { page: 1, limit: 20, total: 2, totalPages: 1 }
+    });
+  });
+
+  describe.each([
+    ['latest', `/latest/${NUMBER}`],
+    ['history', `/history/${NUMBER}`]
+  ])('GET /otp/%s/:mobileNumber', (name, path) => {
+    test('refuses a caller without a token or API key', async () => {
+      const res = await request(app).get(`/otp${path}`);
+
+      expect(res.status).toBe(401);
+      expectNothingRead();
+    });
+
+    test('refuses a user whose role lacks the permission', async () => {
+      const res = await as('bob', path);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('FORBIDDEN');
+      expectNothingRead();
+    });
+
+    test('refuses a user the number rules keep away from the number', async () => {
+      NumberAccessRule.findApplicable.mockResolvedValue([
+        { id: 1, effect: 'deny', match_type: 'exact', pattern: NUMBER, user_id: 1 }
+      ]);
+
+      const res = await as('alice', path);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('NUMBER_NOT_PERMITTED');
+      expectNothingRead();
+    });
+
+    test.each([
+      ['an unknown API key', 'otpf_unknown_secret', 401, 'INVALID_API_KEY'],
+      ['a revoked API key', 'otpf_revoked_secret', 401, 'INVALID_API_KEY'],
+      ['an API key without the otp:read scope', 'otpf_noscope_secret', 403, 'INSUFFICIENT_SCOPE'],
+      ['an API key whose owner lacks the permission', 'otpf_guest_secret', 403, 'FORBIDDEN']
+    ])('refuses %s', async (description, key, status, code) => {
+      const res = await withKey(key, path);
+
+      expect(res.status).toBe(status);
+      expect(res.body.error.code).toBe(code);
+      expectNothingRead();
+    });
+
+    test('refuses an API key a number outside the pattern it is allowed', async () => {
+      const res = await withKey('otpf_narrow_secret', path.replace(NUMBER, '+919999943210'));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('NUMBER_NOT_ALLOWED_FOR_KEY');
+      expectNothingRead();
+    });
+
+    test('lets an API key read a number inside its allowed pattern', async () => {
+      const res = await withKey('otpf_narrow_secret', path);
+
+      expect(res.status).toBe(200);
+      expect(ApiKey.updateLastUsed).toHaveBeenCalledWith(3);
+    });
+
+    test('lets a user with the permission read the number', async () => {
+      const res = await as('alice', path);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+    });
+  });
+
+  describe('provider failures', () => {
+    test('answer a latest OTP lookup with 503 without exposing the provider error', async () => {
+      Otp.findLatestByMobileNumber.mockRejectedValue(
+        new ProviderError('OTP provider http failed: connect ECONNREFUSED 10.0.0.5:8282', 'PROVIDER_UNAVAILABLE',
+          'http', 'error')
+      );
+
+      const res = await as('alice', `/latest/${NUMBER}`);
+
+      expect(res.status).toBe(503);
+      expect(res.body.error.code).toBe('PROVIDER_UNAVAILABLE');
+      expect(JSON.stringify(res.body)).not.toContain('10.0.0.5');
+      expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'otp_fetch',
+        status: 'failure',
+        details: expect.objectContaining({ reason: 'provider_unavailable', provider: 'http' })
+      }));
+    });
+
+    test('still serve the stored history, flagged as possibly incomplete', async () => {
+      Otp.storeRecentFromProvider.mockRejectedValue(
+        new ProviderError('OTP provider http did not answer within 5000 ms', 'PROVIDER_TIMEOUT', 'http', 'timeout')
+      );
+
+      const res = await as('alice', `/history/${NUMBER}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toHaveLength(2);
+      expect(res.body.providerAvailable).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+process.env.OTP_WAIT_POLL_INITIAL_MS = '20';
+process.env.OTP_WAIT_POLL_MAX_MS = '40';
+
+jest.mock('../config/database');
+jest.mock('../config/otpProviders', () => ({
+  ...jest.requireActual('../config/otpProviders'),
+  getProvider: jest.fn()
+}));
+jest.mock('../models/NumberAccessRule');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const { getProvider, ProviderError } = require('../config/otpProviders');
+const NumberAccessRule = require('../models/NumberAccessRule');
+const AuditLog = require('../models/AuditLog');
+const Otp = require('../models/Otp');
+const otpService = require('../services/otpService');
+const otpWaitService = require('../services/otpWaitService');
+
+const NUMBER = '+15550000000';
+
+// MySQL NOW() as read back by a Node process three time zones east of the
+// database server
+const DB_CLOCK_OFFSET_MS = -3 * 60 * 60 * 1000;
+
+describe('storing fetched OTPs', () => {
+  let rows;
+  let provider;
+
+  /**
+   * Find a stored row by id
+   * @param {number} id - Row ID
+   * @returns {Object|null} Row or null
+   */
+  function rowById(id) {
+    return rows.find(row => row.id === id) || null;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rows = [];
+    provider = { name: 'http', fetchLatest: jest.fn(), fetchHistory: jest.fn() };
+    getProvider.mockReturnValue(provider);
+
+    // In-memory otps with uk_otps_fetched (mobile_number, otp_code, created_at, provider)
+    db.insert.mockImplementation(async (sql, [mobileNumber, otpCode, providerName, createdAt, expiresAt]) => {
+      const created = sql.includes('NOW()') && !createdAt
+        ? new Date(Math.floor((Date.now() + DB_CLOCK_OFFSET_MS) / 1000) * 1000)
+        : createdAt;
+      const duplicate = rows.find(row => row.mobile_number === mobileNumber && row.otp_code === otpCode &&
+        row.created_at.getTime() === created.getTime() && row.provider === providerName);
+
+      if (duplicate) {
+        duplicate.fetch_count++;
+        return duplicate.id;
+      }
+
+      const row = {
+        id: rows.length + 1,
+        mobile_number: mobileNumber,
+        otp_code: otpCode,
+        provider: providerName,
+        created_at: created,
+        expires_at: expiresAt,
+        fetch_count: 1
+      };
+      rows.push(row);
+      return row.id;
+    });
+    db.update.mockImplementation(async (sql, params) => {
+      const id = params[params.length - 1];
+      const row = rowById(id);
+      if (!row) return 0;
+      row.fetch_count++;
+      return 1;
+    });
+    db.queryOne.mockImplementation(async (sql, [param]) => {
+      if (sql.includes('WHERE id = ?')) {
+        return rowById(param) ? { ...rowById(param) } : null;
+      }
+      const newest = rows.filter(row => row.mobile_number === param).pop();
+      return newest ? { id: newest.id, otp_code: newest.otp_code } : null;
+    });
+  });
+
+  test('stores a timed OTP once, however often it is fetched', async () => {
+    const createdAt = new Date('2026-10-19T10:00:00.250Z');
+    provider.fetchLatest.mockResolvedValue({ otpCode: '123456', createdAt });
+
+    await Otp.findLatestByMobileNumber(NUMBER);
+    const otp = await Otp.findLatestByMobileNumber(NUMBER);
+
+    expect(rows).toHaveLength(1);
+    expect(otp).toMatchObject({ id: 1, fetch_count: 2, time_reported: true });
+    expect(rows[0].created_at).toEqual(new Date('2026-10-19T10:00:00Z'));
+  });
+
+  test('stores a timed OTP once when it is fetched twice at the same time', async () => {
+    provider.fetchLatest.mockResolvedValue({ otpCode: '123456', createdAt: new Date('2026-10-19T10:00:00Z') });
+
+    const results = await Promise.all([Otp.findLatestByMobileNumber(NUMBER), Otp.findLatestByMobileNumber(NUMBER)]);
+
+    expect(rows).toHaveLength(1);
+    expect(results.map(otp => otp.id)).toEqual([1, 1]);
+  });
+
+  test('bumps an untimed OTP while it is still the newest stored code', async () => {
+    provider.fetchLatest.mockResolvedValue({ otpCode: '123456' });
+
+    await Otp.findLatestByMobileNumber(NUMBER);
+    const otp = await Otp.findLatestByMobileNumber(NUMBER);
+
+    expect(rows).toHaveLength(1);
+    expect(otp).toMatchObject({ id: 1, fetch_count: 2, time_reported: false });
+    expect(db.insert).toHaveBeenCalledTimes(1);
+  });
+
+  test('stores an untimed OTP again once a newer code was stored', async () => {
+    provider.fetchLatest.mockResolvedValueOnce({ otpCode: '123456' });
+    await Otp.findLatestByMobileNumber(NUMBER);
+    rows.push({ ...rows[0], id: 2, otp_code: '654321', created_at: new Date(Date.now() + 1000) });
+
+    provider.fetchLatest.mockResolvedValueOnce({ otpCode: '123456' });
+    await Otp.findLatestByMobileNumber(NUMBER);
+
+    expect(db.insert).toHaveBeenCalledTimes(2);
+  });
+
+  test('stores an untimed OTP again when the newest row disappears before it is bumped', async () => {
+    provider.fetchLatest.mockResolvedValue({ otpCode: '123456' });
+    await Otp.findLatestByMobileNumber(NUMBER);
+
+    // Cleaned up between reading the newest row and bumping it
+    db.update.mockResolvedValueOnce(0);
+    const otp = await Otp.findLatestByMobileNumber(NUMBER);
+
+    expect(otp.id).not.toBeNull();
+    expect(db.insert).toHaveBeenCalledTimes(2);
+  });
+
+  test('dates an untimed OTP by the app clock, whatever time zone the database is in', async () => {
+    provider.fetchLatest.mockResolvedValue({ otpCode: '123456' });
+    const before = Math.floor(Date.now() / 1000) * 1000;
+
+    await Otp.findLatestByMobileNumber(NUMBER);
+
+    expect(rows[0].created_at.getTime()).toBeGreaterThanOrEqual(before);
+    expect(rows[0].created_at.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('lets a wait see an untimed OTP that arrives while the database is in another time zone', async () => {
+    provider.fetchLatest.mockResolvedValue({ otpCode: '111111' });
+    const waiting = otpWaitService.waitForNewOtp(NUMBER, new Date(), 2000);
+
+    // The code the baseline poll finds is old; the one after it is new
+    await new Promise(resolve => setTimeout(resolve, 50));
+    provider.fetchLatest.mockResolvedValue({ otpCode: '222222' });
+
+    expect(await waiting).toMatchObject({ otp_code: '222222' });
+  });
+});
+
+describe('OTP history', () => {
+  const req = { user: { id: 5, username: 'alice', role: 'user' }, ip: '127.0.0.1', headers: {}, get: () => undefined };
+  const storedOtp = { id: 1, mobile_number: NUMBER, otp_code: '123456', provider: 'http', created_at: new Date() };
+  let provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = { name: 'http', fetchLatest: jest.fn(), fetchHistory: jest.fn() };
+    getProvider.mockReturnValue(provider);
+    NumberAccessRule.findApplicable.mockResolvedValue([]);
+
+    db.query.mockImplementation(async sql => (sql.includes('COUNT(*)') ? [{ total: 1 }] : [storedOtp]));
+  });
+
+  test('fetches recent OTPs from the provider before reading the stored history', async () => {
+    provider.fetchHistory.mockResolvedValue([]);
+
+    const result = await otpService.getOtpHistory(NUMBER, 1, 20, req);
+
+    expect(provider.fetchHistory).toHaveBeenCalledWith(NUMBER, 20);
+    expect(result.providerAvailable).toBe(true);
+    expect(result.otps).toHaveLength(1);
+  });
+
+  test.each([
+    ['fails', new ProviderError('down', 'PROVIDER_UNAVAILABLE', 'http', 'error'), 'provider_unavailable'],
+    ['times out', new ProviderError('slow', 'PROVIDER_TIMEOUT', 'http', 'timeout'), 'provider_timeout']
+  ])('serves the stored history when the provider %s', async (outcome, error, reason) => {
+    provider.fetchHistory.mockRejectedValue(error);
+
+    const result = await otpService.getOtpHistory(NUMBER, 1, 20, req);
+
+    expect(result.providerAvailable).toBe(false);
+    expect(result.otps).toEqual([expect.objectContaining({ id: 1, otpCode: '123456' })]);
+    expect(result.pagination.total).toBe(1);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'otp_history_fetch',
+      status: 'success',
+      details: expect.objectContaining({ providerFailure: expect.objectContaining({ reason, provider: 'http' }) })
+    }));
+  });
+
+  test('still fails on errors other than provider failures', async () => {
+    provider.fetchHistory.mockResolvedValue([{ otpCode: '123456' }]);
+    db.queryOne.mockRejectedValue(new Error('connection lost'));
+
+    await expect(otpService.getOtpHistory(NUMBER, 1, 20, req)).rejects.toThrow('connection lost');
+  });
+});
@@ -0,0 +1,220 @@
+process.env.OTP_STREAM_HEARTBEAT_SECONDS = '1';
+process.env.OTP_STREAM_MAX_CONNECTIONS_PER_USER = '3';
+
+const http = require('http');
+const express = require('express');
+
+jest.mock('../config/database');
+jest.mock('../models/Otp');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/NumberAccessRule');
+jest.mock('../models/AuditLog');
+jest.mock('../services/otpWaitService');
+
+const Otp = require('../models/Otp');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const NumberAccessRule = require('../models/NumberAccessRule');
+const AuditLog = require('../models/AuditLog');
+const otpWaitService = require('../services/otpWaitService');
+const { validateQuery, schemas } = require('../middleware/validator');
+const { errorHandler } = require('../middleware/errorHandler');
+const otpController = require('../controllers/otpController');
+
+const NUMBER = '+15550000000';
+
+/**
+ * Wait a little for the server to handle a disconnect
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('GET /otp/stream', () => {
+  let server;
+  let baseUrl;
+  let userId = 0;
+  let clients;
+  let subscriptions;
+
+  beforeAll(done => {
+    const app = express();
+
+    app.get('/otp/stream', (req, res, next) => {
+      req.user = { id: userId, username: 'alice', role: 'user' };
+      req.authToken = 'session-token';
+      next();
+    }, validateQuery(schemas.otpStream), otpController.streamOtps);
+    app.use(errorHandler);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // A user of their own per test, so no stream slot carries over
+    userId++;
+    clients = [];
+    subscriptions = [];
+
+    AuditLog.create.mockResolvedValue(1);
+    NumberAccessRule.findApplicable.mockResolvedValue([]);
+    Otp.findByMobileNumbersAfterId.mockResolvedValue([]);
+    Session.isValid.mockResolvedValue(true);
+    User.findById.mockImplementation(async id => ({ id, username: 'alice', role: 'user', is_active: true }));
+    otpWaitService.subscribe.mockImplementation((mobileNumber, options) => {
+      const subscription = { mobileNumber, ...options, unsubscribe: jest.fn() };
+      subscriptions.push(subscription);
+      return subscription.unsubscribe;
+    });
+  });
+
+  afterEach(async () => {
+    clients.forEach(client => client.destroy());
+    await sleep(20);
+  });
+
+  /**
+   * Open a stream and collect its events
+   * @param {string} query - Query string
+   * @param {Object} headers - Request headers
+   * @returns {Object} Client with request, response(), events and nextEvent(name)
+   */
+  function openStream(query = `numbers=${encodeURIComponent(NUMBER)}`, headers = {}) {
+    const events = [];
+    const waiters = [];
+    let buffer = '';
+
+    const request = http.get(`${baseUrl}/otp/stream?${query}`, { headers });
+    request.on('error', () => {});
+
+    const response = new Promise(resolve => {
+      request.on('response', res => {
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+
+            const event = { id: null, event: null, data: null };
+            block.split('\n').forEach(line => {
+              const [field, ...rest] = line.split(': ');
+              if (field in event) {
+                event[field] = rest.join(': ');
+              }
+            });
+
+            if (event.event) {
+              event.data = JSON.parse(event.data);
+              events.push(event);
+              waiters.filter(waiter => waiter.name === event.event).forEach(waiter => waiter.resolve(event));
+            }
+          }
+        });
+        resolve(res);
+      });
+    });
+
+    const client = {
+      events,
+      response: () => response,
+      nextEvent: name => {
+        const seen = events.find(event => event.event === name);
+        return seen ? Promise.resolve(seen) : new Promise(resolve => waiters.push({ name, resolve }));
+      },
+      destroy: () => request.destroy()
+    };
+    clients.push(client);
+    return client;
+  }
+
+  test('sends ready, then the OTPs of the watched numbers', async () => {
+    const client = openStream();
+
+    const ready = await client.nextEvent('ready');
+    expect(ready.data).toEqual({ numbers: [NUMBER], heartbeatSeconds: 1 });
+    expect((await client.response()).headers['content-type']).toMatch(/text\/event-stream/);
+
+    subscriptions[0].onOtp({ id: 7, mobile_number: NUMBER, otp_code: '123456' });
+    const otp = await client.nextEvent('otp');
+
+    expect(otp.id).toBe('7');
+    expect(otp.data).toMatchObject({ id: 7, mobileNumber: NUMBER, otpCode: '123456' });
+  });
+
+  test('replays the OTPs missed since Last-Event-ID before new ones', async () => {
+    Otp.findByMobileNumbersAfterId.mockResolvedValue([{ id: 6, mobile_number: NUMBER, otp_code: '111111' }]);
+
+    const client = openStream(undefined, { 'Last-Event-ID': '5' });
+    const otp = await client.nextEvent('otp');
+
+    expect(Otp.findByMobileNumbersAfterId).toHaveBeenCalledWith([NUMBER], 5, expect.any(Number));
+    expect(otp).toMatchObject({ id: '6', data: expect.objectContaining({ otpCode: '111111' }) });
+    expect(subscriptions[0]).toMatchObject({ since: null, lastId: 6 });
+  });
+
+  test('refuses a stream beyond the per-user limit until one closes', async () => {
+    const open = [openStream(), openStream(), openStream()];
+    await Promise.all(open.map(client => client.nextEvent('ready')));
+
+    const refused = await openStream().response();
+    expect(refused.statusCode).toBe(429);
+
+    open[0].destroy();
+    await sleep(50);
+
+    expect((await openStream().response()).statusCode).toBe(200);
+    expect(subscriptions[0].unsubscribe).toHaveBeenCalled();
+  });
+
+  test('gives back the slot of a client that disconnects while the stream opens', async () => {
+    for (let i = 0; i < 3; i++) {
+      let finishLookup;
+      Otp.findByMobileNumbersAfterId.mockImplementationOnce(() => new Promise(resolve => { finishLookup = resolve; }));
+
+      const client = openStream(`numbers=${encodeURIComponent(NUMBER)}&lastEventId=5`);
+      while (!finishLookup) {
+        await sleep(5);
+      }
+
+      client.destroy();
+      await sleep(50);
+      finishLookup([]);
+      await sleep(20);
+    }
+
+    expect(otpWaitService.subscribe).not.toHaveBeenCalled();
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'otp_stream_close',
+      details: expect.objectContaining({ reason: 'client_closed' })
+    }));
+
+    const client = openStream();
+    expect((await client.response()).statusCode).toBe(200);
+    await client.nextEvent('ready');
+  });
+
+  test('ends the stream when the session is revoked', async () => {
+    const client = openStream();
+    await client.nextEvent('ready');
+
+    Session.isValid.mockResolvedValue(false);
+    const end = await client.nextEvent('end');
+
+    expect(end.data).toEqual({ reason: 'session_ended' });
+    await sleep(20);
+    expect(subscriptions[0].unsubscribe).toHaveBeenCalled();
+  });
+});
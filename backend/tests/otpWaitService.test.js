@@ -0,0 +1,151 @@
+process.env.OTP_WAIT_POLL_INITIAL_MS = '20';
+process.env.OTP_WAIT_POLL_MAX_MS = '40';
+
+jest.mock('../config/database');
+jest.mock('../models/Otp');
+
+const Otp = require('../models/Otp');
+const otpWaitService = require('../services/otpWaitService');
+
+// Each test watches its own number so no polling loop carries over
+let NUMBER;
+let nextNumber = 15550000000;
+
+/**
+ * Build an OTP as Otp.findLatestByMobileNumber returns it
+ * @param {Object} fields - Fields to override
+ * @returns {Object} OTP object
+ */
+function storedOtp(fields) {
+  return {
+    id: 1,
+    mobile_number: NUMBER,
+    otp_code: '111111',
+    provider: 'http',
+    created_at: new Date(),
+    fetch_count: 1,
+    time_reported: false,
+    ...fields
+  };
+}
+
+describe('otpWaitService.waitForNewOtp', () => {
+  beforeEach(() => {
+    Otp.findLatestByMobileNumber.mockReset();
+    NUMBER = String(nextNumber++);
+  });
+
+  test('does not return an old code that is first fetched when the wait starts', async () => {
+    // The provider still holds yesterday's code; storing it now dates it now
+    Otp.findLatestByMobileNumber.mockResolvedValue(storedOtp({}));
+
+    const otp = await otpWaitService.waitForNewOtp(NUMBER, new Date(Date.now() - 5000), 150);
+
+    expect(otp).toBeNull();
+    expect(Otp.findLatestByMobileNumber).toHaveBeenCalled();
+  });
+
+  test('returns a different code that arrives during the wait', async () => {
+    let current = storedOtp({});
+    Otp.findLatestByMobileNumber.mockImplementation(async () => current);
+
+    setTimeout(() => {
+      current = storedOtp({ id: 2, otp_code: '222222', created_at: new Date() });
+    }, 60);
+
+    const otp = await otpWaitService.waitForNewOtp(NUMBER, new Date(), 1000);
+
+    expect(otp.otp_code).toBe('222222');
+  });
+
+  test('returns a code first fetched after since by an earlier request', async () => {
+    const since = new Date(Date.now() - 5000);
+    Otp.findLatestByMobileNumber.mockResolvedValue(storedOtp({ fetch_count: 2, created_at: new Date() }));
+
+    const otp = await otpWaitService.waitForNewOtp(NUMBER, since, 1000);
+
+    expect(otp.otp_code).toBe('111111');
+  });
+
+  test('trusts arrival times reported by the provider', async () => {
+    const since = new Date();
+    Otp.findLatestByMobileNumber.mockResolvedValue(
+      storedOtp({ time_reported: true, created_at: new Date(since.getTime() + 2000) })
+    );
+
+    const otp = await otpWaitService.waitForNewOtp(NUMBER, since, 1000);
+
+    expect(otp.otp_code).toBe('111111');
+  });
+
+  test('ignores a reported arrival time before since', async () => {
+    Otp.findLatestByMobileNumber.mockResolvedValue(
+      storedOtp({ time_reported: true, created_at: new Date(Date.now() - 60000) })
+    );
+
+    const otp = await otpWaitService.waitForNewOtp(NUMBER, new Date(), 150);
+
+    expect(otp).toBeNull();
+  });
+
+  test('ends waits early when the client goes away', async () => {
+    Otp.findLatestByMobileNumber.mockResolvedValue(null);
+    const controller = new AbortController();
+
+    setTimeout(() => controller.abort(), 30);
+    const otp = await otpWaitService.waitForNewOtp(NUMBER, new Date(), 5000, controller.signal);
+
+    expect(otp).toBeNull();
+  });
+});
+
+describe('otpWaitService.subscribe', () => {
+  beforeEach(() => {
+    Otp.findLatestByMobileNumber.mockReset();
+    NUMBER = String(nextNumber++);
+  });
+
+  test('does not push the old code present when the stream opens', async () => {
+    let current = storedOtp({});
+    Otp.findLatestByMobileNumber.mockImplementation(async () => current);
+
+    const received = [];
+    const unsubscribe = otpWaitService.subscribe(NUMBER, {
+      since: new Date(Date.now() - 5000),
+      lastId: 0,
+      onOtp: otp => received.push(otp.otp_code),
+      onShutdown: () => {}
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(received).toEqual([]);
+
+    current = storedOtp({ id: 2, otp_code: '222222', created_at: new Date() });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    unsubscribe();
+
+    expect(received).toEqual(['222222']);
+  });
+
+  test('pushes each new code once', async () => {
+    let current = null;
+    Otp.findLatestByMobileNumber.mockImplementation(async () => current);
+
+    const received = [];
+    const unsubscribe = otpWaitService.subscribe(NUMBER, {
+      since: new Date(),
+      lastId: 0,
+      onOtp: otp => received.push(otp.otp_code),
+      onShutdown: () => {}
+    });
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    current = storedOtp({ id: 3, otp_code: '333333', created_at: new Date() });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    current = storedOtp({ id: 4, otp_code: '444444', created_at: new Date() });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    unsubscribe();
+
+    expect(received).toEqual(['333333', '444444']);
+  });
+});
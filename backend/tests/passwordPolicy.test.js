@@ -0,0 +1,254 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.PASSWORD_MAX_AGE_DAYS = '90';
+process.env.PASSWORD_HISTORY_COUNT = '3';
+
+const bcrypt = require('bcrypt');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/PasswordHistory');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/RefreshToken');
+jest.mock('../models/Permission');
+jest.mock('../models/Role');
+jest.mock('../models/EmailChangeRequest');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const User = require('../models/User');
+const PasswordHistory = require('../models/PasswordHistory');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const Permission = require('../models/Permission');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { generateToken } = require('../config/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+const { invalidateRolePermissions } = require('../middleware/auth');
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+
+// The real policy check, run against the mocked database and password history
+const { assertPasswordAllowed } = jest.requireActual('../models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ROLE_PERMISSIONS = {
+  admin: ['users:manage'],
+  user: ['otp:read:latest']
+};
+
+// The session cache outlives a test, so no two tests may share a token
+let issued = 0;
+
+/**
+ * Build an app serving the auth and admin routes where the password gate expects them
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/auth', authRoutes);
+  app.use('/api/v1/admin', adminRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('password policy', () => {
+  const app = buildApp();
+  let users;
+  let tokens;
+
+  /**
+   * Send a request as one of the users
+   * @param {number} userId - User ID
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api/v1
+   * @returns {Object} Supertest request
+   */
+  function as(userId, method, path) {
+    return request(app)[method](`/api/v1${path}`).set('Authorization', `Bearer ${tokens[userId]}`);
+  }
+
+  /**
+   * Change alice's password
+   * @param {string} newPassword - New password
+   * @param {string} currentPassword - Current password
+   * @returns {Promise<Object>} Supertest response
+   */
+  function changePassword(newPassword, currentPassword = 'Current-secret7') {
+    return as(1, 'post', '/auth/change-password').send({ currentPassword, newPassword });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    invalidateRolePermissions();
+
+    users = new Map([
+      [1, {
+        id: 1,
+        username: 'alice',
+        role: 'user',
+        auth_provider: 'local',
+        is_active: true,
+        password_hash: 'current-hash',
+        password_changed_at: new Date(),
+        password_change_required: false
+      }],
+      [9, {
+        id: 9,
+        username: 'admin',
+        role: 'admin',
+        auth_provider: 'local',
+        is_active: true,
+        password_changed_at: new Date(),
+        password_change_required: false
+      }]
+    ]);
+    tokens = {};
+    for (const [id, user] of users) {
+      tokens[id] = generateToken({ userId: id, username: user.username, role: user.role }, `${15 + issued++}m`);
+    }
+
+    // In-memory users
+    db.queryOne.mockImplementation(async (sql, [id]) => (users.has(id) ? { ...users.get(id) } : null));
+    User.findById.mockImplementation(async id => (users.has(id) ? { ...users.get(id) } : null));
+    User.findByUsername.mockImplementation(async username =>
+      [...users.values()].find(user => user.username === username) || null);
+    User.verifyPassword.mockImplementation(async password => password === 'Current-secret7');
+    User.changePassword.mockImplementation(async (id, password) => {
+      await assertPasswordAllowed(id, password);
+      Object.assign(users.get(id), { password_changed_at: new Date(), password_change_required: false });
+    });
+    User.create.mockImplementation(async ({ password }) => {
+      await assertPasswordAllowed(null, password);
+      return 5;
+    });
+    PasswordHistory.getRecentHashes.mockResolvedValue([]);
+
+    Session.findByToken.mockImplementation(async token => ({
+      id: token === tokens[9] ? 90 : 10,
+      user_id: token === tokens[9] ? 9 : 1,
+      token,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null
+    }));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+    Permission.findNamesByRole.mockImplementation(async role => ROLE_PERMISSIONS[role] || []);
+    Role.findByName.mockImplementation(async name => (ROLE_PERMISSIONS[name] ? { name } : null));
+  });
+
+  describe('an expired password', () => {
+    test.each([
+      ['an administrator required a change', { password_change_required: true }],
+      ['it is older than the maximum age', { password_changed_at: new Date(Date.now() - 91 * DAY) }]
+    ])('blocks other endpoints when %s', async (description, fields) => {
+      Object.assign(users.get(1), fields);
+
+      for (const path of ['/auth/sessions', '/admin/users']) {
+        const res = await as(1, 'get', path);
+        expect(res.status).toBe(403);
+        expect(res.body.error.code).toBe('PASSWORD_EXPIRED');
+      }
+      expect(Session.findActiveByUserId).not.toHaveBeenCalled();
+    });
+
+    test('still lets the user see who they are and change it', async () => {
+      users.get(1).password_change_required = true;
+
+      expect((await as(1, 'get', '/auth/me')).status).toBe(200);
+      expect((await changePassword('Brand-new-secret7')).status).toBe(200);
+      expect(User.changePassword).toHaveBeenCalledWith(1, 'Brand-new-secret7');
+    });
+
+    test('only applies to accounts with a local password', async () => {
+      Object.assign(users.get(1), { auth_provider: 'ldap', password_changed_at: new Date(Date.now() - 91 * DAY) });
+      Session.findActiveByUserId.mockResolvedValue([]);
+
+      const res = await as(1, 'get', '/auth/sessions');
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('POST /auth/change-password', () => {
+    test('refuses a caller who is not signed in', async () => {
+      const res = await request(app)
+        .post('/api/v1/auth/change-password')
+        .send({ currentPassword: 'Current-secret7', newPassword: 'Brand-new-secret7' });
+
+      expect(res.status).toBe(401);
+      expect(User.changePassword).not.toHaveBeenCalled();
+    });
+
+    test('changes the password of the signed in user only and ends their sessions', async () => {
+      const res = await changePassword('Brand-new-secret7');
+
+      expect(res.status).toBe(200);
+      expect(User.changePassword).toHaveBeenCalledTimes(1);
+      expect(User.changePassword).toHaveBeenCalledWith(1, 'Brand-new-secret7');
+      expect(Session.revokeAllByUserId).toHaveBeenCalledWith(1);
+    });
+
+    test('refuses a wrong current password', async () => {
+      const res = await changePassword('Brand-new-secret7', 'Guessed-secret7');
+
+      expect(res.status).toBe(401);
+      expect(res.body.error.code).toBe('INVALID_CREDENTIALS');
+      expect(User.changePassword).not.toHaveBeenCalled();
+      expect(Session.revokeAllByUserId).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['too weak', 'short', 'WEAK_PASSWORD'],
+      ['on the breached list', 'Password123', 'PASSWORD_BREACHED']
+    ])('rejects a new password that is %s', async (description, newPassword, code) => {
+      const res = await changePassword(newPassword);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe(code);
+      expect(Session.revokeAllByUserId).not.toHaveBeenCalled();
+    });
+
+    test('rejects a recently used password', async () => {
+      PasswordHistory.getRecentHashes.mockResolvedValue([bcrypt.hashSync('Old-secret7', 4)]);
+
+      const res = await changePassword('Old-secret7');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('PASSWORD_REUSED');
+      expect(PasswordHistory.getRecentHashes).toHaveBeenCalledWith(1, 3);
+    });
+  });
+
+  describe('POST /admin/users', () => {
+    const body = { username: 'carol', password: 'Brand-new-secret7', role: 'user' };
+
+    test('refuses a caller without users:manage', async () => {
+      const res = await as(1, 'post', '/admin/users').send(body);
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.code).toBe('FORBIDDEN');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects a password that is too weak', async () => {
+      const res = await as(9, 'post', '/admin/users').send({ ...body, password: 'short' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects a password that is on the breached list', async () => {
+      const res = await as(9, 'post', '/admin/users').send({ ...body, password: 'Password123' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('PASSWORD_BREACHED');
+      expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,263 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../config/mailer');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/Permission');
+jest.mock('../models/EmailChangeRequest');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const { sendMail } = require('../config/mailer');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const Permission = require('../models/Permission');
+const EmailChangeRequest = require('../models/EmailChangeRequest');
+const { generateToken } = require('../config/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+const authRoutes = require('../routes/auth');
+
+// The session cache outlives a test, so no two tests may share a token
+let issued = 0;
+
+// Each test calls from its own address so the email change limiter starts afresh
+let nextIp = 1;
+
+/**
+ * Build an app serving the auth routes behind a proxy
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('own profile endpoints', () => {
+  const app = buildApp();
+  let users;
+  let changeRequests;
+  let tokens;
+  let ip;
+
+  /**
+   * Update a user's own profile
+   * @param {number} userId - User ID
+   * @param {Object} body - Profile changes
+   * @returns {Promise<Object>} Supertest response
+   */
+  function updateProfile(userId, body) {
+    return request(app)
+      .patch('/auth/me')
+      .set('X-Forwarded-For', ip)
+      .set('Authorization', `Bearer ${tokens[userId]}`)
+      .send(body);
+  }
+
+  /**
+   * Follow an email confirmation link
+   * @param {string} token - Confirmation token
+   * @returns {Promise<Object>} Supertest response
+   */
+  function confirm(token) {
+    return request(app).post('/auth/me/email/confirm').set('X-Forwarded-For', ip).send({ token });
+  }
+
+  /**
+   * Find the token of the confirmation link last mailed to an address
+   * @param {string} email - Address the link was sent to
+   * @returns {string} Confirmation token
+   */
+  function linkSentTo(email) {
+    const mail = sendMail.mock.calls.map(([message]) => message).filter(message => message.to === email).pop();
+    return decodeURIComponent(mail.text.match(/emailChangeToken=(\S+)/)[1]);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ip = `10.0.3.${nextIp++}`;
+    changeRequests = [];
+    users = new Map([
+      [1, { id: 1, username: 'alice', email: 'alice@example.com', role: 'user', is_active: true, display_name: null }],
+      [2, { id: 2, username: 'bob', email: 'bob@example.com', role: 'user', is_active: true, display_name: 'Bob' }]
+    ]);
+    tokens = {};
+    for (const [id, user] of users) {
+      tokens[id] = generateToken({ userId: id, username: user.username, role: user.role }, `${15 + issued++}m`);
+    }
+
+    // In-memory users
+    db.queryOne.mockImplementation(async (sql, [id]) => (users.has(id) ? { ...users.get(id) } : null));
+    User.findById.mockImplementation(async id => (users.has(id) ? { ...users.get(id) } : null));
+    User.findByEmail.mockImplementation(async email =>
+      [...users.values()].find(user => user.email === email) || null);
+    User.updateProfile.mockImplementation(async (id, { displayName }) => {
+      if (displayName !== undefined) {
+        users.get(id).display_name = displayName;
+      }
+    });
+    User.updateEmail.mockImplementation(async (id, email) => { users.get(id).email = email; });
+
+    Session.findByToken.mockImplementation(async token => ({
+      id: token === tokens[2] ? 20 : 10,
+      user_id: token === tokens[2] ? 2 : 1,
+      token,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null
+    }));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+    Permission.findNamesByRole.mockResolvedValue([]);
+    sendMail.mockResolvedValue();
+
+    // In-memory email_change_requests
+    const isValid = row => !row.confirmed_at && !row.invalidated_at && row.expires_at > new Date();
+    EmailChangeRequest.generateToken.mockImplementation(() => `change-token-${changeRequests.length + 1}`);
+    EmailChangeRequest.create.mockImplementation(async ({ userId, newEmail, token, expiresAt }) => {
+      changeRequests.push({
+        id: changeRequests.length + 1,
+        user_id: userId,
+        new_email: newEmail,
+        token,
+        expires_at: expiresAt,
+        confirmed_at: null,
+        invalidated_at: null
+      });
+      return changeRequests.length;
+    });
+    EmailChangeRequest.findValidByToken.mockImplementation(async token => {
+      const row = changeRequests.find(candidate => candidate.token === token && isValid(candidate));
+      return row ? { ...row } : null;
+    });
+    EmailChangeRequest.findPendingByUserId.mockImplementation(async userId => {
+      const row = changeRequests.find(candidate => candidate.user_id === userId && isValid(candidate));
+      return row ? { ...row } : null;
+    });
+    EmailChangeRequest.markAsConfirmed.mockImplementation(async id => {
+      const row = changeRequests.find(candidate => candidate.id === id);
+      if (!isValid(row)) {
+        return false;
+      }
+      row.confirmed_at = new Date();
+      return true;
+    });
+    EmailChangeRequest.invalidateAllByUserId.mockImplementation(async userId => changeRequests
+      .filter(row => row.user_id === userId && isValid(row))
+      .forEach(row => { row.invalidated_at = new Date(); }));
+  });
+
+  describe('PATCH /auth/me', () => {
+    test('refuses a caller who is not signed in', async () => {
+      const res = await request(app).patch('/auth/me').send({ displayName: 'Mallory' });
+
+      expect(res.status).toBe(401);
+      expect(User.updateProfile).not.toHaveBeenCalled();
+    });
+
+    test('changes the caller\'s own profile only, whatever the body names', async () => {
+      const res = await updateProfile(1, { displayName: 'Alice', id: 2, userId: 2, role: 'admin' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ id: 1, display_name: 'Alice', role: 'user' });
+      expect(User.updateProfile.mock.calls).toEqual([[1, { displayName: 'Alice' }]]);
+      expect(users.get(2).display_name).toBe('Bob');
+      expect(User.updateRole).not.toHaveBeenCalled();
+    });
+
+    test('keeps the old email until the new address is confirmed', async () => {
+      const res = await updateProfile(1, { email: 'alice@new.example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ email: 'alice@example.com', pending_email: 'alice@new.example.com' });
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'alice@new.example.com' }));
+      expect(User.updateEmail).not.toHaveBeenCalled();
+    });
+
+    test('refuses another user\'s email address', async () => {
+      const res = await updateProfile(1, { email: 'bob@example.com', displayName: 'Alice' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('EMAIL_TAKEN');
+      expect(User.updateProfile).not.toHaveBeenCalled();
+      expect(EmailChangeRequest.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /auth/me/email/confirm', () => {
+    test('changes the email of the user who asked for it, whoever follows the link', async () => {
+      await updateProfile(1, { email: 'alice@new.example.com' });
+
+      const res = await request(app)
+        .post('/auth/me/email/confirm')
+        .set('X-Forwarded-For', ip)
+        .set('Authorization', `Bearer ${tokens[2]}`)
+        .send({ token: linkSentTo('alice@new.example.com') });
+
+      expect(res.status).toBe(200);
+      expect(User.updateEmail.mock.calls).toEqual([[1, 'alice@new.example.com']]);
+      expect(users.get(2).email).toBe('bob@example.com');
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'alice@example.com' }));
+    });
+
+    test('accepts a link once only', async () => {
+      await updateProfile(1, { email: 'alice@new.example.com' });
+      const token = linkSentTo('alice@new.example.com');
+
+      const first = await confirm(token);
+      const second = await confirm(token);
+
+      expect([first.status, second.status]).toEqual([200, 400]);
+      expect(second.body.error.code).toBe('INVALID_EMAIL_CHANGE_TOKEN');
+      expect(User.updateEmail).toHaveBeenCalledTimes(1);
+    });
+
+    test('accepts only the newest link', async () => {
+      await updateProfile(1, { email: 'alice@first.example.com' });
+      await updateProfile(1, { email: 'alice@second.example.com' });
+
+      const stale = await confirm(linkSentTo('alice@first.example.com'));
+
+      expect(stale.status).toBe(400);
+      expect(User.updateEmail).not.toHaveBeenCalled();
+      expect((await confirm(linkSentTo('alice@second.example.com'))).status).toBe(200);
+    });
+
+    test('refuses a link that was never sent', async () => {
+      const res = await confirm('not-a-confirmation');
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_EMAIL_CHANGE_TOKEN');
+      expect(User.updateEmail).not.toHaveBeenCalled();
+    });
+
+    test('refuses a link of a deactivated account', async () => {
+      await updateProfile(1, { email: 'alice@new.example.com' });
+      users.get(1).is_active = false;
+
+      const res = await confirm(linkSentTo('alice@new.example.com'));
+
+      expect(res.status).toBe(400);
+      expect(User.updateEmail).not.toHaveBeenCalled();
+    });
+
+    test('refuses an address someone else took after the link was sent', async () => {
+      await updateProfile(1, { email: 'shared@example.com' });
+      users.get(2).email = 'shared@example.com';
+
+      const res = await confirm(linkSentTo('shared@example.com'));
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('EMAIL_TAKEN');
+      expect(User.updateEmail).not.toHaveBeenCalled();
+    });
+  });
+});
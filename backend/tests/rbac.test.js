@@ -0,0 +1,164 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/Role');
+jest.mock('../models/Permission');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const { generateToken } = require('../config/jwt');
+const { authenticate, requirePermission, invalidateRolePermissions } = require('../middleware/auth');
+const roleService = require('../services/roleService');
+const userService = require('../services/userService');
+
+const PERMISSIONS = ['otp:read:latest', 'otp:read:history', 'otp:read:all', 'users:manage'];
+const adminReq = {
+  user: { id: 9, username: 'admin', role: 'admin' },
+  ip: '127.0.0.1',
+  headers: {},
+  get: () => undefined
+};
+
+describe('role-based access control', () => {
+  const app = express();
+  app.get('/all', authenticate, requirePermission('otp:read:all'), (req, res) => res.json({ success: true }));
+  app.get('/history', authenticate, requirePermission('otp:read:latest', 'otp:read:history'),
+    (req, res) => res.json({ success: true }));
+  app.get('/unauthenticated', requirePermission('otp:read:all'), (req, res) => res.json({ success: true }));
+
+  let roles;
+  let users;
+  let token;
+
+  /**
+   * Call an endpoint as alice
+   * @param {string} path - Path
+   * @returns {Promise<Object>} Supertest response
+   */
+  function get(path) {
+    return request(app).get(path).set('Authorization', `Bearer ${token}`);
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    invalidateRolePermissions();
+
+    // In-memory roles and users
+    roles = [
+      { id: 1, name: 'admin', is_system: true, user_count: 1, permissions: [...PERMISSIONS] },
+      { id: 2, name: 'user', is_system: true, user_count: 1, permissions: ['otp:read:latest', 'otp:read:history'] },
+      { id: 3, name: 'auditor', is_system: false, user_count: 0, permissions: ['otp:read:all'] },
+      { id: 4, name: 'nobody', is_system: false, user_count: 0, permissions: [] }
+    ];
+    users = new Map([[1, { id: 1, username: 'alice', role: 'user', is_active: true }]]);
+
+    Permission.findNamesByRole.mockImplementation(async name => {
+      const role = roles.find(row => row.name === name);
+      return role ? [...role.permissions] : [];
+    });
+    Permission.findByNames.mockImplementation(async names => PERMISSIONS
+      .map((name, index) => ({ id: index + 1, name }))
+      .filter(permission => names.includes(permission.name)));
+    Role.findById.mockImplementation(async id => {
+      const role = roles.find(row => row.id === id);
+      return role ? { ...role, permissions: [...role.permissions] } : null;
+    });
+    Role.findByName.mockImplementation(async name => roles.find(row => row.name === name) || null);
+    Role.setPermissions.mockImplementation(async (id, permissionIds) => {
+      roles.find(row => row.id === id).permissions = permissionIds.map(permissionId => PERMISSIONS[permissionId - 1]);
+    });
+
+    db.queryOne.mockImplementation(async (sql, [id]) => (users.has(id) ? { ...users.get(id) } : null));
+    User.findById.mockImplementation(async id => (users.has(id) ? { ...users.get(id) } : null));
+    User.updateRole.mockImplementation(async (id, role) => { users.get(id).role = role; });
+
+    token = generateToken({ userId: 1, username: 'alice', role: 'user' });
+    Session.findByToken.mockImplementation(async sessionToken => ({
+      id: 1,
+      user_id: 1,
+      token: sessionToken,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null
+    }));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+  });
+
+  describe('permission checks', () => {
+    test('let a role through with the permission it needs', async () => {
+      expect((await get('/history')).status).toBe(200);
+    });
+
+    test('deny a permission the role was not granted', async () => {
+      const res = await get('/all');
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toEqual({ code: 'FORBIDDEN', message: 'Missing required permission: otp:read:all' });
+    });
+
+    test('deny everything to a role without permissions', async () => {
+      users.get(1).role = 'nobody';
+
+      expect((await get('/history')).status).toBe(403);
+      expect((await get('/all')).status).toBe(403);
+    });
+
+    test('deny everything to a role that does not exist', async () => {
+      users.get(1).role = 'deleted-role';
+
+      expect((await get('/history')).status).toBe(403);
+    });
+
+    test('need every listed permission, not just one', async () => {
+      roles.find(row => row.name === 'user').permissions = ['otp:read:latest'];
+
+      const res = await get('/history');
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.message).toBe('Missing required permission: otp:read:history');
+    });
+
+    test('refuse a request nobody authenticated', async () => {
+      expect((await request(app).get('/unauthenticated')).status).toBe(401);
+    });
+  });
+
+  describe('role edits', () => {
+    test('take a permission away from sessions that are already signed in', async () => {
+      expect((await get('/history')).status).toBe(200);
+
+      await roleService.updateRole(2, { permissions: ['otp:read:latest'] }, adminReq);
+
+      expect((await get('/history')).status).toBe(403);
+    });
+
+    test('grant a permission to sessions that are already signed in', async () => {
+      expect((await get('/all')).status).toBe(403);
+
+      const permissions = ['otp:read:latest', 'otp:read:history', 'otp:read:all'];
+      await roleService.updateRole(2, { permissions }, adminReq);
+
+      expect((await get('/all')).status).toBe(200);
+    });
+
+    test('apply a user\'s new role to the sessions they already hold', async () => {
+      expect((await get('/all')).status).toBe(403);
+
+      await userService.updateUser(1, { role: 'auditor' }, adminReq);
+
+      expect((await get('/all')).status).toBe(200);
+      expect((await get('/history')).status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/AuditLog');
+jest.mock('../models/RefreshToken', () => {
+  const actual = jest.requireActual('../models/RefreshToken');
+  return {
+    hashToken: actual.hashToken,
+    generateToken: actual.generateToken,
+    generateFamilyId: actual.generateFamilyId,
+    create: jest.fn(),
+    findByToken: jest.fn(),
+    markAsUsed: jest.fn(),
+    revokeFamily: jest.fn(),
+    revokeBySessionId: jest.fn()
+  };
+});
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const AuditLog = require('../models/AuditLog');
+const RefreshToken = require('../models/RefreshToken');
+const authService = require('../services/authService');
+
+const req = {
+  ip: '127.0.0.1',
+  headers: { 'user-agent': 'jest' },
+  get: name => req.headers[name.toLowerCase()]
+};
+
+describe('authService.refreshToken', () => {
+  let tokens;
+  let sessions;
+
+  /**
+   * Store a refresh token as a login would
+   * @param {Object} fields - Fields to override
+   * @returns {Promise<string>} Raw refresh token
+   */
+  async function seedToken(fields = {}) {
+    const sessionId = await Session.create({ userId: 1, loginAt: null });
+    const token = RefreshToken.generateToken();
+    const expiresAt = new Date(Date.now() + 60000);
+
+    await RefreshToken.create({ userId: 1, sessionId, familyId: 'family-1', token, expiresAt });
+    Object.assign(tokens[tokens.length - 1], fields);
+
+    return token;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tokens = [];
+    sessions = [];
+
+    // In-memory refresh_tokens with the same single-use UPDATE semantics
+    RefreshToken.create.mockImplementation(async ({ userId, sessionId, familyId, token, expiresAt }) => {
+      tokens.push({
+        id: tokens.length + 1,
+        user_id: userId,
+        session_id: sessionId,
+        family_id: familyId,
+        token_hash: RefreshToken.hashToken(token),
+        expires_at: expiresAt,
+        used_at: null,
+        revoked_at: null
+      });
+      return tokens.length;
+    });
+    RefreshToken.findByToken.mockImplementation(async token => {
+      const row = tokens.find(item => item.token_hash === RefreshToken.hashToken(token));
+      return row ? { ...row } : null;
+    });
+    RefreshToken.markAsUsed.mockImplementation(async tokenId => {
+      const row = tokens.find(item => item.id === tokenId && !item.used_at && !item.revoked_at);
+      if (!row) return 0;
+      row.used_at = new Date();
+      return 1;
+    });
+    RefreshToken.revokeFamily.mockImplementation(async familyId => {
+      const rows = tokens.filter(row => row.family_id === familyId && !row.revoked_at);
+      rows.forEach(row => { row.revoked_at = new Date(); });
+      return rows.length;
+    });
+
+    Session.create.mockImplementation(async ({ token, loginAt }) => {
+      sessions.push({ id: sessions.length + 1, token, login_at: loginAt, created_at: new Date(), revoked_at: null });
+      return sessions.length;
+    });
+    Session.findById.mockImplementation(async id => sessions.find(session => session.id === id) || null);
+    Session.revoke.mockImplementation(async id => {
+      sessions.find(session => session.id === id).revoked_at = new Date();
+      return 1;
+    });
+
+    SessionPolicy.findByRole.mockResolvedValue(null);
+    User.findById.mockResolvedValue({ id: 1, username: 'alice', role: 'user', is_active: true });
+  });
+
+  test('rotates the refresh token within its family', async () => {
+    const original = await seedToken();
+
+    const result = await authService.refreshToken(original, req);
+
+    expect(result.refreshToken).not.toBe(original);
+    expect(result.token).toEqual(expect.any(String));
+    expect(tokens).toHaveLength(2);
+    expect(tokens[0].used_at).not.toBeNull();
+    expect(tokens[1]).toMatchObject({ family_id: 'family-1', used_at: null, revoked_at: null });
+    expect(sessions[0].revoked_at).not.toBeNull();
+  });
+
+  test('revokes the whole family when a rotated token is replayed', async () => {
+    const original = await seedToken();
+    const { refreshToken: rotated } = await authService.refreshToken(original, req);
+
+    await expect(authService.refreshToken(original, req))
+      .rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_REUSED' });
+
+    expect(tokens.every(row => row.revoked_at)).toBe(true);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'refresh_token_reuse' }));
+
+    // The legitimate holder's newer token is gone too
+    await expect(authService.refreshToken(rotated, req))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  test('lets only one of two concurrent refreshes with the same token win', async () => {
+    const original = await seedToken();
+
+    const results = await Promise.allSettled([
+      authService.refreshToken(original, req),
+      authService.refreshToken(original, req)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('REFRESH_TOKEN_REUSED');
+  });
+
+  test('refuses an expired refresh token', async () => {
+    const expired = await seedToken({ expires_at: new Date(Date.now() - 1000) });
+
+    await expect(authService.refreshToken(expired, req))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+  });
+
+  test('refuses an unknown refresh token', async () => {
+    await expect(authService.refreshToken('not-a-token', req))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  test('revokes the family of a deactivated user', async () => {
+    const original = await seedToken();
+    User.findById.mockResolvedValue({ id: 1, username: 'alice', role: 'user', is_active: false });
+
+    await expect(authService.refreshToken(original, req))
+      .rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith('family-1');
+  });
+});
@@ -0,0 +1,167 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/RefreshToken');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const { generateToken } = require('../config/jwt');
+const { authenticate } = require('../middleware/auth');
+const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const userService = require('../services/userService');
+
+const req = { ip: '127.0.0.1', headers: {}, get: () => undefined };
+
+// The cache outlives a test, so no two tests may share a token
+let issued = 0;
+
+describe('session cache', () => {
+  const app = express();
+  app.get('/resource', authenticate, (req, res) => res.json({ success: true }));
+
+  let users;
+  let sessions;
+
+  /**
+   * Start a session for a user
+   * @param {number} userId - User ID
+   * @returns {Object} Session row, with its token
+   */
+  function login(userId) {
+    const user = users.get(userId);
+    // Tokens issued in the same second differ by their lifetime only
+    const token = generateToken({ userId, username: user.username, role: user.role }, `${15 + issued++}m`);
+    const session = {
+      id: sessions.length + 1,
+      user_id: userId,
+      token,
+      created_at: new Date(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null
+    };
+    sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Call the protected endpoint with a session
+   * @param {Object} session - Session row
+   * @returns {Promise<Object>} Supertest response
+   */
+  function use(session) {
+    return request(app).get('/resource').set('Authorization', `Bearer ${session.token}`);
+  }
+
+  /**
+   * Count how often the sessions table was asked about a session
+   * @param {Object} session - Session row
+   * @returns {number} Number of lookups
+   */
+  function lookups(session) {
+    return Session.findByToken.mock.calls.filter(([token]) => token === session.token).length;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessions = [];
+    users = new Map([
+      [1, { id: 1, username: 'alice', role: 'user', is_active: true, password_hash: 'hash' }],
+      [2, { id: 2, username: 'bob', role: 'user', is_active: true, password_hash: 'hash' }],
+      [9, { id: 9, username: 'admin', role: 'admin', is_active: true }]
+    ]);
+
+    // In-memory users and sessions
+    db.queryOne.mockImplementation(async (sql, [id]) => (users.has(id) ? { ...users.get(id) } : null));
+    User.findById.mockImplementation(async id => (users.has(id) ? { ...users.get(id) } : null));
+    User.findByUsername.mockImplementation(async username =>
+      [...users.values()].find(user => user.username === username) || null);
+    User.verifyPassword.mockResolvedValue(true);
+    User.deactivate.mockImplementation(async id => { users.get(id).is_active = false; });
+
+    const revoke = session => { session.revoked_at = session.revoked_at || new Date(); };
+    Session.findByToken.mockImplementation(async token => {
+      const session = sessions.find(row => row.token === token);
+      return session ? { ...session } : null;
+    });
+    Session.findById.mockImplementation(async id => {
+      const session = sessions.find(row => row.id === id);
+      return session ? { ...session } : null;
+    });
+    Session.revoke.mockImplementation(async id => revoke(sessions.find(row => row.id === id)));
+    Session.revokeAllByUserId.mockImplementation(async userId =>
+      sessions.filter(row => row.user_id === userId).forEach(revoke));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+  });
+
+  test('serves repeat requests from the cache', async () => {
+    const session = login(1);
+
+    expect((await use(session)).status).toBe(200);
+    expect((await use(session)).status).toBe(200);
+    expect(lookups(session)).toBe(1);
+  });
+
+  test('rejects a session revoked by its user at once, although it is cached', async () => {
+    const current = login(1);
+    const other = login(1);
+    await use(other);
+
+    await sessionService.revokeSession(other.id, { ...req, user: { id: 1 }, session: current });
+    const res = await use(other);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_REVOKED');
+  });
+
+  test('rejects a revoked session that is not cached', async () => {
+    const session = login(1);
+    session.revoked_at = new Date();
+
+    const res = await use(session);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_REVOKED');
+    expect(lookups(session)).toBe(1);
+  });
+
+  test('rejects every cached session of a user who changed their password', async () => {
+    const first = login(1);
+    const second = login(1);
+    const bob = login(2);
+    await Promise.all([use(first), use(second), use(bob)]);
+
+    await authService.changePassword(1, 'Old-password1!', 'New-password1!', req);
+
+    expect((await use(first)).body.error.code).toBe('SESSION_REVOKED');
+    expect((await use(second)).body.error.code).toBe('SESSION_REVOKED');
+    // Other users keep their cached sessions
+    expect((await use(bob)).status).toBe(200);
+    expect(lookups(bob)).toBe(1);
+  });
+
+  test('rejects every cached session of a user an administrator deactivated', async () => {
+    const first = login(1);
+    const second = login(1);
+    await Promise.all([use(first), use(second)]);
+
+    await userService.setActive(1, false, { ...req, user: { id: 9, username: 'admin', role: 'admin' } });
+
+    // A stale cache entry would get as far as the account check (ACCOUNT_INACTIVE)
+    for (const session of [first, second]) {
+      const res = await use(session);
+      expect(res.status).toBe(401);
+      expect(res.body.error.code).toBe('SESSION_REVOKED');
+      expect(lookups(session)).toBe(2);
+    }
+  });
+});
@@ -0,0 +1,183 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/RefreshToken');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const RefreshToken = require('../models/RefreshToken');
+const AuditLog = require('../models/AuditLog');
+const { generateToken } = require('../config/jwt');
+const { authenticate, invalidateSessionPolicy } = require('../middleware/auth');
+const authService = require('../services/authService');
+const sessionPolicyService = require('../services/sessionPolicyService');
+
+const user = { id: 1, username: 'alice', role: 'user', is_active: true };
+const req = { ip: '127.0.0.1', headers: {}, get: () => undefined };
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// The session cache outlives a test, so no two tests may share a token
+let issued = 0;
+
+/**
+ * Set the session policy of the user's role
+ * @param {Object} policy - session_policies columns
+ */
+function setPolicy(policy) {
+  SessionPolicy.findByRole.mockResolvedValue({ role: user.role, ...policy });
+}
+
+/**
+ * Build a session row
+ * @param {number} id - Session ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Session row
+ */
+function sessionRow(id, fields = {}) {
+  return {
+    id,
+    user_id: user.id,
+    token: generateToken({ userId: user.id, username: user.username, role: user.role }, `${15 + issued++}m`),
+    created_at: new Date(),
+    login_at: new Date(),
+    last_accessed_at: null,
+    expires_at: new Date(Date.now() + HOUR),
+    revoked_at: null,
+    impersonator_id: null,
+    ...fields
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  invalidateSessionPolicy();
+  db.queryOne.mockResolvedValue({ ...user });
+  User.findById.mockResolvedValue({ ...user });
+});
+
+describe('concurrent session limit', () => {
+  test('evicts the sessions that started longest ago to make room for a login', async () => {
+    setPolicy({ max_sessions: 2, limit_action: 'evict_oldest' });
+    Session.findActiveByUserId.mockResolvedValue([
+      sessionRow(1, { login_at: new Date(Date.now() - 2 * HOUR) }),
+      sessionRow(2, { login_at: new Date(Date.now() - 3 * HOUR) }),
+      sessionRow(3, { login_at: new Date(Date.now() - HOUR) })
+    ]);
+
+    await sessionPolicyService.enforceSessionLimit(user, '127.0.0.1');
+
+    expect(Session.revoke.mock.calls.map(([id]) => id)).toEqual([2, 1]);
+    expect(RefreshToken.revokeBySessionId.mock.calls.map(([id]) => id)).toEqual([2, 1]);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'session_evicted',
+      details: { sessionIds: [2, 1], maxSessions: 2 }
+    }));
+  });
+
+  test('does not count or evict impersonation sessions', async () => {
+    setPolicy({ max_sessions: 2, limit_action: 'evict_oldest' });
+    Session.findActiveByUserId.mockResolvedValue([
+      sessionRow(1, { login_at: new Date(Date.now() - 3 * HOUR), impersonator_id: 9 }),
+      sessionRow(2)
+    ]);
+
+    await sessionPolicyService.enforceSessionLimit(user, '127.0.0.1');
+
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+
+  test('refuses the login instead when the role says so', async () => {
+    setPolicy({ max_sessions: 1, limit_action: 'refuse' });
+    Session.findActiveByUserId.mockResolvedValue([sessionRow(1)]);
+
+    await expect(sessionPolicyService.enforceSessionLimit(user, '127.0.0.1'))
+      .rejects.toMatchObject({ statusCode: 403, code: 'SESSION_LIMIT_REACHED' });
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+});
+
+describe('idle and lifetime limits', () => {
+  const app = express();
+  app.get('/resource', authenticate, (req, res) => res.json({ success: true }));
+
+  /**
+   * Call the protected endpoint with a session
+   * @param {Object} session - Session row
+   * @returns {Promise<Object>} Supertest response
+   */
+  function use(session) {
+    Session.findByToken.mockResolvedValue(session);
+    return request(app).get('/resource').set('Authorization', `Bearer ${session.token}`);
+  }
+
+  beforeEach(() => {
+    setPolicy({ idle_timeout_minutes: 30, max_lifetime_hours: 8 });
+  });
+
+  test('let a session through while it is within both limits', async () => {
+    const res = await use(sessionRow(1, {
+      login_at: new Date(Date.now() - 7 * HOUR),
+      last_accessed_at: new Date(Date.now() - 29 * MINUTE)
+    }));
+
+    expect(res.status).toBe(200);
+    expect(Session.revoke).not.toHaveBeenCalled();
+  });
+
+  test('end a session that sat idle too long', async () => {
+    const res = await use(sessionRow(1, { last_accessed_at: new Date(Date.now() - 31 * MINUTE) }));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_IDLE_TIMEOUT');
+    expect(Session.revoke).toHaveBeenCalledWith(1);
+    expect(RefreshToken.revokeBySessionId).toHaveBeenCalledWith(1);
+  });
+
+  test('end a session that outlived its maximum lifetime, however active', async () => {
+    const res = await use(sessionRow(1, {
+      login_at: new Date(Date.now() - 9 * HOUR),
+      last_accessed_at: new Date()
+    }));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_LIFETIME_EXCEEDED');
+    expect(Session.revoke).toHaveBeenCalledWith(1);
+  });
+
+  test('refuse to refresh a login that went idle or outlived its lifetime', async () => {
+    const cases = [
+      [sessionRow(1, { last_accessed_at: new Date(Date.now() - 31 * MINUTE) }), 'SESSION_IDLE_TIMEOUT'],
+      [sessionRow(2, { login_at: new Date(Date.now() - 9 * HOUR), last_accessed_at: new Date() }),
+        'SESSION_LIFETIME_EXCEEDED']
+    ];
+
+    for (const [session, code] of cases) {
+      RefreshToken.findByToken.mockResolvedValue({
+        id: session.id,
+        user_id: user.id,
+        session_id: session.id,
+        family_id: `family-${session.id}`,
+        expires_at: new Date(Date.now() + HOUR),
+        used_at: null,
+        revoked_at: null
+      });
+      RefreshToken.markAsUsed.mockResolvedValue(1);
+      Session.findById.mockResolvedValue(session);
+
+      await expect(authService.refreshToken('refresh-token', req)).rejects.toMatchObject({ statusCode: 401, code });
+      expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(`family-${session.id}`);
+    }
+
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+});
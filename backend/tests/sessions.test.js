@@ -0,0 +1,201 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/SessionPolicy');
+jest.mock('../models/RefreshToken');
+jest.mock('../models/AuditLog');
+
+const db = require('../config/database');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const SessionPolicy = require('../models/SessionPolicy');
+const RefreshToken = require('../models/RefreshToken');
+const { generateToken } = require('../config/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+const authRoutes = require('../routes/auth');
+
+// The session cache outlives a test, so no two tests may share a token
+let issued = 0;
+
+/**
+ * Build an app serving the auth routes
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('my sessions endpoints', () => {
+  const app = buildApp();
+  let users;
+  let sessions;
+
+  /**
+   * Start a session for a user
+   * @param {number} userId - User ID
+   * @returns {Object} Session row, with its token
+   */
+  function login(userId) {
+    const user = users.get(userId);
+    const session = {
+      id: sessions.length + 1,
+      user_id: userId,
+      token: generateToken({ userId, username: user.username, role: user.role }, `${15 + issued++}m`),
+      ip_address: `10.0.0.${sessions.length + 1}`,
+      user_agent: null,
+      created_at: new Date(),
+      login_at: new Date(),
+      last_accessed_at: null,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000),
+      revoked_at: null,
+      impersonator_id: null
+    };
+    sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Send a request with a session
+   * @param {Object} session - Session row
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /auth
+   * @returns {Object} Supertest request
+   */
+  function as(session, method, path) {
+    return request(app)[method](`/auth${path}`).set('Authorization', `Bearer ${session.token}`);
+  }
+
+  /**
+   * Check whether a session is still active
+   * @param {Object} session - Session row
+   * @returns {boolean} True if the session has not been revoked
+   */
+  function isActive(session) {
+    return !sessions.find(row => row.id === session.id).revoked_at;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessions = [];
+    users = new Map([
+      [1, { id: 1, username: 'alice', role: 'user', is_active: true }],
+      [2, { id: 2, username: 'bob', role: 'user', is_active: true }]
+    ]);
+
+    // In-memory users and sessions
+    db.queryOne.mockImplementation(async (sql, [id]) => (users.has(id) ? { ...users.get(id) } : null));
+    User.findById.mockImplementation(async id => (users.has(id) ? { ...users.get(id) } : null));
+
+    const revoke = session => { session.revoked_at = session.revoked_at || new Date(); };
+    Session.findByToken.mockImplementation(async token => {
+      const session = sessions.find(row => row.token === token);
+      return session ? { ...session } : null;
+    });
+    Session.findById.mockImplementation(async id => {
+      const session = sessions.find(row => row.id === id);
+      return session ? { ...session } : null;
+    });
+    Session.findActiveByUserId.mockImplementation(async userId =>
+      sessions.filter(row => row.user_id === userId && !row.revoked_at).map(row => ({ ...row })));
+    Session.revoke.mockImplementation(async id => revoke(sessions.find(row => row.id === id)));
+    Session.revokeAllExceptCurrent.mockImplementation(async (userId, token) =>
+      sessions.filter(row => row.user_id === userId && row.token !== token).forEach(revoke));
+    SessionPolicy.findByRole.mockResolvedValue(null);
+  });
+
+  test.each([
+    ['get', '/sessions'],
+    ['post', '/sessions/revoke-others'],
+    ['delete', '/sessions/1']
+  ])('refuse %s %s from a caller who is not signed in', async (method, path) => {
+    login(1);
+
+    const res = await request(app)[method](`/auth${path}`);
+
+    expect(res.status).toBe(401);
+    expect(Session.revoke).not.toHaveBeenCalled();
+    expect(Session.revokeAllExceptCurrent).not.toHaveBeenCalled();
+  });
+
+  describe('GET /auth/sessions', () => {
+    test('lists only the caller\'s sessions, without their tokens', async () => {
+      const current = login(1);
+      const other = login(1);
+      login(2);
+
+      const res = await as(current, 'get', '/sessions');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(session => session.id)).toEqual([current.id, other.id]);
+      expect(res.body.data.map(session => session.current)).toEqual([true, false]);
+      expect(res.body.data[0].token).toBeUndefined();
+    });
+  });
+
+  describe('DELETE /auth/sessions/:id', () => {
+    test('revokes another of the caller\'s sessions', async () => {
+      const current = login(1);
+      const other = login(1);
+
+      const res = await as(current, 'delete', `/sessions/${other.id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe('Session revoked');
+      expect(isActive(other)).toBe(false);
+      expect(RefreshToken.revokeBySessionId).toHaveBeenCalledWith(other.id);
+      expect((await as(other, 'get', '/sessions')).status).toBe(401);
+    });
+
+    test('reports another user\'s session as not found and leaves it alone', async () => {
+      const alice = login(1);
+      const bob = login(2);
+
+      const res = await as(alice, 'delete', `/sessions/${bob.id}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('SESSION_NOT_FOUND');
+      expect(isActive(bob)).toBe(true);
+      expect(RefreshToken.revokeBySessionId).not.toHaveBeenCalled();
+      expect((await as(bob, 'get', '/sessions')).status).toBe(200);
+    });
+
+    test('reports a session that does not exist the same way', async () => {
+      const res = await as(login(1), 'delete', '/sessions/99');
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('SESSION_NOT_FOUND');
+    });
+
+    test('rejects an ID that is not a number', async () => {
+      const res = await as(login(1), 'delete', '/sessions/abc');
+
+      expect(res.status).toBe(400);
+      expect(Session.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /auth/sessions/revoke-others', () => {
+    test('revokes the caller\'s other sessions and nobody else\'s', async () => {
+      const current = login(1);
+      const other = login(1);
+      const bob = login(2);
+
+      const res = await as(current, 'post', '/sessions/revoke-others');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual({ revoked: 1 });
+      expect(Session.revokeAllExceptCurrent).toHaveBeenCalledWith(1, current.token);
+      expect(RefreshToken.revokeAllByUserIdExceptSession).toHaveBeenCalledWith(1, current.id);
+      expect([isActive(current), isActive(other), isActive(bob)]).toEqual([true, false, true]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/RecoveryCode');
+jest.mock('../models/AuditLog');
+
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+const totp = require('../config/totp');
+const twoFactorService = require('../services/twoFactorService');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const req = {
+  ip: '127.0.0.1',
+  headers: {},
+  get: () => undefined
+};
+
+/**
+ * Stop the clock at a fixed time
+ * @param {number} timestamp - Unix time in milliseconds
+ */
+function setNow(timestamp) {
+  jest.spyOn(Date, 'now').mockReturnValue(timestamp);
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('config/totp', () => {
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    // Last six digits of the RFC's eight-digit codes
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('accepts one step of clock drift either way, and no more', () => {
+    const now = 1700000000 * 1000;
+    const step = totp.getTimeStep(now);
+    setNow(now);
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  test('refuses a code from a step at or before the last one used', () => {
+    const now = 1700000000 * 1000;
+    const step = totp.getTimeStep(now);
+    setNow(now);
+
+    const code = totp.generateCode(RFC_SECRET, step);
+
+    expect(totp.verifyCode(RFC_SECRET, code, step - 1)).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, code, step)).toBeNull();
+  });
+
+  test('refuses malformed codes', () => {
+    expect(totp.verifyCode(RFC_SECRET, '')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '12345a')).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '1234567')).toBeNull();
+  });
+
+  test('encrypts secrets so they cannot be read or altered at rest', () => {
+    const secret = totp.generateSecret();
+    const encrypted = totp.encryptSecret(secret);
+
+    expect(encrypted).not.toContain(secret);
+    expect(totp.decryptSecret(encrypted)).toBe(secret);
+
+    const [iv, authTag, ciphertext] = encrypted.split(':');
+    const flipped = (parseInt(ciphertext[0], 16) ^ 1).toString(16) + ciphertext.slice(1);
+    expect(() => totp.decryptSecret([iv, authTag, flipped].join(':'))).toThrow();
+  });
+});
+
+describe('twoFactorService', () => {
+  const now = 1700000000 * 1000;
+  const step = totp.getTimeStep(now);
+  let lastUsedStep;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setNow(now);
+    lastUsedStep = null;
+
+    User.findTwoFactorById.mockImplementation(async () => ({
+      totp_enabled: true,
+      totp_secret_encrypted: totp.encryptSecret(RFC_SECRET),
+      totp_last_used_step: lastUsedStep
+    }));
+    // Same conditional UPDATE as the model: the step only moves forward
+    User.updateTotpLastUsedStep.mockImplementation(async (userId, usedStep) => {
+      if (lastUsedStep !== null && lastUsedStep >= usedStep) return 0;
+      lastUsedStep = usedStep;
+      return 1;
+    });
+  });
+
+  test('enables TOTP only with a valid code and returns recovery codes', async () => {
+    User.findTwoFactorById.mockResolvedValue({
+      totp_enabled: false,
+      totp_secret_encrypted: totp.encryptSecret(RFC_SECRET)
+    });
+
+    await expect(twoFactorService.confirmEnrollment(1, '000000', req))
+      .rejects.toMatchObject({ code: 'INVALID_2FA_CODE' });
+    expect(User.enableTotp).not.toHaveBeenCalled();
+
+    const { recoveryCodes } = await twoFactorService.confirmEnrollment(1, totp.generateCode(RFC_SECRET, step), req);
+
+    expect(User.enableTotp).toHaveBeenCalledWith(1, step);
+    expect(recoveryCodes).toHaveLength(totp.RECOVERY_CODE_COUNT);
+    expect(RecoveryCode.replaceForUser).toHaveBeenCalledWith(1, recoveryCodes);
+  });
+
+  test('accepts a TOTP code once', async () => {
+    const code = totp.generateCode(RFC_SECRET, step);
+
+    expect(await twoFactorService.verifySecondFactor(1, { code }, req)).toBe('totp');
+    expect(await twoFactorService.verifySecondFactor(1, { code }, req)).toBeNull();
+  });
+
+  test('accepts a TOTP code once even when it is sent twice at the same time', async () => {
+    const code = totp.generateCode(RFC_SECRET, step);
+
+    const results = await Promise.all([
+      twoFactorService.verifySecondFactor(1, { code }, req),
+      twoFactorService.verifySecondFactor(1, { code }, req)
+    ]);
+
+    expect(results.filter(result => result === 'totp')).toHaveLength(1);
+    expect(results).toContain(null);
+  });
+
+  test('accepts an unused recovery code', async () => {
+    RecoveryCode.consume.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+    RecoveryCode.countUnused.mockResolvedValue(9);
+
+    expect(await twoFactorService.verifySecondFactor(1, { recoveryCode: 'abcde-12345' }, req)).toBe('recovery_code');
+    expect(await twoFactorService.verifySecondFactor(1, { recoveryCode: 'abcde-12345' }, req)).toBeNull();
+  });
+
+  test('refuses any factor when TOTP is not enabled', async () => {
+    User.findTwoFactorById.mockResolvedValue({ totp_enabled: false });
+
+    expect(await twoFactorService.verifySecondFactor(1, { code: totp.generateCode(RFC_SECRET, step) }, req)).toBeNull();
+  });
+});
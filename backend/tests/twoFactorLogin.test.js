@@ -0,0 +1,166 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.AUTH_RATE_LIMIT_MAX = '3';
+
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../config/database');
+jest.mock('../models/User');
+jest.mock('../models/Session');
+jest.mock('../models/RefreshToken');
+jest.mock('../models/TwoFactorChallenge');
+jest.mock('../models/AuditLog');
+jest.mock('../services/twoFactorService');
+jest.mock('../services/sessionPolicyService');
+jest.mock('../services/loginAlertService');
+
+const User = require('../models/User');
+const TwoFactorChallenge = require('../models/TwoFactorChallenge');
+const twoFactorService = require('../services/twoFactorService');
+const { generateChallengeToken } = require('../config/jwt');
+const { errorHandler } = require('../middleware/errorHandler');
+const authRoutes = require('../routes/auth');
+
+// Each test logs in from its own address so the login limiter starts afresh
+let nextIp = 1;
+
+/**
+ * Build an app serving the auth routes behind a proxy
+ * @returns {Object} Express app
+ */
+function buildApp() {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/auth', authRoutes);
+  app.use(errorHandler);
+  return app;
+}
+
+describe('login with a two-factor challenge', () => {
+  const app = buildApp();
+  let outstanding;
+  let ip;
+
+  /**
+   * Issue a challenge token and record it as outstanding
+   * @param {Object} fields - Payload fields to override
+   * @returns {string} Challenge token
+   */
+  function issueChallenge(fields = {}) {
+    const jti = `00000000-0000-4000-8000-${String(outstanding.size).padStart(12, '0')}`;
+    outstanding.add(jti);
+    return generateChallengeToken({ userId: 1, enroll: false, jti, ...fields });
+  }
+
+  /**
+   * Send a second factor for a challenge
+   * @param {string} challengeToken - Challenge token
+   * @param {Object} body - Extra body fields
+   * @returns {Promise<Object>} Supertest response
+   */
+  function completeLogin(challengeToken, body = { code: '123456' }) {
+    return request(app)
+      .post('/auth/login/2fa')
+      .set('X-Forwarded-For', ip)
+      .send({ challengeToken, ...body });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ip = `10.0.0.${nextIp++}`;
+    outstanding = new Set();
+
+    // In-memory two_factor_challenges
+    TwoFactorChallenge.isOutstanding.mockImplementation(async jti => outstanding.has(jti));
+    TwoFactorChallenge.consume.mockImplementation(async jti => outstanding.delete(jti));
+
+    User.findById.mockResolvedValue({
+      id: 1,
+      username: 'alice',
+      role: 'user',
+      is_active: true,
+      locked_until: null,
+      totp_enabled: true
+    });
+    User.incrementFailedAttempts.mockResolvedValue({ failed_login_attempts: 1, locked_until: null });
+    twoFactorService.verifySecondFactor.mockResolvedValue('totp');
+  });
+
+  test('completes one login per challenge', async () => {
+    const challengeToken = issueChallenge();
+
+    const first = await completeLogin(challengeToken);
+    const second = await completeLogin(challengeToken);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.token).toEqual(expect.any(String));
+    expect(second.status).toBe(401);
+    expect(second.body.error.code).toBe('INVALID_CHALLENGE');
+  });
+
+  test('completes one login when a challenge is sent twice at the same time', async () => {
+    const challengeToken = issueChallenge();
+
+    const responses = await Promise.all([completeLogin(challengeToken), completeLogin(challengeToken)]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  test('keeps a challenge usable after a wrong code', async () => {
+    const challengeToken = issueChallenge();
+    twoFactorService.verifySecondFactor.mockResolvedValueOnce(null);
+
+    expect((await completeLogin(challengeToken, { code: '000000' })).status).toBe(401);
+    expect((await completeLogin(challengeToken)).status).toBe(200);
+  });
+
+  test('refuses a challenge that was never recorded', async () => {
+    const res = await completeLogin(generateChallengeToken({ userId: 1, enroll: false }));
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('INVALID_CHALLENGE');
+    expect(twoFactorService.verifySecondFactor).not.toHaveBeenCalled();
+  });
+
+  test('consumes the challenge of a login that confirms enrollment', async () => {
+    User.findById.mockResolvedValue({ id: 1, username: 'alice', role: 'user', is_active: true, totp_enabled: false });
+    twoFactorService.confirmEnrollment.mockResolvedValue({ recoveryCodes: ['a1b2c-d3e4f'] });
+    const challengeToken = issueChallenge({ enroll: true });
+
+    const first = await completeLogin(challengeToken);
+    const enroll = await request(app)
+      .post('/auth/login/2fa/enroll')
+      .set('X-Forwarded-For', ip)
+      .send({ challengeToken });
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.recoveryCodes).toEqual(['a1b2c-d3e4f']);
+    expect(enroll.status).toBe(401);
+  });
+
+  test('rate limits guesses at the second factor', async () => {
+    const challengeToken = issueChallenge();
+    twoFactorService.verifySecondFactor.mockResolvedValue(null);
+
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      statuses.push((await completeLogin(challengeToken, { code: '000000' })).status);
+    }
+
+    expect(statuses).toEqual([401, 401, 401, 429]);
+  });
+
+  test('rate limits the enrollment step of a login', async () => {
+    const statuses = [];
+    for (let i = 0; i < 4; i++) {
+      const res = await request(app)
+        .post('/auth/login/2fa/enroll')
+        .set('X-Forwarded-For', ip)
+        .send({ challengeToken: 'not-a-challenge' });
+      statuses.push(res.status);
+    }
+
+    expect(statuses).toEqual([401, 401, 401, 429]);
+  });
+});
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Migration: 003_two_factor_auth
+-- Description: Add TOTP two-factor authentication, recovery codes and
+--              per-role 2FA requirements
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: users (2FA columns)
+-- ============================================================================
+ALTER TABLE users
+    ADD COLUMN totp_secret_encrypted VARCHAR(255) NULL AFTER locked_until,
+    ADD COLUMN totp_enabled BOOLEAN DEFAULT FALSE AFTER totp_secret_encrypted,
+    ADD COLUMN totp_last_used_step BIGINT UNSIGNED NULL AFTER totp_enabled,
+    ADD COLUMN totp_enabled_at DATETIME NULL AFTER totp_last_used_step;
+
+-- ============================================================================
+-- Table: recovery_codes
+-- Stores hashed single-use 2FA recovery codes
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    used_at DATETIME NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_code_hash (code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: two_factor_policies
+-- Stores which roles must use two-factor authentication
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS two_factor_policies (
+    role VARCHAR(50) PRIMARY KEY,
+    required BOOLEAN DEFAULT FALSE,
+    updated_by INT UNSIGNED NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('003_two_factor_auth');
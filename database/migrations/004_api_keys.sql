@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Migration: 004_api_keys
+-- Description: Add scoped machine API keys for CI pipelines
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: api_keys
+-- Stores hashed API keys with scopes, expiry and number restrictions
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    owner_id INT UNSIGNED NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes JSON NOT NULL,
+    allowed_number_pattern VARCHAR(255) NULL,
+    expires_at DATETIME NULL,
+    created_by INT UNSIGNED NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    revoked_by INT UNSIGNED NULL,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_owner_id (owner_id),
+    INDEX idx_revoked_at (revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('004_api_keys');
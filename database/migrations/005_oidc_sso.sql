@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Migration: 005_oidc_sso
+-- Description: Add OpenID Connect single sign-on with just-in-time provisioning
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: users (external identity columns)
+-- SSO users have no local password
+-- ============================================================================
+ALTER TABLE users
+    MODIFY COLUMN password_hash VARCHAR(255) NULL,
+    ADD COLUMN auth_provider VARCHAR(20) NOT NULL DEFAULT 'local' AFTER password_hash,
+    ADD COLUMN external_id VARCHAR(255) NULL AFTER auth_provider,
+    ADD UNIQUE KEY uniq_provider_external_id (auth_provider, external_id);
+
+-- ============================================================================
+-- Table: oidc_login_states
+-- Stores in-flight authorization requests (state, nonce, PKCE verifier)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+    state CHAR(43) PRIMARY KEY,
+    nonce CHAR(43) NOT NULL,
+    code_verifier CHAR(43) NOT NULL,
+    ip_address VARCHAR(45),
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('005_oidc_sso');
@@ -0,0 +1,27 @@
+-- ============================================================================
+-- Migration: 006_password_reset
+-- Description: Add single-use password reset tokens for self-service resets
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: password_reset_tokens
+-- Stores hashed, time-limited password reset tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    ip_address VARCHAR(45),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('006_password_reset');
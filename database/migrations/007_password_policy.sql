@@ -0,0 +1,34 @@
+-- ============================================================================
+-- Migration: 007_password_policy
+-- Description: Add password history and password age tracking
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: users (password age)
+-- Existing passwords are treated as set when this migration runs
+-- ============================================================================
+ALTER TABLE users
+    ADD COLUMN password_changed_at DATETIME NULL AFTER external_id;
+
+UPDATE users
+SET password_changed_at = NOW()
+WHERE password_hash IS NOT NULL;
+
+-- ============================================================================
+-- Table: password_history
+-- Stores previous password hashes to prevent reuse
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS password_history (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('007_password_policy');
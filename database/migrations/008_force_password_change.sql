@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Migration: 008_force_password_change
+-- Description: Let administrators require a password change at next login
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: users (forced password change)
+-- Cleared whenever the user sets a new password
+-- ============================================================================
+ALTER TABLE users
+    ADD COLUMN password_change_required BOOLEAN NOT NULL DEFAULT FALSE AFTER password_changed_at;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('008_force_password_change');
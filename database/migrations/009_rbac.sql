@@ -0,0 +1,81 @@
+-- ============================================================================
+-- Migration: 009_rbac
+-- Description: Replace the fixed admin/user roles with database-defined roles
+--              and permissions
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: roles
+-- Stores built-in and custom roles
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS roles (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    is_system BOOLEAN DEFAULT FALSE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: permissions
+-- Stores the permissions checked by the API
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS permissions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: role_permissions
+-- Stores which permissions each role grants
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INT UNSIGNED NOT NULL,
+    permission_id INT UNSIGNED NOT NULL,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Default roles and permissions (same access as the old admin/user roles)
+-- ============================================================================
+INSERT IGNORE INTO permissions (name, description) VALUES
+('otp:read:latest', 'Read the latest OTP for a mobile number'),
+('otp:read:history', 'Read the OTP history of a mobile number'),
+('otp:read:all', 'List all OTPs and search them by date'),
+('otp:read:statistics', 'Read OTP statistics'),
+('users:manage', 'Create, update and delete users'),
+('roles:manage', 'Define roles and their permissions'),
+('api_keys:manage', 'Create and revoke API keys'),
+('2fa_policies:manage', 'Set which roles must use two-factor authentication');
+
+INSERT IGNORE INTO roles (name, description, is_system) VALUES
+('admin', 'Full access', TRUE),
+('user', 'Read OTPs for individual mobile numbers', TRUE);
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin';
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN ('otp:read:latest', 'otp:read:history')
+WHERE r.name = 'user';
+
+-- ============================================================================
+-- Table: users (role references roles.name)
+-- ============================================================================
+UPDATE users SET role = 'user' WHERE role IS NULL;
+
+ALTER TABLE users
+    MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'user',
+    ADD INDEX idx_role (role),
+    ADD CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('009_rbac');
@@ -0,0 +1,83 @@
+-- ============================================================================
+-- Migration: 010_number_access
+-- Description: Add teams and number-access rules that limit which mobile
+--              numbers users, roles and teams may fetch OTPs for
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: teams
+-- Stores named groups of users
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS teams (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: team_members
+-- Stores which users belong to which teams
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS team_members (
+    team_id INT UNSIGNED NOT NULL,
+    user_id INT UNSIGNED NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (team_id, user_id),
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: number_access_rules
+-- Stores allow/deny rules for mobile numbers; exactly one of user_id,
+-- role_id and team_id is set
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS number_access_rules (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    effect ENUM('allow', 'deny') NOT NULL,
+    match_type ENUM('exact', 'prefix', 'regex') NOT NULL,
+    pattern VARCHAR(255) NOT NULL,
+    user_id INT UNSIGNED NULL,
+    role_id INT UNSIGNED NULL,
+    team_id INT UNSIGNED NULL,
+    description VARCHAR(255) NULL,
+    created_by INT UNSIGNED NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_role_id (role_id),
+    INDEX idx_team_id (team_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Permission to manage the rules (granted to admin)
+-- ============================================================================
+INSERT IGNORE INTO permissions (name, description) VALUES
+('number_policies:manage', 'Define which mobile numbers users, roles and teams may access');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'number_policies:manage'
+WHERE r.name = 'admin';
+
+-- ============================================================================
+-- Table: schema_migrations (room for descriptive version names)
+-- ============================================================================
+ALTER TABLE schema_migrations
+    MODIFY COLUMN version VARCHAR(100) NOT NULL;
+
+UPDATE schema_migrations
+SET version = '008_force_password_change'
+WHERE version = '008_force_password_c';
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('010_number_access');
@@ -0,0 +1,55 @@
+-- ============================================================================
+-- Migration: 011_login_defense
+-- Description: Track failed logins per IP and username, and block IPs that
+--              spray passwords
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: login_failures
+-- Stores recent failed password logins (pruned after the counting window)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS login_failures (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    ip_address VARCHAR(45) NOT NULL,
+    username VARCHAR(100) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ip_created (ip_address, created_at),
+    INDEX idx_username_created (username, created_at),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: ip_blocks
+-- Stores temporary login blocks for IP addresses
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS ip_blocks (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    ip_address VARCHAR(45) NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    failure_count INT UNSIGNED NOT NULL DEFAULT 0,
+    username_count INT UNSIGNED NOT NULL DEFAULT 0,
+    escalation_level INT UNSIGNED NOT NULL DEFAULT 0,
+    blocked_until DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    cleared_at DATETIME NULL,
+    cleared_by INT UNSIGNED NULL,
+    FOREIGN KEY (cleared_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_ip_blocked_until (ip_address, blocked_until),
+    INDEX idx_blocked_until (blocked_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Permission to list and clear IP blocks (granted to admin)
+-- ============================================================================
+INSERT IGNORE INTO permissions (name, description) VALUES
+('ip_blocks:manage', 'List and clear login blocks on IP addresses');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'ip_blocks:manage'
+WHERE r.name = 'admin';
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('011_login_defense');
@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Migration: 012_session_token_length
+-- Description: Make room for RS256/ES256 access tokens, which carry a key ID
+--              and longer signatures than HS256 tokens
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: sessions (token length)
+-- JWTs are ASCII, which also keeps idx_token within the index size limit
+-- ============================================================================
+ALTER TABLE sessions
+    MODIFY COLUMN token VARCHAR(1024) CHARACTER SET ascii COLLATE ascii_bin NOT NULL;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('012_session_token_length');
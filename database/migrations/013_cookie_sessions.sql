@@ -0,0 +1,17 @@
+-- ============================================================================
+-- Migration: 013_cookie_sessions
+-- Description: Remember whether an SSO login should hand its tokens back in
+--              the URL fragment or as browser session cookies
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: oidc_login_states (token delivery)
+-- ============================================================================
+ALTER TABLE oidc_login_states
+    ADD COLUMN token_delivery ENUM('fragment', 'cookie') NOT NULL DEFAULT 'fragment' AFTER code_verifier;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('013_cookie_sessions');
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Migration: 014_impersonation
+-- Description: Let administrators open short-lived sessions as another user
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: sessions (impersonation)
+-- Set on sessions an administrator opened as another user; the session ends
+-- with the administrator's own session
+-- ============================================================================
+ALTER TABLE sessions
+    ADD COLUMN impersonator_id INT UNSIGNED NULL AFTER user_id,
+    ADD COLUMN impersonator_session_id INT UNSIGNED NULL AFTER impersonator_id,
+    ADD FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE CASCADE,
+    ADD FOREIGN KEY (impersonator_session_id) REFERENCES sessions(id) ON DELETE CASCADE;
+
+-- ============================================================================
+-- Permissions
+-- ============================================================================
+INSERT IGNORE INTO permissions (name, description) VALUES
+('users:impersonate', 'Sign in as another user to see what they see');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'users:impersonate'
+WHERE r.name = 'admin';
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('014_impersonation');
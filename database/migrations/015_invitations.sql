@@ -0,0 +1,37 @@
+-- ============================================================================
+-- Migration: 015_invitations
+-- Description: Add emailed, single-use invitations so new users choose their
+--              own password
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: invitations
+-- Stores invitations with hashed, time-limited acceptance tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invitations (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(100) NOT NULL,
+    role VARCHAR(50) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    invited_by INT UNSIGNED NULL,
+    send_count INT UNSIGNED NOT NULL DEFAULT 1,
+    last_sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    accepted_at DATETIME NULL,
+    user_id INT UNSIGNED NULL,
+    revoked_at DATETIME NULL,
+    revoked_by INT UNSIGNED NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_email (email),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('015_invitations');
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- Migration: 016_session_policies
+-- Description: Per-role limits on concurrent sessions, idle time and total
+--              session lifetime
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: sessions (login time)
+-- When the login a session belongs to began; carried over on token refresh
+-- so the absolute lifetime covers the whole login
+-- ============================================================================
+ALTER TABLE sessions
+    ADD COLUMN login_at DATETIME DEFAULT CURRENT_TIMESTAMP AFTER expires_at;
+
+UPDATE sessions SET login_at = created_at;
+
+-- ============================================================================
+-- Table: session_policies
+-- Stores per-role session limits; NULL columns fall back to the server defaults
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS session_policies (
+    role VARCHAR(50) PRIMARY KEY,
+    max_sessions INT UNSIGNED NULL,
+    limit_action ENUM('evict_oldest', 'refuse') NULL,
+    idle_timeout_minutes INT UNSIGNED NULL,
+    max_lifetime_hours INT UNSIGNED NULL,
+    updated_by INT UNSIGNED NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Permissions
+-- ============================================================================
+INSERT IGNORE INTO permissions (name, description) VALUES
+('session_policies:manage', 'Set session limits and timeouts for roles');
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name = 'session_policies:manage'
+WHERE r.name = 'admin';
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('016_session_policies');
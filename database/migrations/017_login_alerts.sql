@@ -0,0 +1,32 @@
+-- ============================================================================
+-- Migration: 017_login_alerts
+-- Description: Record emailed alerts about suspicious logins, each with a
+--              single-use "this wasn't me" link
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: login_alerts
+-- Stores suspicious-login alerts with hashed, time-limited report tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS login_alerts (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    session_id INT UNSIGNED NULL,
+    reasons JSON NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    reported_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('017_login_alerts');
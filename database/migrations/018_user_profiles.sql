@@ -0,0 +1,36 @@
+-- ============================================================================
+-- Migration: 018_user_profiles
+-- Description: Let users edit their own profile and preferences, and confirm
+--              email changes through an emailed link
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: users (profile and preferences)
+-- ============================================================================
+ALTER TABLE users
+    ADD COLUMN display_name VARCHAR(100) NULL AFTER email,
+    ADD COLUMN default_country_code VARCHAR(5) NULL AFTER display_name,
+    ADD COLUMN timezone VARCHAR(64) NULL AFTER default_country_code;
+
+-- ============================================================================
+-- Table: email_change_requests
+-- Stores requested email changes with hashed, time-limited confirmation tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS email_change_requests (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    new_email VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    confirmed_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('018_user_profiles');
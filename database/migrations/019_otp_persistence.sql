@@ -0,0 +1,22 @@
+-- ============================================================================
+-- Migration: 019_otp_persistence
+-- Description: Store every OTP fetched from a provider, recording where it
+--              came from and how often it was fetched
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: otps (provider and fetch tracking)
+-- provider is NULL for rows that were not fetched from a provider (e.g. seed
+-- data). A repeat fetch of a stored OTP bumps fetch_count instead of adding
+-- a row
+-- ============================================================================
+ALTER TABLE otps
+    ADD COLUMN provider VARCHAR(50) NULL AFTER otp_code,
+    ADD COLUMN fetch_count INT UNSIGNED NOT NULL DEFAULT 1 AFTER used_at,
+    ADD COLUMN last_fetched_at DATETIME NULL AFTER fetch_count;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('019_otp_persistence');
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- Migration: 020_otp_fetch_unique
+-- Description: Let the database reject a second copy of a fetched OTP, so two
+--              concurrent fetches of the same code share one row
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: otps (merge duplicate fetched OTPs)
+-- Concurrent fetches could store the same OTP twice. Keep the first row and
+-- fold the fetch counts of the others into it
+-- ============================================================================
+UPDATE otps kept
+JOIN (
+    SELECT MIN(id) AS id, SUM(fetch_count) AS fetch_count, MAX(last_fetched_at) AS last_fetched_at
+    FROM otps
+    WHERE provider IS NOT NULL
+    GROUP BY mobile_number, otp_code, created_at, provider
+    HAVING COUNT(*) > 1
+) duplicates ON duplicates.id = kept.id
+SET kept.fetch_count = duplicates.fetch_count,
+    kept.last_fetched_at = duplicates.last_fetched_at;
+
+DELETE extra
+FROM otps extra
+JOIN otps kept
+    ON kept.mobile_number = extra.mobile_number
+    AND kept.otp_code = extra.otp_code
+    AND kept.created_at = extra.created_at
+    AND kept.provider = extra.provider
+    AND kept.id < extra.id;
+
+-- ============================================================================
+-- Table: otps (one row per fetched OTP)
+-- Rows without a provider (seed data, OTPs created by hand) have a NULL
+-- provider and are not constrained
+-- ============================================================================
+ALTER TABLE otps
+    ADD UNIQUE KEY uk_otps_fetched (mobile_number, otp_code, created_at, provider);
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('020_otp_fetch_unique');
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration: 021_two_factor_challenges
+-- Description: Track outstanding login 2FA challenges so each one completes
+--              a login only once
+-- Database: dsa
+-- Date: 2026-10-19
+-- ============================================================================
+
+USE dsa;
+
+-- ============================================================================
+-- Table: two_factor_challenges
+-- Stores the IDs (jti) of challenge tokens that have not been used yet
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    jti CHAR(36) PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO schema_migrations (version) VALUES ('021_two_factor_challenges');
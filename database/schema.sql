@@ -10,6 +10,70 @@ CREATE DATABASE IF NOT EXISTS dsa
 
 USE dsa;
 
+-- ============================================================================
+-- Table: roles
+-- Stores built-in and custom roles
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS roles (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    is_system BOOLEAN DEFAULT FALSE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: permissions
+-- Stores the permissions checked by the API
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS permissions (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: role_permissions
+-- Stores which permissions each role grants
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INT UNSIGNED NOT NULL,
+    permission_id INT UNSIGNED NOT NULL,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Default roles and permissions (same access as the old admin/user roles)
+-- ============================================================================
+INSERT IGNORE INTO permissions (name, description) VALUES
+('otp:read:latest', 'Read the latest OTP for a mobile number'),
+('otp:read:history', 'Read the OTP history of a mobile number'),
+('otp:read:all', 'List all OTPs and search them by date'),
+('otp:read:statistics', 'Read OTP statistics'),
+('users:manage', 'Create, update and delete users'),
+('roles:manage', 'Define roles and their permissions'),
+('api_keys:manage', 'Create and revoke API keys'),
+('2fa_policies:manage', 'Set which roles must use two-factor authentication'),
+('number_policies:manage', 'Define which mobile numbers users, roles and teams may access'),
+('ip_blocks:manage', 'List and clear login blocks on IP addresses'),
+('users:impersonate', 'Sign in as another user to see what they see'),
+('session_policies:manage', 'Set session limits and timeouts for roles');
+
+INSERT IGNORE INTO roles (name, description, is_system) VALUES
+('admin', 'Full access', TRUE),
+('user', 'Read OTPs for individual mobile numbers', TRUE);
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin';
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN ('otp:read:latest', 'otp:read:history')
+WHERE r.name = 'user';
+
 -- ============================================================================
 -- Table: users
 -- Stores user authentication credentials and profile information
@@ -17,37 +81,55 @@ USE dsa;
 CREATE TABLE IF NOT EXISTS users (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     username VARCHAR(50) NOT NULL UNIQUE,
-    password_hash VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255) NULL,
+    auth_provider VARCHAR(20) NOT NULL DEFAULT 'local',
+    external_id VARCHAR(255) NULL,
+    password_changed_at DATETIME NULL,
+    password_change_required BOOLEAN NOT NULL DEFAULT FALSE,
     email VARCHAR(100) UNIQUE,
-    role ENUM('admin', 'user') DEFAULT 'user',
+    display_name VARCHAR(100) NULL,
+    default_country_code VARCHAR(5) NULL,
+    timezone VARCHAR(64) NULL,
+    role VARCHAR(50) NOT NULL DEFAULT 'user',
     is_active BOOLEAN DEFAULT TRUE,
     failed_login_attempts INT DEFAULT 0,
     locked_until DATETIME NULL,
+    totp_secret_encrypted VARCHAR(255) NULL,
+    totp_enabled BOOLEAN DEFAULT FALSE,
+    totp_last_used_step BIGINT UNSIGNED NULL,
+    totp_enabled_at DATETIME NULL,
     last_login_at DATETIME NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_username (username),
     INDEX idx_email (email),
-    INDEX idx_is_active (is_active)
+    INDEX idx_is_active (is_active),
+    INDEX idx_role (role),
+    UNIQUE KEY uniq_provider_external_id (auth_provider, external_id),
+    CONSTRAINT fk_users_role FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================================
 -- Table: otps
--- Stores OTP records retrieved from the production database
+-- Stores OTP records fetched from the configured provider
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS otps (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     mobile_number VARCHAR(20) NOT NULL,
     otp_code VARCHAR(10) NOT NULL,
+    provider VARCHAR(50) NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     expires_at DATETIME NULL,
     is_used BOOLEAN DEFAULT FALSE,
     used_at DATETIME NULL,
+    fetch_count INT UNSIGNED NOT NULL DEFAULT 1,
+    last_fetched_at DATETIME NULL,
     INDEX idx_mobile_number (mobile_number),
     INDEX idx_created_at (created_at),
     INDEX idx_mobile_created (mobile_number, created_at DESC),
     INDEX idx_expires_at (expires_at),
-    INDEX idx_is_used (is_used)
+    INDEX idx_is_used (is_used),
+    UNIQUE KEY uk_otps_fetched (mobile_number, otp_code, created_at, provider)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- ============================================================================
@@ -57,20 +139,325 @@ CREATE TABLE IF NOT EXISTS otps (
 CREATE TABLE IF NOT EXISTS sessions (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
     user_id INT UNSIGNED NOT NULL,
-    token VARCHAR(255) NOT NULL,
+    impersonator_id INT UNSIGNED NULL,
+    impersonator_session_id INT UNSIGNED NULL,
+    token VARCHAR(1024) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
     ip_address VARCHAR(45),
     user_agent TEXT,
     expires_at DATETIME NOT NULL,
+    login_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     revoked_at DATETIME NULL,
     last_accessed_at DATETIME NULL,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (impersonator_session_id) REFERENCES sessions(id) ON DELETE CASCADE,
     INDEX idx_user_id (user_id),
     INDEX idx_token (token),
     INDEX idx_expires_at (expires_at),
     INDEX idx_revoked_at (revoked_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ============================================================================
+-- Table: refresh_tokens
+-- Stores hashed opaque refresh tokens grouped into rotation families
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    session_id INT UNSIGNED NULL,
+    family_id CHAR(36) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    used_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_session_id (session_id),
+    INDEX idx_family_id (family_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: recovery_codes
+-- Stores hashed single-use 2FA recovery codes
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    used_at DATETIME NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_code_hash (code_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: two_factor_challenges
+-- Stores the IDs (jti) of login 2FA challenge tokens that have not been used yet
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    jti CHAR(36) PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: two_factor_policies
+-- Stores which roles must use two-factor authentication
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS two_factor_policies (
+    role VARCHAR(50) PRIMARY KEY,
+    required BOOLEAN DEFAULT FALSE,
+    updated_by INT UNSIGNED NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: session_policies
+-- Stores per-role session limits; NULL columns fall back to the server defaults
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS session_policies (
+    role VARCHAR(50) PRIMARY KEY,
+    max_sessions INT UNSIGNED NULL,
+    limit_action ENUM('evict_oldest', 'refuse') NULL,
+    idle_timeout_minutes INT UNSIGNED NULL,
+    max_lifetime_hours INT UNSIGNED NULL,
+    updated_by INT UNSIGNED NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: api_keys
+-- Stores hashed API keys with scopes, expiry and number restrictions
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    owner_id INT UNSIGNED NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes JSON NOT NULL,
+    allowed_number_pattern VARCHAR(255) NULL,
+    expires_at DATETIME NULL,
+    created_by INT UNSIGNED NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME NULL,
+    revoked_at DATETIME NULL,
+    revoked_by INT UNSIGNED NULL,
+    FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_owner_id (owner_id),
+    INDEX idx_revoked_at (revoked_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: teams
+-- Stores named groups of users
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS teams (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: team_members
+-- Stores which users belong to which teams
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS team_members (
+    team_id INT UNSIGNED NOT NULL,
+    user_id INT UNSIGNED NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (team_id, user_id),
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: number_access_rules
+-- Stores allow/deny rules for mobile numbers; exactly one of user_id,
+-- role_id and team_id is set
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS number_access_rules (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    effect ENUM('allow', 'deny') NOT NULL,
+    match_type ENUM('exact', 'prefix', 'regex') NOT NULL,
+    pattern VARCHAR(255) NOT NULL,
+    user_id INT UNSIGNED NULL,
+    role_id INT UNSIGNED NULL,
+    team_id INT UNSIGNED NULL,
+    description VARCHAR(255) NULL,
+    created_by INT UNSIGNED NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_role_id (role_id),
+    INDEX idx_team_id (team_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: oidc_login_states
+-- Stores in-flight authorization requests (state, nonce, PKCE verifier)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+    state CHAR(43) PRIMARY KEY,
+    nonce CHAR(43) NOT NULL,
+    code_verifier CHAR(43) NOT NULL,
+    token_delivery ENUM('fragment', 'cookie') NOT NULL DEFAULT 'fragment',
+    ip_address VARCHAR(45),
+    expires_at DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: password_reset_tokens
+-- Stores hashed, time-limited password reset tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME NULL,
+    ip_address VARCHAR(45),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: password_history
+-- Stores previous password hashes to prevent reuse
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS password_history (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: login_failures
+-- Stores recent failed password logins (pruned after the counting window)
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS login_failures (
+    id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    ip_address VARCHAR(45) NOT NULL,
+    username VARCHAR(100) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_ip_created (ip_address, created_at),
+    INDEX idx_username_created (username, created_at),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: ip_blocks
+-- Stores temporary login blocks for IP addresses
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS ip_blocks (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    ip_address VARCHAR(45) NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    failure_count INT UNSIGNED NOT NULL DEFAULT 0,
+    username_count INT UNSIGNED NOT NULL DEFAULT 0,
+    escalation_level INT UNSIGNED NOT NULL DEFAULT 0,
+    blocked_until DATETIME NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    cleared_at DATETIME NULL,
+    cleared_by INT UNSIGNED NULL,
+    FOREIGN KEY (cleared_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_ip_blocked_until (ip_address, blocked_until),
+    INDEX idx_blocked_until (blocked_until)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: invitations
+-- Stores invitations with hashed, time-limited acceptance tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS invitations (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    email VARCHAR(100) NOT NULL,
+    role VARCHAR(50) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    invited_by INT UNSIGNED NULL,
+    send_count INT UNSIGNED NOT NULL DEFAULT 1,
+    last_sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    accepted_at DATETIME NULL,
+    user_id INT UNSIGNED NULL,
+    revoked_at DATETIME NULL,
+    revoked_by INT UNSIGNED NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_email (email),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: email_change_requests
+-- Stores requested email changes with hashed, time-limited confirmation tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS email_change_requests (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    new_email VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    confirmed_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- ============================================================================
+-- Table: login_alerts
+-- Stores suspicious-login alerts with hashed, time-limited report tokens
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS login_alerts (
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+    user_id INT UNSIGNED NOT NULL,
+    session_id INT UNSIGNED NULL,
+    reasons JSON NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    expires_at DATETIME NOT NULL,
+    reported_at DATETIME NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE SET NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ============================================================================
 -- Table: audit_log
 -- Stores audit trail for security and compliance
@@ -97,9 +484,29 @@ CREATE TABLE IF NOT EXISTS audit_log (
 -- ============================================================================
 CREATE TABLE IF NOT EXISTS schema_migrations (
     id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
-    version VARCHAR(20) NOT NULL UNIQUE,
+    version VARCHAR(100) NOT NULL UNIQUE,
     applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Insert initial schema version
 INSERT IGNORE INTO schema_migrations (version) VALUES ('001_initial_schema');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('002_refresh_tokens');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('003_two_factor_auth');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('004_api_keys');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('005_oidc_sso');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('006_password_reset');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('007_password_policy');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('008_force_password_change');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('009_rbac');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('010_number_access');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('011_login_defense');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('012_session_token_length');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('013_cookie_sessions');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('014_impersonation');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('015_invitations');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('016_session_policies');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('017_login_alerts');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('018_user_profiles');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('019_otp_persistence');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('020_otp_fetch_unique');
+INSERT IGNORE INTO schema_migrations (version) VALUES ('021_two_factor_challenges');
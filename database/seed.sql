@@ -10,10 +10,11 @@ USE dsa;
 -- Default admin user with username 'admin' and password 'SecurePass123!'
 -- Password hashed using bcrypt with 12 salt rounds
 -- ============================================================================
-INSERT INTO users (username, password_hash, email, role, is_active, failed_login_attempts, locked_until)
+INSERT INTO users (username, password_hash, password_changed_at, email, role, is_active, failed_login_attempts, locked_until)
 VALUES (
     'admin',
     '$2b$12$VKFl6jpeBE2OPMV3oKZ6aO/XD2nIckpOWWYihfAbJjHPjf2SimwlO',
+    NOW(),
     'admin@example.com',
     'admin',
     TRUE,
@@ -21,6 +22,28 @@ VALUES (
     NULL
 ) ON DUPLICATE KEY UPDATE username=username;
 
+-- ============================================================================
+-- Seed: roles table
+-- Example custom roles (admin and user are created by the schema)
+-- ============================================================================
+INSERT IGNORE INTO roles (name, description, is_system) VALUES
+('auditor', 'Read-only access to all OTPs and statistics', FALSE),
+('ci_bot', 'Machine account that reads the latest OTP', FALSE),
+('team_lead', 'Read OTPs and statistics for the team', FALSE);
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN ('otp:read:all', 'otp:read:statistics')
+WHERE r.name = 'auditor';
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN ('otp:read:latest')
+WHERE r.name = 'ci_bot';
+
+INSERT IGNORE INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id FROM roles r
+JOIN permissions p ON p.name IN ('otp:read:latest', 'otp:read:history', 'otp:read:all', 'otp:read:statistics')
+WHERE r.name = 'team_lead';
+
 -- ============================================================================
 -- Seed: otps table
 -- Sample OTP records for testing
@@ -49,9 +72,9 @@ INSERT INTO otps (mobile_number, otp_code, created_at, expires_at, is_used, used
 -- Seed: sessions table
 -- Sample session records for testing
 -- ============================================================================
-INSERT INTO sessions (user_id, token, expires_at, created_at, revoked_at) VALUES
-(1, 'sample_token_abc123def456', NOW() + INTERVAL 1 HOUR, NOW() - INTERVAL 30 MINUTE, NULL),
-(1, 'sample_token_xyz789ghi012', NOW() - INTERVAL 10 MINUTE, NOW() - INTERVAL 2 HOUR, NOW() - INTERVAL 10 MINUTE);
+INSERT INTO sessions (user_id, token, expires_at, login_at, created_at, revoked_at) VALUES
+(1, 'sample_token_abc123def456', NOW() + INTERVAL 1 HOUR, NOW() - INTERVAL 30 MINUTE, NOW() - INTERVAL 30 MINUTE, NULL),
+(1, 'sample_token_xyz789ghi012', NOW() - INTERVAL 10 MINUTE, NOW() - INTERVAL 2 HOUR, NOW() - INTERVAL 2 HOUR, NOW() - INTERVAL 10 MINUTE);
 
 -- ============================================================================
 -- Seed: audit_log table
@@ -67,6 +90,7 @@ INSERT INTO audit_log (user_id, action, ip_address, user_agent, details) VALUES
 -- Seed Summary
 -- ============================================================================
 -- Users: 1 admin user
+-- Roles: 3 example custom roles (auditor, ci_bot, team_lead)
 -- OTPs: 10 records (5 unused, 3 used, 2 expired)
 -- Sessions: 2 records (1 active, 1 revoked)
 -- Audit Logs: 4 records
@@ -2,71 +2,100 @@
  * API Configuration
  */
 const API_BASE_URL = 'http://localhost:3000/api/v1';
-const TOKEN_KEY = 'auth_token';
+const CSRF_COOKIE = 'otp_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
 
 /**
  * API Helper Class
- * Handles all HTTP requests to the backend
+ * Handles all HTTP requests to the backend.
+ * The session lives in HttpOnly cookies the page cannot read; only the CSRF
+ * token is readable, and it is sent back on every state-changing request.
  */
 class ApiClient {
     constructor(baseUrl) {
         this.baseUrl = baseUrl;
+
+        // Tokens kept by earlier versions of the page are no longer used
+        localStorage.removeItem('auth_token');
     }
 
     /**
-     * Get the stored JWT token from localStorage
+     * Get the CSRF token from its cookie
      */
-    getToken() {
-        return localStorage.getItem(TOKEN_KEY);
+    getCsrfToken() {
+        const entry = document.cookie
+            .split('; ')
+            .find(part => part.startsWith(`${CSRF_COOKIE}=`));
+        return entry ? decodeURIComponent(entry.substring(CSRF_COOKIE.length + 1)) : null;
     }
 
     /**
-     * Store JWT token in localStorage
+     * Forget the session on this page
+     * The HttpOnly session cookies are removed by the server on logout
      */
-    setToken(token) {
-        localStorage.setItem(TOKEN_KEY, token);
+    clearToken() {
+        document.cookie = `${CSRF_COOKIE}=; Max-Age=0; path=/`;
     }
 
     /**
-     * Clear JWT token from localStorage
+     * Check if a browser session was started
      */
-    clearToken() {
-        localStorage.removeItem(TOKEN_KEY);
+    isAuthenticated() {
+        return !!this.getCsrfToken();
     }
 
     /**
-     * Check if user is authenticated
+     * Get a new access token with the refresh cookie
+     * @returns {Promise<boolean>} - Whether the session could be renewed
      */
-    isAuthenticated() {
-        return !!this.getToken();
+    async refreshSession() {
+        try {
+            const response = await fetch(`${this.baseUrl}/auth/refresh`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: {
+                    'Content-Type': 'application/json',
+                    [CSRF_HEADER]: this.getCsrfToken()
+                },
+                body: '{}'
+            });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
     }
 
     /**
      * Make an HTTP request with proper headers and error handling
      */
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, retried = false) {
         const url = `${this.baseUrl}${endpoint}`;
         const headers = {
             'Content-Type': 'application/json',
             ...options.headers
         };
 
-        // Add Authorization header if token exists
-        const token = this.getToken();
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
+        // Echo the CSRF cookie on anything that can change state
+        const method = (options.method || 'GET').toUpperCase();
+        const csrfToken = this.getCsrfToken();
+        if (csrfToken && !['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+            headers[CSRF_HEADER] = csrfToken;
         }
 
         const config = {
             ...options,
-            headers
+            headers,
+            credentials: 'include'
         };
 
         try {
             const response = await fetch(url, config);
 
-            // Handle 401 Unauthorized - token expired or invalid
-            if (response.status === 401) {
+            // Handle 401 Unauthorized - renew the session once, otherwise start over
+            if (response.status === 401 && csrfToken) {
+                if (!retried && await this.refreshSession()) {
+                    return this.request(endpoint, options, true);
+                }
                 this.clearToken();
                 window.location.reload();
                 throw new Error('Session expired. Please login again.');
@@ -103,6 +132,23 @@ class ApiClient {
             body: JSON.stringify(body)
         });
     }
+
+    /**
+     * PATCH request
+     */
+    async patch(endpoint, body) {
+        return this.request(endpoint, {
+            method: 'PATCH',
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * DELETE request
+     */
+    async delete(endpoint) {
+        return this.request(endpoint, { method: 'DELETE' });
+    }
 }
 
 /**
@@ -118,22 +164,196 @@ class AuthService {
      * Login with username and password
      * @param {string} username - User's username
      * @param {string} password - User's password
-     * @returns {Promise<Object>} - Returns { token, user }
+     * @returns {Promise<Object>} - Returns { user } or a two-factor challenge
      */
     async login(username, password) {
+        // The server sets the session cookies
         const response = await this.apiClient.post('/auth/login', {
             username,
-            password
+            password,
+            useCookies: true
         });
 
-        // Store the JWT token
-        if (response.data && response.data.token) {
-            this.apiClient.setToken(response.data.token);
+        return response.data;
+    }
+
+    /**
+     * Start authenticator enrollment during a login that requires it
+     * @param {string} challengeToken - Challenge token from login
+     * @returns {Promise<Object>} - Returns { secret, otpauthUri }
+     */
+    async beginTwoFactorEnrollment(challengeToken) {
+        const response = await this.apiClient.post('/auth/login/2fa/enroll', {
+            challengeToken
+        });
+        return response.data;
+    }
+
+    /**
+     * Complete login with a TOTP code or recovery code
+     * @param {string} challengeToken - Challenge token from login
+     * @param {string} value - 6-digit code or recovery code
+     * @returns {Promise<Object>} - Returns { user }
+     */
+    async completeTwoFactorLogin(challengeToken, value) {
+        const body = /^\d{6}$/.test(value)
+            ? { challengeToken, code: value, useCookies: true }
+            : { challengeToken, recoveryCode: value, useCookies: true };
+
+        const response = await this.apiClient.post('/auth/login/2fa', body);
+
+        return response.data;
+    }
+
+    /**
+     * Get which login methods the server allows
+     * @returns {Promise<Object>} - Returns { ssoEnabled, localLoginEnabled }
+     */
+    async getLoginMethods() {
+        const response = await this.apiClient.get('/auth/oidc/config');
+        return response.data;
+    }
+
+    /**
+     * Get the URL that starts single sign-on
+     * @returns {string} - SSO login URL
+     */
+    getSsoLoginUrl() {
+        return `${this.apiClient.baseUrl}/auth/oidc/login?mode=cookie`;
+    }
+
+    /**
+     * Read the result of an SSO login from the URL fragment
+     * The session cookies are already set when it succeeded
+     * @returns {string|null} - SSO error code, if the login failed
+     */
+    consumeSsoRedirect() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const ssoError = params.get('ssoError');
+
+        if (params.has('sso') || ssoError) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
         }
 
+        return ssoError;
+    }
+
+    /**
+     * Ask for a password reset link to be emailed
+     * @param {string} email - Account email address
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async requestPasswordReset(email) {
+        const response = await this.apiClient.post('/auth/forgot-password', { email });
+        return response.message;
+    }
+
+    /**
+     * Set a new password using the token from a reset link
+     * @param {string} token - Reset token from the link
+     * @param {string} newPassword - New password
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async resetPassword(token, newPassword) {
+        const response = await this.apiClient.post('/auth/reset-password', { token, newPassword });
+        return response.message;
+    }
+
+    /**
+     * Take a password reset token from the URL fragment
+     * @returns {string|null} - Reset token, if the page was opened from a reset link
+     */
+    consumeResetLink() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const token = params.get('resetToken');
+
+        if (token) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+
+        return token;
+    }
+
+    /**
+     * Look up the invitation behind an invitation link
+     * @param {string} token - Invitation token from the link
+     * @returns {Promise<Object>} - Returns { email, role, expiresAt }
+     */
+    async lookupInvitation(token) {
+        const response = await this.apiClient.post('/auth/invitations/lookup', { token });
         return response.data;
     }
 
+    /**
+     * Create an account from an invitation
+     * @param {string} token - Invitation token from the link
+     * @param {string} username - Chosen username
+     * @param {string} password - Chosen password
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async acceptInvitation(token, username, password) {
+        const response = await this.apiClient.post('/auth/invitations/accept', { token, username, password });
+        return response.message;
+    }
+
+    /**
+     * Take an invitation token from the URL fragment
+     * @returns {string|null} - Invitation token, if the page was opened from an invitation link
+     */
+    consumeInviteLink() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const token = params.get('inviteToken');
+
+        if (token) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+
+        return token;
+    }
+
+    /**
+     * Report a login from an alert email as not made by the user
+     * The server signs out every session and locks the account
+     * @param {string} token - Token from the login alert link
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async reportLogin(token) {
+        const response = await this.apiClient.post('/auth/login-alerts/report', { token });
+        this.apiClient.clearToken();
+        return response.message;
+    }
+
+    /**
+     * Take a login alert token from the URL fragment
+     * @returns {string|null} - Login alert token, if the page was opened from a login alert link
+     */
+    consumeLoginAlertLink() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const token = params.get('loginAlertToken');
+
+        if (token) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+
+        return token;
+    }
+
+    /**
+     * Change the current user's password
+     * The server ends every session afterwards, so the session is cleared too
+     * @param {string} currentPassword - Current password
+     * @param {string} newPassword - New password
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async changePassword(currentPassword, newPassword) {
+        const response = await this.apiClient.post('/auth/change-password', {
+            currentPassword,
+            newPassword
+        });
+        this.apiClient.clearToken();
+        return response.message;
+    }
+
     /**
      * Logout the current user
      * @returns {Promise<void>}
@@ -145,7 +365,7 @@ class AuthService {
             // Continue with logout even if API call fails
             console.warn('Logout API call failed:', error.message);
         } finally {
-            // Always clear the token
+            // Always clear the session
             this.apiClient.clearToken();
         }
     }
@@ -157,6 +377,61 @@ class AuthService {
     async getCurrentUser() {
         return this.apiClient.get('/auth/me');
     }
+
+    /**
+     * Update the current user's profile and preferences
+     * A changed email only takes effect after the emailed confirmation link is opened
+     * @param {Object} profile - displayName, email, defaultCountryCode and timezone
+     * @returns {Promise<Object>} - Returns { message, data } with the updated user
+     */
+    async updateProfile(profile) {
+        return this.apiClient.patch('/auth/me', profile);
+    }
+
+    /**
+     * Confirm a new email address using the token from a confirmation link
+     * @param {string} token - Confirmation token from the link
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async confirmEmailChange(token) {
+        const response = await this.apiClient.post('/auth/me/email/confirm', { token });
+        return response.message;
+    }
+
+    /**
+     * Take an email change token from the URL fragment
+     * @returns {string|null} - Confirmation token, if the page was opened from a confirmation link
+     */
+    consumeEmailChangeLink() {
+        const params = new URLSearchParams(window.location.hash.substring(1));
+        const token = params.get('emailChangeToken');
+
+        if (token) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+
+        return token;
+    }
+
+    /**
+     * Switch this browser to a read-only session as another user
+     * @param {number} userId - User to view the app as
+     * @returns {Promise<Object>} - Returns { user, impersonator, expiresIn }
+     */
+    async impersonate(userId) {
+        const response = await this.apiClient.post(`/admin/impersonate/${encodeURIComponent(userId)}`, {
+            useCookies: true
+        });
+        return response.data;
+    }
+
+    /**
+     * Return to the administrator's own session
+     * @returns {Promise<void>}
+     */
+    async stopImpersonating() {
+        await this.apiClient.post('/auth/impersonation/stop', {});
+    }
 }
 
 /**
@@ -191,6 +466,123 @@ class OtpService {
         };
     }
 
+    /**
+     * Watch mobile numbers for new OTPs over the Server-Sent Events stream
+     * The stream is read with fetch so it uses the same credentials as every
+     * other request. A dropped connection is retried, resuming after the last
+     * OTP received.
+     * @param {Array<string>} mobileNumbers - The mobile numbers to watch
+     * @param {Object} handlers - onOtp(data), onWarning(message) and onEnd(message)
+     * @returns {Object} - Watch with a stop() method
+     */
+    watchOtps(mobileNumbers, { onOtp, onWarning, onEnd }) {
+        const controller = new AbortController();
+        const url = `${this.apiClient.baseUrl}/otp/stream?numbers=${encodeURIComponent(mobileNumbers.join(','))}`;
+        let lastEventId = null;
+        let retryMs = 5000;
+        let renewed = false;
+
+        // Returns true once the server has ended the stream for good
+        const handleEvent = ({ id, event, data }) => {
+            if (id) {
+                lastEventId = id;
+            }
+
+            if (event === 'otp') {
+                const rawData = JSON.parse(data);
+                onOtp({
+                    mobile: rawData.mobileNumber,
+                    otp: rawData.otpCode,
+                    receivedAt: rawData.createdAt,
+                    expiresAt: rawData.expiresAt,
+                    isUsed: rawData.isUsed
+                });
+            } else if (event === 'provider_error') {
+                onWarning(JSON.parse(data).message);
+            } else if (event === 'end') {
+                onEnd('Watching stopped because your access to these numbers changed.');
+                return true;
+            }
+            return false;
+        };
+
+        const readStream = async (body) => {
+            const reader = body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    return false;
+                }
+
+                buffer += decoder.decode(value, { stream: true });
+
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const message = { id: null, event: 'message', data: '' };
+
+                    for (const line of buffer.slice(0, boundary).split('\n')) {
+                        const [, field, fieldValue] = /^([^:]*):? ?(.*)$/.exec(line);
+                        if (field === 'id' || field === 'event' || field === 'data') {
+                            message[field] = fieldValue;
+                        } else if (field === 'retry' && /^\d+$/.test(fieldValue)) {
+                            retryMs = parseInt(fieldValue, 10);
+                        }
+                    }
+                    buffer = buffer.slice(boundary + 2);
+
+                    if (message.data && handleEvent(message)) {
+                        return true;
+                    }
+                }
+            }
+        };
+
+        const connect = async () => {
+            while (!controller.signal.aborted) {
+                try {
+                    const response = await fetch(url, {
+                        headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {},
+                        credentials: 'include',
+                        signal: controller.signal
+                    });
+
+                    // Renew the session once, as ApiClient.request does
+                    if (response.status === 401 && !renewed && await this.apiClient.refreshSession()) {
+                        renewed = true;
+                        continue;
+                    }
+
+                    if (!response.ok) {
+                        const data = await response.json().catch(() => ({}));
+                        onEnd((data.error && data.error.message) || 'Could not watch for new OTPs.');
+                        return;
+                    }
+
+                    renewed = false;
+                    if (await readStream(response.body)) {
+                        return;
+                    }
+                } catch (error) {
+                    if (controller.signal.aborted) {
+                        return;
+                    }
+                }
+
+                // The connection dropped; try again shortly
+                await new Promise(resolve => setTimeout(resolve, retryMs));
+            }
+        };
+
+        connect();
+
+        return {
+            stop: () => controller.abort()
+        };
+    }
+
     /**
      * Get paginated OTP history for a mobile number
      * @param {string} mobileNumber - The mobile number to fetch history for
@@ -206,6 +598,56 @@ class OtpService {
     }
 }
 
+/**
+ * InvitationService Class
+ * Handles invitation management for user administrators
+ */
+class InvitationService {
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+    }
+
+    /**
+     * List pending invitations
+     * @returns {Promise<Array>} - Returns invitation objects
+     */
+    async listPending() {
+        const response = await this.apiClient.get('/admin/invitations?status=pending&limit=100');
+        return response.data;
+    }
+
+    /**
+     * Invite someone by email
+     * @param {string} email - Invitee email address
+     * @param {string} role - Role the new account will get
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async invite(email, role) {
+        const response = await this.apiClient.post('/admin/invitations', { email, role });
+        return response.message;
+    }
+
+    /**
+     * Email a fresh link for an invitation
+     * @param {number} invitationId - Invitation ID
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async resend(invitationId) {
+        const response = await this.apiClient.post(`/admin/invitations/${invitationId}/resend`, {});
+        return response.message;
+    }
+
+    /**
+     * Revoke an invitation
+     * @param {number} invitationId - Invitation ID
+     * @returns {Promise<string>} - Confirmation message
+     */
+    async revoke(invitationId) {
+        const response = await this.apiClient.delete(`/admin/invitations/${invitationId}`);
+        return response.message;
+    }
+}
+
 /**
  * UI Controller
  * Handles DOM manipulation, events, and state updates
@@ -215,24 +657,134 @@ document.addEventListener('DOMContentLoaded', () => {
     const apiClient = new ApiClient(API_BASE_URL);
     const authService = new AuthService(apiClient);
     const otpService = new OtpService(apiClient);
+    const invitationService = new InvitationService(apiClient);
 
     // DOM Elements
     const loginView = document.getElementById('login-view');
     const dashboardView = document.getElementById('dashboard-view');
     const loginForm = document.getElementById('login-form');
     const loginBtn = document.getElementById('login-btn');
+    const twoFactorForm = document.getElementById('two-factor-form');
+    const twoFactorBtn = document.getElementById('two-factor-btn');
+    const twoFactorEnroll = document.getElementById('two-factor-enroll');
+    const twoFactorSecret = document.getElementById('two-factor-secret');
+    const ssoBtn = document.getElementById('sso-btn');
+    const forgotPasswordLink = document.getElementById('forgot-password-link');
+    const forgotPasswordForm = document.getElementById('forgot-password-form');
+    const forgotPasswordBtn = document.getElementById('forgot-password-btn');
+    const resetPasswordForm = document.getElementById('reset-password-form');
+    const resetPasswordBtn = document.getElementById('reset-password-btn');
+    const changePasswordForm = document.getElementById('change-password-form');
+    const changePasswordBtn = document.getElementById('change-password-btn');
+    const changePasswordLogout = document.getElementById('change-password-logout');
+    const acceptInviteForm = document.getElementById('accept-invite-form');
+    const acceptInviteBtn = document.getElementById('accept-invite-btn');
+    const inviteDetails = document.getElementById('invite-details');
+    const reportLoginForm = document.getElementById('report-login-form');
+    const reportLoginBtn = document.getElementById('report-login-btn');
+
+    // Token from an emailed reset link, if the page was opened from one
+    let resetToken = authService.consumeResetLink();
+
+    // Token from an emailed invitation link, if the page was opened from one
+    let inviteToken = authService.consumeInviteLink();
+
+    // Token from a "this wasn't me" link in a login alert email
+    let loginAlertToken = authService.consumeLoginAlertLink();
+
+    // Token from an email change confirmation link
+    const emailChangeToken = authService.consumeEmailChangeLink();
+
+    // Pending two-factor challenge token between the two login steps
+    let challengeToken = null;
 
     const mobileInput = document.getElementById('mobileNumber');
     const getOtpBtn = document.getElementById('get-otp-btn');
     const logoutBtn = document.getElementById('logout-btn');
 
+    const impersonationBanner = document.getElementById('impersonation-banner');
+    const impersonationText = document.getElementById('impersonation-text');
+    const stopImpersonatingBtn = document.getElementById('stop-impersonating-btn');
+    const impersonateForm = document.getElementById('impersonate-form');
+    const impersonateBtn = document.getElementById('impersonate-btn');
+
+    const profileForm = document.getElementById('profile-form');
+    const profileBtn = document.getElementById('profile-btn');
+    const profilePendingEmail = document.getElementById('profile-pending-email');
+    const timezoneOptions = document.getElementById('timezone-options');
+
+    // Timezone from the user's preferences; null uses the browser's
+    let userTimezone = null;
+
+    const invitationsPanel = document.getElementById('invitations-panel');
+    const inviteForm = document.getElementById('invite-form');
+    const inviteBtn = document.getElementById('invite-btn');
+    const invitationList = document.getElementById('invitation-list');
+
+    // Whether this browser is currently viewing the app as another user
+    let impersonating = false;
+
     const otpResult = document.getElementById('otp-result');
     const resultMobile = document.getElementById('result-mobile');
     const otpCodeEl = document.getElementById('otp-code');
     const otpTimeEl = document.getElementById('otp-time');
+    const watchOtpBtn = document.getElementById('watch-otp-btn');
+
+    // The running watch for new OTPs, if any
+    let otpWatch = null;
+
+    // Pick up the result of an SSO redirect, then check for existing session on page load
+    const ssoError = authService.consumeSsoRedirect();
+    if (ssoError) {
+        showToast(`Single sign-on failed (${ssoError})`, 'error');
+    }
+    setupLoginMethods();
+    if (loginAlertToken) {
+        // Reporting the login ends every session, so do not resume this one
+        switchView('login');
+        showLoginStep(reportLoginForm);
+    } else {
+        checkExistingSession();
+    }
+    if (resetToken) {
+        showLoginStep(resetPasswordForm);
+    }
+    if (inviteToken) {
+        showInvitation();
+    }
+    if (emailChangeToken) {
+        confirmEmailChange();
+    }
+    fillTimezoneOptions();
+
+    /**
+     * Show one of the forms in the login card
+     * @param {HTMLElement} form - Form to show
+     */
+    function showLoginStep(form) {
+        [loginForm, twoFactorForm, forgotPasswordForm, resetPasswordForm, acceptInviteForm, reportLoginForm, changePasswordForm].forEach(el => {
+            el.classList.toggle('hidden', el !== form);
+        });
+    }
 
-    // Check for existing session on page load
-    checkExistingSession();
+    /**
+     * Show the SSO button and hide password login according to server settings
+     */
+    async function setupLoginMethods() {
+        try {
+            const methods = await authService.getLoginMethods();
+            if (methods.ssoEnabled) {
+                ssoBtn.href = authService.getSsoLoginUrl();
+                ssoBtn.classList.remove('hidden');
+            }
+            if (!methods.localLoginEnabled) {
+                loginForm.classList.add('hidden');
+            }
+        } catch (error) {
+            // Fall back to password login only
+            console.warn('Could not load login methods:', error.message);
+        }
+    }
 
     /**
      * Check if user has a valid session and redirect accordingly
@@ -240,11 +792,16 @@ document.addEventListener('DOMContentLoaded', () => {
     async function checkExistingSession() {
         if (apiClient.isAuthenticated()) {
             try {
-                // Verify token is still valid by fetching current user
-                await authService.getCurrentUser();
+                // Verify the session is still valid by fetching current user
+                const response = await authService.getCurrentUser();
+                if (response.data && response.data.password_change_required) {
+                    showPasswordChangeStep();
+                    return;
+                }
+                updateSessionUi(response.data);
                 switchView('dashboard');
             } catch (error) {
-                // Token is invalid, clear it and show login
+                // Session is invalid, clear it and show login
                 apiClient.clearToken();
                 switchView('login');
             }
@@ -253,6 +810,168 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    /**
+     * Show the impersonation banner or, for administrators, the impersonation form
+     * @param {Object} user - Current user from /auth/me
+     */
+    function updateSessionUi(user) {
+        const impersonator = user.impersonated_by;
+        impersonating = !!impersonator;
+
+        impersonationBanner.classList.toggle('hidden', !impersonating);
+        if (impersonating) {
+            impersonationText.textContent = `Viewing as ${user.username} (signed in as ${impersonator.username})`;
+        }
+
+        updateProfileForm(user);
+
+        const canImpersonate = (user.permissions || []).includes('users:impersonate');
+        impersonateForm.classList.toggle('hidden', impersonating || !canImpersonate);
+
+        const canInvite = (user.permissions || []).includes('users:manage');
+        invitationsPanel.classList.toggle('hidden', impersonating || !canInvite);
+        if (!impersonating && canInvite) {
+            loadInvitations();
+        }
+    }
+
+    /**
+     * Fill the profile form and apply the user's preferences
+     * @param {Object} user - Current user from /auth/me
+     */
+    function updateProfileForm(user) {
+        const preferences = user.preferences || {};
+
+        profileForm.classList.toggle('hidden', impersonating);
+        profileForm.displayName.value = user.display_name || '';
+        profileForm.email.value = user.email || '';
+        profileForm.defaultCountryCode.value = preferences.default_country_code || '';
+        profileForm.timezone.value = preferences.timezone || '';
+
+        profilePendingEmail.classList.toggle('hidden', !user.pending_email);
+        profilePendingEmail.textContent = user.pending_email
+            ? `Waiting for confirmation of ${user.pending_email}`
+            : '';
+
+        userTimezone = preferences.timezone || null;
+
+        const countryDigits = (preferences.default_country_code || '').replace('+', '');
+        mobileInput.placeholder = `e.g. ${countryDigits}1234567890`;
+    }
+
+    /**
+     * Offer the timezones the browser knows as suggestions
+     */
+    function fillTimezoneOptions() {
+        if (typeof Intl.supportedValuesOf !== 'function') {
+            return;
+        }
+
+        Intl.supportedValuesOf('timeZone').forEach(timezone => {
+            const option = document.createElement('option');
+            option.value = timezone;
+            timezoneOptions.appendChild(option);
+        });
+    }
+
+    /**
+     * Confirm a new email address from a confirmation link
+     */
+    async function confirmEmailChange() {
+        try {
+            const message = await authService.confirmEmailChange(emailChangeToken);
+            showToast(message, 'success');
+            if (apiClient.isAuthenticated()) {
+                await reloadCurrentUser();
+            }
+        } catch (error) {
+            showToast(error.message || 'This confirmation link is invalid or has expired.', 'error');
+        }
+    }
+
+    /**
+     * Show the signup form for an invitation link with who it was sent to
+     */
+    async function showInvitation() {
+        showLoginStep(acceptInviteForm);
+        inviteDetails.textContent = 'Checking your invitation...';
+
+        try {
+            const invitation = await authService.lookupInvitation(inviteToken);
+            inviteDetails.textContent = `Invitation for ${invitation.email} (${invitation.role})`;
+            acceptInviteForm.username.focus();
+        } catch (error) {
+            inviteToken = null;
+            showLoginStep(loginForm);
+            showToast(error.message || 'This invitation link is invalid or has expired.', 'error');
+        }
+    }
+
+    /**
+     * Build the list row for a pending invitation
+     * @param {Object} invitation - Invitation from the API
+     * @returns {HTMLElement} - List item with resend and revoke actions
+     */
+    function renderInvitation(invitation) {
+        const item = document.createElement('li');
+        item.className = 'invitation-item';
+
+        const info = document.createElement('div');
+        const email = document.createElement('div');
+        email.textContent = invitation.email;
+        const meta = document.createElement('div');
+        meta.className = 'otp-meta';
+        meta.textContent = `${invitation.role} · expires ${formatDate(invitation.expiresAt)}`;
+        info.append(email, meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'invitation-actions';
+        ['resend', 'revoke'].forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.action = action;
+            button.dataset.id = invitation.id;
+            button.textContent = action === 'resend' ? 'Resend' : 'Revoke';
+            actions.appendChild(button);
+        });
+
+        item.append(info, actions);
+        return item;
+    }
+
+    /**
+     * Reload the pending invitations list
+     */
+    async function loadInvitations() {
+        try {
+            const invitations = await invitationService.listPending();
+            invitationList.replaceChildren(...invitations.map(renderInvitation));
+
+            if (invitations.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'otp-meta';
+                empty.textContent = 'No pending invitations';
+                invitationList.appendChild(empty);
+            }
+        } catch (error) {
+            console.warn('Could not load invitations:', error.message);
+        }
+    }
+
+    /**
+     * Reload the current user and refresh the dashboard around them
+     */
+    async function reloadCurrentUser() {
+        try {
+            const response = await authService.getCurrentUser();
+            updateSessionUi(response.data);
+        } catch (error) {
+            console.warn('Could not load current user:', error.message);
+        }
+        mobileInput.value = '';
+        otpResult.classList.add('hidden');
+    }
+
     /**
      * Switch between login and dashboard views
      * @param {string} viewName - 'login' or 'dashboard'
@@ -329,7 +1048,7 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function formatDate(dateString) {
         const date = new Date(dateString);
-        return date.toLocaleString();
+        return date.toLocaleString(undefined, userTimezone ? { timeZone: userTimezone } : undefined);
     }
 
     // --- Event Listeners ---
@@ -351,9 +1070,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
             const response = await authService.login(username, password);
-            showToast('Login successful', 'success');
-            switchView('dashboard');
             loginForm.reset();
+
+            if (response.twoFactorRequired) {
+                await showTwoFactorStep(response);
+                return;
+            }
+
+            finishLogin(response);
         } catch (error) {
             showToast(error.message || 'Login failed. Please try again.', 'error');
         } finally {
@@ -361,6 +1085,243 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    /**
+     * Enter the dashboard, unless the password has expired and must be changed first
+     * @param {Object} response - Login result
+     */
+    function finishLogin(response) {
+        if (response.passwordChangeRequired) {
+            showPasswordChangeStep();
+            return;
+        }
+
+        showToast('Login successful', 'success');
+        switchView('dashboard');
+        reloadCurrentUser();
+    }
+
+    /**
+     * Ask the user to replace an expired or administratively reset password
+     */
+    function showPasswordChangeStep() {
+        switchView('login');
+        showLoginStep(changePasswordForm);
+        changePasswordForm.currentPassword.focus();
+        showToast('Please choose a new password to continue.', 'info');
+    }
+
+    /**
+     * Show the two-factor step, enrolling the authenticator first if required
+     * @param {Object} challenge - Challenge returned by login
+     */
+    async function showTwoFactorStep(challenge) {
+        challengeToken = challenge.challengeToken;
+
+        if (challenge.enrollmentRequired) {
+            const enrollment = await authService.beginTwoFactorEnrollment(challengeToken);
+            twoFactorSecret.textContent = enrollment.secret;
+            twoFactorEnroll.classList.remove('hidden');
+        } else {
+            twoFactorEnroll.classList.add('hidden');
+        }
+
+        loginForm.classList.add('hidden');
+        twoFactorForm.classList.remove('hidden');
+        twoFactorForm.twoFactorCode.focus();
+    }
+
+    /**
+     * Two-Factor Form Submit Handler
+     */
+    twoFactorForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const value = twoFactorForm.twoFactorCode.value.trim();
+
+        if (!value) {
+            showToast('Please enter your authentication code', 'error');
+            return;
+        }
+
+        setLoading(twoFactorBtn, true, 'Verifying...');
+
+        try {
+            const response = await authService.completeTwoFactorLogin(challengeToken, value);
+
+            if (response.recoveryCodes) {
+                window.alert(`Save these recovery codes somewhere safe:\n\n${response.recoveryCodes.join('\n')}`);
+            }
+
+            challengeToken = null;
+            twoFactorForm.reset();
+            twoFactorForm.classList.add('hidden');
+            twoFactorEnroll.classList.add('hidden');
+            loginForm.classList.remove('hidden');
+            finishLogin(response);
+        } catch (error) {
+            showToast(error.message || 'Verification failed. Please try again.', 'error');
+        } finally {
+            setLoading(twoFactorBtn, false, 'Verify');
+        }
+    });
+
+    /**
+     * Forgot Password Link Click Handler
+     */
+    forgotPasswordLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        showLoginStep(forgotPasswordForm);
+        forgotPasswordForm.resetEmail.focus();
+    });
+
+    document.querySelectorAll('.back-to-login').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            resetToken = null;
+            inviteToken = null;
+            loginAlertToken = null;
+            showLoginStep(loginForm);
+        });
+    });
+
+    /**
+     * Forgot Password Form Submit Handler
+     */
+    forgotPasswordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const email = forgotPasswordForm.resetEmail.value.trim();
+
+        if (!email) {
+            showToast('Please enter your email', 'error');
+            return;
+        }
+
+        setLoading(forgotPasswordBtn, true, 'Sending...');
+
+        try {
+            const message = await authService.requestPasswordReset(email);
+            forgotPasswordForm.reset();
+            showLoginStep(loginForm);
+            showToast(message, 'success');
+        } catch (error) {
+            showToast(error.message || 'Request failed. Please try again.', 'error');
+        } finally {
+            setLoading(forgotPasswordBtn, false, 'Send Reset Link');
+        }
+    });
+
+    /**
+     * Reset Password Form Submit Handler
+     */
+    resetPasswordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const newPassword = resetPasswordForm.newPassword.value;
+        const confirmPassword = resetPasswordForm.confirmPassword.value;
+
+        if (newPassword !== confirmPassword) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        setLoading(resetPasswordBtn, true, 'Resetting...');
+
+        try {
+            const message = await authService.resetPassword(resetToken, newPassword);
+            resetToken = null;
+            resetPasswordForm.reset();
+            showLoginStep(loginForm);
+            showToast(message, 'success');
+        } catch (error) {
+            showToast(error.message || 'Reset failed. Please try again.', 'error');
+        } finally {
+            setLoading(resetPasswordBtn, false, 'Reset Password');
+        }
+    });
+
+    /**
+     * Accept Invitation Form Submit Handler
+     */
+    acceptInviteForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const username = acceptInviteForm.username.value.trim();
+        const password = acceptInviteForm.password.value;
+        const confirmPassword = acceptInviteForm.confirmPassword.value;
+
+        if (password !== confirmPassword) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        setLoading(acceptInviteBtn, true, 'Creating...');
+
+        try {
+            const message = await authService.acceptInvitation(inviteToken, username, password);
+            inviteToken = null;
+            acceptInviteForm.reset();
+            showLoginStep(loginForm);
+            loginForm.username.value = username;
+            loginForm.password.focus();
+            showToast(message, 'success');
+        } catch (error) {
+            showToast(error.message || 'Could not create your account. Please try again.', 'error');
+        } finally {
+            setLoading(acceptInviteBtn, false, 'Create Account');
+        }
+    });
+
+    /**
+     * Report Login Form Submit Handler
+     */
+    reportLoginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        setLoading(reportLoginBtn, true, 'Securing...');
+
+        try {
+            const message = await authService.reportLogin(loginAlertToken);
+            loginAlertToken = null;
+            showLoginStep(loginForm);
+            showToast(message, 'success');
+        } catch (error) {
+            showToast(error.message || 'Request failed. Please try again.', 'error');
+        } finally {
+            setLoading(reportLoginBtn, false, 'Sign Out Everywhere');
+        }
+    });
+
+    /**
+     * Change Expired Password Form Submit Handler
+     */
+    changePasswordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const currentPassword = changePasswordForm.currentPassword.value;
+        const newPassword = changePasswordForm.newPassword.value;
+        const confirmPassword = changePasswordForm.confirmPassword.value;
+
+        if (newPassword !== confirmPassword) {
+            showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        setLoading(changePasswordBtn, true, 'Changing...');
+
+        try {
+            const message = await authService.changePassword(currentPassword, newPassword);
+            changePasswordForm.reset();
+            showLoginStep(loginForm);
+            showToast(`${message}. Please log in again.`, 'success');
+        } catch (error) {
+            showToast(error.message || 'Password change failed. Please try again.', 'error');
+        } finally {
+            setLoading(changePasswordBtn, false, 'Change Password');
+        }
+    });
+
+    changePasswordLogout.addEventListener('click', async (e) => {
+        e.preventDefault();
+        await authService.logout();
+        changePasswordForm.reset();
+        showLoginStep(loginForm);
+    });
+
     /**
      * Get OTP Button Click Handler
      */
@@ -381,18 +1342,7 @@ document.addEventListener('DOMContentLoaded', () => {
         try {
             const data = await otpService.getLatestOtp(mobile);
 
-            // Update UI with results
-            resultMobile.textContent = data.mobile || mobile;
-            otpCodeEl.textContent = data.otp || '--';
-
-            // Format the received time
-            if (data.receivedAt) {
-                otpTimeEl.textContent = `Received at ${formatDate(data.receivedAt)}`;
-            } else {
-                otpTimeEl.textContent = 'Fetched just now';
-            }
-
-            otpResult.classList.remove('hidden');
+            showOtp(data, mobile);
             showToast('OTP fetched successfully', 'success');
         } catch (error) {
             showToast(error.message || 'Failed to fetch OTP. Please try again.', 'error');
@@ -401,16 +1351,209 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    /**
+     * Show an OTP in the result container
+     * @param {Object} data - OTP from OtpService
+     * @param {string} mobile - Mobile number it was requested for
+     */
+    function showOtp(data, mobile) {
+        resultMobile.textContent = data.mobile || mobile;
+        otpCodeEl.textContent = data.otp || '--';
+
+        // Format the received time
+        if (data.receivedAt) {
+            otpTimeEl.textContent = `Received at ${formatDate(data.receivedAt)}`;
+        } else {
+            otpTimeEl.textContent = 'Fetched just now';
+        }
+
+        otpResult.classList.remove('hidden');
+    }
+
+    /**
+     * Stop watching for new OTPs, if a watch is running
+     */
+    function stopWatching() {
+        if (otpWatch) {
+            otpWatch.stop();
+            otpWatch = null;
+        }
+        watchOtpBtn.textContent = 'Watch for New OTPs';
+        mobileInput.disabled = false;
+    }
+
+    /**
+     * Watch Button Click Handler
+     * Accepts several numbers separated by commas
+     */
+    watchOtpBtn.addEventListener('click', () => {
+        if (otpWatch) {
+            stopWatching();
+            showToast('Stopped watching for new OTPs', 'info');
+            return;
+        }
+
+        const numbers = mobileInput.value.split(',').map(number => number.trim()).filter(Boolean);
+
+        if (!numbers.length) {
+            showToast('Please enter a mobile number', 'error');
+            mobileInput.focus();
+            return;
+        }
+
+        otpWatch = otpService.watchOtps(numbers, {
+            onOtp: (data) => {
+                showOtp(data, numbers[0]);
+                showToast(`New OTP for ${data.mobile}`, 'success');
+            },
+            onWarning: (message) => showToast(message, 'error'),
+            onEnd: (message) => {
+                stopWatching();
+                showToast(message, 'error');
+            }
+        });
+
+        watchOtpBtn.textContent = 'Stop Watching';
+        mobileInput.disabled = true;
+        showToast(`Watching ${numbers.join(', ')} for new OTPs`, 'info');
+    });
+
+    /**
+     * Profile Form Submit Handler
+     */
+    profileForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const profile = {
+            displayName: profileForm.displayName.value.trim(),
+            defaultCountryCode: profileForm.defaultCountryCode.value.trim(),
+            timezone: profileForm.timezone.value.trim()
+        };
+
+        // An email can be changed but not removed
+        const email = profileForm.email.value.trim();
+        if (email) {
+            profile.email = email;
+        }
+
+        setLoading(profileBtn, true, 'Saving...');
+
+        try {
+            const response = await authService.updateProfile(profile);
+            updateSessionUi(response.data);
+            showToast(response.message, 'success');
+        } catch (error) {
+            showToast(error.message || 'Could not save your profile. Please try again.', 'error');
+        } finally {
+            setLoading(profileBtn, false, 'Save Profile');
+        }
+    });
+
+    /**
+     * Impersonate Form Submit Handler
+     */
+    impersonateForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const userId = impersonateForm.impersonateUserId.value.trim();
+
+        if (!userId) {
+            showToast('Please enter a user ID', 'error');
+            return;
+        }
+
+        setLoading(impersonateBtn, true, 'Switching...');
+
+        try {
+            const result = await authService.impersonate(userId);
+            impersonateForm.reset();
+            await reloadCurrentUser();
+            showToast(`Now viewing as ${result.user.username}`, 'info');
+        } catch (error) {
+            showToast(error.message || 'Could not impersonate this user.', 'error');
+        } finally {
+            setLoading(impersonateBtn, false, 'View as User');
+        }
+    });
+
+    /**
+     * Invite Form Submit Handler
+     */
+    inviteForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const email = inviteForm.inviteEmail.value.trim();
+        const role = inviteForm.inviteRole.value.trim();
+
+        setLoading(inviteBtn, true, 'Sending...');
+
+        try {
+            const message = await invitationService.invite(email, role);
+            inviteForm.inviteEmail.value = '';
+            showToast(message, 'success');
+        } catch (error) {
+            showToast(error.message || 'Could not send the invitation.', 'error');
+        } finally {
+            setLoading(inviteBtn, false, 'Send Invitation');
+            // A failed email still leaves a pending invitation to resend
+            loadInvitations();
+        }
+    });
+
+    /**
+     * Invitation Resend/Revoke Click Handler
+     */
+    invitationList.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) {
+            return;
+        }
+
+        const { action, id } = button.dataset;
+        if (action === 'revoke' && !confirm('Revoke this invitation? Its link will stop working.')) {
+            return;
+        }
+
+        button.disabled = true;
+
+        try {
+            const message = action === 'resend'
+                ? await invitationService.resend(id)
+                : await invitationService.revoke(id);
+            showToast(message, 'success');
+        } catch (error) {
+            showToast(error.message || 'Could not update the invitation.', 'error');
+        } finally {
+            loadInvitations();
+        }
+    });
+
+    /**
+     * Stop Impersonating Button Click Handler
+     */
+    stopImpersonatingBtn.addEventListener('click', async () => {
+        try {
+            await authService.stopImpersonating();
+            showToast('Stopped impersonating', 'success');
+        } catch (error) {
+            showToast(error.message || 'Could not stop impersonating.', 'error');
+        } finally {
+            await reloadCurrentUser();
+        }
+    });
+
     /**
      * Logout Button Click Handler
      */
     logoutBtn.addEventListener('click', async () => {
         try {
+            // End the impersonation first so the administrator's own session is logged out
+            if (impersonating) {
+                await authService.stopImpersonating();
+            }
             await authService.logout();
             showToast('Logged out securely', 'success');
         } catch (error) {
             showToast('Logout completed', 'success');
         } finally {
+            stopWatching();
             switchView('login');
             mobileInput.value = '';
             otpResult.classList.add('hidden');